@@ -0,0 +1,73 @@
+const config = require('../../config');
+const { updateGroup } = require('../../models/Group');
+const messageStore = require('../../utils/messageStore');
+const { formatDuration } = require('../../utils/timeUtils');
+
+module.exports = {
+    name: 'antidelete',
+    aliases: ['antidel', 'ad'],
+    category: 'admin',
+    description: 'Re-send deleted messages, including media, to the group or its admins',
+    usage: 'antidelete <on|off|admins|group|status>',
+    example: 'antidelete admins',
+    cooldown: 3,
+    permissions: ['admin'],
+    args: true,
+    minArgs: 1,
+    maxArgs: 1,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        if (!isGroup) {
+            return await sock.sendMessage(from, {
+                text: '❌ *Group Only*\n\nAnti-delete can only be configured inside a group.'
+            }, { quoted: message });
+        }
+
+        const settings = group?.settings?.antiDelete || {};
+        const action = args[0].toLowerCase();
+        let text;
+
+        switch (action) {
+            case 'on':
+            case 'off':
+                await updateGroup(from, { 'settings.antiDelete.enabled': action === 'on' });
+                text = `${action === 'on' ? '🟢' : '🔴'} Anti-delete ${action === 'on' ? 'enabled' : 'disabled'}.`;
+                break;
+
+            case 'admins':
+            case 'group':
+                await updateGroup(from, { 'settings.antiDelete.adminOnly': action === 'admins' });
+                text = action === 'admins'
+                    ? '🔒 Deleted messages will be sent privately to group admins.'
+                    : '📢 Deleted messages will be re-posted in the group.';
+                break;
+
+            case 'status': {
+                const stats = messageStore.getStats();
+                text = `🗑️ *Anti-Delete Settings*
+
+├ Status: ${settings.enabled ? '🟢 On' : '🔴 Off'}
+├ Delivery: ${settings.adminOnly !== false ? 'Admins (private)' : 'Group'}
+├ Retention: ${formatDuration(config.antiDelete.retention)}
+╰ Stored messages: ${stats.messages}`;
+                break;
+            }
+
+            default:
+                text = `🗑️ *Anti-Delete*
+
+├ ${prefix}antidelete on | off
+├ ${prefix}antidelete admins - send to admins privately
+├ ${prefix}antidelete group - re-post in the group
+╰ ${prefix}antidelete status
+
+📎 Text, images, videos, voice notes, stickers and documents are restored.`;
+        }
+
+        await sock.sendMessage(from, { text }, { quoted: message });
+    }
+};
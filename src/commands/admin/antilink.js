@@ -0,0 +1,127 @@
+const antiLink = require('../../utils/antiLink');
+const { updateGroup } = require('../../models/Group');
+
+module.exports = {
+    name: 'antilink',
+    aliases: ['al', 'linkguard'],
+    category: 'admin',
+    description: 'Delete links posted by members and apply the configured action',
+    usage: 'antilink <on|off|status|action|whitelist|bypass|invites> [options]',
+    example: 'antilink whitelist add youtube.com',
+    cooldown: 3,
+    permissions: ['admin'],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        if (!isGroup) {
+            return await sock.sendMessage(from, {
+                text: '❌ *Group Only*\n\nAnti-link can only be configured inside a group.'
+            }, { quoted: message });
+        }
+
+        const settings = group?.settings?.antiLink || {};
+        const whitelist = settings.whitelist || [];
+        const action = args[0].toLowerCase();
+        const value = args[1]?.toLowerCase();
+
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+
+        try {
+            switch (action) {
+                case 'on':
+                case 'off': {
+                    await updateGroup(from, { 'settings.antiLink.enabled': action === 'on' });
+                    return await reply(`${action === 'on' ? '🟢' : '🔴'} Anti-link ${action === 'on' ? 'enabled' : 'disabled'}.${action === 'on' && !isBotAdmin ? '\n\n⚠️ Make the bot an admin so links can be deleted.' : ''}`);
+                }
+
+                case 'status': {
+                    return await reply(`🔗 *Anti-Link Settings*
+
+├ Status: ${settings.enabled ? '🟢 On' : '🔴 Off'}
+├ Action: ${settings.action || 'warn'}
+├ Scope: ${settings.inviteOnly ? 'Group invite links only' : 'All links'}
+├ Admin bypass: ${settings.adminBypass !== false ? 'Yes' : 'No'}
+├ Bot is admin: ${isBotAdmin ? 'Yes' : 'No'}
+╰ Whitelist: ${whitelist.length ? whitelist.join(', ') : 'None'}`);
+                }
+
+                case 'action': {
+                    if (!antiLink.ANTILINK_ACTIONS.includes(value)) {
+                        return await reply(`❌ *Invalid action*\n\n*Usage:* ${prefix}antilink action <${antiLink.ANTILINK_ACTIONS.join('|')}>\n\n⚠️ warn uses the group warning policy (${prefix}warnings policy).`);
+                    }
+
+                    await updateGroup(from, { 'settings.antiLink.action': value });
+                    return await reply(`✅ Anti-link action set to *${value}*.`);
+                }
+
+                case 'bypass':
+                case 'invites': {
+                    if (!['on', 'off'].includes(value)) return await this.sendUsage(sock, from, message, prefix);
+
+                    const field = action === 'bypass' ? 'adminBypass' : 'inviteOnly';
+                    await updateGroup(from, { [`settings.antiLink.${field}`]: value === 'on' });
+
+                    return await reply(action === 'bypass'
+                        ? `✅ Admins ${value === 'on' ? 'can' : 'can no longer'} post links.`
+                        : `✅ Anti-link now blocks ${value === 'on' ? 'only WhatsApp group invite links' : 'all links'}.`);
+                }
+
+                case 'whitelist':
+                case 'wl': {
+                    const domain = antiLink.normalizeDomain(args[2]);
+
+                    if (value === 'add') {
+                        if (!domain) return await reply(`❌ *Invalid domain*\n\n*Example:* ${prefix}antilink whitelist add youtube.com`);
+                        if (whitelist.includes(domain)) return await reply(`ℹ️ *${domain}* is already whitelisted.`);
+                        if (whitelist.length >= antiLink.MAX_WHITELIST) {
+                            return await reply(`❌ Whitelist limit reached (${antiLink.MAX_WHITELIST}).`);
+                        }
+
+                        await updateGroup(from, { $addToSet: { 'settings.antiLink.whitelist': domain } });
+                        return await reply(`✅ *${domain}* and its subdomains are now allowed.`);
+                    }
+
+                    if (value === 'remove' || value === 'del') {
+                        if (!domain || !whitelist.includes(domain)) return await reply(`❌ *${args[2] || 'That domain'}* is not whitelisted.`);
+
+                        await updateGroup(from, { $pull: { 'settings.antiLink.whitelist': domain } });
+                        return await reply(`🗑️ *${domain}* removed from the whitelist.`);
+                    }
+
+                    return await reply(whitelist.length
+                        ? `📋 *Whitelisted Domains*\n\n${whitelist.map((entry, index) => `${index === whitelist.length - 1 ? '╰' : '├'} ${entry}`).join('\n')}`
+                        : `📭 No whitelisted domains.\n\nAdd one with ${prefix}antilink whitelist add <domain>`);
+                }
+
+                default:
+                    return await this.sendUsage(sock, from, message, prefix);
+            }
+        } catch (error) {
+            await reply(`❌ *Anti-link error*\n\n${error.message}`);
+        }
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `🔗 *Anti-Link*
+
+├ ${prefix}antilink on | off
+├ ${prefix}antilink status
+├ ${prefix}antilink action <warn|kick|ban>
+├ ${prefix}antilink invites on | off
+├ ${prefix}antilink bypass on | off
+├ ${prefix}antilink whitelist add <domain>
+├ ${prefix}antilink whitelist remove <domain>
+╰ ${prefix}antilink whitelist
+
+🔍 Detects plain, obfuscated (example[.]com, hxxp://) and WhatsApp invite links
+📨 *invites on* only blocks chat.whatsapp.com links`
+        }, { quoted: message });
+    }
+};
@@ -0,0 +1,229 @@
+const config = require('../../config');
+const autoReply = require('../../utils/autoReply');
+const { updateGroup } = require('../../models/Group');
+
+const MODE_ALIASES = {
+    exact: 'exact',
+    contains: 'contains',
+    regex: 'regex',
+    startswith: 'startsWith',
+    starts: 'startsWith'
+};
+
+module.exports = {
+    name: 'autoreply',
+    aliases: ['ar', 'autoresponse'],
+    category: 'admin',
+    description: 'Manage trigger/response auto-reply rules for this group or globally',
+    usage: 'autoreply <add|list|del|toggle|respond|test|on|off|global|quiet|clear> [options]',
+    example: 'autoreply add contains hello | Hi {sender}! | Hey there 👋',
+    cooldown: 3,
+    permissions: ['admin'],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const { extractMessageContent } = require('../../handlers/messageHandler');
+        const rawText = extractMessageContent(message)?.text || '';
+        const isOwner = config.ownerNumbers.includes(sender);
+
+        const flags = args.filter(arg => arg.startsWith('--')).map(arg => arg.toLowerCase());
+        const params = args.filter(arg => !arg.startsWith('--'));
+        const action = params[0].toLowerCase();
+        const wantsGlobal = flags.includes('--global') || !isGroup;
+        const scope = wantsGlobal ? autoReply.GLOBAL_SCOPE : from;
+        const scopeLabel = wantsGlobal ? 'global' : 'this group';
+
+        const reply = (text, mentions) => sock.sendMessage(from, {
+            text,
+            contextInfo: mentions ? { mentionedJid: mentions } : undefined
+        }, { quoted: message });
+
+        if (wantsGlobal && !isOwner && !['list', 'test'].includes(action)) {
+            return await reply('❌ *Owner Only*\n\nOnly the bot owner can manage global auto-replies.');
+        }
+
+        try {
+            switch (action) {
+                case 'add': {
+                    const body = rawText
+                        .replace(/\s--(global|case)\b/gi, '')
+                        .match(/^\S+\s+\S+\s+([\s\S]*)$/)?.[1] || '';
+                    const first = body.split(/\s+/)[0];
+                    const mode = MODE_ALIASES[first?.toLowerCase()];
+                    // Regex triggers may use `|` alternations, so only a spaced ` | ` separates their replies
+                    const separator = mode === 'regex' ? /\s+\|\s+/ : '|';
+                    const [head, ...responses] = body.split(separator).map(part => part.trim());
+                    const trigger = mode ? head.slice(first.length).trim() : head;
+
+                    if (!trigger || !responses.length) {
+                        return await this.sendUsage(sock, from, message, prefix);
+                    }
+
+                    const rule = await autoReply.addRule(scope, {
+                        trigger,
+                        responses,
+                        match: mode || 'contains',
+                        caseSensitive: flags.includes('--case'),
+                        createdBy: sender
+                    });
+
+                    return await reply(`✅ *Auto-Reply Added* (${scopeLabel})
+
+├ ID: ${rule.id}
+├ Match: ${rule.match}${rule.caseSensitive ? ' (case-sensitive)' : ''}
+├ Trigger: ${rule.trigger}
+╰ Responses: ${rule.responses.length}`);
+                }
+
+                case 'list': {
+                    const rules = await autoReply.getRules(scope);
+
+                    if (!rules.length) {
+                        return await reply(`📭 No auto-reply rules for ${scopeLabel}.\n\nAdd one with ${prefix}autoreply add <trigger> | <response>`);
+                    }
+
+                    const lines = rules.map((rule, index) => {
+                        const branch = index === rules.length - 1 ? '╰' : '├';
+                        const state = rule.enabled ? '🟢' : '🔴';
+                        return `${branch} ${state} *${rule.id}* [${rule.match}] ${rule.trigger} → ${rule.responses.length} response(s), used ${rule.uses || 0}x`;
+                    });
+
+                    return await reply(`🤖 *Auto-Replies (${scopeLabel})*\n\n${lines.join('\n')}`);
+                }
+
+                case 'del':
+                case 'delete':
+                case 'remove': {
+                    const id = params[1];
+                    if (!id) return await this.sendUsage(sock, from, message, prefix);
+
+                    await autoReply.removeRule(scope, id);
+                    return await reply(`🗑️ Auto-reply *${id}* removed from ${scopeLabel}.`);
+                }
+
+                case 'toggle': {
+                    const id = params[1];
+                    if (!id) return await this.sendUsage(sock, from, message, prefix);
+
+                    const rules = await autoReply.getRules(scope);
+                    const existing = rules.find(rule => rule.id === id);
+                    if (!existing) throw new Error(`Rule *${id}* not found.`);
+
+                    const rule = await autoReply.updateRule(scope, id, { enabled: !existing.enabled });
+                    return await reply(`${rule.enabled ? '🟢' : '🔴'} Auto-reply *${id}* ${rule.enabled ? 'enabled' : 'disabled'}.`);
+                }
+
+                case 'respond':
+                case 'addresponse': {
+                    const id = params[1];
+                    const response = rawText.replace(/\s--global\b/gi, '').match(/^\S+\s+\S+\s+\S+\s+([\s\S]*)$/)?.[1];
+                    if (!id || !response) return await this.sendUsage(sock, from, message, prefix);
+
+                    const rule = await autoReply.addResponse(scope, id, response);
+                    return await reply(`✅ Response added to *${id}* (${rule.responses.length} total).`);
+                }
+
+                case 'test': {
+                    const sample = rawText.match(/^\S+\s+\S+\s+([\s\S]*)$/)?.[1];
+                    if (!sample) return await this.sendUsage(sock, from, message, prefix);
+
+                    const result = await autoReply.findReply(sample, isGroup ? group : null);
+                    return await reply(result
+                        ? `🧪 *Match found*\n\n├ Rule: ${result.rule.id} (${result.scope === autoReply.GLOBAL_SCOPE ? 'global' : 'group'})\n├ Match: ${result.rule.match}\n╰ Reply: ${result.response}`
+                        : '🧪 No rule matches that text.');
+                }
+
+                case 'clear': {
+                    const count = await autoReply.clearRules(scope);
+                    return await reply(`🗑️ Removed ${count} auto-reply rule(s) from ${scopeLabel}.`);
+                }
+
+                case 'on':
+                case 'off': {
+                    const enabled = action === 'on';
+
+                    if (wantsGlobal) {
+                        await autoReply.setGlobalConfig({ enabled }, sender);
+                    } else {
+                        await updateGroup(from, { 'settings.autoReply.enabled': enabled });
+                    }
+
+                    return await reply(`${enabled ? '🟢' : '🔴'} Auto-replies ${enabled ? 'enabled' : 'disabled'} for ${scopeLabel}.`);
+                }
+
+                case 'global': {
+                    if (!isGroup) return await this.sendUsage(sock, from, message, prefix);
+
+                    const value = params[1]?.toLowerCase();
+                    if (!['on', 'off'].includes(value)) return await this.sendUsage(sock, from, message, prefix);
+
+                    await updateGroup(from, { 'settings.autoReply.useGlobal': value === 'on' });
+                    return await reply(`🌐 Global auto-replies ${value === 'on' ? 'will' : 'will no longer'} be used in this group.`);
+                }
+
+                case 'quiet': {
+                    const start = params[1];
+                    const end = params[2];
+
+                    if (start?.toLowerCase() === 'off') {
+                        if (wantsGlobal) {
+                            await autoReply.setGlobalConfig({ quietHours: { enabled: false } }, sender);
+                        } else {
+                            await updateGroup(from, { 'settings.autoReply.quietHours.enabled': false });
+                        }
+                        return await reply(`🔔 Quiet hours disabled for ${scopeLabel}.`);
+                    }
+
+                    if (autoReply.parseTime(start) === null || autoReply.parseTime(end) === null) {
+                        return await reply(`❌ *Invalid time*\n\n*Usage:* ${prefix}autoreply quiet <HH:MM> <HH:MM>\n*Example:* ${prefix}autoreply quiet 22:00 07:00`);
+                    }
+
+                    const quietHours = { enabled: true, start, end };
+
+                    if (wantsGlobal) {
+                        await autoReply.setGlobalConfig({ quietHours }, sender);
+                    } else {
+                        await updateGroup(from, { 'settings.autoReply.quietHours': quietHours });
+                    }
+
+                    const timezone = (!wantsGlobal && group?.settings?.timezone) || config.timezone;
+                    return await reply(`🌙 Quiet hours for ${scopeLabel}: ${start} - ${end} (${timezone})`);
+                }
+
+                default:
+                    return await this.sendUsage(sock, from, message, prefix);
+            }
+        } catch (error) {
+            await reply(`❌ *Auto-reply error*\n\n${error.message}`);
+        }
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `🤖 *Auto-Reply Rules*
+
+├ ${prefix}autoreply add [mode] <trigger> | <reply> [| <reply>...]
+├ ${prefix}autoreply list
+├ ${prefix}autoreply del <id>
+├ ${prefix}autoreply toggle <id>
+├ ${prefix}autoreply respond <id> <reply>
+├ ${prefix}autoreply test <text>
+├ ${prefix}autoreply on | off
+├ ${prefix}autoreply global on | off
+├ ${prefix}autoreply quiet <HH:MM> <HH:MM> | off
+╰ ${prefix}autoreply clear
+
+🎯 *Modes:* exact, contains (default), startswith, regex
+🎲 Multiple replies are picked at random
+🧩 Regex triggers separate replies with a spaced \` | \`
+🔤 Replies support {sender} and {group}
+⚙️ Flags: --case (case-sensitive), --global (owner only)`
+        }, { quoted: message });
+    }
+};
@@ -0,0 +1,208 @@
+const customCommands = require('../../utils/customCommands');
+
+const MAX_COOLDOWN = 24 * 60 * 60;
+
+module.exports = {
+    name: 'customcmd',
+    aliases: ['cmd', 'cc'],
+    category: 'admin',
+    description: 'Create, edit, list and delete custom commands for this group',
+    usage: 'customcmd <add|edit|del|list|info|cooldown> [name] [response]',
+    example: 'customcmd add rules Hi {sender}, read the pinned rules of {group}!',
+    cooldown: 3,
+    permissions: ['admin'],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        if (!isGroup) {
+            return await sock.sendMessage(from, {
+                text: '❌ *Group Only*\n\nCustom commands can only be managed inside a group.'
+            }, { quoted: message });
+        }
+
+        const action = args[0].toLowerCase();
+        const name = args[1]?.toLowerCase();
+        const { extractMessageContent } = require('../../handlers/messageHandler');
+        const rawText = extractMessageContent(message)?.text || '';
+        const response = rawText.match(/^\S+\s+\S+\s+\S+\s*([\s\S]*)$/)?.[1] || '';
+
+        try {
+            switch (action) {
+                case 'add':
+                case 'create': {
+                    if (!name) return await this.sendUsage(sock, from, message, prefix);
+
+                    const nameError = customCommands.validateName(name);
+                    if (nameError) {
+                        throw new Error(nameError);
+                    }
+
+                    const media = await customCommands.saveMedia(from, name, message);
+                    let cc;
+
+                    try {
+                        cc = await customCommands.addCommand(from, {
+                            name,
+                            response,
+                            createdBy: sender,
+                            media
+                        });
+                    } catch (error) {
+                        await customCommands.removeMedia(media);
+                        throw error;
+                    }
+
+                    return await sock.sendMessage(from, {
+                        text: `✅ *Custom Command Created*\n\n├ Name: ${prefix}${cc.name}\n├ Media: ${cc.media ? cc.media.type : 'None'}\n╰ Response: ${cc.response || '_media only_'}`
+                    }, { quoted: message });
+                }
+
+                case 'edit':
+                case 'update': {
+                    if (!name) return await this.sendUsage(sock, from, message, prefix);
+
+                    if (!customCommands.findCommand(group, name)) {
+                        throw new Error(`Custom command *${name}* does not exist.`);
+                    }
+
+                    const changes = {};
+                    const media = await customCommands.saveMedia(from, name, message);
+
+                    if (response) changes.response = response;
+                    if (media) changes.media = media;
+
+                    if (!Object.keys(changes).length) {
+                        return await sock.sendMessage(from, {
+                            text: `❌ *Nothing to update*\n\nProvide a new response or attach/reply to media.\n\n*Example:* ${prefix}customcmd edit ${name} New response`
+                        }, { quoted: message });
+                    }
+
+                    let cc;
+
+                    try {
+                        cc = await customCommands.editCommand(from, name, changes);
+                    } catch (error) {
+                        await customCommands.removeMedia(media);
+                        throw error;
+                    }
+
+                    return await sock.sendMessage(from, {
+                        text: `✏️ *Custom Command Updated*\n\n├ Name: ${prefix}${cc.name}\n├ Media: ${cc.media?.type || 'None'}\n╰ Response: ${cc.response || '_media only_'}`
+                    }, { quoted: message });
+                }
+
+                case 'nomedia': {
+                    if (!name) return await this.sendUsage(sock, from, message, prefix);
+
+                    await customCommands.editCommand(from, name, { media: null });
+
+                    return await sock.sendMessage(from, {
+                        text: `🗑️ Media removed from *${prefix}${name}*.`
+                    }, { quoted: message });
+                }
+
+                case 'cooldown': {
+                    const seconds = parseInt(args[2]);
+
+                    if (!name || isNaN(seconds) || seconds < 0 || seconds > MAX_COOLDOWN) {
+                        return await sock.sendMessage(from, {
+                            text: `❌ *Invalid cooldown*\n\n*Usage:* ${prefix}customcmd cooldown <name> <seconds>\n*Range:* 0 - ${MAX_COOLDOWN} seconds`
+                        }, { quoted: message });
+                    }
+
+                    await customCommands.editCommand(from, name, { cooldown: seconds });
+
+                    return await sock.sendMessage(from, {
+                        text: seconds
+                            ? `⏰ *${prefix}${name}* can now be used once every ${seconds} seconds per member.`
+                            : `⏰ Cooldown removed from *${prefix}${name}*.`
+                    }, { quoted: message });
+                }
+
+                case 'del':
+                case 'delete':
+                case 'remove': {
+                    if (!name) return await this.sendUsage(sock, from, message, prefix);
+
+                    await customCommands.removeCommand(from, name);
+
+                    return await sock.sendMessage(from, {
+                        text: `🗑️ Custom command *${prefix}${name}* deleted.`
+                    }, { quoted: message });
+                }
+
+                case 'info': {
+                    if (!name) return await this.sendUsage(sock, from, message, prefix);
+
+                    const cc = customCommands.findCommand(group, name);
+                    if (!cc) {
+                        return await sock.sendMessage(from, {
+                            text: `❌ Custom command *${name}* does not exist.`
+                        }, { quoted: message });
+                    }
+
+                    return await sock.sendMessage(from, {
+                        text: `📋 *Custom Command: ${prefix}${cc.name}*\n\n├ Created by: @${(cc.createdBy || '').split('@')[0]}\n├ Created: ${new Date(cc.createdAt).toLocaleString()}\n├ Cooldown: ${cc.cooldown || 0}s\n├ Uses: ${cc.uses || 0}\n├ Media: ${cc.media?.type || 'None'}\n╰ Response: ${cc.response || '_media only_'}`,
+                        contextInfo: { mentionedJid: cc.createdBy ? [cc.createdBy] : [] }
+                    }, { quoted: message });
+                }
+
+                case 'list': {
+                    const list = group?.customCommands || [];
+
+                    if (!list.length) {
+                        return await sock.sendMessage(from, {
+                            text: `📭 *No custom commands yet*\n\nCreate one with ${prefix}customcmd add <name> <response>`
+                        }, { quoted: message });
+                    }
+
+                    const lines = list.map((cc, index) => {
+                        const branch = index === list.length - 1 ? '╰' : '├';
+                        const extras = [cc.media?.type, cc.cooldown ? `${cc.cooldown}s` : null].filter(Boolean);
+                        return `${branch} ${prefix}${cc.name}${extras.length ? ` (${extras.join(', ')})` : ''}`;
+                    });
+
+                    return await sock.sendMessage(from, {
+                        text: `📋 *Custom Commands (${list.length}/${customCommands.MAX_COMMANDS_PER_GROUP})*\n\n${lines.join('\n')}`
+                    }, { quoted: message });
+                }
+
+                default:
+                    return await this.sendUsage(sock, from, message, prefix);
+            }
+        } catch (error) {
+            await sock.sendMessage(from, {
+                text: `❌ *Custom command error*\n\n${error.message}`
+            }, { quoted: message });
+        }
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `🛠️ *Custom Commands*
+
+├ ${prefix}customcmd add <name> <response>
+├ ${prefix}customcmd edit <name> <response>
+├ ${prefix}customcmd cooldown <name> <seconds>
+├ ${prefix}customcmd nomedia <name>
+├ ${prefix}customcmd del <name>
+├ ${prefix}customcmd info <name>
+╰ ${prefix}customcmd list
+
+📎 *Media:* send an image/video/audio/document with the command as caption, or reply to one.
+
+🔤 *Variables:*
+├ {sender} - mentions the user
+├ {mention} - mentions the tagged or replied user
+├ {group} - group name
+├ {args} - text after the command
+╰ {prefix} - bot prefix`
+        }, { quoted: message });
+    }
+};
@@ -0,0 +1,97 @@
+const muteManager = require('../../utils/muteManager');
+const { parseDuration, formatDuration } = require('../../utils/timeUtils');
+
+const DEFAULT_DURATION = 60 * 60 * 1000;
+
+module.exports = {
+    name: 'mute',
+    aliases: ['tempmute', 'mutelist', 'mutes'],
+    category: 'admin',
+    description: 'Mute a member for a period of time; their messages are deleted while muted',
+    usage: 'mute <@user|reply> [duration] [reason] | mute list',
+    example: 'mute @user 30m flooding the chat',
+    cooldown: 3,
+    permissions: ['admin'],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        if (!isGroup) {
+            return await sock.sendMessage(from, {
+                text: '❌ *Group Only*\n\nMembers can only be muted inside a group.'
+            }, { quoted: message });
+        }
+
+        if (['mutelist', 'mutes'].includes(command) || args[0]?.toLowerCase() === 'list') {
+            return await this.sendList(sock, message, from, group);
+        }
+
+        const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+        const target = contextInfo?.mentionedJid?.[0] || contextInfo?.participant;
+
+        if (!target) {
+            return await sock.sendMessage(from, {
+                text: `❌ *No user specified*\n\n*Usage:* ${prefix}mute <@user|reply> [duration] [reason]\n*Example:* ${prefix}mute @user 30m flooding the chat\n\nSee active mutes with ${prefix}mute list`
+            }, { quoted: message });
+        }
+
+        const params = args.filter(arg => !arg.startsWith('@'));
+        const duration = params[0] ? parseDuration(params[0]) : null;
+        const reason = (duration ? params.slice(1) : params).join(' ').trim();
+
+        try {
+            const metadata = await sock.groupMetadata(from);
+            if (metadata.participants.find(p => p.id === target)?.admin) {
+                return await sock.sendMessage(from, {
+                    text: '❌ Group admins cannot be muted.'
+                }, { quoted: message });
+            }
+
+            const mute = await muteManager.mute(from, target, {
+                duration: duration || DEFAULT_DURATION,
+                reason,
+                mutedBy: sender
+            });
+
+            await sock.sendMessage(from, {
+                text: `🔇 *Member Muted*
+
+├ User: @${target.split('@')[0]}
+├ Duration: ${formatDuration(duration || DEFAULT_DURATION)}
+├ Until: ${new Date(mute.mutedUntil).toLocaleString()}
+╰ Reason: ${mute.reason}${isBotAdmin ? '' : '\n\n⚠️ Make the bot an admin so muted messages can be deleted.'}`,
+                contextInfo: { mentionedJid: [target] }
+            }, { quoted: message });
+        } catch (error) {
+            await sock.sendMessage(from, {
+                text: `❌ *Mute failed*\n\n${error.message}`
+            }, { quoted: message });
+        }
+    },
+
+    async sendList(sock, message, from, group) {
+        const mutes = muteManager.getActiveMutes(group);
+
+        if (!mutes.length) {
+            return await sock.sendMessage(from, {
+                text: '🔊 No members are muted in this group.'
+            }, { quoted: message });
+        }
+
+        const lines = mutes.map((mute, index) => {
+            const branch = index === mutes.length - 1 ? '╰' : '├';
+            const remaining = mute.mutedUntil ? formatDuration(new Date(mute.mutedUntil) - Date.now()) : 'indefinitely';
+            return `${branch} @${mute.jid.split('@')[0]} • ${remaining} left\n   ${mute.reason}`;
+        });
+
+        await sock.sendMessage(from, {
+            text: `🔇 *Muted Members (${mutes.length})*\n\n${lines.join('\n')}`,
+            contextInfo: { mentionedJid: mutes.map(mute => mute.jid) }
+        }, { quoted: message });
+    }
+};
@@ -0,0 +1,116 @@
+const config = require('../../config');
+const rateLimiter = require('../../utils/rateLimiter');
+const { parseDuration, formatDuration } = require('../../utils/timeUtils');
+
+module.exports = {
+    name: 'ratelimit',
+    aliases: ['rl', 'limits'],
+    category: 'admin',
+    description: 'Override command rate limits for this group or, for owners, globally',
+    usage: 'ratelimit | ratelimit set <max>/<window> [command] [--global] | ratelimit reset [command] [--global]',
+    example: 'ratelimit set 3/1m sticker',
+    cooldown: 3,
+    permissions: ['admin'],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const isOwner = config.ownerNumbers.includes(sender);
+        const isGlobal = args.includes('--global') || !isGroup;
+        const params = args.filter(arg => arg !== '--global');
+        const action = params[0]?.toLowerCase();
+
+        if (isGlobal && !isOwner) {
+            return await reply('❌ *Owner Only*\n\nOnly the bot owner can change global rate limits.');
+        }
+
+        try {
+            if (!action || action === 'list') {
+                return await this.sendOverview({ reply, from, isGroup, prefix });
+            }
+
+            if (action !== 'set' && action !== 'reset') {
+                return await this.sendUsage(sock, from, message, prefix);
+            }
+
+            const commandName = action === 'set' ? params[2] : params[1];
+            const target = commandName ? this.resolveCommand(commandName) : null;
+
+            if (commandName && !target) {
+                return await reply(`❌ Unknown command: *${commandName}*`);
+            }
+
+            if (isGlobal && !target) {
+                return await reply(`❌ Global overrides need a command.\n\n*Example:* ${prefix}ratelimit set 3/1m sticker --global`);
+            }
+
+            const scope = { group: isGlobal ? null : from, command: target };
+            const label = `${target ? `*${target}*` : 'all commands'} ${isGlobal ? 'everywhere' : 'in this group'}`;
+
+            if (action === 'reset') {
+                const removed = await rateLimiter.removeOverride(scope, sender);
+                return await reply(removed ? `♻️ Rate limit for ${label} reset to default.` : `ℹ️ No override set for ${label}.`);
+            }
+
+            const [max, window] = (params[1] || '').split('/');
+            const limit = { max: parseInt(max), window: parseDuration(window || '') };
+
+            if (!limit.max || !limit.window) {
+                return await reply(`❌ *Invalid limit*\n\nUse <max>/<window>, e.g. ${prefix}ratelimit set 5/1m`);
+            }
+
+            await rateLimiter.setOverride({ ...scope, ...limit }, sender);
+            return await reply(`✅ ${label.charAt(0).toUpperCase()}${label.slice(1)}: ${limit.max} uses per ${formatDuration(limit.window)} per user. Premium tiers get the same multiple as their tier default.`);
+        } catch (error) {
+            await reply(`❌ *Rate limit error*\n\n${error.message}`);
+        }
+    },
+
+    resolveCommand(name) {
+        const { getCommand } = require('../../handlers/commandHandler');
+        return getCommand(name.toLowerCase())?.name || null;
+    },
+
+    async sendOverview({ reply, from, isGroup, prefix }) {
+        const tiers = Object.entries(rateLimiter.TIER_LIMITS).map(([tier, limits], index, list) => {
+            const branch = index === list.length - 1 ? '╰' : '├';
+            const value = limits ? `${limits.commands.max}/${formatDuration(limits.commands.window)}` : 'Unlimited';
+            return `${branch} ${tier}: ${value}`;
+        });
+        const overrides = await rateLimiter.listOverrides(isGroup ? from : null);
+
+        const lines = overrides.map((override, index) => {
+            const branch = index === overrides.length - 1 ? '╰' : '├';
+            const scope = override.group ? 'group' : 'global';
+            return `${branch} ${override.command || 'all commands'} (${scope}): ${override.max}/${formatDuration(override.window)}`;
+        });
+
+        return await reply(`🚦 *Rate Limits*
+
+*Tier defaults (commands per user):*
+${tiers.join('\n')}
+
+${lines.length ? `*Overrides (premium tiers scale up):*\n${lines.join('\n')}` : 'No overrides set.'}
+
+*Change:* ${prefix}ratelimit set 5/1m [command]`);
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `🚦 *Rate Limits*
+
+├ ${prefix}ratelimit
+├ ${prefix}ratelimit set <max>/<window> [command]
+╰ ${prefix}ratelimit reset [command]
+
+Owners can add *--global* to apply a command limit in every chat.
+*Example:* ${prefix}ratelimit set 3/1m sticker`
+        }, { quoted: message });
+    }
+};
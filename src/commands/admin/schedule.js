@@ -0,0 +1,163 @@
+const scheduler = require('../../utils/scheduler');
+const { updateGroup } = require('../../models/Group');
+const { parseNaturalSchedule, describeCron, isValidTimezone, formatInTimezone } = require('../../utils/timeUtils');
+
+module.exports = {
+    name: 'schedule',
+    aliases: ['sched', 'announce'],
+    category: 'admin',
+    description: 'Schedule recurring announcements and reminders for this group',
+    usage: 'schedule <add|remind|list|del|pause|resume|run|tz> [options]',
+    example: 'schedule add every monday 9am | Weekly meeting starts now!',
+    cooldown: 3,
+    permissions: ['admin'],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        if (!isGroup) {
+            return await sock.sendMessage(from, {
+                text: '❌ *Group Only*\n\nScheduled messages can only be managed inside a group.'
+            }, { quoted: message });
+        }
+
+        const { extractMessageContent } = require('../../handlers/messageHandler');
+        const rawText = extractMessageContent(message)?.text || '';
+        const flags = args.filter(arg => arg.startsWith('--')).map(arg => arg.toLowerCase());
+        const action = args[0].toLowerCase();
+        const taskId = args[1];
+
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+
+        try {
+            switch (action) {
+                case 'add':
+                case 'remind':
+                case 'reminder': {
+                    const body = rawText
+                        .replace(/\s--tag\b/gi, '')
+                        .match(/^\S+\s+\S+\s+([\s\S]*)$/)?.[1] || '';
+                    const separator = body.indexOf('|');
+
+                    if (separator === -1) return await this.sendUsage(sock, from, message, prefix);
+
+                    const when = body.slice(0, separator).trim();
+                    const text = body.slice(separator + 1).trim();
+                    const schedule = parseNaturalSchedule(when);
+
+                    if (!schedule) {
+                        return await reply(`❌ *Unrecognised schedule:* ${when}\n\n*Try:* every monday 9am, daily at 18:30, weekdays 8am, every 2 hours, or a cron expression like 0 9 * * 1`);
+                    }
+
+                    const task = await scheduler.addGroupTask(from, {
+                        type: action === 'add' ? 'message' : 'reminder',
+                        schedule,
+                        data: { text, mentionAll: flags.includes('--tag') },
+                        createdBy: sender
+                    });
+
+                    return await reply(`✅ *Message Scheduled*
+
+├ ID: ${task.id}
+├ Type: ${task.type}
+├ When: ${describeCron(task.schedule)}
+├ Timezone: ${task.timezone}
+├ Next run: ${task.nextRun ? formatInTimezone(task.nextRun, task.timezone) : 'Unknown'}
+╰ Tag all: ${task.data.mentionAll ? 'Yes' : 'No'}`);
+                }
+
+                case 'list': {
+                    const tasks = await scheduler.getGroupTasks(from);
+
+                    if (!tasks.length) {
+                        return await reply(`📭 No scheduled messages in this group.\n\nAdd one with ${prefix}schedule add <when> | <message>`);
+                    }
+
+                    const lines = tasks.map((task, index) => {
+                        const branch = index === tasks.length - 1 ? '╰' : '├';
+                        const state = task.enabled ? '🟢' : '🔴';
+                        const next = task.nextRun ? formatInTimezone(task.nextRun, task.timezone) : 'paused';
+                        return `${branch} ${state} *${task.id}* [${task.type}] ${describeCron(task.schedule)}\n   ${task.name}\n   Next: ${next}`;
+                    });
+
+                    return await reply(`⏰ *Scheduled Messages* (${tasks[0].timezone})\n\n${lines.join('\n')}`);
+                }
+
+                case 'del':
+                case 'delete':
+                case 'remove': {
+                    if (!taskId) return await this.sendUsage(sock, from, message, prefix);
+
+                    await scheduler.removeGroupTask(from, taskId);
+                    return await reply(`🗑️ Scheduled task *${taskId}* removed.`);
+                }
+
+                case 'pause':
+                case 'resume': {
+                    if (!taskId) return await this.sendUsage(sock, from, message, prefix);
+
+                    const task = await scheduler.setGroupTaskEnabled(from, taskId, action === 'resume');
+                    return await reply(task.enabled
+                        ? `▶️ Task *${taskId}* resumed. Next run: ${formatInTimezone(task.nextRun, task.timezone)}`
+                        : `⏸️ Task *${taskId}* paused.`);
+                }
+
+                case 'run': {
+                    if (!taskId) return await this.sendUsage(sock, from, message, prefix);
+
+                    const tasks = await scheduler.getGroupTasks(from);
+                    if (!tasks.some(task => task.id === taskId)) throw new Error(`Task *${taskId}* not found.`);
+
+                    await scheduler.runGroupTask(from, taskId);
+                    return;
+                }
+
+                case 'tz':
+                case 'timezone': {
+                    const timezone = args[1];
+
+                    if (!timezone) {
+                        return await reply(`🌍 Group timezone: *${group?.settings?.timezone || 'UTC'}*\n\nChange it with ${prefix}schedule tz <Area/City>`);
+                    }
+
+                    if (!isValidTimezone(timezone)) {
+                        return await reply(`❌ *Invalid timezone:* ${timezone}\n\n*Examples:* Africa/Lagos, Europe/London, America/New_York`);
+                    }
+
+                    await updateGroup(from, { 'settings.timezone': timezone });
+                    const count = await scheduler.rescheduleGroup(from);
+
+                    return await reply(`🌍 Group timezone set to *${timezone}*.\n\n${count} scheduled task(s) updated.`);
+                }
+
+                default:
+                    return await this.sendUsage(sock, from, message, prefix);
+            }
+        } catch (error) {
+            await reply(`❌ *Schedule error*\n\n${error.message}`);
+        }
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `⏰ *Scheduled Messages*
+
+├ ${prefix}schedule add <when> | <message>
+├ ${prefix}schedule remind <when> | <message>
+├ ${prefix}schedule list
+├ ${prefix}schedule pause | resume <id>
+├ ${prefix}schedule run <id>
+├ ${prefix}schedule del <id>
+╰ ${prefix}schedule tz [Area/City]
+
+🗓️ *When:* every monday 9am, daily at 18:30, weekdays 8am, every mon, wed and fri at 21:00, every month on the 1st, every 2 hours, or cron (0 9 * * 1)
+🏷️ Add --tag to mention everyone
+🌍 Times use the group timezone`
+        }, { quoted: message });
+    }
+};
@@ -0,0 +1,104 @@
+const config = require('../../config');
+const { prefixManager, MAX_PREFIXES } = require('../../utils/prefixManager');
+
+module.exports = {
+    name: 'setprefix',
+    aliases: ['prefix'],
+    category: 'admin',
+    description: 'Set the command prefixes for this group, or your personal prefix in private chat',
+    usage: 'setprefix | setprefix <prefix> [more...] | setprefix reset | setprefix noprefix <on|off>',
+    example: 'setprefix $ ?',
+    cooldown: 5,
+    permissions: [],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const isOwner = config.ownerNumbers.includes(sender);
+        const action = args[0]?.toLowerCase();
+
+        try {
+            if (!action) {
+                return await this.sendCurrent({ reply, group, user, isGroup, prefix });
+            }
+
+            if (isGroup && !isGroupAdmin && !isOwner) {
+                return await reply('❌ Only group admins can change the prefix for this group.');
+            }
+
+            if (action === 'reset') {
+                const context = isGroup
+                    ? { group: await prefixManager.resetGroupPrefixes(from), user, isGroup }
+                    : { group, user: await prefixManager.resetUserPrefix(sender), isGroup };
+
+                return await reply(`♻️ Prefix reset. Use *${prefixManager.getPrimaryPrefix(context)}* for commands${isGroup ? ' in this group' : ''}.`);
+            }
+
+            if (action === 'noprefix') {
+                if (!isGroup) {
+                    return await reply('❌ No-prefix mode can only be set per group.');
+                }
+
+                const value = args[1]?.toLowerCase();
+                if (!['on', 'off'].includes(value)) return await this.sendUsage(sock, from, message, prefix);
+
+                await prefixManager.setNoPrefix(from, value === 'on');
+
+                if (value === 'on' && !config.noPrefixEnabled) {
+                    return await reply('🟡 No-prefix mode saved for this group, but it is disabled bot-wide. It takes effect once the owner sets NO_PREFIX_ENABLED=true.');
+                }
+
+                return await reply(value === 'on'
+                    ? '🟢 No-prefix mode on. Members can type command names without a prefix.'
+                    : '🔴 No-prefix mode off. Commands need a prefix again.');
+            }
+
+            if (isGroup) {
+                const prefixes = await prefixManager.setGroupPrefixes(from, args);
+                return await reply(`✅ *Group prefix updated*\n\n├ Prefixes: ${prefixes.map(p => `*${p}*`).join(' ')}\n╰ Example: ${prefixes[0]}help`);
+            }
+
+            if (args.length > 1) {
+                return await reply('❌ A personal prefix must be a single value.');
+            }
+
+            const personal = await prefixManager.setUserPrefix(sender, args[0]);
+            return await reply(`✅ Your personal prefix is now *${personal}*.\n\nIt applies in private chat and in groups without their own prefix.\n*Example:* ${personal}help`);
+        } catch (error) {
+            await reply(`❌ *Prefix error*\n\n${error.message}`);
+        }
+    },
+
+    async sendCurrent({ reply, group, user, isGroup, prefix }) {
+        const resolved = prefixManager.resolve({ group, user, isGroup });
+        const source = { group: 'group setting', user: 'your preference', global: 'bot default' }[resolved.source];
+        const noPrefix = isGroup ? `\n├ No-prefix mode: ${prefixManager.isNoPrefixEnabled({ group, isGroup }) ? 'On' : 'Off'}` : '';
+
+        return await reply(`🔣 *Command Prefix*
+
+├ Active: ${resolved.prefixes.map(p => `*${p}*`).join(' ')}${noPrefix}
+╰ Source: ${source}
+
+*Change:* ${prefix}setprefix <prefix> [more...] (up to ${MAX_PREFIXES})`);
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `🔣 *Set Prefix*
+
+├ ${prefix}setprefix
+├ ${prefix}setprefix <prefix> [more...]
+├ ${prefix}setprefix reset
+╰ ${prefix}setprefix noprefix <on|off>
+
+In groups admins set the prefixes for everyone. In private chat you set your own.
+*Example:* ${prefix}setprefix $ ?`
+        }, { quoted: message });
+    }
+};
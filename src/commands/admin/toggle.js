@@ -0,0 +1,130 @@
+const config = require('../../config');
+const { commandHandler } = require('../../handlers/commandHandler');
+const { commandToggles } = require('../../utils/commandToggles');
+
+module.exports = {
+    name: 'toggle',
+    aliases: ['cmdtoggle', 'toggles'],
+    category: 'admin',
+    description: 'Enable or disable commands and categories for this chat, or globally as owner',
+    usage: 'toggle | toggle <on|off|reset> <command|category> [--global]',
+    example: 'toggle off economy',
+    cooldown: 3,
+    permissions: [],
+    args: false,
+    minArgs: 0,
+    maxArgs: 3,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const isOwner = config.ownerNumbers.includes(sender);
+        const isGlobal = args.includes('--global');
+        const [action, name] = args.filter(arg => arg !== '--global').map(arg => arg.toLowerCase());
+
+        try {
+            if (!action || action === 'list') {
+                return await this.sendList({ reply, group, user, isGroup, prefix });
+            }
+
+            if (!['on', 'off', 'reset'].includes(action) || !name) {
+                return await this.sendUsage(sock, from, message, prefix);
+            }
+
+            if (isGlobal && !isOwner) {
+                return await reply('❌ Only the bot owner can change global toggles.');
+            }
+
+            if (!isGlobal && isGroup && !isGroupAdmin && !isOwner) {
+                return await reply('❌ Only group admins can toggle commands in this group.');
+            }
+
+            const target = this.resolveTarget(name);
+            if (!target) {
+                return await reply(`❌ No command or category named *${name}*.`);
+            }
+
+            const label = `*${target.name}*${target.type === 'category' ? ' category' : ''}`;
+
+            if (isGlobal) {
+                const state = action === 'reset' ? null : action;
+                const changed = await commandToggles.setGlobal(target, state, sender);
+
+                if (!changed) {
+                    return await reply(`ℹ️ ${label} has no global override.`);
+                }
+
+                return await reply(state
+                    ? `${state === 'on' ? '🟢' : '🔴'} ${label} is now forced *${state}* everywhere.`
+                    : `♻️ Removed the global override for ${label}.`);
+            }
+
+            const scope = { group, user, isGroup, jid: isGroup ? from : sender };
+            const where = isGroup ? 'this group' : 'your chat';
+
+            if (action === 'reset') {
+                await commandToggles.resetLocal(scope, target);
+                return await reply(`♻️ ${label} is back to its default in ${where}.`);
+            }
+
+            await commandToggles.setLocal(scope, target, action === 'on');
+
+            const current = await commandToggles.check(target.command || { name: null, category: target.name }, { group, user, isGroup });
+            const note = current.scope === 'global' ? `\n\n⚠️ A global override keeps it *${current.enabled ? 'on' : 'off'}* regardless.` : '';
+
+            return await reply(`${action === 'on' ? '🟢' : '🔴'} ${label} ${action === 'on' ? 'enabled' : 'disabled'} in ${where}.${note}`);
+        } catch (error) {
+            await reply(`❌ *Toggle error*\n\n${error.message}`);
+        }
+    },
+
+    resolveTarget(name) {
+        if (commandHandler.getAllCategories().includes(name)) {
+            return { type: 'category', name };
+        }
+
+        const found = commandHandler.getCommand(name);
+        if (!found) return null;
+
+        return { type: 'command', name: found.name, category: found.category, command: found };
+    },
+
+    async sendList({ reply, group, user, isGroup, prefix }) {
+        const { global, local } = await commandToggles.list({ group, user, isGroup });
+        const format = (items) => items.length ? items.map(item => `*${item}*`).join(', ') : 'None';
+        const globalText = global.length
+            ? global.map(item => `├ ${item.state === 'on' ? '🟢' : '🔴'} ${item.name} (${item.type})`).join('\n')
+            : '├ None';
+
+        return await reply(`🎛️ *Command Toggles*
+
+*${isGroup ? 'This group' : 'This chat'}*
+├ Disabled categories: ${format(local.disabledCategories)}
+├ Disabled commands: ${format(local.disabledCommands)}
+╰ Allowed exceptions: ${format(local.enabledCommands)}
+
+*Global overrides*
+${globalText}
+╰ Owner commands and *help*/*toggle* are always on
+
+*Change:* ${prefix}toggle <on|off|reset> <command|category>`);
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `🎛️ *Command Toggles*
+
+├ ${prefix}toggle
+├ ${prefix}toggle off <command|category>
+├ ${prefix}toggle on <command|category>
+├ ${prefix}toggle reset <command|category>
+╰ ${prefix}toggle <on|off|reset> <name> --global
+
+Group admins manage their group, anyone can manage their private chat, and the owner can override everywhere with --global.
+*Example:* ${prefix}toggle off economy`
+        }, { quoted: message });
+    }
+};
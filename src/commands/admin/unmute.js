@@ -0,0 +1,43 @@
+const muteManager = require('../../utils/muteManager');
+
+module.exports = {
+    name: 'unmute',
+    aliases: ['untempmute'],
+    category: 'admin',
+    description: 'Lift a member mute before it expires',
+    example: 'unmute @user',
+    cooldown: 3,
+    permissions: ['admin'],
+    params: [
+        { name: 'user', type: 'mention' }
+    ],
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, params, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        if (!isGroup) {
+            return await sock.sendMessage(from, {
+                text: '❌ *Group Only*\n\nMembers can only be unmuted inside a group.'
+            }, { quoted: message });
+        }
+
+        const target = params.user;
+
+        try {
+            const mute = await muteManager.unmute(from, target);
+
+            await sock.sendMessage(from, {
+                text: mute
+                    ? `🔊 @${target.split('@')[0]} has been unmuted.`
+                    : `ℹ️ @${target.split('@')[0]} is not muted.`,
+                contextInfo: { mentionedJid: [target] }
+            }, { quoted: message });
+        } catch (error) {
+            await sock.sendMessage(from, {
+                text: `❌ *Unmute failed*\n\n${error.message}`
+            }, { quoted: message });
+        }
+    }
+};
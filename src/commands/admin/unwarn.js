@@ -0,0 +1,60 @@
+const warningManager = require('../../utils/warningManager');
+
+module.exports = {
+    name: 'unwarn',
+    aliases: ['delwarn', 'clearwarn'],
+    category: 'admin',
+    description: 'Remove one or all active warnings from a member',
+    usage: 'unwarn <@user|reply> [id|all]',
+    example: 'unwarn @user all',
+    cooldown: 3,
+    permissions: ['admin'],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        if (!isGroup) {
+            return await sock.sendMessage(from, {
+                text: '❌ *Group Only*\n\nWarnings can only be managed inside a group.'
+            }, { quoted: message });
+        }
+
+        const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+        const target = contextInfo?.mentionedJid?.[0] || contextInfo?.participant;
+        const option = args.find(arg => !arg.startsWith('@'))?.toLowerCase();
+
+        if (!target) {
+            return await sock.sendMessage(from, {
+                text: `❌ *No user specified*\n\n*Usage:* ${prefix}unwarn <@user|reply> [id|all]`
+            }, { quoted: message });
+        }
+
+        const tag = `@${target.split('@')[0]}`;
+
+        try {
+            let text;
+
+            if (option === 'all' || command === 'clearwarn') {
+                const count = await warningManager.clearWarnings(from, target);
+                text = `✅ Cleared ${count} warning(s) from ${tag}.`;
+            } else {
+                const { removed, remaining } = await warningManager.removeWarning(from, target, option);
+                text = `✅ Warning *${removed.id}* removed from ${tag}.\n\n├ Reason: ${removed.reason}\n╰ Remaining: ${remaining}`;
+            }
+
+            await sock.sendMessage(from, {
+                text,
+                contextInfo: { mentionedJid: [target] }
+            }, { quoted: message });
+        } catch (error) {
+            await sock.sendMessage(from, {
+                text: `❌ *Unwarn failed*\n\n${error.message}`
+            }, { quoted: message });
+        }
+    }
+};
@@ -0,0 +1,52 @@
+const warningManager = require('../../utils/warningManager');
+
+module.exports = {
+    name: 'warn',
+    aliases: ['warning'],
+    category: 'admin',
+    description: 'Warn a member and apply the group escalation policy',
+    example: 'warn @user spamming links',
+    cooldown: 3,
+    permissions: ['admin'],
+    params: [
+        { name: 'user', type: 'mention' },
+        { name: 'reason', type: 'text', required: false, default: '', maxLength: 200 }
+    ],
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, params, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        if (!isGroup) {
+            return await sock.sendMessage(from, {
+                text: '❌ *Group Only*\n\nWarnings can only be issued inside a group.'
+            }, { quoted: message });
+        }
+
+        const { user: target, reason } = params;
+
+        if (target === sender) {
+            return await sock.sendMessage(from, {
+                text: '❌ You cannot warn yourself.'
+            }, { quoted: message });
+        }
+
+        try {
+            const result = await warningManager.addWarning(sock, from, target, {
+                reason,
+                warnedBy: sender,
+                source: 'manual'
+            });
+
+            await sock.sendMessage(from, {
+                text: warningManager.formatWarningMessage(target, result),
+                contextInfo: { mentionedJid: [target] }
+            }, { quoted: message });
+        } catch (error) {
+            await sock.sendMessage(from, {
+                text: `❌ *Warning failed*\n\n${error.message}`
+            }, { quoted: message });
+        }
+    }
+};
@@ -0,0 +1,162 @@
+const config = require('../../config');
+const warningManager = require('../../utils/warningManager');
+const { updateGroup } = require('../../models/Group');
+const { parseDuration, formatDuration } = require('../../utils/timeUtils');
+
+module.exports = {
+    name: 'warnings',
+    aliases: ['warns', 'warnlist'],
+    category: 'admin',
+    description: 'View warning history and configure the group escalation policy',
+    usage: 'warnings [@user] | warnings policy [steps|on|off|reset] | warnings expiry <duration>',
+    example: 'warnings policy 3 mute 1h, 5 kick',
+    cooldown: 3,
+    permissions: ['group'],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const isAdmin = isGroupAdmin || config.ownerNumbers.includes(sender);
+        const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+        const mentioned = contextInfo?.mentionedJid?.[0] || contextInfo?.participant;
+        const action = args[0]?.toLowerCase();
+
+        const reply = (text, mentions) => sock.sendMessage(from, {
+            text,
+            contextInfo: mentions?.length ? { mentionedJid: mentions } : undefined
+        }, { quoted: message });
+
+        try {
+            if (action === 'policy' || action === 'expiry') {
+                if (!isAdmin && args.length > 1) {
+                    return await reply('❌ *Admin Only*\n\nOnly group admins can change the warning policy.');
+                }
+
+                return action === 'policy'
+                    ? await this.handlePolicy({ args: args.slice(1), group, from, prefix, reply })
+                    : await this.handleExpiry({ args: args.slice(1), from, prefix, reply });
+            }
+
+            if (!mentioned && isAdmin) {
+                return await this.sendOverview({ group, reply, prefix });
+            }
+
+            const target = mentioned || sender;
+            if (target !== sender && !isAdmin) {
+                return await reply('❌ *Admin Only*\n\nYou can only view your own warnings.');
+            }
+
+            return await this.sendHistory({ group, target, reply });
+        } catch (error) {
+            await reply(`❌ *Warnings error*\n\n${error.message}`);
+        }
+    },
+
+    async sendHistory({ group, target, reply }) {
+        const warnings = warningManager.getActiveWarnings(group, target);
+        const policy = warningManager.getPolicy(group);
+        const next = warningManager.getNextStep(policy, warnings.length);
+        const tag = `@${target.split('@')[0]}`;
+
+        if (!warnings.length) {
+            return await reply(`✅ ${tag} has no active warnings.`, [target]);
+        }
+
+        const lines = warnings.map((warning, index) => {
+            const branch = index === warnings.length - 1 ? '╰' : '├';
+            return `${branch} *${warning.id}* [${warning.source}] ${warning.reason}\n   ${new Date(warning.warnedAt).toLocaleString()} • expires ${new Date(warning.expiresAt).toLocaleString()}`;
+        });
+
+        return await reply(`⚠️ *Warnings for ${tag}* (${warnings.length})
+
+${lines.join('\n')}${next ? `\n\n📈 Next: ${warningManager.formatStep(next)}` : ''}`, [target]);
+    },
+
+    async sendOverview({ group, reply, prefix }) {
+        const warnings = warningManager.getActiveWarnings(group);
+        const counts = new Map();
+
+        for (const warning of warnings) {
+            counts.set(warning.user, (counts.get(warning.user) || 0) + 1);
+        }
+
+        if (!counts.size) {
+            return await reply(`✅ No active warnings in this group.\n\nUse ${prefix}warnings policy to view the escalation policy.`);
+        }
+
+        const users = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+        const lines = users.map(([jid, count], index) => {
+            const branch = index === users.length - 1 ? '╰' : '├';
+            return `${branch} @${jid.split('@')[0]}: ${count}`;
+        });
+
+        return await reply(`⚠️ *Active Warnings*\n\n${lines.join('\n')}\n\nView details with ${prefix}warnings @user`, users.map(([jid]) => jid));
+    },
+
+    async handlePolicy({ args, group, from, prefix, reply }) {
+        const value = args.join(' ').trim().toLowerCase();
+
+        if (!value) {
+            const policy = warningManager.getPolicy(group);
+            const steps = policy.steps.map((step, index) => {
+                const branch = index === policy.steps.length - 1 ? '╰' : '├';
+                return `${branch} ${warningManager.formatStep(step)}`;
+            });
+
+            return await reply(`📜 *Warning Policy*
+
+├ Escalation: ${policy.escalate ? 'On' : 'Off'}
+╰ Warnings expire after: ${formatDuration(policy.expiry)}
+
+*Steps:*
+${steps.join('\n')}
+
+*Change:* ${prefix}warnings policy 3 mute 1h, 5 kick`);
+        }
+
+        if (value === 'on' || value === 'off') {
+            await updateGroup(from, { 'settings.warnings.escalate': value === 'on' });
+            return await reply(`${value === 'on' ? '🟢' : '🔴'} Warning escalation ${value === 'on' ? 'enabled' : 'disabled'}.`);
+        }
+
+        if (value === 'reset') {
+            await updateGroup(from, { $set: { 'settings.warnings.escalation': [], 'settings.warnings.escalate': true } });
+            return await reply(`♻️ Warning policy reset to default (${warningManager.formatStep({ count: config.limits.maxWarnings, action: 'kick' })}).`);
+        }
+
+        const steps = value.split(',').map(part => {
+            const [count, action, ...duration] = part.trim().split(/\s+/);
+            const ms = duration.length ? parseDuration(duration.join(' ')) : null;
+
+            if (duration.length && !ms) {
+                throw new Error(`Invalid duration: ${duration.join(' ')}`);
+            }
+
+            return { count: parseInt(count), action, duration: ms };
+        });
+
+        const saved = await warningManager.setPolicy(from, steps);
+        return await reply(`✅ *Warning policy updated*\n\n${saved.map(step => `• ${warningManager.formatStep(step)}`).join('\n')}`);
+    },
+
+    async handleExpiry({ args, from, prefix, reply }) {
+        const value = args.join(' ').trim();
+
+        if (!value) {
+            return await reply(`*Usage:* ${prefix}warnings expiry <duration>\n*Example:* ${prefix}warnings expiry 7d`);
+        }
+
+        const expiry = parseDuration(value);
+        if (!expiry || expiry < 60 * 1000) {
+            return await reply(`❌ *Invalid duration:* ${value}\n\n*Example:* ${prefix}warnings expiry 7d`);
+        }
+
+        await updateGroup(from, { 'settings.warnings.expiry': expiry });
+        return await reply(`⏳ New warnings will expire after ${formatDuration(expiry)}.`);
+    }
+};
@@ -0,0 +1,38 @@
+const config = require('../../config');
+const aiService = require('../../services/aiService');
+
+module.exports = {
+    name: 'aireset',
+    aliases: ['resetai', 'forget'],
+    category: 'ai',
+    description: 'Clear the AI conversation memory for this chat',
+    usage: 'aireset [--all]',
+    example: 'aireset',
+    cooldown: 10,
+    permissions: [],
+    args: false,
+    minArgs: 0,
+    maxArgs: 1,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const isOwner = config.ownerNumbers.includes(sender);
+        const resetPersona = args[0]?.toLowerCase() === '--all';
+
+        if (isGroup && !isGroupAdmin && !isOwner) {
+            return await reply('❌ Only group admins can reset the AI conversation for this group.');
+        }
+
+        try {
+            await aiService.clearConversationHistory(from, { keepPersona: !resetPersona });
+
+            return await reply(`🧹 *AI memory cleared*\n\nThe bot has forgotten this ${isGroup ? 'group' : 'chat'}'s conversation${resetPersona ? ' and persona' : ''}.${resetPersona ? '' : `\nThe persona is kept. Use ${prefix}aireset --all to reset it too.`}`);
+        } catch (error) {
+            await reply(`❌ *Reset failed*\n\n${error.message}`);
+        }
+    }
+};
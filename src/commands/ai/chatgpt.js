@@ -0,0 +1,37 @@
+const config = require('../../config');
+const aiService = require('../../services/aiService');
+const { createStreamingReply } = require('../../utils/streamingReply');
+
+module.exports = {
+    name: 'chatgpt',
+    aliases: ['gpt', 'ai', 'ask'],
+    category: 'ai',
+    description: 'Ask ChatGPT and watch the answer stream in',
+    usage: 'chatgpt <question>',
+    example: 'chatgpt explain black holes simply',
+    cooldown: 5,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const stream = await createStreamingReply(sock, from, {
+            quoted: message,
+            interval: config.ai.streamEditInterval,
+            placeholder: '🤖 Thinking...'
+        });
+
+        const response = await aiService.generateResponse(args.join(' '), user, isGroup, from, {
+            command: this.name,
+            preferred: 'openai',
+            onToken: (delta, text) => stream.update(text)
+        });
+
+        await stream.finish(response);
+    }
+};
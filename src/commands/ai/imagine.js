@@ -0,0 +1,44 @@
+const aiService = require('../../services/aiService');
+
+module.exports = {
+    name: 'imagine',
+    aliases: ['dalle', 'imggen'],
+    category: 'ai',
+    description: 'Generate an image from a text prompt',
+    usage: 'imagine <prompt>',
+    example: 'imagine a lighthouse on a cliff at sunset, watercolor',
+    cooldown: 15,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const prompt = args.join(' ');
+
+        try {
+            const imageUrl = await aiService.generateImage(prompt, user, { groupJid: isGroup ? from : null });
+
+            await sock.sendMessage(from, {
+                image: { url: imageUrl },
+                caption: `🎨 *Generated Image*\n\n╰ Prompt: ${prompt.slice(0, 200)}`
+            }, { quoted: message });
+        } catch (error) {
+            const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+
+            if (error.code === 'QUOTA_EXCEEDED') {
+                return await reply(`📊 ${error.message}`);
+            }
+
+            if (error.code === 'RATE_LIMITED') {
+                return await reply(`⏳ ${error.message}`);
+            }
+
+            await reply(`❌ *Image generation failed*\n\n${error.message}`);
+        }
+    }
+};
@@ -0,0 +1,95 @@
+const config = require('../../config');
+const aiService = require('../../services/aiService');
+
+module.exports = {
+    name: 'persona',
+    aliases: ['aipersona', 'systemprompt'],
+    category: 'ai',
+    description: 'Choose the AI persona or a custom system prompt for this chat',
+    usage: 'persona | persona list | persona <name> | persona custom <prompt> | persona reset',
+    example: 'persona tutor',
+    cooldown: 5,
+    permissions: [],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const isOwner = config.ownerNumbers.includes(sender);
+        const action = args[0]?.toLowerCase();
+        const options = { isGroup, updatedBy: sender };
+
+        try {
+            if (!action) {
+                return await this.sendCurrent({ reply, from, prefix });
+            }
+
+            if (action === 'list') {
+                return await this.sendList({ reply, prefix });
+            }
+
+            if (isGroup && !isGroupAdmin && !isOwner) {
+                return await reply('❌ Only group admins can change the AI persona for this group.');
+            }
+
+            if (action === 'reset') {
+                await aiService.resetPersona(from, options);
+                return await reply(`♻️ Persona reset to the default (*${config.ai.defaultPersona}*).`);
+            }
+
+            if (action === 'custom') {
+                const { extractMessageContent } = require('../../handlers/messageHandler');
+                const rawText = extractMessageContent(message)?.text || '';
+                const prompt = rawText.match(/^\S+\s+\S+\s+([\s\S]*)$/)?.[1]?.trim();
+
+                if (!prompt) {
+                    return await reply(`❌ Provide a system prompt.\n\n*Example:* ${prefix}persona custom You are a pirate who answers in rhymes.`);
+                }
+
+                await aiService.setSystemPrompt(from, prompt, options);
+                return await reply(`✅ Custom system prompt set for this chat.\n\nRun ${prefix}aireset if earlier replies should be forgotten.`);
+            }
+
+            await aiService.setPersona(from, action, options);
+            return await reply(`✅ AI persona set to *${aiService.AI_PERSONAS[action].name}*.`);
+        } catch (error) {
+            await reply(`❌ *Persona error*\n\n${error.message}`);
+        }
+    },
+
+    async sendCurrent({ reply, from, prefix }) {
+        const info = await aiService.getConversationInfo(from);
+        const current = info.customPrompt
+            ? `Custom prompt\n   ${info.customPrompt.length > 120 ? `${info.customPrompt.slice(0, 117)}...` : info.customPrompt}`
+            : info.persona.name;
+
+        return await reply(`🤖 *AI Persona*
+
+├ Current: ${current}
+├ Messages remembered: ${info.messages}
+├ Memory size: ~${info.tokenCount} tokens
+╰ Summarized: ${info.summarized ? 'Yes' : 'No'}
+
+See all personas with ${prefix}persona list`);
+    },
+
+    async sendList({ reply, prefix }) {
+        const entries = Object.entries(aiService.AI_PERSONAS);
+        const lines = entries.map(([key, persona], index) => {
+            const branch = index === entries.length - 1 ? '╰' : '├';
+            return `${branch} *${key}*${key === config.ai.defaultPersona ? ' (default)' : ''}\n   ${persona.prompt}`;
+        });
+
+        return await reply(`🎭 *Available Personas*
+
+${lines.join('\n')}
+
+*Set:* ${prefix}persona <name>
+*Custom:* ${prefix}persona custom <prompt>`);
+    }
+};
@@ -0,0 +1,26 @@
+const { sendDownload } = require('../../utils/downloadReply');
+
+module.exports = {
+    name: 'fbdl',
+    aliases: ['fb', 'facebook'],
+    category: 'downloader',
+    description: 'Download a Facebook video',
+    usage: 'fbdl <url>',
+    example: 'fbdl https://fb.watch/abc123',
+    cooldown: 10,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        await sendDownload({ sock, message, from, user, isGroup }, args[0], {
+            platforms: ['facebook'],
+            label: 'Facebook'
+        });
+    }
+};
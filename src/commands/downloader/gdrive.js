@@ -0,0 +1,26 @@
+const { sendDownload } = require('../../utils/downloadReply');
+
+module.exports = {
+    name: 'gdrive',
+    aliases: ['drive', 'googledrive'],
+    category: 'downloader',
+    description: 'Download a shared Google Drive file',
+    usage: 'gdrive <url>',
+    example: 'gdrive https://drive.google.com/file/d/abc/view',
+    cooldown: 10,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        await sendDownload({ sock, message, from, user, isGroup }, args[0], {
+            platforms: ['googledrive'],
+            label: 'Google Drive'
+        });
+    }
+};
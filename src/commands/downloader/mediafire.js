@@ -0,0 +1,26 @@
+const { sendDownload } = require('../../utils/downloadReply');
+
+module.exports = {
+    name: 'mediafire',
+    aliases: ['mf'],
+    category: 'downloader',
+    description: 'Download a file from MediaFire',
+    usage: 'mediafire <url>',
+    example: 'mediafire https://www.mediafire.com/file/abc/file.zip',
+    cooldown: 10,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        await sendDownload({ sock, message, from, user, isGroup }, args[0], {
+            platforms: ['mediafire'],
+            label: 'MediaFire'
+        });
+    }
+};
@@ -0,0 +1,26 @@
+const { sendDownload } = require('../../utils/downloadReply');
+
+module.exports = {
+    name: 'tikdl',
+    aliases: ['tiktok', 'tt'],
+    category: 'downloader',
+    description: 'Download a TikTok video',
+    usage: 'tikdl <url>',
+    example: 'tikdl https://www.tiktok.com/@user/video/123',
+    cooldown: 10,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        await sendDownload({ sock, message, from, user, isGroup }, args[0], {
+            platforms: ['tiktok'],
+            label: 'TikTok'
+        });
+    }
+};
@@ -0,0 +1,26 @@
+const { sendDownload } = require('../../utils/downloadReply');
+
+module.exports = {
+    name: 'twdl',
+    aliases: ['twitter', 'tw'],
+    category: 'downloader',
+    description: 'Download media from a Twitter post',
+    usage: 'twdl <url>',
+    example: 'twdl https://twitter.com/user/status/123',
+    cooldown: 10,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        await sendDownload({ sock, message, from, user, isGroup }, args[0], {
+            platforms: ['twitter'],
+            label: 'Twitter'
+        });
+    }
+};
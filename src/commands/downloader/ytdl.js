@@ -0,0 +1,27 @@
+const { sendDownload } = require('../../utils/downloadReply');
+
+module.exports = {
+    name: 'ytdl',
+    aliases: ['yt', 'youtube'],
+    category: 'downloader',
+    description: 'Download a YouTube video, or its audio with "audio"',
+    usage: 'ytdl <url> [audio|video]',
+    example: 'ytdl https://youtu.be/dQw4w9WgXcQ audio',
+    cooldown: 10,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        await sendDownload({ sock, message, from, user, isGroup }, args[0], {
+            platforms: ['youtube'],
+            label: 'YouTube',
+            format: args[1]?.toLowerCase() === 'audio' ? 'audio' : 'video'
+        });
+    }
+};
@@ -0,0 +1,27 @@
+const { sendDownload } = require('../../utils/downloadReply');
+
+module.exports = {
+    name: 'ytmp3',
+    aliases: ['yta', 'ytaudio'],
+    category: 'downloader',
+    description: 'Download the audio of a YouTube video as MP3',
+    usage: 'ytmp3 <url>',
+    example: 'ytmp3 https://youtu.be/dQw4w9WgXcQ',
+    cooldown: 10,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        await sendDownload({ sock, message, from, user, isGroup }, args[0], {
+            platforms: ['youtube'],
+            label: 'YouTube',
+            format: 'audio'
+        });
+    }
+};
@@ -0,0 +1,28 @@
+const { sendDownload } = require('../../utils/downloadReply');
+
+module.exports = {
+    name: 'ytmp4',
+    aliases: ['ytv', 'ytvideo'],
+    category: 'downloader',
+    description: 'Download a YouTube video as MP4',
+    usage: 'ytmp4 <url> [low|medium|high]',
+    example: 'ytmp4 https://youtu.be/dQw4w9WgXcQ high',
+    cooldown: 10,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        await sendDownload({ sock, message, from, user, isGroup }, args[0], {
+            platforms: ['youtube'],
+            label: 'YouTube',
+            format: 'video',
+            quality: ['low', 'medium', 'high'].includes(args[1]?.toLowerCase()) ? args[1].toLowerCase() : 'medium'
+        });
+    }
+};
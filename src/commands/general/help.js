@@ -0,0 +1,53 @@
+const config = require('../../config');
+const { commandHandler } = require('../../handlers/commandHandler');
+const { commandToggles } = require('../../utils/commandToggles');
+const { formatUsage } = require('../../utils/parser');
+
+module.exports = {
+    name: 'help',
+    aliases: ['h', 'commands'],
+    category: 'general',
+    description: 'Show the command menu, a category, or details for one command',
+    usage: 'help [category|command]',
+    example: 'help fun',
+    cooldown: 3,
+    permissions: [],
+    args: false,
+    minArgs: 0,
+    maxArgs: 1,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const query = args[0]?.toLowerCase();
+        const context = { group, isGroup };
+
+        try {
+            if (!query || commandHandler.getAllCategories().includes(query)) {
+                return await reply(await commandHandler.getHelpMessage(query || null, user, prefix, context));
+            }
+
+            const found = commandHandler.getCommand(query);
+            const isOwner = config.ownerNumbers.includes(sender);
+
+            if (!found || (found.hidden && !isOwner) || (found.ownerOnly && !isOwner)) {
+                return await reply(`❌ No command or category named *${query}*.\n\nType ${prefix}help to see all categories.`);
+            }
+
+            const toggle = await commandToggles.check(found, { group, user, isGroup });
+            const status = toggle.enabled ? '' : `\n├ Status: 🚫 Disabled ${toggle.scope === 'global' ? 'by the bot owner' : `in this ${isGroup ? 'group' : 'chat'}`}`;
+
+            return await reply(`📖 *${found.name.toUpperCase()}*
+
+├ ${found.description || 'No description'}
+├ Category: ${found.category}
+├ Usage: ${prefix}${formatUsage(found)}${found.example ? `\n├ Example: ${prefix}${found.example}` : ''}${found.aliases?.length ? `\n├ Aliases: ${found.aliases.join(', ')}` : ''}${status}
+╰ Cooldown: ${found.cooldown || 0}s`);
+        } catch (error) {
+            await reply('❌ Failed to load help. Please try again.');
+        }
+    }
+};
@@ -0,0 +1,84 @@
+const config = require('../../config');
+const quotaManager = require('../../utils/quotaManager');
+const { getUser } = require('../../models/User');
+const { formatDuration } = require('../../utils/timeUtils');
+
+module.exports = {
+    name: 'quota',
+    aliases: ['usage', 'allowance'],
+    category: 'general',
+    description: 'Show remaining daily and monthly AI, image and download allowance',
+    usage: 'quota [@user]',
+    example: 'quota',
+    cooldown: 5,
+    permissions: [],
+    args: false,
+    minArgs: 0,
+    maxArgs: 1,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+
+        if (!config.quotas?.enabled) {
+            return await reply('📊 Usage quotas are disabled on this bot.');
+        }
+
+        try {
+            const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+            const mentioned = contextInfo?.mentionedJid?.[0] || contextInfo?.participant;
+            const isOwner = config.ownerNumbers.includes(sender);
+            let target = user;
+
+            if (mentioned && mentioned !== sender) {
+                if (!isOwner && !isGroupAdmin) {
+                    return await reply('❌ Only group admins can view another member\'s quota.');
+                }
+
+                target = await getUser(mentioned);
+                if (!target) {
+                    return await reply('❌ That user has not used the bot yet.');
+                }
+            }
+
+            const status = await quotaManager.getStatus({ user: target, groupJid: isGroup ? from : null });
+            const sections = [this.formatScope(`👤 *${target.jid === sender ? 'Your' : `@${target.jid.split('@')[0]}'s`} usage*`, status.user)];
+
+            if (status.group) {
+                sections.push(this.formatScope('👥 *Group usage*', status.group));
+            }
+
+            return await sock.sendMessage(from, {
+                text: `📊 *Usage Quotas*\n\n${sections.join('\n\n')}`,
+                mentions: target.jid === sender ? [] : [target.jid]
+            }, { quoted: message });
+        } catch (error) {
+            await reply(`❌ *Quota error*\n\n${error.message}`);
+        }
+    },
+
+    formatScope(title, status) {
+        if (status.unlimited) {
+            return `${title}\n╰ ♾️ Unlimited`;
+        }
+
+        const periods = quotaManager.QUOTA_PERIODS.map(period => {
+            const lines = quotaManager.QUOTA_METRICS.map((metric, index, list) => {
+                const branch = index === list.length - 1 ? '╰' : '├';
+                const entry = status[period][metric];
+                const format = value => quotaManager.formatAmount(metric, value);
+                const icon = entry.remaining === 0 ? '🔴' : entry.remaining < entry.limit * 0.2 ? '🟡' : '🟢';
+
+                return `${branch} ${icon} ${quotaManager.METRIC_LABELS[metric]}: ${format(entry.used)}/${format(entry.limit)} (${format(entry.remaining)} left)`;
+            });
+
+            const resetsIn = formatDuration(Math.max(status[period].resetsAt - Date.now(), 60 * 1000));
+            return `*${period.charAt(0).toUpperCase()}${period.slice(1)}* (resets in ${resetsIn})\n${lines.join('\n')}`;
+        });
+
+        return `${title}\n${periods.join('\n')}`;
+    }
+};
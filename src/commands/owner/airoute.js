@@ -0,0 +1,134 @@
+const { aiService } = require('../../services/aiService');
+const { formatDuration } = require('../../utils/timeUtils');
+
+const STATE_ICONS = {
+    closed: '🟢',
+    'half-open': '🟡',
+    open: '🔴'
+};
+
+module.exports = {
+    name: 'airoute',
+    aliases: ['aiproviders', 'airouting'],
+    category: 'owner',
+    description: 'Show AI provider health and route commands or groups to specific providers',
+    usage: 'airoute | airoute set <provider,...> [command] [--group] | airoute reset [command] [--group] | airoute heal <provider>',
+    example: 'airoute set local,openai gpt',
+    cooldown: 3,
+    permissions: ['owner'],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: true,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const inGroup = args.includes('--group');
+        const params = args.filter(arg => arg !== '--group');
+        const action = params[0]?.toLowerCase();
+        const providers = aiService.providers;
+
+        if (inGroup && !isGroup) {
+            return await reply('❌ *--group* only works inside a group.');
+        }
+
+        try {
+            await aiService.initialize();
+
+            if (!action || action === 'status') {
+                return await this.sendStatus({ reply, from, isGroup, prefix });
+            }
+
+            if (action === 'heal') {
+                if (!params[1]) return await this.sendUsage(sock, from, message, prefix);
+                const reset = providers.resetBreaker(params[1].toLowerCase());
+                return await reply(reset ? `🩺 Circuit for *${params[1]}* closed. It will receive traffic again.` : `❌ Unknown provider: *${params[1]}*`);
+            }
+
+            if (action !== 'set' && action !== 'reset') {
+                return await this.sendUsage(sock, from, message, prefix);
+            }
+
+            const commandName = action === 'set' ? params[2] : params[1];
+            const target = commandName ? this.resolveCommand(commandName) : null;
+
+            if (commandName && !target) {
+                return await reply(`❌ Unknown command: *${commandName}*`);
+            }
+
+            if (!inGroup && !target) {
+                return await reply(`❌ Routes need a command, *--group*, or both.\n\n*Example:* ${prefix}airoute set local,openai --group`);
+            }
+
+            const scope = { group: inGroup ? from : null, command: target };
+            const label = `${target ? `*${target}*` : 'the chatbot'} ${inGroup ? 'in this group' : 'everywhere'}`;
+
+            if (action === 'reset') {
+                const removed = await providers.removeRoute(scope, sender);
+                return await reply(removed ? `♻️ Route for ${label} reset to the default order.` : `ℹ️ No route set for ${label}.`);
+            }
+
+            const names = (params[1] || '').toLowerCase().split(',').map(name => name.trim()).filter(Boolean);
+            const route = await providers.setRoute({ ...scope, providers: names }, sender);
+
+            return await reply(`✅ ${label.charAt(0).toUpperCase()}${label.slice(1)} now uses: ${route.providers.join(' → ')}`);
+        } catch (error) {
+            await reply(`❌ *AI routing error*\n\n${error.message}`);
+        }
+    },
+
+    resolveCommand(name) {
+        const { getCommand } = require('../../handlers/commandHandler');
+        return getCommand(name.toLowerCase())?.name || null;
+    },
+
+    async sendStatus({ reply, from, isGroup, prefix }) {
+        const providers = aiService.providers;
+        const status = providers.getStatus();
+
+        if (!status.length) {
+            return await reply('🤖 No AI providers are configured. Set an API key or LOCAL_AI_BASE_URL.');
+        }
+
+        const lines = status.map((provider, index) => {
+            const branch = index === status.length - 1 ? '╰' : '├';
+            const retry = provider.state === 'open' ? `, retry in ${formatDuration(Math.max(provider.retryIn, 1000))}` : '';
+            const failures = provider.failures ? `, ${provider.failures} failure(s)` : '';
+            return `${branch} ${STATE_ICONS[provider.state]} *${provider.name}* (${provider.model})${failures}${retry}`;
+        });
+
+        const routes = await providers.listRoutes(isGroup ? from : null);
+        const routeLines = routes.map((route, index) => {
+            const branch = index === routes.length - 1 ? '╰' : '├';
+            const scope = route.group ? 'this group' : 'global';
+            return `${branch} ${route.command || 'chatbot'} (${scope}): ${route.providers.join(' → ')}`;
+        });
+
+        return await reply(`🤖 *AI Providers*
+
+${lines.join('\n')}
+
+*Default order:* ${providers.getOrder().join(' → ')}
+
+${routeLines.length ? `*Routes:*\n${routeLines.join('\n')}` : 'No routes set.'}
+
+*Change:* ${prefix}airoute set <provider,...> [command] [--group]`);
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `🤖 *AI Routing*
+
+├ ${prefix}airoute
+├ ${prefix}airoute set <provider,...> [command] [--group]
+├ ${prefix}airoute reset [command] [--group]
+╰ ${prefix}airoute heal <provider>
+
+Providers are tried in the listed order. Failing providers are skipped until their circuit closes.
+*Example:* ${prefix}airoute set local,openai --group`
+        }, { quoted: message });
+    }
+};
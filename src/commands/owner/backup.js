@@ -0,0 +1,95 @@
+const { backupManager } = require('../../utils/backup');
+
+const BACKUP_TYPES = ['full', 'database', 'session', 'config'];
+
+module.exports = {
+    name: 'backup',
+    aliases: ['bk'],
+    category: 'owner',
+    description: 'Create backups, pin them against cleanup and apply the retention policy',
+    usage: 'backup [full|database|session|config] | backup report | backup pin <backup> [note] | backup unpin <backup> | backup cleanup [--dry]',
+    example: 'backup pin backup_full_2026-01-01T00-00-00-000Z before migration',
+    cooldown: 10,
+    permissions: ['owner'],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: true,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const action = args[0]?.toLowerCase() || 'full';
+
+        try {
+            if (BACKUP_TYPES.includes(action)) {
+                await reply(`⏳ Creating ${action} backup...`);
+                const result = await backupManager.createBackup({ type: action, description: `Manual backup by ${sender.split('@')[0]}` });
+
+                return await reply(`✅ *Backup created*
+
+├ Name: ${result.name}
+├ Size: ${backupManager.formatBytes(result.size)}
+├ Encrypted: ${result.encrypted ? 'Yes' : 'No'}
+╰ Uploaded: ${result.uploads.length ? result.uploads.map(upload => `${upload.destination} ${upload.uploaded ? '✅' : '❌'}`).join(', ') : 'Local only'}
+
+Pin it with: ${prefix}backup pin ${result.name}`);
+            }
+
+            switch (action) {
+                case 'report':
+                case 'status':
+                    return await reply(await backupManager.generateBackupReport());
+
+                case 'pin': {
+                    if (!args[1]) return await this.sendUsage(sock, from, message, prefix);
+                    const name = await backupManager.pinBackup(args[1], args.slice(2).join(' '));
+                    return await reply(`📌 *${name}* is pinned and will never be removed by cleanup.`);
+                }
+
+                case 'unpin': {
+                    if (!args[1]) return await this.sendUsage(sock, from, message, prefix);
+                    const removed = await backupManager.unpinBackup(args[1]);
+                    return await reply(removed ? `📍 *${args[1]}* is no longer pinned.` : `❌ *${args[1]}* is not pinned.`);
+                }
+
+                case 'cleanup': {
+                    const dryRun = args.includes('--dry');
+                    const plan = await backupManager.cleanupOldBackups({ dryRun });
+
+                    if (!plan) {
+                        return await reply('❌ Backup cleanup failed. Check the logs for details.');
+                    }
+
+                    const removed = plan.remove.map(backup => `• ${backup.name} (${backup.reason})`).join('\n');
+                    const remote = plan.remote.map(entry => `• ${entry.destination}: kept ${entry.keep}, ${dryRun ? 'would remove' : 'removed'} ${entry.remove}`).join('\n');
+
+                    return await reply(`🧹 *Backup cleanup${dryRun ? ' preview' : ''}*
+
+├ Kept: ${plan.keep.length}
+├ ${dryRun ? 'Would remove' : 'Removed'}: ${plan.remove.length}
+╰ Size after cleanup: ${backupManager.formatBytes(plan.totalSize)}${removed ? `\n\n${removed}` : ''}${remote ? `\n\n☁️ *Destinations:*\n${remote}` : ''}${plan.overBudget ? '\n\n⚠️ Pinned backups keep the directory over its size budget.' : ''}`);
+                }
+
+                default:
+                    return await this.sendUsage(sock, from, message, prefix);
+            }
+        } catch (error) {
+            await reply(`❌ *Backup error*\n\n${error.message}`);
+        }
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `💾 *Backup*
+
+├ ${prefix}backup [full|database|session|config]
+├ ${prefix}backup report
+├ ${prefix}backup pin <backup> [note]
+├ ${prefix}backup unpin <backup>
+╰ ${prefix}backup cleanup [--dry]`
+        }, { quoted: message });
+    }
+};
@@ -0,0 +1,219 @@
+const { backupManager } = require('../../utils/backup');
+
+const MAX_CHANGES_SHOWN = 10;
+const MAX_DOCUMENTS_SHOWN = 10;
+
+module.exports = {
+    name: 'restore',
+    aliases: ['rbackup', 'backups'],
+    category: 'owner',
+    description: 'Browse backups and restore selected users, groups or collections with a dry-run preview',
+    usage: 'restore [list [remote]] | restore verify <backup> | restore browse <backup> [collection] [search] | restore <backup> <user|group|collection> <target> [fields] [--apply] [--unverified]',
+    example: 'restore backup_full_2026-01-01 user @user economy',
+    cooldown: 5,
+    permissions: ['owner'],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: true,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const allowUnverified = args.includes('--unverified');
+        const action = args[0]?.toLowerCase();
+
+        args = args.filter(arg => arg !== '--unverified');
+
+        try {
+            if (!action || action === 'list') {
+                return await this.sendList({ remote: args[1]?.toLowerCase() === 'remote', destination: args[2], reply, prefix });
+            }
+
+            if (action === 'verify') {
+                if (!args[1]) return await this.sendUsage(sock, from, message, prefix);
+                return await this.sendVerification({ name: args[1], reply });
+            }
+
+            if (action === 'browse') {
+                if (!args[1]) return await this.sendUsage(sock, from, message, prefix);
+                return await this.sendBrowse({ name: args[1], collection: args[2], query: args.slice(3).join(' '), allowUnverified, reply });
+            }
+
+            return await this.handleSelective({ sock, message, args, from, isGroup, allowUnverified, reply, prefix });
+        } catch (error) {
+            await reply(`❌ *Restore failed*\n\n${error.message}`);
+        }
+    },
+
+    async sendList({ remote, destination, reply, prefix }) {
+        const backups = remote
+            ? await backupManager.listRemoteBackups(destination)
+            : await backupManager.listBackups();
+
+        if (!backups.length) {
+            return await reply(`📦 No ${remote ? 'remote ' : ''}backups found.`);
+        }
+
+        const lines = backups.slice(0, MAX_DOCUMENTS_SHOWN).map((backup, index, list) => {
+            const branch = index === list.length - 1 ? '╰' : '├';
+            const location = backup.destination ? ` • ☁️ ${backup.destination}` : '';
+            return `${branch} ${backup.pinned ? '📌 ' : ''}${backup.encrypted ? '🔒 ' : ''}${backup.name}\n   ${backupManager.formatBytes(backup.size)} • ${new Date(backup.created).toLocaleString()}${location}`;
+        });
+
+        return await reply(`📦 *${remote ? 'Remote ' : ''}Backups* (${backups.length})
+
+${lines.join('\n')}
+
+Browse: ${prefix}restore browse <backup>`);
+    },
+
+    async sendVerification({ name, reply }) {
+        const result = await backupManager.verifyBackup(name);
+
+        if (result.valid) {
+            return await reply(`✅ *Backup verified*\n\n├ Name: ${result.name}\n├ Encrypted: ${result.encrypted ? 'Yes' : 'No'}\n├ Signed: ${result.signed ? 'Yes' : 'No (set BACKUP_ENCRYPTION_KEY to detect tampering)'}\n╰ Files checked: ${result.checked}`);
+        }
+
+        return await reply(`❌ *Backup verification failed*\n\n${result.errors.slice(0, MAX_CHANGES_SHOWN).map(e => `• ${e}`).join('\n')}`);
+    },
+
+    async sendBrowse({ name, collection, query, allowUnverified, reply }) {
+        const result = await backupManager.browseBackup(name, { collection: collection?.toLowerCase(), query, limit: MAX_DOCUMENTS_SHOWN, allowUnverified });
+
+        if (!collection) {
+            const lines = result.collections.map((c, index) => {
+                const branch = index === result.collections.length - 1 ? '╰' : '├';
+                return `${branch} ${c.name}: ${c.count} documents`;
+            });
+
+            return await reply(`🗂️ *${result.name}*\nCreated: ${new Date(result.created).toLocaleString()}\n\n${lines.join('\n')}`);
+        }
+
+        if (!result.documents.length) {
+            return await reply(`🔍 No documents in *${result.collection}*${query ? ` matching "${query}"` : ''}.`);
+        }
+
+        const lines = result.documents.map((doc, index) => {
+            const branch = index === result.documents.length - 1 ? '╰' : '├';
+            return `${branch} ${doc.label}`;
+        });
+
+        return await reply(`🗂️ *${result.collection}* in ${result.name} (${result.total}${result.total > result.documents.length ? `, showing ${result.documents.length}` : ''})\n\n${lines.join('\n')}`);
+    },
+
+    parseTarget({ scope, value, message, from, isGroup }) {
+        const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+
+        if (scope === 'user') {
+            const mentioned = contextInfo?.mentionedJid?.[0] || contextInfo?.participant;
+            if (mentioned) return mentioned;
+
+            const number = value?.replace(/\D/g, '');
+            return number ? `${number}@s.whatsapp.net` : null;
+        }
+
+        if (scope === 'group') {
+            if (!value || value === 'here') return isGroup ? from : null;
+            return value.endsWith('@g.us') ? value : null;
+        }
+
+        return value?.toLowerCase() || null;
+    },
+
+    async handleSelective({ sock, message, args, from, isGroup, allowUnverified, reply, prefix }) {
+        const apply = args.includes('--apply');
+        const [name, scope, value, ...rest] = args.filter(arg => arg !== '--apply');
+        const normalizedScope = scope?.toLowerCase();
+
+        if (!['user', 'group', 'collection'].includes(normalizedScope)) {
+            return await this.sendUsage(sock, from, message, prefix);
+        }
+
+        const target = this.parseTarget({ scope: normalizedScope, value, message, from, isGroup });
+        if (!target) {
+            return await reply(`❌ Specify a ${normalizedScope} to restore.\n\n*Example:* ${prefix}restore ${name} ${normalizedScope} ${normalizedScope === 'group' ? 'here' : normalizedScope === 'user' ? '@user' : 'settings'}`);
+        }
+
+        const fields = rest.filter(arg => !arg.startsWith('@'));
+        const result = await backupManager.restoreSelective(name, {
+            users: normalizedScope === 'user' ? [target] : [],
+            groups: normalizedScope === 'group' ? [target] : [],
+            collections: normalizedScope === 'collection' ? [target] : [],
+            fields,
+            dryRun: !apply,
+            allowUnverified
+        });
+
+        return await reply(this.formatPlan(result, { args: allowUnverified ? [...args, '--unverified'] : args, prefix }));
+    },
+
+    formatValue(value) {
+        const text = value === undefined ? '—' : JSON.stringify(value);
+        return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+    },
+
+    formatPlan(result, { args, prefix }) {
+        const header = result.dryRun
+            ? `🔍 *Restore preview* from ${result.name}`
+            : `✅ *Restore applied* from ${result.name}`;
+
+        const missing = result.missing.length
+            ? `\n\n⚠️ Not found in backup: ${result.missing.map(jid => jid.split('@')[0]).join(', ')}`
+            : '';
+
+        if (!result.plan.length) {
+            return `${header}\n\nNothing to restore. Live data already matches the backup.${missing}`;
+        }
+
+        const sections = result.plan.slice(0, MAX_DOCUMENTS_SHOWN).map(entry => {
+            if (entry.action === 'insert') {
+                return `➕ *${entry.collection}* ${entry.label}\n   Missing from live data, will be recreated`;
+            }
+
+            const changes = entry.changes.slice(0, MAX_CHANGES_SHOWN).map((change, index, list) => {
+                const branch = index === list.length - 1 && entry.changes.length <= MAX_CHANGES_SHOWN ? '╰' : '├';
+                return `${branch} ${change.path}: ${this.formatValue(change.from)} → ${this.formatValue(change.to)}`;
+            });
+
+            if (entry.changes.length > MAX_CHANGES_SHOWN) {
+                changes.push(`╰ ...and ${entry.changes.length - MAX_CHANGES_SHOWN} more`);
+            }
+
+            return `✏️ *${entry.collection}* ${entry.label}\n${changes.join('\n')}`;
+        });
+
+        if (result.plan.length > MAX_DOCUMENTS_SHOWN) {
+            sections.push(`...and ${result.plan.length - MAX_DOCUMENTS_SHOWN} more documents`);
+        }
+
+        const footer = result.dryRun
+            ? `\n\nApply with: ${prefix}restore ${args.filter(arg => arg !== '--apply').join(' ')} --apply`
+            : '\n\nA database backup was taken before merging.';
+
+        return `${header}\n\n${sections.join('\n\n')}${missing}${footer}`;
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `📦 *Backup Restore*
+
+*Browse:*
+├ ${prefix}restore list [remote [destination]]
+├ ${prefix}restore verify <backup>
+╰ ${prefix}restore browse <backup> [collection] [search]
+
+*Selective restore (dry run by default):*
+├ ${prefix}restore <backup> user <@user|number> [fields]
+├ ${prefix}restore <backup> group [here|jid] [fields]
+╰ ${prefix}restore <backup> collection <name>
+
+Add *--apply* to merge the previewed changes.
+Add *--unverified* to open old backups without checksums or a signature.
+Backups missing locally are fetched from remote destinations.
+*Example:* ${prefix}restore backup_full_2026-01-01 user @user economy`
+        }, { quoted: message });
+    }
+};
@@ -0,0 +1,77 @@
+const MAX_OPTIONS = 12;
+const MAX_OPTION_LENGTH = 100;
+
+module.exports = {
+    name: 'poll',
+    aliases: ['vote', 'survey'],
+    category: 'utility',
+    description: 'Create a WhatsApp poll directly or step by step',
+    usage: 'poll | poll <question> | <option> | <option> [...]',
+    example: 'poll Lunch spot? | Pizza | Sushi | Tacos',
+    cooldown: 10,
+    permissions: [],
+    args: false,
+    minArgs: 0,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix, prompt }) {
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+        const input = args.join(' ').trim();
+
+        if (input) {
+            const [question, ...options] = input.split('|').map(part => part.trim()).filter(Boolean);
+            const error = this.validate(question, options);
+
+            if (error) {
+                return await reply(`❌ ${error}\n\n*Usage:* ${prefix}${this.usage}\n*Example:* ${prefix}${this.example}`);
+            }
+
+            return await this.sendPoll(sock, from, question, options, 1);
+        }
+
+        const question = await prompt('📊 *New Poll*\n\nWhat should the poll ask?', {
+            validate: (text) => text.length > 255 ? 'Keep the question under 255 characters.' : null
+        });
+
+        const options = await prompt(`Send the options, one per line or separated by *|* (2 to ${MAX_OPTIONS}).`, {
+            validate: (text) => this.validate(question, this.splitOptions(text)),
+            parse: (text) => this.splitOptions(text)
+        });
+
+        const selectableCount = await prompt('How many options can each member pick?', {
+            choices: [
+                { label: 'Just one', value: 1 },
+                { label: 'Any number', value: options.length }
+            ]
+        });
+
+        await this.sendPoll(sock, from, question, options, selectableCount);
+    },
+
+    splitOptions(text) {
+        return text.split(/\n|\|/).map(option => option.trim()).filter(Boolean);
+    },
+
+    validate(question, options) {
+        if (!question) return 'The poll needs a question.';
+        if (options.length < 2) return 'A poll needs at least 2 options.';
+        if (options.length > MAX_OPTIONS) return `A poll can have at most ${MAX_OPTIONS} options.`;
+        if (new Set(options.map(option => option.toLowerCase())).size !== options.length) return 'Options must be different from each other.';
+        if (options.some(option => option.length > MAX_OPTION_LENGTH)) return `Keep each option under ${MAX_OPTION_LENGTH} characters.`;
+        return null;
+    },
+
+    async sendPoll(sock, from, question, options, selectableCount) {
+        await sock.sendMessage(from, {
+            poll: {
+                name: question,
+                values: options,
+                selectableCount
+            }
+        });
+    }
+};
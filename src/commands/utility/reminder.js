@@ -0,0 +1,139 @@
+const reminders = require('../../utils/reminders');
+const { updateUser } = require('../../models/User');
+const { isValidTimezone, parseDuration, formatDuration, formatInTimezone } = require('../../utils/timeUtils');
+
+module.exports = {
+    name: 'remind',
+    aliases: ['reminder', 'reminders', 'remindme'],
+    category: 'utility',
+    description: 'Set personal reminders delivered at a relative or absolute time',
+    usage: 'remind <when> <message> | remind <list|cancel|clear|snooze|tz> [options]',
+    example: 'remind in 2h take meds',
+    cooldown: 3,
+    permissions: [],
+    args: true,
+    minArgs: 1,
+    maxArgs: 0,
+    typing: true,
+    premium: false,
+    hidden: false,
+    ownerOnly: false,
+
+    async execute({ sock, message, args, command, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix }) {
+        const { extractMessageContent } = require('../../handlers/messageHandler');
+        const rawText = extractMessageContent(message)?.text || '';
+        const input = rawText.match(/^\S+\s+([\s\S]*)$/)?.[1]?.trim() || '';
+        const action = args[0].toLowerCase();
+        const timezone = reminders.getTimezone(user);
+
+        const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+
+        try {
+            switch (action) {
+                case 'list': {
+                    const list = await reminders.getReminders(sender);
+
+                    if (!list.length) {
+                        return await reply(`📭 You have no active reminders.\n\nSet one with ${prefix}remind in 2h take meds`);
+                    }
+
+                    const lines = list.map((reminder, index) => {
+                        const branch = index === list.length - 1 ? '╰' : '├';
+                        return `${branch} *${reminder.id}* ${formatInTimezone(reminder.remindAt, timezone)}\n   ${reminder.message}`;
+                    });
+
+                    return await reply(`⏰ *Your Reminders (${list.length}/${reminders.MAX_ACTIVE_REMINDERS})*\n🌍 ${timezone}\n\n${lines.join('\n')}`);
+                }
+
+                case 'cancel':
+                case 'del':
+                case 'delete': {
+                    const id = args[1];
+                    if (!id) return await this.sendUsage(sock, from, message, prefix);
+
+                    await reminders.cancelReminder(sender, id);
+                    return await reply(`🗑️ Reminder *${id}* cancelled.`);
+                }
+
+                case 'clear': {
+                    const count = await reminders.clearReminders(sender);
+                    return await reply(`🗑️ Cleared ${count} active reminder(s).`);
+                }
+
+                case 'snooze': {
+                    const rest = args.slice(1);
+                    const hasId = rest.length && !parseDuration(rest.join(' '));
+                    const id = hasId ? rest[0] : null;
+                    const durationText = (hasId ? rest.slice(1) : rest).join(' ');
+                    const duration = durationText ? parseDuration(durationText) : undefined;
+
+                    if (durationText && !duration) {
+                        return await reply(`❌ *Invalid duration:* ${durationText}\n\n*Example:* ${prefix}remind snooze 15m`);
+                    }
+
+                    const reminder = await reminders.snoozeReminder(sender, id, duration);
+                    return await reply(`😴 Reminder *${reminder.id}* snoozed until ${formatInTimezone(reminder.remindAt, timezone)}.`);
+                }
+
+                case 'tz':
+                case 'timezone': {
+                    const zone = args[1];
+
+                    if (!zone) {
+                        return await reply(`🌍 Your timezone: *${timezone}*\n\nChange it with ${prefix}remind tz <Area/City>`);
+                    }
+
+                    if (!isValidTimezone(zone)) {
+                        return await reply(`❌ *Invalid timezone:* ${zone}\n\n*Examples:* Africa/Lagos, Europe/London, America/New_York`);
+                    }
+
+                    await updateUser(sender, { timezone: zone });
+                    return await reply(`🌍 Your timezone is now *${zone}*.`);
+                }
+
+                default: {
+                    const parsed = reminders.parseReminder(input, timezone);
+
+                    if (!parsed) return await this.sendUsage(sock, from, message, prefix);
+
+                    if (!parsed.message) {
+                        return await reply(`❌ *What should I remind you about?*\n\n*Example:* ${prefix}remind ${input} take meds`);
+                    }
+
+                    const reminder = await reminders.addReminder(sender, {
+                        message: parsed.message,
+                        remindAt: parsed.remindAt,
+                        chat: from
+                    });
+
+                    return await reply(`✅ *Reminder Set*
+
+├ ID: ${reminder.id}
+├ When: ${formatInTimezone(reminder.remindAt, timezone)}
+├ In: ${formatDuration(reminder.remindAt - Date.now())}
+╰ Message: ${reminder.message}`);
+                }
+            }
+        } catch (error) {
+            await reply(`❌ *Reminder error*\n\n${error.message}`);
+        }
+    },
+
+    async sendUsage(sock, from, message, prefix) {
+        await sock.sendMessage(from, {
+            text: `⏰ *Reminders*
+
+├ ${prefix}remind in 2h take meds
+├ ${prefix}remind tomorrow 9am call mom
+├ ${prefix}remind friday 18:30 team dinner
+├ ${prefix}remind 2026-11-01 09:00 pay rent
+├ ${prefix}remind list
+├ ${prefix}remind cancel <id>
+├ ${prefix}remind snooze [id] [duration]
+├ ${prefix}remind clear
+╰ ${prefix}remind tz [Area/City]
+
+🌍 Times use your timezone (default UTC)`
+        }, { quoted: message });
+    }
+};
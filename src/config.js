@@ -25,7 +25,10 @@ const config = {
     autoTyping: process.env.AUTO_TYPING === 'true',
 
     database: {
+        driver: process.env.DATABASE_DRIVER || 'mongodb',
         url: process.env.DATABASE_URL || 'mongodb://localhost:27017/ilombot',
+        jsonPath: process.env.DATABASE_JSON_PATH || './data/database.json',
+        flushInterval: parseInt(process.env.DATABASE_FLUSH_INTERVAL) || 1000,
         options: {
             useNewUrlParser: true,
             useUnifiedTopology: true,
@@ -84,9 +87,45 @@ const config = {
         rateLimitRequests: parseInt(process.env.RATE_LIMIT_REQUESTS) || 20,
         rateLimitWindow: parseInt(process.env.RATE_LIMIT_WINDOW) || 60000,
         maxWarnings: parseInt(process.env.MAX_WARNINGS) || 3,
+        warningExpiry: parseInt(process.env.WARNING_EXPIRY) || 24 * 60 * 60 * 1000,
         tempBanDuration: parseInt(process.env.TEMP_BAN_DURATION) || 3600000
     },
 
+    quotas: {
+        enabled: process.env.QUOTA_ENABLED !== 'false',
+        user: {
+            daily: {
+                aiTokens: parseInt(process.env.QUOTA_USER_DAILY_AI_TOKENS) || 20000,
+                images: parseInt(process.env.QUOTA_USER_DAILY_IMAGES) || 5,
+                downloadBytes: parseInt(process.env.QUOTA_USER_DAILY_DOWNLOAD_BYTES) || 200 * 1024 * 1024
+            },
+            monthly: {
+                aiTokens: parseInt(process.env.QUOTA_USER_MONTHLY_AI_TOKENS) || 300000,
+                images: parseInt(process.env.QUOTA_USER_MONTHLY_IMAGES) || 60,
+                downloadBytes: parseInt(process.env.QUOTA_USER_MONTHLY_DOWNLOAD_BYTES) || 3 * 1024 * 1024 * 1024
+            }
+        },
+        group: {
+            daily: {
+                aiTokens: parseInt(process.env.QUOTA_GROUP_DAILY_AI_TOKENS) || 100000,
+                images: parseInt(process.env.QUOTA_GROUP_DAILY_IMAGES) || 20,
+                downloadBytes: parseInt(process.env.QUOTA_GROUP_DAILY_DOWNLOAD_BYTES) || 1024 * 1024 * 1024
+            },
+            monthly: {
+                aiTokens: parseInt(process.env.QUOTA_GROUP_MONTHLY_AI_TOKENS) || 1500000,
+                images: parseInt(process.env.QUOTA_GROUP_MONTHLY_IMAGES) || 300,
+                downloadBytes: parseInt(process.env.QUOTA_GROUP_MONTHLY_DOWNLOAD_BYTES) || 15 * 1024 * 1024 * 1024
+            }
+        }
+    },
+
+    antiDelete: {
+        retention: parseInt(process.env.ANTI_DELETE_RETENTION) || 30 * 60 * 1000,
+        maxMessages: parseInt(process.env.ANTI_DELETE_MAX_MESSAGES) || 1000,
+        maxMediaSize: parseInt(process.env.ANTI_DELETE_MAX_MEDIA_SIZE) || 10 * 1024 * 1024,
+        maxStoreSize: parseInt(process.env.ANTI_DELETE_MAX_STORE_SIZE) || 100 * 1024 * 1024
+    },
+
     apis: {
         openai: {
             apiKey: process.env.OPENAI_API_KEY,
@@ -98,6 +137,11 @@ const config = {
             apiKey: process.env.GEMINI_API_KEY,
             model: process.env.GEMINI_MODEL || 'gemini-pro'
         },
+        localAI: {
+            baseURL: process.env.LOCAL_AI_BASE_URL,
+            apiKey: process.env.LOCAL_AI_API_KEY,
+            model: process.env.LOCAL_AI_MODEL || 'llama3'
+        },
         weather: {
             apiKey: process.env.WEATHER_API_KEY,
             provider: process.env.WEATHER_PROVIDER || 'openweathermap'
@@ -120,6 +164,20 @@ const config = {
         }
     },
 
+    ai: {
+        providerOrder: (process.env.AI_PROVIDER_ORDER || 'openai,gemini,local').split(',').map(name => name.trim()).filter(Boolean),
+        mockProvider: process.env.AI_MOCK_PROVIDER === 'true',
+        circuitBreaker: {
+            failureThreshold: parseInt(process.env.AI_BREAKER_THRESHOLD) || 3,
+            cooldown: parseInt(process.env.AI_BREAKER_COOLDOWN) || 60000
+        },
+        streamEditInterval: parseInt(process.env.AI_STREAM_EDIT_INTERVAL) || 1500,
+        defaultPersona: process.env.AI_DEFAULT_PERSONA || 'assistant',
+        historyTokenBudget: parseInt(process.env.AI_HISTORY_TOKEN_BUDGET) || 2000,
+        keepRecentMessages: parseInt(process.env.AI_HISTORY_KEEP_RECENT) || 6,
+        maxSystemPromptLength: parseInt(process.env.AI_MAX_SYSTEM_PROMPT_LENGTH) || 1000
+    },
+
     economy: {
         enabled: process.env.ECONOMY_ENABLED === 'true',
         startingBalance: parseInt(process.env.STARTING_BALANCE) || 1000,
@@ -140,6 +198,12 @@ const config = {
         triviaCategories: (process.env.TRIVIA_CATEGORIES || 'general,science,history').split(',')
     },
 
+    sessions: {
+        promptTimeout: parseInt(process.env.PROMPT_TIMEOUT) || 60000,
+        maxRetries: parseInt(process.env.PROMPT_MAX_RETRIES) || 2,
+        cancelWords: (process.env.PROMPT_CANCEL_WORDS || 'cancel,stop,exit').split(',')
+    },
+
     media: {
         stickers: {
             packName: process.env.STICKER_PACK_NAME || 'Ilom Bot',
@@ -179,7 +243,29 @@ const config = {
         interval: parseInt(process.env.BACKUP_INTERVAL) || 86400000,
         maxBackups: parseInt(process.env.MAX_BACKUPS) || 7,
         includeMedia: process.env.BACKUP_INCLUDE_MEDIA === 'true',
-        compression: process.env.BACKUP_COMPRESSION !== 'false'
+        compression: process.env.BACKUP_COMPRESSION !== 'false',
+        encrypt: process.env.BACKUP_ENCRYPT === 'true',
+        encryptionKey: process.env.BACKUP_ENCRYPTION_KEY || null,
+        retention: {
+            daily: parseInt(process.env.BACKUP_KEEP_DAILY) || parseInt(process.env.MAX_BACKUPS) || 7,
+            weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY) || 4,
+            monthly: parseInt(process.env.BACKUP_KEEP_MONTHLY) || 6,
+            maxSize: parseInt(process.env.BACKUP_MAX_SIZE) || 0
+        },
+        destinations: {
+            local: {
+                path: process.env.BACKUP_MIRROR_PATH || null
+            },
+            s3: {
+                endpoint: process.env.BACKUP_S3_ENDPOINT || null,
+                region: process.env.BACKUP_S3_REGION || 'us-east-1',
+                bucket: process.env.BACKUP_S3_BUCKET || null,
+                accessKeyId: process.env.BACKUP_S3_ACCESS_KEY || null,
+                secretAccessKey: process.env.BACKUP_S3_SECRET_KEY || null,
+                prefix: process.env.BACKUP_S3_PREFIX || 'backups/',
+                forcePathStyle: process.env.BACKUP_S3_FORCE_PATH_STYLE !== 'false'
+            }
+        }
     },
 
     notifications: {
@@ -222,7 +308,7 @@ function validateConfig() {
         errors.push('OWNER_NUMBERS is required');
     }
     
-    if (config.database.url === 'mongodb://localhost:27017/ilombot') {
+    if (config.database.driver === 'mongodb' && config.database.url === 'mongodb://localhost:27017/ilombot') {
         console.warn('⚠️  Using default database URL. Consider setting DATABASE_URL for production.');
     }
     
@@ -0,0 +1,95 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { JsonStore, reviveDates } = require('./jsonStore');
+
+const DRIVERS = ['mongodb', 'json', 'memory'];
+
+class StorageConnection {
+    constructor() {
+        this.driver = null;
+        this.store = null;
+    }
+
+    getDriver() {
+        if (!this.driver) {
+            const driver = (config.database.driver || 'mongodb').toLowerCase();
+
+            if (!DRIVERS.includes(driver)) {
+                throw new Error(`Unknown database driver "${driver}". Use one of: ${DRIVERS.join(', ')}`);
+            }
+
+            this.driver = driver;
+        }
+
+        return this.driver;
+    }
+
+    setDriver(driver) {
+        if (!DRIVERS.includes(driver)) {
+            throw new Error(`Unknown database driver "${driver}". Use one of: ${DRIVERS.join(', ')}`);
+        }
+
+        this.driver = driver;
+        this.store = null;
+    }
+
+    isMongo() {
+        return this.getDriver() === 'mongodb';
+    }
+
+    getStore() {
+        if (this.isMongo()) {
+            throw new Error('The mongodb driver does not use a document store');
+        }
+
+        if (!this.store) {
+            this.store = new JsonStore({
+                filePath: this.driver === 'json' ? config.database.jsonPath : null,
+                flushDelay: config.database.flushInterval
+            });
+        }
+
+        return this.store;
+    }
+
+    collection(name, options) {
+        return this.getStore().collection(name, options);
+    }
+
+    modelCollection(Model, options = {}) {
+        return this.collection(Model.collection.collectionName, {
+            ...options,
+            defaults: data => JSON.parse(JSON.stringify(new Model(data).toObject({ flattenMaps: true })), reviveDates)
+        });
+    }
+
+    async connect() {
+        const store = this.getStore();
+        await store.load();
+
+        logger.info(store.persistent
+            ? `✅ Using JSON database: ${store.filePath}`
+            : '✅ Using in-memory database (data is lost on restart)');
+
+        return store;
+    }
+
+    async close() {
+        if (this.store) {
+            await this.store.close();
+        }
+    }
+}
+
+const storage = new StorageConnection();
+
+module.exports = {
+    storage,
+    DRIVERS,
+    getDriver: () => storage.getDriver(),
+    isMongo: () => storage.isMongo(),
+    collection: (name, options) => storage.collection(name, options),
+    modelCollection: (Model, options) => storage.modelCollection(Model, options),
+    connect: () => storage.connect(),
+    close: () => storage.close()
+};
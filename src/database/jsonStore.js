@@ -0,0 +1,354 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const {
+    clone,
+    matches,
+    applyUpdate,
+    applyInsertUpdate,
+    equalityFields,
+    sortDocuments
+} = require('./query');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+function reviveDates(key, value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) ? new Date(value) : value;
+}
+
+class Cursor {
+    constructor(docs) {
+        this.docs = docs;
+        this.sortSpec = null;
+        this.skipCount = 0;
+        this.limitCount = 0;
+    }
+
+    sort(spec) {
+        this.sortSpec = spec;
+        return this;
+    }
+
+    skip(count) {
+        this.skipCount = count;
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    toArray() {
+        let docs = this.sortSpec ? sortDocuments([...this.docs], this.sortSpec) : [...this.docs];
+
+        if (this.skipCount) {
+            docs = docs.slice(this.skipCount);
+        }
+        if (this.limitCount) {
+            docs = docs.slice(0, this.limitCount);
+        }
+
+        return docs.map(clone);
+    }
+
+    then(resolve, reject) {
+        try {
+            return Promise.resolve(this.toArray()).then(resolve, reject);
+        } catch (error) {
+            return Promise.reject(error).then(resolve, reject);
+        }
+    }
+}
+
+class Collection {
+    constructor(name, store, options = {}) {
+        this.name = name;
+        this.store = store;
+        this.key = options.key || 'jid';
+        this.defaults = options.defaults || (data => ({ ...data }));
+        this.timestamps = options.timestamps !== false;
+        this.documents = [];
+    }
+
+    setDefaults(defaults) {
+        this.defaults = defaults;
+    }
+
+    build(data) {
+        const doc = this.defaults(clone(data));
+
+        if (this.timestamps) {
+            const now = new Date();
+            doc.createdAt = doc.createdAt || now;
+            doc.updatedAt = now;
+        }
+
+        return doc;
+    }
+
+    touch(doc) {
+        if (this.timestamps) {
+            doc.updatedAt = new Date();
+        }
+    }
+
+    assertUnique(doc) {
+        const value = doc[this.key];
+        if (value === undefined) {
+            return;
+        }
+
+        if (this.documents.some(existing => existing !== doc && existing[this.key] === value)) {
+            const error = new Error(`Duplicate key in ${this.name}: ${this.key} "${value}"`);
+            error.code = 11000;
+            throw error;
+        }
+    }
+
+    async findOne(filter = {}) {
+        const doc = this.documents.find(d => matches(d, filter));
+        return doc ? clone(doc) : null;
+    }
+
+    find(filter = {}) {
+        return new Cursor(this.documents.filter(d => matches(d, filter)));
+    }
+
+    async countDocuments(filter = {}) {
+        return this.documents.filter(d => matches(d, filter)).length;
+    }
+
+    async insertOne(data) {
+        const doc = this.build(data);
+        this.assertUnique(doc);
+        this.documents.push(doc);
+        this.store.markDirty();
+        return clone(doc);
+    }
+
+    async insertMany(items) {
+        const docs = [];
+        for (const item of items) {
+            docs.push(await this.insertOne(item));
+        }
+        return docs;
+    }
+
+    async findOneAndUpdate(filter, update, options = {}) {
+        let doc = this.documents.find(d => matches(d, filter));
+        let inserted = false;
+
+        if (!doc) {
+            if (!options.upsert) {
+                return null;
+            }
+
+            doc = applyInsertUpdate(this.build(equalityFields(filter)), update);
+            inserted = true;
+        }
+
+        const before = options.new === false && !inserted ? clone(doc) : null;
+
+        applyUpdate(doc, update, inserted ? {} : filter);
+        this.touch(doc);
+
+        if (inserted) {
+            this.assertUnique(doc);
+            this.documents.push(doc);
+        }
+
+        this.store.markDirty();
+
+        if (options.new === false) {
+            return before;
+        }
+
+        return clone(doc);
+    }
+
+    async updateOne(filter, update, options = {}) {
+        const existed = this.documents.some(d => matches(d, filter));
+        await this.findOneAndUpdate(filter, update, options);
+
+        return {
+            matchedCount: existed ? 1 : 0,
+            modifiedCount: existed ? 1 : 0,
+            upsertedCount: !existed && options.upsert ? 1 : 0
+        };
+    }
+
+    async updateMany(filter, update) {
+        const docs = this.documents.filter(d => matches(d, filter));
+
+        for (const doc of docs) {
+            applyUpdate(doc, update, filter);
+            this.touch(doc);
+        }
+
+        if (docs.length) {
+            this.store.markDirty();
+        }
+
+        return { matchedCount: docs.length, modifiedCount: docs.length };
+    }
+
+    async findOneAndDelete(filter) {
+        const index = this.documents.findIndex(d => matches(d, filter));
+        if (index === -1) {
+            return null;
+        }
+
+        const [doc] = this.documents.splice(index, 1);
+        this.store.markDirty();
+        return clone(doc);
+    }
+
+    async deleteMany(filter = {}) {
+        const before = this.documents.length;
+        this.documents = this.documents.filter(d => !matches(d, filter));
+        const deletedCount = before - this.documents.length;
+
+        if (deletedCount) {
+            this.store.markDirty();
+        }
+
+        return { deletedCount };
+    }
+}
+
+class JsonStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+        this.flushDelay = options.flushDelay ?? 1000;
+        this.collections = new Map();
+        this.flushTimer = null;
+        this.dirty = false;
+        this.writing = null;
+    }
+
+    get persistent() {
+        return !!this.filePath;
+    }
+
+    collection(name, options = {}) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Collection(name, this, options));
+        } else {
+            const collection = this.collections.get(name);
+            if (options.defaults) {
+                collection.setDefaults(options.defaults);
+            }
+            if (options.key) {
+                collection.key = options.key;
+            }
+        }
+
+        return this.collections.get(name);
+    }
+
+    async load() {
+        if (!this.persistent) {
+            return;
+        }
+
+        await fs.ensureDir(path.dirname(this.filePath));
+
+        if (!await fs.pathExists(this.filePath)) {
+            await this.flush(true);
+            return;
+        }
+
+        const raw = await fs.readFile(this.filePath, 'utf8');
+        const data = raw.trim() ? JSON.parse(raw, reviveDates) : {};
+
+        this.import(data);
+        logger.info(`Loaded JSON database from ${this.filePath}`);
+    }
+
+    import(data) {
+        for (const [name, documents] of Object.entries(data)) {
+            if (!Array.isArray(documents)) {
+                continue;
+            }
+            this.collection(name).documents = documents.map(doc => JSON.parse(JSON.stringify(doc), reviveDates));
+        }
+        this.markDirty();
+    }
+
+    export() {
+        const data = {};
+        for (const [name, collection] of this.collections) {
+            data[name] = collection.documents.map(clone);
+        }
+        return data;
+    }
+
+    markDirty() {
+        this.dirty = true;
+
+        if (!this.persistent || this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => logger.error('JSON database flush failed:', error));
+        }, this.flushDelay);
+
+        if (this.flushTimer.unref) {
+            this.flushTimer.unref();
+        }
+    }
+
+    async flush(force = false) {
+        if (!this.persistent || (!this.dirty && !force)) {
+            return;
+        }
+
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        if (this.writing) {
+            await this.writing;
+        }
+
+        this.dirty = false;
+        const tempFile = `${this.filePath}.tmp`;
+
+        this.writing = fs.writeFile(tempFile, JSON.stringify(this.export()))
+            .then(() => fs.move(tempFile, this.filePath, { overwrite: true }))
+            .finally(() => {
+                this.writing = null;
+            });
+
+        await this.writing;
+    }
+
+    async close() {
+        await this.flush();
+    }
+
+    async getStats() {
+        const stats = { collections: this.collections.size, documents: 0, dataSize: 0 };
+
+        for (const collection of this.collections.values()) {
+            stats.documents += collection.documents.length;
+        }
+
+        if (this.persistent && await fs.pathExists(this.filePath)) {
+            stats.dataSize = (await fs.stat(this.filePath)).size;
+        }
+
+        return stats;
+    }
+}
+
+module.exports = {
+    JsonStore,
+    reviveDates,
+    Collection,
+    Cursor
+};
@@ -0,0 +1,358 @@
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+function clone(value) {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+
+    if (value instanceof RegExp) {
+        return new RegExp(value.source, value.flags);
+    }
+
+    if (Buffer.isBuffer(value)) {
+        return Buffer.from(value);
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] = clone(item);
+    }
+    return copy;
+}
+
+function isMissing(value) {
+    return value === null || value === undefined;
+}
+
+function getPath(target, path) {
+    return path.split('.').reduce((obj, key) => (isMissing(obj) ? undefined : obj[key]), target);
+}
+
+function getPathValues(target, keys) {
+    if (!keys.length) {
+        return [target];
+    }
+
+    if (isMissing(target)) {
+        return [undefined];
+    }
+
+    const [key, ...rest] = keys;
+
+    if (Array.isArray(target) && !/^\d+$/.test(key)) {
+        const values = target.flatMap(item => getPathValues(item, keys));
+        return values.length ? values : [undefined];
+    }
+
+    return getPathValues(target[key], rest);
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let obj = target;
+
+    for (const key of keys) {
+        if (obj[key] === null || typeof obj[key] !== 'object') {
+            obj[key] = {};
+        }
+        obj = obj[key];
+    }
+
+    obj[last] = value;
+}
+
+function unsetPath(target, path) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.length ? getPath(target, keys.join('.')) : target;
+
+    if (parent && typeof parent === 'object') {
+        delete parent[last];
+    }
+}
+
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return comparable(a) === comparable(b);
+    }
+
+    if (typeof a === 'object' && a !== null && typeof b === 'object' && b !== null) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    return a === b;
+}
+
+function matchesOperator(value, op, operand) {
+    switch (op) {
+        case '$eq': return matchesValue(value, operand);
+        case '$ne': return !matchesValue(value, operand);
+        case '$gt': return !isMissing(value) && comparable(value) > comparable(operand);
+        case '$gte': return !isMissing(value) && comparable(value) >= comparable(operand);
+        case '$lt': return !isMissing(value) && comparable(value) < comparable(operand);
+        case '$lte': return !isMissing(value) && comparable(value) <= comparable(operand);
+        case '$in': return operand.some(item => matchesValue(value, item));
+        case '$nin': return !operand.some(item => matchesValue(value, item));
+        case '$exists': return (value !== undefined) === !!operand;
+        case '$regex': return typeof value === 'string' && toRegExp(operand).test(value);
+        case '$options': return true;
+        case '$size': return Array.isArray(value) && value.length === operand;
+        case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, operand));
+        case '$not': return !matchesCondition(value, operand);
+        default:
+            throw new Error(`Unsupported query operator: ${op}`);
+    }
+}
+
+function matchesValue(value, expected) {
+    if (expected instanceof RegExp) {
+        return Array.isArray(value)
+            ? value.some(item => typeof item === 'string' && expected.test(item))
+            : typeof value === 'string' && expected.test(value);
+    }
+
+    if (Array.isArray(value) && !Array.isArray(expected)) {
+        return value.some(item => equals(item, expected));
+    }
+
+    if (expected === null) {
+        return isMissing(value);
+    }
+
+    return equals(value, expected);
+}
+
+function toRegExp(pattern, options) {
+    if (pattern instanceof RegExp) {
+        return options === undefined ? pattern : new RegExp(pattern.source, options);
+    }
+
+    return new RegExp(pattern, options);
+}
+
+function matchesCondition(value, condition) {
+    if (isPlainObject(condition) && Object.keys(condition).some(key => key.startsWith('$'))) {
+        return Object.entries(condition).every(([op, operand]) => op === '$regex'
+            ? matchesOperator(value, op, toRegExp(operand, condition.$options))
+            : matchesOperator(value, op, operand));
+    }
+
+    return matchesValue(value, condition);
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        switch (key) {
+            case '$and': return condition.every(sub => matches(doc, sub));
+            case '$or': return condition.some(sub => matches(doc, sub));
+            case '$nor': return !condition.some(sub => matches(doc, sub));
+            default: {
+                const values = getPathValues(doc, key.split('.'));
+                return isNegated(condition)
+                    ? values.every(value => matchesCondition(value, condition))
+                    : values.some(value => matchesCondition(value, condition));
+            }
+        }
+    });
+}
+
+function isNegated(condition) {
+    return isPlainObject(condition) && ['$ne', '$nin', '$not'].some(op => op in condition);
+}
+
+function resolvePositional(doc, path, filter) {
+    const marker = path.indexOf('.$');
+    if (marker === -1 || (path[marker + 2] !== undefined && path[marker + 2] !== '.')) {
+        return path;
+    }
+
+    const arrayPath = path.slice(0, marker);
+    const list = getPath(doc, arrayPath);
+    const conditions = Object.entries(filter)
+        .filter(([key]) => key === arrayPath || key.startsWith(`${arrayPath}.`))
+        .map(([key, condition]) => [key.slice(arrayPath.length + 1), condition]);
+
+    const matchesElement = (item, [subPath, condition]) => {
+        if (subPath) {
+            return matches(item, { [subPath]: condition });
+        }
+
+        return isPlainObject(condition) && condition.$elemMatch
+            ? matches(item, condition.$elemMatch)
+            : matchesCondition(item, condition);
+    };
+
+    const index = Array.isArray(list) && conditions.length
+        ? list.findIndex(item => conditions.every(condition => matchesElement(item, condition)))
+        : -1;
+
+    if (index === -1) {
+        throw new Error(`The positional operator did not find the match needed from the query for ${path}`);
+    }
+
+    return `${arrayPath}.${index}${path.slice(marker + 2)}`;
+}
+
+function applyUpdate(doc, update, filter = {}) {
+    const operations = Object.entries(update).flatMap(([key, value]) => key.startsWith('$')
+        ? Object.entries(value).map(([path, operand]) => [key, resolvePositional(doc, path, filter), operand])
+        : [['$set', resolvePositional(doc, key, filter), value]]);
+
+    for (const [key, path, operand] of operations) {
+        const current = getPath(doc, path);
+
+        switch (key) {
+            case '$set':
+                setPath(doc, path, clone(operand));
+                break;
+            case '$setOnInsert':
+                break;
+            case '$unset':
+                unsetPath(doc, path);
+                break;
+            case '$inc':
+                setPath(doc, path, (Number(current) || 0) + operand);
+                break;
+            case '$mul':
+                setPath(doc, path, (Number(current) || 0) * operand);
+                break;
+            case '$min':
+                if (current === undefined || comparable(operand) < comparable(current)) {
+                    setPath(doc, path, clone(operand));
+                }
+                break;
+            case '$max':
+                if (current === undefined || comparable(operand) > comparable(current)) {
+                    setPath(doc, path, clone(operand));
+                }
+                break;
+            case '$push': {
+                const list = Array.isArray(current) ? current : [];
+                const items = isPlainObject(operand) && operand.$each ? operand.$each : [operand];
+                list.push(...items.map(clone));
+                if (isPlainObject(operand) && typeof operand.$slice === 'number') {
+                    if (operand.$slice < 0) {
+                        list.splice(0, Math.max(0, list.length + operand.$slice));
+                    } else {
+                        list.splice(operand.$slice);
+                    }
+                }
+                setPath(doc, path, list);
+                break;
+            }
+            case '$addToSet': {
+                const list = Array.isArray(current) ? current : [];
+                const items = isPlainObject(operand) && operand.$each ? operand.$each : [operand];
+                for (const item of items) {
+                    if (!list.some(existing => equals(existing, item))) {
+                        list.push(clone(item));
+                    }
+                }
+                setPath(doc, path, list);
+                break;
+            }
+            case '$pull':
+                if (Array.isArray(current)) {
+                    setPath(doc, path, current.filter(item => isPlainObject(operand)
+                        ? !(isPlainObject(item) ? matches(item, operand) : matchesCondition(item, operand))
+                        : !matchesValue(item, operand)));
+                }
+                break;
+            case '$pop':
+                if (Array.isArray(current)) {
+                    if (operand === -1) {
+                        current.shift();
+                    } else {
+                        current.pop();
+                    }
+                }
+                break;
+            default:
+                throw new Error(`Unsupported update operator: ${key}`);
+        }
+    }
+
+    return doc;
+}
+
+function applyInsertUpdate(doc, update) {
+    if (update.$setOnInsert) {
+        for (const [path, value] of Object.entries(update.$setOnInsert)) {
+            setPath(doc, path, clone(value));
+        }
+    }
+    return doc;
+}
+
+function equalityFields(filter = {}) {
+    const fields = {};
+
+    for (const [key, value] of Object.entries(filter)) {
+        const isOperator = isPlainObject(value) && Object.keys(value).some(k => k.startsWith('$'));
+
+        if (key.startsWith('$') || isOperator || value instanceof RegExp) {
+            continue;
+        }
+
+        setPath(fields, key, clone(value));
+    }
+
+    return fields;
+}
+
+function sortDocuments(docs, sort = {}) {
+    const fields = Object.entries(sort);
+    if (!fields.length) {
+        return docs;
+    }
+
+    return docs.sort((a, b) => {
+        for (const [field, direction] of fields) {
+            const left = comparable(getPath(a, field));
+            const right = comparable(getPath(b, field));
+
+            if (left === right) {
+                continue;
+            }
+
+            if (isMissing(left)) {
+                return 1;
+            }
+
+            if (isMissing(right)) {
+                return -1;
+            }
+
+            return (left < right ? -1 : 1) * (direction < 0 ? -1 : 1);
+        }
+        return 0;
+    });
+}
+
+module.exports = {
+    clone,
+    getPath,
+    setPath,
+    unsetPath,
+    matches,
+    applyUpdate,
+    applyInsertUpdate,
+    equalityFields,
+    sortDocuments
+};
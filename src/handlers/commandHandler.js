@@ -9,6 +9,12 @@ const { logCommand } = require('../models/Command');
 const rateLimiter = require('../utils/rateLimiter');
 const antiSpam = require('../utils/antiSpam');
 const cache = require('../utils/cache');
+const { prefixManager } = require('../utils/prefixManager');
+const { commandToggles } = require('../utils/commandToggles');
+const { argParser } = require('../utils/parser');
+const { resolveLanguage } = require('../utils/i18n');
+const { commandPipeline } = require('../utils/commandPipeline');
+const { sessionManager } = require('../utils/sessionManager');
 
 class CommandHandler {
     constructor() {
@@ -17,7 +23,28 @@ class CommandHandler {
         this.categories = new Collection();
         this.cooldowns = new Collection();
         this.commandStats = new Collection();
+        this.pipeline = commandPipeline;
         this.isInitialized = false;
+        
+        this.registerCoreMiddleware();
+    }
+
+    registerCoreMiddleware() {
+        const stages = [
+            ['bans', this.checkBans],
+            ['toggles', this.checkToggles],
+            ['groupMetadata', this.loadGroupMetadata],
+            ['permissions', this.checkAccess],
+            ['cooldown', this.checkCooldownStage],
+            ['rateLimit', this.checkRateLimit],
+            ['antiSpam', this.checkAntiSpam],
+            ['arguments', this.parseArguments],
+            ['stats', this.recordStats]
+        ];
+        
+        for (const [name, handler] of stages) {
+            this.pipeline.use(name, handler.bind(this), { owner: 'core', core: true });
+        }
     }
 
     async loadCommands() {
@@ -186,27 +213,40 @@ class CommandHandler {
         return true;
     }
 
-    async validateArguments(command, args, sock, message) {
-        if (command.args === false) return true;
+    async validateArguments(command, args, sock, message, prefix = config.prefix, language = null) {
+        if (Array.isArray(command.params)) {
+            const result = argParser.parse(command, args, { message, language });
+            
+            if (!result.valid) {
+                await sock.sendMessage(message.key.remoteJid, {
+                    text: argParser.formatError(command, result.error, { prefix, language })
+                }, { quoted: message });
+                return false;
+            }
+            
+            return result.params;
+        }
+        
+        if (command.args === false) return {};
         
         if (command.minArgs && args.length < command.minArgs) {
             await sock.sendMessage(message.key.remoteJid, {
-                text: `❌ *Insufficient arguments*\n\n*Usage:* ${config.prefix}${command.usage || command.name}\n*Example:* ${command.example || `${config.prefix}${command.name}`}`
+                text: `❌ *Insufficient arguments*\n\n*Usage:* ${prefix}${command.usage || command.name}\n*Example:* ${prefix}${command.example || command.name}`
             });
             return false;
         }
         
         if (command.maxArgs && args.length > command.maxArgs) {
             await sock.sendMessage(message.key.remoteJid, {
-                text: `❌ *Too many arguments*\n\n*Usage:* ${config.prefix}${command.usage || command.name}`
+                text: `❌ *Too many arguments*\n\n*Usage:* ${prefix}${command.usage || command.name}`
             });
             return false;
         }
         
-        return true;
+        return {};
     }
 
-    async handleCommand(sock, message, commandName, args) {
+    async handleCommand(sock, message, commandName, args, options = {}) {
         try {
             const command = this.getCommand(commandName);
             if (!command) return false;
@@ -225,116 +265,46 @@ class CommandHandler {
                 return false;
             }
             
-            if (user.isBanned) {
-                await sock.sendMessage(from, {
-                    text: `❌ *You are banned from using this bot*\n\n*Reason:* ${user.banReason || 'No reason provided'}\n*Until:* ${user.banUntil || 'Permanent'}`
-                });
-                return true;
-            }
-            
-            if (isGroup && group?.isBanned) {
-                await sock.sendMessage(from, {
-                    text: `❌ *This group is banned from using bot commands*\n\n*Reason:* ${group.banReason || 'No reason provided'}`
-                });
-                return true;
-            }
-            
-            const isGroupAdmin = isGroup ? 
-                (await sock.groupMetadata(from)).participants
-                    .find(p => p.id === sender)?.admin !== undefined : false;
-            
-            const isBotAdmin = isGroup ? 
-                (await sock.groupMetadata(from)).participants
-                    .find(p => p.id === sock.user.id)?.admin !== undefined : false;
-            
-            const hasPermission = await this.checkPermissions(command, user, group, isGroupAdmin, isBotAdmin);
-            if (!hasPermission) {
-                await sock.sendMessage(from, {
-                    text: `❌ *Access Denied*\n\nYou don't have permission to use this command.\n\n*Required:* ${command.permissions?.join(', ') || 'None'}`
-                });
-                return true;
-            }
-            
-            if (isGroup && command.category === 'owner' && !config.ownerNumbers.includes(sender)) {
-                await sock.sendMessage(from, {
-                    text: `❌ *Owner Command*\n\nThis command can only be used by the bot owner in private chat.`
-                });
-                return true;
-            }
-            
-            const cooldownCheck = await this.checkCooldown(commandName, sender);
-            if (cooldownCheck.success === false) {
-                await sock.sendMessage(from, {
-                    text: `⏰ *Cooldown Active*\n\nPlease wait ${cooldownCheck.timeLeft} seconds before using this command again.`
-                });
-                return true;
-            }
-            
-            const rateLimitCheck = await rateLimiter.checkLimit(sender, commandName);
-            if (!rateLimitCheck.allowed) {
-                await sock.sendMessage(from, {
-                    text: `🚫 *Rate Limited*\n\nToo many requests. Try again in ${Math.ceil(rateLimitCheck.resetTime / 1000)} seconds.`
-                });
-                return true;
-            }
-            
-            const spamCheck = await antiSpam.checkSpam(sender, message);
-            if (spamCheck.isSpam) {
-                await sock.sendMessage(from, {
-                    text: `⚠️ *Anti-Spam Protection*\n\nSlow down! Wait ${spamCheck.waitTime} seconds.`
-                });
-                return true;
-            }
-            
-            const argsValid = await this.validateArguments(command, args, sock, message);
-            if (!argsValid) return true;
-            
-            if (command.typing !== false) {
-                await sock.sendPresenceUpdate('composing', from);
-            }
-            
-            const startTime = Date.now();
-            
-            await command.execute({
+            const ctx = {
                 sock,
                 message,
+                command,
+                commandName,
                 args,
-                command: commandName,
+                params: {},
                 user,
                 group,
                 from,
                 sender,
                 isGroup,
-                isGroupAdmin,
-                isBotAdmin,
-                prefix: config.prefix
-            });
-            
-            const executionTime = Date.now() - startTime;
-            
-            const stats = this.commandStats.get(command.name);
-            stats.used++;
-            this.commandStats.set(command.name, stats);
-            
-            await Promise.all([
-                logCommand(sender, commandName, from, isGroup, executionTime),
-                updateUser(sender, { $inc: { commandsUsed: 1 } }),
-                isGroup ? updateGroup(from, { $inc: { commandsUsed: 1 } }) : Promise.resolve()
-            ]);
-            
-            if (executionTime > 5000) {
-                logger.warn(`Slow command execution: ${commandName} took ${executionTime}ms`);
+                isOwner: config.ownerNumbers.includes(sender),
+                isGroupAdmin: false,
+                isBotAdmin: false,
+                prefix: options.prefix || prefixManager.getPrimaryPrefix({ group, user, isGroup }),
+                language: resolveLanguage({ user, group, isGroup }),
+                state: {},
+                reply: (text, sendOptions = {}) => sock.sendMessage(from, { text }, sendOptions)
+            };
+            
+            ctx.prompt = (question, promptOptions) => {
+                ctx.state.prompted = true;
+                return sessionManager.prompt(ctx, question, promptOptions);
+            };
+            
+            await this.pipeline.run(ctx, (context) => this.executeCommand(context));
+            
+            if (!ctx.completed) {
+                logger.debug(`Command ${commandName} stopped at ${ctx.stage} for ${sender}`);
             }
             
-            cache.set(`lastCommand_${sender}`, {
-                command: commandName,
-                timestamp: Date.now(),
-                executionTime
-            }, 300);
-            
             return true;
             
         } catch (error) {
+            if (sessionManager.isPromptError(error)) {
+                await sessionManager.sendEndNotice(sock, message.key.remoteJid, message, error);
+                return true;
+            }
+            
             logger.error(`Command execution error [${commandName}]:`, error);
             
             const stats = this.commandStats.get(commandName);
@@ -353,18 +323,173 @@ class CommandHandler {
         }
     }
 
-    async getHelpMessage(category = null, user = null) {
+    async checkBans(ctx, next) {
+        const { user, group, isGroup } = ctx;
+        
+        if (user.isBanned) {
+            return await ctx.reply(`❌ *You are banned from using this bot*\n\n*Reason:* ${user.banReason || 'No reason provided'}\n*Until:* ${user.banUntil || 'Permanent'}`);
+        }
+        
+        if (isGroup && group?.isBanned) {
+            return await ctx.reply(`❌ *This group is banned from using bot commands*\n\n*Reason:* ${group.banReason || 'No reason provided'}`);
+        }
+        
+        return await next();
+    }
+
+    async checkToggles(ctx, next) {
+        const { command, group, user, isGroup, isOwner } = ctx;
+        const toggle = await commandToggles.check(command, { group, user, isGroup });
+        
+        if (!toggle.enabled && !isOwner) {
+            const where = toggle.scope === 'global' ? 'by the bot owner' : `in this ${isGroup ? 'group' : 'chat'}`;
+            return await ctx.reply(`🚫 *Command Disabled*\n\n${toggle.target === 'category' ? `The *${command.category}* category has` : `*${command.name}* has`} been disabled ${where}.`, { quoted: ctx.message });
+        }
+        
+        return await next();
+    }
+
+    async loadGroupMetadata(ctx, next) {
+        const { sock, from, sender, isGroup } = ctx;
+        const participants = isGroup ? (await sock.groupMetadata(from)).participants : [];
+        const botJid = `${sock.user.id.split(':')[0].split('@')[0]}@s.whatsapp.net`;
+        
+        ctx.isGroupAdmin = !!participants.find(p => p.id === sender)?.admin;
+        ctx.isBotAdmin = !!participants.find(p => p.id === botJid)?.admin;
+        
+        return await next();
+    }
+
+    async checkAccess(ctx, next) {
+        const { command, user, group, isGroup, isGroupAdmin, isBotAdmin, isOwner } = ctx;
+        
+        const hasPermission = await this.checkPermissions(command, user, group, isGroupAdmin, isBotAdmin);
+        if (!hasPermission) {
+            return await ctx.reply(`❌ *Access Denied*\n\nYou don't have permission to use this command.\n\n*Required:* ${command.permissions?.join(', ') || 'None'}`);
+        }
+        
+        if (isGroup && command.category === 'owner' && !isOwner) {
+            return await ctx.reply(`❌ *Owner Command*\n\nThis command can only be used by the bot owner in private chat.`);
+        }
+        
+        return await next();
+    }
+
+    async checkCooldownStage(ctx, next) {
+        const cooldownCheck = await this.checkCooldown(ctx.commandName, ctx.sender);
+        if (cooldownCheck.success === false) {
+            return await ctx.reply(`⏰ *Cooldown Active*\n\nPlease wait ${cooldownCheck.timeLeft} seconds before using this command again.`);
+        }
+        
+        return await next();
+    }
+
+    async checkRateLimit(ctx, next) {
+        const { command, sender, from, isGroup, user } = ctx;
+        const limitContext = { command: command.name, group: isGroup ? from : null, user };
+        let rateLimitCheck = await rateLimiter.checkLimit(sender, 'commands', null, limitContext);
+
+        if (rateLimitCheck.allowed && command.category === 'media') {
+            rateLimitCheck = await rateLimiter.checkLimit(sender, 'media', null, limitContext);
+        }
+
+        if (!rateLimitCheck.allowed) {
+            return await ctx.reply(`🚫 *Rate Limited*\n\nToo many requests. Try again in ${rateLimitCheck.retryAfter} seconds.`);
+        }
+        
+        return await next();
+    }
+
+    async checkAntiSpam(ctx, next) {
+        const spamCheck = await antiSpam.checkSpam(ctx.sender, ctx.message);
+        if (spamCheck.isSpam) {
+            return await ctx.reply(`⚠️ *Anti-Spam Protection*\n\nSlow down! Wait ${spamCheck.waitTime} seconds.`);
+        }
+        
+        return await next();
+    }
+
+    async parseArguments(ctx, next) {
+        const { command, args, sock, message, prefix, language } = ctx;
+        const params = await this.validateArguments(command, args, sock, message, prefix, language);
+        if (!params) return;
+        
+        ctx.params = params;
+        return await next();
+    }
+
+    async recordStats(ctx, next) {
+        const { command, commandName, sender, from, isGroup } = ctx;
+        const startTime = Date.now();
+        
+        await next();
+        
+        const executionTime = Date.now() - startTime;
+        ctx.executionTime = executionTime;
+        
+        const stats = this.commandStats.get(command.name);
+        stats.used++;
+        this.commandStats.set(command.name, stats);
+        
+        await Promise.all([
+            logCommand(sender, commandName, from, isGroup, executionTime),
+            updateUser(sender, { $inc: { commandsUsed: 1 } }),
+            isGroup ? updateGroup(from, { $inc: { commandsUsed: 1 } }) : Promise.resolve()
+        ]);
+        
+        if (executionTime > 5000 && !ctx.state.prompted) {
+            logger.warn(`Slow command execution: ${commandName} took ${executionTime}ms`);
+        }
+        
+        cache.set(`lastCommand_${sender}`, {
+            command: commandName,
+            timestamp: Date.now(),
+            executionTime
+        }, 300);
+    }
+
+    async executeCommand(ctx) {
+        const { sock, message, command, commandName, args, params, user, group, from, sender, isGroup, isGroupAdmin, isBotAdmin, prefix, prompt } = ctx;
+        
+        if (command.typing !== false) {
+            await sock.sendPresenceUpdate('composing', from);
+        }
+        
+        await command.execute({
+            sock,
+            message,
+            args,
+            params,
+            command: commandName,
+            user,
+            group,
+            from,
+            sender,
+            isGroup,
+            isGroupAdmin,
+            isBotAdmin,
+            prefix,
+            prompt
+        });
+    }
+
+    use(name, handler, options) {
+        return this.pipeline.use(name, handler, options);
+    }
+
+    async getHelpMessage(category = null, user = null, prefix = config.prefix, context = {}) {
         const isOwner = user && config.ownerNumbers.includes(user.jid);
         const isPremium = user?.isPremium || isOwner;
+        const toggleContext = { user, ...context };
         
         if (category) {
-            const commands = this.getCommandsByCategory(category)
+            const commands = await commandToggles.filterEnabled(this.getCommandsByCategory(category)
                 .filter(cmd => {
                     if (cmd.hidden && !isOwner) return false;
                     if (cmd.premium && !isPremium) return false;
                     if (cmd.ownerOnly && !isOwner) return false;
                     return true;
-                });
+                }), toggleContext);
             
             if (commands.length === 0) {
                 return `❌ No commands found in category: ${category}`;
@@ -373,47 +498,44 @@ class CommandHandler {
             let helpText = `╭─「 *${category.toUpperCase()} COMMANDS* 」\n`;
             
             commands.forEach(cmd => {
-                const usage = cmd.usage || cmd.name;
+                const usage = argParser.formatUsage(cmd);
                 const desc = cmd.description || 'No description';
-                helpText += `├ ${config.prefix}${usage}\n├   ${desc}\n├\n`;
+                helpText += `├ ${prefix}${usage}\n├   ${desc}\n├\n`;
             });
             
             helpText += `╰────────────────\n\n*Total:* ${commands.length} commands`;
             return helpText;
         }
         
-        const categories = this.getAllCategories()
-            .filter(cat => {
-                const commands = this.getCommandsByCategory(cat);
-                return commands.some(cmd => {
-                    if (cmd.hidden && !isOwner) return false;
-                    if (cmd.premium && !isPremium) return false;
-                    if (cmd.ownerOnly && !isOwner) return false;
-                    return true;
-                });
-            });
+        const visible = new Map();
+        
+        for (const cat of this.getAllCategories()) {
+            const commands = await commandToggles.filterEnabled(this.getCommandsByCategory(cat)
+                .filter(cmd => !cmd.hidden || isOwner)
+                .filter(cmd => !cmd.premium || isPremium)
+                .filter(cmd => !cmd.ownerOnly || isOwner), toggleContext);
+            
+            if (commands.length > 0) {
+                visible.set(cat, commands);
+            }
+        }
+        
+        const categories = Array.from(visible.keys());
         
         let helpText = `╭─「 *${config.botName || 'ILOM BOT'} MENU* 」\n`;
         helpText += `├ *Version:* ${config.botVersion || '1.0.0'}\n`;
-        helpText += `├ *Prefix:* ${config.prefix}\n`;
+        helpText += `├ *Prefix:* ${prefix}\n`;
         helpText += `├ *Commands:* ${this.getCommandCount()}\n`;
         helpText += `├ *Categories:* ${categories.length}\n`;
         helpText += `╰────────────────\n\n`;
         
         categories.forEach(category => {
-            const commands = this.getCommandsByCategory(category)
-                .filter(cmd => !cmd.hidden || isOwner)
-                .filter(cmd => !cmd.premium || isPremium)
-                .filter(cmd => !cmd.ownerOnly || isOwner);
-            
-            if (commands.length > 0) {
-                helpText += `*${category.toUpperCase()}* (${commands.length})\n`;
-                helpText += `${config.prefix}help ${category}\n\n`;
-            }
+            helpText += `*${category.toUpperCase()}* (${visible.get(category).length})\n`;
+            helpText += `${prefix}help ${category}\n\n`;
         });
         
-        helpText += `*Usage:* ${config.prefix}help [category]\n`;
-        helpText += `*Example:* ${config.prefix}help fun\n\n`;
+        helpText += `*Usage:* ${prefix}help [category]\n`;
+        helpText += `*Example:* ${prefix}help fun\n\n`;
         helpText += `_🧠 Amazing Bot 🧠 v1 created by Ilom_`;
         
         return helpText;
@@ -444,7 +566,7 @@ class CommandHandler {
                     name,
                     category: command.category,
                     description: command.description || 'No description',
-                    usage: command.usage || name
+                    usage: argParser.formatUsage(command)
                 });
             }
         }
@@ -459,11 +581,12 @@ module.exports = {
     commandHandler,
     loadCommands: () => commandHandler.loadCommands(),
     getCommand: (name) => commandHandler.getCommand(name),
-    handleCommand: (sock, message, commandName, args) => 
-        commandHandler.handleCommand(sock, message, commandName, args),
+    handleCommand: (sock, message, commandName, args, options) => 
+        commandHandler.handleCommand(sock, message, commandName, args, options),
     getCommandCount: () => commandHandler.getCommandCount(),
     reloadCommand: (name) => commandHandler.reloadCommand(name),
-    getHelpMessage: (category, user) => commandHandler.getHelpMessage(category, user),
+    use: (name, handler, options) => commandHandler.use(name, handler, options),
+    getHelpMessage: (category, user, prefix, context) => commandHandler.getHelpMessage(category, user, prefix, context),
     searchCommands: (query, user) => commandHandler.searchCommands(query, user),
     getTopCommands: (limit) => commandHandler.getTopCommands(limit),
     getAllCategories: () => commandHandler.getAllCategories(),
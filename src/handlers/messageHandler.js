@@ -8,6 +8,15 @@ const { createMessage } = require('../models/Message');
 const mediaHandler = require('./mediaHandler');
 const antiSpam = require('../utils/antiSpam');
 const cache = require('../utils/cache');
+const customCommands = require('../utils/customCommands');
+const autoReply = require('../utils/autoReply');
+const muteManager = require('../utils/muteManager');
+const banManager = require('../utils/banManager');
+const antiLink = require('../utils/antiLink');
+const messageStore = require('../utils/messageStore');
+const { prefixManager } = require('../utils/prefixManager');
+const { sessionManager } = require('../utils/sessionManager');
+const { rateLimiter } = require('../utils/rateLimiter');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -101,7 +110,14 @@ class MessageHandler {
     }
 
     async processCommand(sock, message, text, user, group, isGroup) {
-        const prefixUsed = this.detectPrefix(text);
+        const resolved = prefixManager.resolve({ group, user, isGroup });
+        const prefixUsed = this.detectPrefix(text, resolved.prefixes);
+
+        if (!prefixUsed && text.trim().toLowerCase() === 'prefix') {
+            await this.sendPrefixInfo(sock, message, resolved);
+            return true;
+        }
+
         if (!prefixUsed && !this.shouldProcessNoPrefix(text, isGroup, group)) {
             return false;
         }
@@ -114,45 +130,50 @@ class MessageHandler {
 
         const command = commandHandler.getCommand(commandName);
         if (!command) {
+            if (isGroup && prefixUsed && customCommands.findCommand(group, commandName)) {
+                logger.info(`Custom command executed: ${commandName} by ${user.phone || user.jid} in group`);
+                return await customCommands.execute(sock, message, group, commandName, args);
+            }
+
             if (prefixUsed) {
-                await this.handleUnknownCommand(sock, message, commandName);
+                await this.handleUnknownCommand(sock, message, commandName, prefixUsed);
             }
             return false;
         }
 
         logger.info(`Command executed: ${commandName} by ${user.phone || user.jid} in ${isGroup ? 'group' : 'private'}`);
         
-        await commandHandler.handleCommand(sock, message, commandName, args);
+        await commandHandler.handleCommand(sock, message, commandName, args, { prefix: prefixUsed || resolved.primary });
         return true;
     }
 
-    detectPrefix(text) {
-        const prefixes = [
-            config.prefix,
-            config.secondaryPrefix,
-            '!', '.', '/', '#', '>', '<'
-        ].filter(p => p && p.trim());
-
-        for (const prefix of prefixes) {
-            if (text.startsWith(prefix)) {
-                return prefix;
-            }
+    isCommandMessage(text, user, group, isGroup) {
+        const prefixUsed = this.detectPrefix(text, prefixManager.resolve({ group, user, isGroup }).prefixes);
+        if (!prefixUsed) {
+            return false;
         }
 
-        return null;
+        const commandName = text.slice(prefixUsed.length).trim().split(/\s+/)[0].toLowerCase();
+        return !!commandHandler.getCommand(commandName) || (isGroup && !!customCommands.findCommand(group, commandName));
+    }
+
+    detectPrefix(text, prefixes = prefixManager.getGlobalPrefixes()) {
+        return prefixManager.detect(text, prefixes);
     }
 
     shouldProcessNoPrefix(text, isGroup, group) {
-        if (!config.noPrefixEnabled) return false;
-        
-        if (isGroup) {
-            return group?.settings?.noPrefixEnabled === true;
-        }
-        
-        return config.privateNoPrefixEnabled === true;
+        return prefixManager.isNoPrefixEnabled({ group, isGroup });
     }
 
-    async handleUnknownCommand(sock, message, commandName) {
+    async sendPrefixInfo(sock, message, resolved) {
+        const source = { group: 'this group', user: 'your preference', global: 'bot default' }[resolved.source];
+
+        await sock.sendMessage(message.key.remoteJid, {
+            text: `🔣 *Prefix*\n\n├ Active: ${resolved.prefixes.map(prefix => `*${prefix}*`).join(' ')}\n╰ Source: ${source}\n\n*Example:* ${resolved.primary}help`
+        }, { quoted: message });
+    }
+
+    async handleUnknownCommand(sock, message, commandName, prefix = config.prefix) {
         const from = message.key.remoteJid;
         const suggestions = await commandHandler.searchCommands(commandName);
         
@@ -161,29 +182,19 @@ class MessageHandler {
         if (suggestions.length > 0) {
             response += '\n\n*Did you mean:*\n';
             suggestions.slice(0, 3).forEach(cmd => {
-                response += `• ${config.prefix}${cmd.name} - ${cmd.description}\n`;
+                response += `• ${prefix}${cmd.name} - ${cmd.description}\n`;
             });
         }
         
-        response += `\n*Type ${config.prefix}help for all commands*`;
+        response += `\n*Type ${prefix}help for all commands*`;
         
         await sock.sendMessage(from, { text: response });
     }
 
-    async handleAutoReply(sock, message, text, user, isGroup) {
-        if (!this.autoReplyEnabled || isGroup) return;
+    async handleAutoReply(sock, message, text, user, group) {
+        if (!this.autoReplyEnabled) return false;
 
-        const autoReplies = cache.get('autoReplies') || {};
-        const lowerText = text.toLowerCase();
-        
-        for (const [trigger, reply] of Object.entries(autoReplies)) {
-            if (lowerText.includes(trigger.toLowerCase())) {
-                await sock.sendMessage(message.key.remoteJid, { text: reply });
-                return true;
-            }
-        }
-
-        return false;
+        return await autoReply.handleMessage(sock, message, text, group);
     }
 
     async handleChatBot(sock, message, text, user, isGroup) {
@@ -192,7 +203,7 @@ class MessageHandler {
 
         try {
             const aiService = require('../services/aiService');
-            const response = await aiService.generateResponse(text, user, isGroup);
+            const response = await aiService.generateResponse(text, user, isGroup, message.key.remoteJid);
             
             if (response) {
                 await sock.sendMessage(message.key.remoteJid, { 
@@ -245,6 +256,15 @@ class MessageHandler {
         }
     }
 
+    async withinMessageLimit(sender, user) {
+        const result = await rateLimiter.checkLimit(sender, 'messages', null, { user });
+        if (!result.allowed) {
+            logger.debug(`Message limit reached for ${sender} on the ${result.tier} tier, not replying`);
+        }
+
+        return result.allowed;
+    }
+
     async saveMessage(message, user, group, messageContent) {
         try {
             const messageData = {
@@ -256,7 +276,7 @@ class MessageHandler {
                 messageType: messageContent.messageType,
                 isGroup: !!group,
                 hasMedia: !!messageContent.media,
-                isCommand: messageContent.text.startsWith(config.prefix),
+                isCommand: !!this.detectPrefix(messageContent.text, prefixManager.resolve({ group, user }).prefixes),
                 userData: {
                     phone: user.phone,
                     name: user.name
@@ -276,11 +296,23 @@ class MessageHandler {
             const from = message.key.remoteJid;
             const sender = message.key.participant || from;
             const isGroup = from.endsWith('@g.us');
+
+            const protocolMessage = message.message?.protocolMessage;
+            if (protocolMessage) {
+                if ([0, 'REVOKE'].includes(protocolMessage.type) && protocolMessage.key) {
+                    await this.handleRevoke(sock, { remoteJid: from, ...protocolMessage.key }, sender);
+                }
+                return;
+            }
             
             const messageContent = this.extractMessageContent(message);
             if (!messageContent) return;
 
-            const spamCheck = await antiSpam.checkSpam(sender, message);
+            const spamCheck = await antiSpam.checkSpam(sender, message, {
+                from,
+                isGroup,
+                text: messageContent.text
+            });
             if (spamCheck.isSpam && spamCheck.action === 'block') return;
 
             let user = await getUser(sender);
@@ -323,28 +355,51 @@ class MessageHandler {
                 }
             }
 
+            if (isGroup && group && await banManager.enforce(sock, message, group, sender)) return;
+            if (isGroup && group && await muteManager.enforce(sock, message, group, sender)) return;
+            if (isGroup && group && await antiLink.enforce(sock, message, group, sender, messageContent.text)) return;
+
+            if (spamCheck.isSpam && isGroup && group?.settings?.antiSpam?.enabled && spamCheck.action !== 'throttle') {
+                await antiSpam.processSpamAction(sock, message, spamCheck, { from, sender, isGroup, group });
+            }
+
             await this.saveMessage(message, user, group, messageContent);
 
+            let mediaData = null;
             if (messageContent.media) {
-                const mediaData = await this.downloadMedia(message, messageContent.media);
+                mediaData = await this.downloadMedia(message, messageContent.media);
                 if (mediaData) {
                     await mediaHandler.processMedia(sock, message, mediaData, user, group);
                 }
             }
 
+            if (this.shouldRetain(isGroup, group)) {
+                messageStore.remember(message, messageContent, mediaData);
+            }
+
             if (messageContent.quoted) {
                 await this.handleQuotedMessage(sock, message, messageContent.quoted, user);
             }
 
             await this.handleMentions(sock, message, messageContent.text, isGroup);
 
-            const isCommand = await this.processCommand(
+            if (!await this.withinMessageLimit(sender, user)) {
+                return;
+            }
+
+            if (sessionManager.hasPending(from, sender) && this.isCommandMessage(messageContent.text, user, group, isGroup)) {
+                sessionManager.cancel(from, sender, 'PROMPT_INTERRUPTED');
+            }
+
+            const isSessionReply = await sessionManager.handleMessage(sock, message, messageContent);
+
+            const isCommand = !isSessionReply && await this.processCommand(
                 sock, message, messageContent.text, user, group, isGroup
             );
 
-            if (!isCommand && messageContent.text) {
+            if (!isSessionReply && !isCommand && messageContent.text) {
                 const autoReplyHandled = await this.handleAutoReply(
-                    sock, message, messageContent.text, user, isGroup
+                    sock, message, messageContent.text, user, group
                 );
 
                 if (!autoReplyHandled) {
@@ -406,39 +461,107 @@ class MessageHandler {
         }
     }
 
+    shouldRetain(isGroup, group) {
+        return isGroup ? !!group?.settings?.antiDelete?.enabled : config.features.antiDelete;
+    }
+
     async handleMessageDelete(sock, deletedMessages) {
-        for (const deletion of deletedMessages) {
+        const keys = Array.isArray(deletedMessages) ? deletedMessages : deletedMessages?.keys || [];
+
+        for (const key of keys) {
             try {
-                const { fromMe, id, participant, remoteJid } = deletion;
-                
-                logger.info(`Message deleted: ${id} from ${remoteJid}`);
-                
-                const isGroup = remoteJid.endsWith('@g.us');
-                const deletedBy = participant || remoteJid;
-                
-                if (isGroup) {
-                    const group = await getGroup(remoteJid);
-                    if (group?.settings?.antiDelete) {
-                        const cachedMessage = cache.get(`message_${id}`);
-                        if (cachedMessage) {
-                            await sock.sendMessage(remoteJid, {
-                                text: `🗑️ *Anti-Delete*\n\n*Deleted by:* @${deletedBy.split('@')[0]}\n*Content:* ${cachedMessage.content}\n*Time:* ${new Date(cachedMessage.timestamp).toLocaleString()}`,
-                                contextInfo: {
-                                    mentionedJid: [deletedBy]
-                                }
-                            });
-                        }
-                    }
-                }
-                
-                cache.del(`message_${id}`);
-                
+                logger.info(`Message deleted: ${key.id} from ${key.remoteJid}`);
+                await this.handleRevoke(sock, key, key.participant || key.remoteJid);
             } catch (error) {
                 logger.error('Message deletion handling error:', error);
             }
         }
     }
 
+    async handleRevoke(sock, key, deletedBy) {
+        try {
+            const entry = messageStore.take(key);
+            if (!entry || deletedBy !== entry.sender) return;
+
+            const isGroup = key.remoteJid.endsWith('@g.us');
+            let recipients = [];
+            let groupName = null;
+
+            if (isGroup) {
+                const group = await getGroup(key.remoteJid);
+                const settings = group?.settings?.antiDelete;
+                if (!settings?.enabled) return;
+
+                groupName = group.name;
+
+                if (settings.adminOnly !== false) {
+                    const metadata = await sock.groupMetadata(key.remoteJid);
+                    const botJid = `${sock.user.id.split(':')[0].split('@')[0]}@s.whatsapp.net`;
+                    recipients = metadata.participants
+                        .filter(p => p.admin && p.id !== botJid && p.id !== entry.sender)
+                        .map(p => p.id);
+                } else {
+                    recipients = [key.remoteJid];
+                }
+            } else {
+                if (!config.features.antiDelete) return;
+                recipients = config.ownerNumbers.filter(owner => owner !== entry.sender);
+            }
+
+            for (const recipient of recipients) {
+                try {
+                    await this.resendDeleted(sock, recipient, entry, groupName);
+                } catch (error) {
+                    logger.error(`Failed to forward deleted message to ${recipient}:`, error);
+                }
+            }
+
+            logger.info(`Anti-delete restored ${entry.messageType} ${key.id} to ${recipients.length} recipient(s)`);
+        } catch (error) {
+            logger.error('Anti-delete handling error:', error);
+        }
+    }
+
+    async resendDeleted(sock, jid, entry, groupName) {
+        const mentions = [entry.sender];
+        const lines = [
+            '🗑️ *Anti-Delete*',
+            '',
+            `├ From: @${entry.sender.split('@')[0]}`,
+            ...(groupName && jid !== entry.key.remoteJid ? [`├ Group: ${groupName}`] : []),
+            `├ Type: ${entry.messageType}`,
+            `╰ Sent: ${new Date(entry.timestamp).toLocaleString()}`
+        ];
+
+        if (entry.text) lines.push('', entry.text);
+
+        const header = lines.join('\n');
+        const media = entry.media;
+
+        if (media && ['image', 'video', 'document'].includes(entry.messageType)) {
+            const content = entry.messageType === 'document'
+                ? { document: media.buffer, mimetype: media.mimetype, fileName: media.fileName || 'file' }
+                : { [entry.messageType]: media.buffer, mimetype: media.mimetype, gifPlayback: media.gifPlayback };
+
+            return await sock.sendMessage(jid, {
+                ...content,
+                caption: header,
+                contextInfo: { mentionedJid: mentions }
+            });
+        }
+
+        await sock.sendMessage(jid, {
+            text: header,
+            contextInfo: { mentionedJid: mentions }
+        });
+
+        if (media && entry.messageType === 'audio') {
+            await sock.sendMessage(jid, { audio: media.buffer, mimetype: media.mimetype, ptt: media.ptt, seconds: media.seconds });
+        } else if (media && entry.messageType === 'sticker') {
+            await sock.sendMessage(jid, { sticker: media.buffer, isAnimated: media.isAnimated });
+        }
+    }
+
     async handleGroupParticipantsUpdate(sock, update) {
         try {
             const { id: groupId, participants, action } = update;
@@ -479,6 +602,8 @@ class MessageHandler {
     async handleMemberJoin(sock, groupId, participant, group, metadata) {
         try {
             logger.info(`Member joined: ${participant} in ${groupId}`);
+
+            if (await banManager.enforceJoin(sock, groupId, participant, group)) return;
             
             let user = await getUser(participant);
             if (!user) {
@@ -496,7 +621,7 @@ class MessageHandler {
             
             if (group.settings?.welcomeEnabled) {
                 const welcomeMessage = group.settings.welcomeMessage || 
-                    `👋 Welcome to *${metadata.subject}*!\n\nHello @${participant.split('@')[0]}, glad to have you here!\n\nType ${config.prefix}help to see available commands.`;
+                    `👋 Welcome to *${metadata.subject}*!\n\nHello @${participant.split('@')[0]}, glad to have you here!\n\nType ${prefixManager.getPrimaryPrefix({ group })}help to see available commands.`;
                 
                 if (group.settings.welcomeMedia) {
                     const mediaPath = path.join(process.cwd(), 'src', 'assets', group.settings.welcomeMedia);
@@ -683,6 +808,7 @@ module.exports = {
     handleIncomingMessage: (sock, message) => messageHandler.handleIncomingMessage(sock, message),
     handleMessageUpdate: (sock, updates) => messageHandler.handleMessageUpdate(sock, updates),
     handleMessageDelete: (sock, deletions) => messageHandler.handleMessageDelete(sock, deletions),
+    handleRevoke: (sock, key, deletedBy) => messageHandler.handleRevoke(sock, key, deletedBy),
     handleGroupParticipantsUpdate: (sock, update) => messageHandler.handleGroupParticipantsUpdate(sock, update),
     handleGroupUpdate: (sock, update) => messageHandler.handleGroupUpdate(sock, update),
     setAutoReplyStatus: (enabled) => messageHandler.setAutoReplyStatus(enabled),
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { isMongo, modelCollection } = require('../database/connection');
+
+const ConversationSchema = new mongoose.Schema({
+    chatId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    isGroup: {
+        type: Boolean,
+        default: false
+    },
+    persona: {
+        type: String,
+        default: null
+    },
+    systemPrompt: {
+        type: String,
+        default: null
+    },
+    summary: {
+        type: String,
+        default: null
+    },
+    messages: [{
+        role: {
+            type: String,
+            enum: ['user', 'assistant'],
+            required: true
+        },
+        content: {
+            type: String,
+            required: true
+        },
+        sender: {
+            type: String,
+            default: null
+        },
+        name: {
+            type: String,
+            default: null
+        },
+        tokens: {
+            type: Number,
+            default: 0
+        },
+        timestamp: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    tokenCount: {
+        type: Number,
+        default: 0
+    },
+    summarizedAt: {
+        type: Date,
+        default: null
+    },
+    updatedBy: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true,
+    versionKey: false,
+    minimize: false
+});
+
+const Conversation = mongoose.model('Conversation', ConversationSchema);
+
+const conversationStore = () => modelCollection(Conversation, { key: 'chatId' });
+
+async function getConversation(chatId) {
+    try {
+        if (!isMongo()) {
+            return await conversationStore().findOne({ chatId });
+        }
+        return await Conversation.findOne({ chatId }).lean();
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function updateConversation(chatId, updateData) {
+    try {
+        if (!isMongo()) {
+            return await conversationStore().findOneAndUpdate({ chatId }, updateData, { new: true, upsert: true });
+        }
+        return await Conversation.findOneAndUpdate({ chatId }, updateData, { new: true, upsert: true }).lean();
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function appendMessages(chatId, messages, { isGroup = false } = {}) {
+    const tokens = messages.reduce((total, entry) => total + (entry.tokens || 0), 0);
+
+    return await updateConversation(chatId, {
+        $set: { isGroup },
+        $push: { messages: { $each: messages.map(entry => ({ timestamp: new Date(), ...entry })) } },
+        $inc: { tokenCount: tokens }
+    });
+}
+
+async function compactConversation(snapshot, { dropCount, summary, summaryTokens = 0, attempts = 3 }) {
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const current = await getConversation(snapshot.chatId);
+        if (!current || current.messages.length <= dropCount) return null;
+
+        const kept = current.messages.slice(dropCount);
+        const filter = {
+            chatId: snapshot.chatId,
+            summarizedAt: snapshot.summarizedAt || null,
+            messages: { $size: current.messages.length }
+        };
+        const update = {
+            $set: {
+                summary,
+                tokenCount: kept.reduce((total, entry) => total + (entry.tokens || 0), 0) + summaryTokens,
+                summarizedAt: new Date()
+            },
+            $push: { messages: { $each: [], $slice: -kept.length } }
+        };
+
+        const result = isMongo()
+            ? await Conversation.findOneAndUpdate(filter, update, { new: true }).lean()
+            : await conversationStore().findOneAndUpdate(filter, update, { new: true });
+
+        if (result) return result;
+        if (String(current.summarizedAt || '') !== String(snapshot.summarizedAt || '')) return null;
+    }
+
+    return null;
+}
+
+async function setPersona(chatId, { persona = null, systemPrompt = null, isGroup = false }, updatedBy = null) {
+    return await updateConversation(chatId, {
+        $set: { persona, systemPrompt, isGroup, updatedBy }
+    });
+}
+
+async function resetConversation(chatId, { keepPersona = true } = {}) {
+    const update = {
+        $set: { messages: [], summary: null, tokenCount: 0, summarizedAt: null }
+    };
+
+    if (!keepPersona) {
+        update.$set.persona = null;
+        update.$set.systemPrompt = null;
+    }
+
+    return await updateConversation(chatId, update);
+}
+
+async function deleteConversation(chatId) {
+    try {
+        if (!isMongo()) {
+            return await conversationStore().findOneAndDelete({ chatId });
+        }
+        return await Conversation.findOneAndDelete({ chatId });
+    } catch (error) {
+        throw error;
+    }
+}
+
+module.exports = {
+    Conversation,
+    getConversation,
+    updateConversation,
+    appendMessages,
+    compactConversation,
+    setPersona,
+    resetConversation,
+    deleteConversation
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isMongo, modelCollection } = require('../database/connection');
 
 const GroupSchema = new mongoose.Schema({
     jid: {
@@ -74,10 +75,28 @@ const GroupSchema = new mongoose.Schema({
             type: String,
             default: null
         },
+        prefixes: {
+            type: [String],
+            default: []
+        },
         noPrefixEnabled: {
             type: Boolean,
             default: false
         },
+        commandToggles: {
+            disabledCommands: {
+                type: [String],
+                default: []
+            },
+            disabledCategories: {
+                type: [String],
+                default: []
+            },
+            enabledCommands: {
+                type: [String],
+                default: []
+            }
+        },
         onlyAdmins: {
             type: Boolean,
             default: false
@@ -130,6 +149,10 @@ const GroupSchema = new mongoose.Schema({
             adminBypass: {
                 type: Boolean,
                 default: true
+            },
+            inviteOnly: {
+                type: Boolean,
+                default: false
             }
         },
         antiSpam: {
@@ -151,6 +174,37 @@ const GroupSchema = new mongoose.Schema({
                 default: 'warn'
             }
         },
+        warnings: {
+            escalate: {
+                type: Boolean,
+                default: true
+            },
+            expiry: {
+                type: Number,
+                default: null
+            },
+            escalation: [{
+                count: Number,
+                action: {
+                    type: String,
+                    enum: ['mute', 'kick', 'ban']
+                },
+                duration: {
+                    type: Number,
+                    default: null
+                }
+            }]
+        },
+        bannedMembers: [{
+            jid: String,
+            bannedBy: String,
+            bannedAt: {
+                type: Date,
+                default: Date.now
+            },
+            bannedUntil: Date,
+            reason: String
+        }],
         antiDelete: {
             enabled: {
                 type: Boolean,
@@ -161,6 +215,30 @@ const GroupSchema = new mongoose.Schema({
                 default: true
             }
         },
+        autoReply: {
+            enabled: {
+                type: Boolean,
+                default: true
+            },
+            useGlobal: {
+                type: Boolean,
+                default: true
+            },
+            quietHours: {
+                enabled: {
+                    type: Boolean,
+                    default: false
+                },
+                start: {
+                    type: String,
+                    default: '22:00'
+                },
+                end: {
+                    type: String,
+                    default: '07:00'
+                }
+            }
+        },
         autoSticker: {
             enabled: {
                 type: Boolean,
@@ -244,9 +322,15 @@ const GroupSchema = new mongoose.Schema({
         }
     },
     warnings: [{
+        id: String,
         user: String,
         reason: String,
         warnedBy: String,
+        source: {
+            type: String,
+            enum: ['manual', 'antispam', 'antilink'],
+            default: 'manual'
+        },
         warnedAt: {
             type: Date,
             default: Date.now
@@ -263,9 +347,45 @@ const GroupSchema = new mongoose.Schema({
         mutedUntil: Date,
         reason: String
     }],
+    usage: {
+        day: String,
+        month: String,
+        daily: {
+            aiTokens: { type: Number, default: 0 },
+            images: { type: Number, default: 0 },
+            downloadBytes: { type: Number, default: 0 }
+        },
+        monthly: {
+            aiTokens: { type: Number, default: 0 },
+            images: { type: Number, default: 0 },
+            downloadBytes: { type: Number, default: 0 }
+        }
+    },
     autoReplies: [{
+        id: String,
         trigger: String,
         response: String,
+        responses: [{
+            type: String
+        }],
+        match: {
+            type: String,
+            enum: ['exact', 'contains', 'regex', 'startsWith'],
+            default: 'contains'
+        },
+        caseSensitive: {
+            type: Boolean,
+            default: false
+        },
+        enabled: {
+            type: Boolean,
+            default: true
+        },
+        uses: {
+            type: Number,
+            default: 0
+        },
+        lastUsed: Date,
         createdBy: String,
         createdAt: {
             type: Date,
@@ -279,10 +399,30 @@ const GroupSchema = new mongoose.Schema({
         createdAt: {
             type: Date,
             default: Date.now
+        },
+        updatedAt: Date,
+        cooldown: {
+            type: Number,
+            default: 0
+        },
+        uses: {
+            type: Number,
+            default: 0
+        },
+        lastUsed: Date,
+        media: {
+            type: {
+                type: String,
+                enum: ['image', 'video', 'audio', 'document', 'sticker']
+            },
+            mimetype: String,
+            fileName: String,
+            path: String
         }
     }],
     schedule: {
         tasks: [{
+            id: String,
             name: String,
             type: {
                 type: String,
@@ -294,6 +434,11 @@ const GroupSchema = new mongoose.Schema({
                 type: Boolean,
                 default: true
             },
+            createdBy: String,
+            createdAt: {
+                type: Date,
+                default: Date.now
+            },
             lastRun: Date,
             nextRun: Date
         }]
@@ -468,8 +613,13 @@ GroupSchema.pre('save', function(next) {
 
 const Group = mongoose.model('Group', GroupSchema);
 
+const groupStore = () => modelCollection(Group);
+
 async function getGroup(jid) {
     try {
+        if (!isMongo()) {
+            return await groupStore().findOne({ jid });
+        }
         return await Group.findOne({ jid });
     } catch (error) {
         throw error;
@@ -478,6 +628,9 @@ async function getGroup(jid) {
 
 async function createGroup(groupData) {
     try {
+        if (!isMongo()) {
+            return await groupStore().insertOne(groupData);
+        }
         const group = new Group(groupData);
         return await group.save();
     } catch (error) {
@@ -487,34 +640,61 @@ async function createGroup(groupData) {
 
 async function updateGroup(jid, updateData) {
     try {
+        if (!isMongo()) {
+            return await groupStore().findOneAndUpdate({ jid }, updateData, { new: true, upsert: true });
+        }
         return await Group.findOneAndUpdate({ jid }, updateData, { new: true, upsert: true });
     } catch (error) {
         throw error;
     }
 }
 
+async function updateGroupWhere(jid, filter, updateData) {
+    try {
+        if (!isMongo()) {
+            return await groupStore().findOneAndUpdate({ ...filter, jid }, updateData, { new: true });
+        }
+        return await Group.findOneAndUpdate({ ...filter, jid }, updateData, { new: true });
+    } catch (error) {
+        throw error;
+    }
+}
+
 async function deleteGroup(jid) {
     try {
+        if (!isMongo()) {
+            return await groupStore().findOneAndDelete({ jid });
+        }
         return await Group.findOneAndDelete({ jid });
     } catch (error) {
         throw error;
     }
 }
 
-async function getGroupStats() {
+async function findGroups(query = {}, options = {}) {
     try {
-        const total = await Group.countDocuments();
-        const banned = await Group.countDocuments({ isBanned: true });
-        const withWelcome = await Group.countDocuments({ 'settings.welcome.enabled': true });
-        const withAntiLink = await Group.countDocuments({ 'settings.antiLink.enabled': true });
+        const cursor = isMongo() ? Group.find(query) : groupStore().find(query);
+
+        if (options.sort) cursor.sort(options.sort);
+        if (options.limit) cursor.limit(options.limit);
+
+        return await cursor;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function countGroups(query = {}) {
+    return isMongo() ? Group.countDocuments(query) : groupStore().countDocuments(query);
+}
 
 async function getGroupStats() {
     try {
-        const total = await Group.countDocuments();
-        const banned = await Group.countDocuments({ isBanned: true });
-        const withWelcome = await Group.countDocuments({ 'settings.welcome.enabled': true });
-        const withAntiLink = await Group.countDocuments({ 'settings.antiLink.enabled': true });
-        const active = await Group.countDocuments({
+        const total = await countGroups();
+        const banned = await countGroups({ isBanned: true });
+        const withWelcome = await countGroups({ 'settings.welcome.enabled': true });
+        const withAntiLink = await countGroups({ 'settings.antiLink.enabled': true });
+        const active = await countGroups({
             'statistics.lastActivity': { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
         });
 
@@ -528,7 +708,7 @@ async function getTopGroups(field = 'statistics.messageCount', limit = 10) {
     try {
         const sortObj = {};
         sortObj[field] = -1;
-        return await Group.find({ isBanned: false }).sort(sortObj).limit(limit);
+        return await findGroups({ isBanned: false }, { sort: sortObj, limit });
     } catch (error) {
         throw error;
     }
@@ -557,7 +737,7 @@ async function searchGroups(query, options = {}) {
             searchQuery.$and.push({ participants: { $lte: options.maxParticipants } });
         }
 
-        return await Group.find(searchQuery).limit(options.limit || 20);
+        return await findGroups(searchQuery, { limit: options.limit || 20 });
     } catch (error) {
         throw error;
     }
@@ -565,17 +745,18 @@ async function searchGroups(query, options = {}) {
 
 async function cleanupExpiredData() {
     try {
-        const result = await Group.updateMany(
-            {},
-            {
-                $pull: {
-                    warnings: { expiresAt: { $lte: new Date() } },
-                    mutedUsers: { mutedUntil: { $lte: new Date() } }
-                }
+        const update = {
+            $pull: {
+                warnings: { expiresAt: { $lte: new Date() } },
+                mutedUsers: { mutedUntil: { $lte: new Date() } }
             }
-        );
+        };
+
+        if (!isMongo()) {
+            return await groupStore().updateMany({}, update);
+        }
 
-        return result;
+        return await Group.updateMany({}, update);
     } catch (error) {
         throw error;
     }
@@ -586,7 +767,9 @@ module.exports = {
     getGroup,
     createGroup,
     updateGroup,
+    updateGroupWhere,
     deleteGroup,
+    findGroups,
     getGroupStats,
     getTopGroups,
     searchGroups,
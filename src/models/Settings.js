@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { isMongo, modelCollection } = require('../database/connection');
+
+const SettingsSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    updatedBy: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true,
+    versionKey: false,
+    minimize: false
+});
+
+const Settings = mongoose.model('Settings', SettingsSchema);
+
+const settingsStore = () => modelCollection(Settings, { key: 'key' });
+
+async function getSetting(key, defaultValue = null) {
+    try {
+        const setting = isMongo()
+            ? await Settings.findOne({ key }).lean()
+            : await settingsStore().findOne({ key });
+
+        return setting && setting.value !== undefined && setting.value !== null ? setting.value : defaultValue;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function setSetting(key, value, updatedBy = null) {
+    try {
+        const update = { $set: { value, updatedBy } };
+
+        if (!isMongo()) {
+            return await settingsStore().findOneAndUpdate({ key }, update, { new: true, upsert: true });
+        }
+        return await Settings.findOneAndUpdate({ key }, update, { new: true, upsert: true }).lean();
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function updateSetting(key, filter, update) {
+    try {
+        if (!isMongo()) {
+            return await settingsStore().findOneAndUpdate({ ...filter, key }, update, { new: true });
+        }
+        return await Settings.findOneAndUpdate({ ...filter, key }, update, { new: true }).lean();
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function deleteSetting(key) {
+    try {
+        if (!isMongo()) {
+            return await settingsStore().findOneAndDelete({ key });
+        }
+        return await Settings.findOneAndDelete({ key });
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function getAllSettings() {
+    try {
+        const settings = isMongo()
+            ? await Settings.find({}).lean()
+            : await settingsStore().find({});
+
+        return Object.fromEntries(settings.map(setting => [setting.key, setting.value]));
+    } catch (error) {
+        throw error;
+    }
+}
+
+module.exports = {
+    Settings,
+    getSetting,
+    setSetting,
+    updateSetting,
+    deleteSetting,
+    getAllSettings
+};
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isMongo, modelCollection } = require('../database/connection');
 
 const UserSchema = new mongoose.Schema({
     jid: {
@@ -169,6 +170,24 @@ const UserSchema = new mongoose.Schema({
             type: Boolean,
             default: true
         },
+        prefix: {
+            type: String,
+            default: null
+        },
+        commandToggles: {
+            disabledCommands: {
+                type: [String],
+                default: []
+            },
+            disabledCategories: {
+                type: [String],
+                default: []
+            },
+            enabledCommands: {
+                type: [String],
+                default: []
+            }
+        },
         privacy: {
             showOnline: {
                 type: Boolean,
@@ -225,8 +244,10 @@ const UserSchema = new mongoose.Schema({
         updatedAt: Date
     }],
     reminders: [{
+        id: String,
         message: String,
         remindAt: Date,
+        chat: String,
         createdAt: {
             type: Date,
             default: Date.now
@@ -234,8 +255,31 @@ const UserSchema = new mongoose.Schema({
         completed: {
             type: Boolean,
             default: false
+        },
+        deliveredAt: Date,
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        failed: {
+            type: Boolean,
+            default: false
         }
     }],
+    usage: {
+        day: String,
+        month: String,
+        daily: {
+            aiTokens: { type: Number, default: 0 },
+            images: { type: Number, default: 0 },
+            downloadBytes: { type: Number, default: 0 }
+        },
+        monthly: {
+            aiTokens: { type: Number, default: 0 },
+            images: { type: Number, default: 0 },
+            downloadBytes: { type: Number, default: 0 }
+        }
+    },
     afk: {
         isAfk: {
             type: Boolean,
@@ -266,6 +310,7 @@ UserSchema.index({ phone: 1 });
 UserSchema.index({ 'economy.balance': -1 });
 UserSchema.index({ isPremium: 1, premiumUntil: 1 });
 UserSchema.index({ isBanned: 1, banUntil: 1 });
+UserSchema.index({ 'reminders.completed': 1, 'reminders.remindAt': 1 });
 
 UserSchema.methods.addBalance = function(amount) {
     this.economy.balance += amount;
@@ -411,8 +456,13 @@ UserSchema.pre('save', function(next) {
 
 const User = mongoose.model('User', UserSchema);
 
+const userStore = () => modelCollection(User);
+
 async function getUser(jid) {
     try {
+        if (!isMongo()) {
+            return await userStore().findOne({ jid });
+        }
         return await User.findOne({ jid });
     } catch (error) {
         throw error;
@@ -421,6 +471,9 @@ async function getUser(jid) {
 
 async function createUser(userData) {
     try {
+        if (!isMongo()) {
+            return await userStore().insertOne(userData);
+        }
         const user = new User(userData);
         return await user.save();
     } catch (error) {
@@ -430,26 +483,60 @@ async function createUser(userData) {
 
 async function updateUser(jid, updateData) {
     try {
+        if (!isMongo()) {
+            return await userStore().findOneAndUpdate({ jid }, updateData, { new: true, upsert: true });
+        }
         return await User.findOneAndUpdate({ jid }, updateData, { new: true, upsert: true });
     } catch (error) {
         throw error;
     }
 }
 
+async function updateUserWhere(jid, filter, updateData) {
+    try {
+        if (!isMongo()) {
+            return await userStore().findOneAndUpdate({ ...filter, jid }, updateData, { new: true });
+        }
+        return await User.findOneAndUpdate({ ...filter, jid }, updateData, { new: true });
+    } catch (error) {
+        throw error;
+    }
+}
+
 async function deleteUser(jid) {
     try {
+        if (!isMongo()) {
+            return await userStore().findOneAndDelete({ jid });
+        }
         return await User.findOneAndDelete({ jid });
     } catch (error) {
         throw error;
     }
 }
 
+async function findUsers(query = {}, options = {}) {
+    try {
+        const cursor = isMongo() ? User.find(query).lean() : userStore().find(query);
+
+        if (options.sort) cursor.sort(options.sort);
+        if (options.limit) cursor.limit(options.limit);
+
+        return await cursor;
+    } catch (error) {
+        throw error;
+    }
+}
+
+async function countUsers(query = {}) {
+    return isMongo() ? User.countDocuments(query) : userStore().countDocuments(query);
+}
+
 async function getUserStats() {
     try {
-        const total = await User.countDocuments();
-        const premium = await User.countDocuments({ isPremium: true });
-        const banned = await User.countDocuments({ isBanned: true });
-        const active = await User.countDocuments({ 
+        const total = await countUsers();
+        const premium = await countUsers({ isPremium: true });
+        const banned = await countUsers({ isBanned: true });
+        const active = await countUsers({ 
             'statistics.lastActive': { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
         });
 
@@ -464,6 +551,8 @@ module.exports = {
     getUser,
     createUser,
     updateUser,
+    updateUserWhere,
     deleteUser,
+    findUsers,
     getUserStats
 };
\ No newline at end of file
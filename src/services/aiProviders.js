@@ -0,0 +1,576 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { getSetting, setSetting } = require('../models/Settings');
+
+const ROUTES_KEY = 'aiRoutes';
+const ROUTES_REFRESH = 60 * 1000;
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+async function readEventStream(stream, onData) {
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+
+            const data = line.slice(5).trim();
+            if (!data) continue;
+            if (data === '[DONE]') return;
+
+            await onData(JSON.parse(data));
+        }
+    }
+
+    if (buffer.startsWith('data:') && buffer.slice(5).trim() && buffer.slice(5).trim() !== '[DONE]') {
+        await onData(JSON.parse(buffer.slice(5).trim()));
+    }
+}
+
+class CircuitBreaker {
+    constructor({ failureThreshold = 3, cooldown = 60 * 1000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.cooldown = cooldown;
+        this.reset();
+    }
+
+    reset() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+    }
+
+    canRequest(now = Date.now()) {
+        if (this.state === 'open' && now - this.openedAt >= this.cooldown) {
+            this.state = 'half-open';
+        }
+
+        return this.state !== 'open';
+    }
+
+    recordSuccess() {
+        this.reset();
+    }
+
+    recordFailure(error, now = Date.now()) {
+        this.failures++;
+        this.lastError = error?.message || String(error);
+
+        if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = now;
+        }
+    }
+
+    getStatus(now = Date.now()) {
+        return {
+            state: this.state,
+            failures: this.failures,
+            lastError: this.lastError,
+            retryIn: this.state === 'open' ? Math.max(0, this.openedAt + this.cooldown - now) : 0
+        };
+    }
+}
+
+class AIProvider {
+    constructor({ name, model = null }) {
+        this.name = name;
+        this.model = model;
+    }
+
+    get type() {
+        return 'base';
+    }
+
+    get supportsStreaming() {
+        return false;
+    }
+
+    async chat(messages, options = {}) {
+        throw new Error(`${this.name}: chat is not implemented`);
+    }
+
+    async stream(messages, options = {}, onToken) {
+        const result = await this.chat(messages, options);
+        if (result?.text) await onToken(result.text, result.text);
+        return result;
+    }
+}
+
+class OpenAIProvider extends AIProvider {
+    constructor({ name = 'openai', label = 'OpenAI', baseURL = 'https://api.openai.com/v1', apiKey = null, model = 'gpt-3.5-turbo', maxTokens = 150, temperature = 0.7, timeout = 30000, streamUsage = true }) {
+        super({ name, model });
+
+        this.label = label;
+        this.streamUsage = streamUsage;
+        this.maxTokens = maxTokens;
+        this.temperature = temperature;
+        this.client = axios.create({
+            baseURL,
+            headers: {
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                'Content-Type': 'application/json'
+            },
+            timeout
+        });
+    }
+
+    get type() {
+        return 'openai';
+    }
+
+    get supportsStreaming() {
+        return true;
+    }
+
+    buildRequest(messages, { maxTokens, temperature, user } = {}) {
+        return {
+            model: this.model,
+            messages,
+            max_tokens: maxTokens || this.maxTokens,
+            temperature: temperature ?? this.temperature,
+            ...(user ? { user } : {})
+        };
+    }
+
+    async chat(messages, options = {}) {
+        try {
+            const response = await this.client.post('/chat/completions', this.buildRequest(messages, options));
+
+            return {
+                text: response.data.choices?.[0]?.message?.content?.trim() || null,
+                tokens: response.data.usage?.total_tokens || null
+            };
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    async stream(messages, options = {}, onToken) {
+        try {
+            const response = await this.client.post('/chat/completions', {
+                ...this.buildRequest(messages, options),
+                stream: true,
+                ...(this.streamUsage ? { stream_options: { include_usage: true } } : {})
+            }, { responseType: 'stream' });
+
+            let text = '';
+            let tokens = null;
+
+            await readEventStream(response.data, async (event) => {
+                const delta = event.choices?.[0]?.delta?.content;
+                if (event.usage?.total_tokens) tokens = event.usage.total_tokens;
+
+                if (delta) {
+                    text += delta;
+                    await onToken(delta, text);
+                }
+            });
+
+            return { text: text.trim() || null, tokens };
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    handleError(error) {
+        if (error.response?.status === 429) {
+            throw new Error(`${this.label} rate limit exceeded. Please try again later.`);
+        } else if (error.response?.status === 401) {
+            throw new Error(`${this.label} API key invalid or expired.`);
+        } else if (error.response?.status === 402) {
+            throw new Error(`${this.label} quota exceeded. Please check your billing.`);
+        }
+
+        throw new Error(`${this.label} request failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+    }
+}
+
+class GeminiProvider extends AIProvider {
+    constructor({ name = 'gemini', baseURL = 'https://generativelanguage.googleapis.com/v1beta', apiKey, model = 'gemini-pro', maxTokens = 150, temperature = 0.7, timeout = 30000 }) {
+        super({ name, model });
+
+        if (!apiKey) {
+            throw new Error('Gemini provider requires an API key');
+        }
+
+        this.apiKey = apiKey;
+        this.maxTokens = maxTokens;
+        this.temperature = temperature;
+        this.client = axios.create({ baseURL: `${baseURL}/models`, timeout });
+    }
+
+    get type() {
+        return 'gemini';
+    }
+
+    buildContents(messages) {
+        const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n');
+        const turns = messages.filter(message => message.role !== 'system').map(message => ({
+            role: message.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: message.content }]
+        }));
+
+        return system
+            ? [{ role: 'user', parts: [{ text: system }] }, { role: 'model', parts: [{ text: 'Understood.' }] }, ...turns]
+            : turns;
+    }
+
+    get supportsStreaming() {
+        return true;
+    }
+
+    buildRequest(messages, { maxTokens, temperature } = {}) {
+        return {
+            contents: this.buildContents(messages),
+            generationConfig: {
+                temperature: temperature ?? this.temperature,
+                topK: 40,
+                topP: 0.95,
+                maxOutputTokens: maxTokens || this.maxTokens
+            }
+        };
+    }
+
+    async chat(messages, options = {}) {
+        try {
+            const response = await this.client.post(`/${this.model}:generateContent`, this.buildRequest(messages, options), {
+                params: { key: this.apiKey }
+            });
+
+            return {
+                text: response.data.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || null,
+                tokens: response.data.usageMetadata?.totalTokenCount || null
+            };
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    async stream(messages, options = {}, onToken) {
+        try {
+            const response = await this.client.post(`/${this.model}:streamGenerateContent`, this.buildRequest(messages, options), {
+                params: { key: this.apiKey, alt: 'sse' },
+                responseType: 'stream'
+            });
+
+            let text = '';
+            let tokens = null;
+
+            await readEventStream(response.data, async (event) => {
+                const delta = event.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('');
+                if (event.usageMetadata?.totalTokenCount) tokens = event.usageMetadata.totalTokenCount;
+
+                if (delta) {
+                    text += delta;
+                    await onToken(delta, text);
+                }
+            });
+
+            return { text: text.trim() || null, tokens };
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    handleError(error) {
+        if (error.response?.status === 429) {
+            throw new Error('Gemini rate limit exceeded. Please try again later.');
+        } else if (error.response?.status === 403) {
+            throw new Error('Gemini API access denied. Check your API key.');
+        }
+
+        throw new Error(`Gemini request failed: ${error.response ? `HTTP ${error.response.status}` : error.message}`);
+    }
+}
+
+class MockProvider extends AIProvider {
+    constructor({ name = 'mock', model = 'mock', responses = [], handler = null, failing = false } = {}) {
+        super({ name, model });
+
+        this.responses = responses;
+        this.handler = handler;
+        this.failing = failing;
+        this.calls = [];
+    }
+
+    get type() {
+        return 'mock';
+    }
+
+    get supportsStreaming() {
+        return true;
+    }
+
+    setFailing(failing = true) {
+        this.failing = failing;
+    }
+
+    async chat(messages, options = {}) {
+        this.calls.push({ messages, options });
+
+        if (this.failing) {
+            throw new Error(`${this.name}: simulated failure`);
+        }
+
+        const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+        const text = this.handler
+            ? await this.handler(messages, options)
+            : this.responses.length
+                ? this.responses[(this.calls.length - 1) % this.responses.length]
+                : `Mock reply: ${prompt}`;
+
+        return {
+            text,
+            tokens: estimateTokens(messages.map(message => message.content).join('') + text)
+        };
+    }
+
+    async stream(messages, options = {}, onToken) {
+        const result = await this.chat(messages, options);
+        let text = '';
+
+        for (const delta of result.text.match(/\S+\s*/g) || []) {
+            text += delta;
+            await onToken(delta, text);
+        }
+
+        return result;
+    }
+}
+
+const PROVIDER_TYPES = {
+    openai: OpenAIProvider,
+    'openai-compatible': OpenAIProvider,
+    gemini: GeminiProvider,
+    mock: MockProvider
+};
+
+function createProvider({ type, ...options }) {
+    const Provider = PROVIDER_TYPES[type];
+
+    if (!Provider) {
+        throw new Error(`Unknown AI provider type: ${type}`);
+    }
+
+    return new Provider(options);
+}
+
+class ProviderRegistry {
+    constructor({ defaultOrder = [], breaker = {} } = {}) {
+        this.providers = new Map();
+        this.breakers = new Map();
+        this.defaultOrder = defaultOrder;
+        this.breakerOptions = breaker;
+        this.routes = {};
+        this.routesLoadedAt = 0;
+    }
+
+    register(provider) {
+        this.providers.set(provider.name, provider);
+        this.breakers.set(provider.name, new CircuitBreaker(this.breakerOptions));
+        return provider;
+    }
+
+    unregister(name) {
+        this.breakers.delete(name);
+        return this.providers.delete(name);
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    get size() {
+        return this.providers.size;
+    }
+
+    getMaxTokens() {
+        return Math.max(0, ...[...this.providers.values()].map(provider => provider.maxTokens || 0));
+    }
+
+    getOrder() {
+        const configured = this.defaultOrder.filter(name => this.providers.has(name));
+        const remaining = [...this.providers.keys()].filter(name => !configured.includes(name));
+        return [...configured, ...remaining];
+    }
+
+    getRouteKey(group, command) {
+        return `${group || '*'}:${command || '*'}`;
+    }
+
+    async loadRoutes(force = false) {
+        if (!force && Date.now() - this.routesLoadedAt < ROUTES_REFRESH) {
+            return this.routes;
+        }
+
+        try {
+            this.routes = await getSetting(ROUTES_KEY, {}) || {};
+            this.routesLoadedAt = Date.now();
+        } catch (error) {
+            logger.debug('Failed to load AI routes:', error);
+        }
+
+        return this.routes;
+    }
+
+    async setRoute({ group = null, command = null, providers }, updatedBy = null) {
+        if (!group && !command) {
+            throw new Error('A route needs a group, a command or both');
+        }
+
+        const unknown = providers.filter(name => !this.providers.has(name));
+        if (!providers.length || unknown.length) {
+            throw new Error(`Unknown provider${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ') || 'none given'}. Available: ${[...this.providers.keys()].join(', ') || 'none'}`);
+        }
+
+        const routes = { ...await this.loadRoutes(true) };
+        routes[this.getRouteKey(group, command)] = [...new Set(providers)];
+
+        await setSetting(ROUTES_KEY, routes, updatedBy);
+        this.routes = routes;
+
+        return { group, command, providers: routes[this.getRouteKey(group, command)] };
+    }
+
+    async removeRoute({ group = null, command = null }, updatedBy = null) {
+        const routes = { ...await this.loadRoutes(true) };
+        const key = this.getRouteKey(group, command);
+
+        if (!routes[key]) return false;
+
+        delete routes[key];
+        await setSetting(ROUTES_KEY, routes, updatedBy);
+        this.routes = routes;
+
+        return true;
+    }
+
+    async listRoutes(group) {
+        const routes = await this.loadRoutes();
+
+        return Object.entries(routes)
+            .map(([key, providers]) => {
+                const [scope, command] = key.split(/:(?=[^:]*$)/);
+                return {
+                    group: scope === '*' ? null : scope,
+                    command: command === '*' ? null : command,
+                    providers
+                };
+            })
+            .filter(route => group === undefined || !route.group || route.group === group);
+    }
+
+    async resolveRoute({ command = null, group = null, providers = null, preferred = null } = {}) {
+        if (providers?.length) {
+            return { providers: providers.filter(name => this.providers.has(name)), rule: 'explicit' };
+        }
+
+        const routes = await this.loadRoutes();
+        const candidates = [];
+
+        if (command) {
+            if (group) candidates.push([group, command]);
+            candidates.push([null, command]);
+        }
+
+        if (group) {
+            candidates.push([group, null]);
+        }
+
+        for (const [scopeGroup, scopeCommand] of candidates) {
+            const key = this.getRouteKey(scopeGroup, scopeCommand);
+            const route = routes[key]?.filter(name => this.providers.has(name));
+
+            if (route?.length) {
+                return { providers: route, rule: key };
+            }
+        }
+
+        if (preferred && this.providers.has(preferred)) {
+            return { providers: [preferred, ...this.getOrder().filter(name => name !== preferred)], rule: 'preferred' };
+        }
+
+        return { providers: this.getOrder(), rule: 'default' };
+    }
+
+    async complete(messages, context = {}) {
+        const route = await this.resolveRoute(context);
+        const attempts = [];
+
+        for (const name of route.providers) {
+            const breaker = this.breakers.get(name);
+
+            if (!breaker.canRequest()) {
+                attempts.push({ provider: name, skipped: true, error: 'circuit open' });
+                continue;
+            }
+
+            try {
+                const provider = this.get(name);
+                const result = context.onToken
+                    ? await provider.stream(messages, context, context.onToken)
+                    : await provider.chat(messages, context);
+
+                if (!result?.text) {
+                    throw new Error(`${name}: empty response`);
+                }
+
+                breaker.recordSuccess();
+                return { ...result, provider: name, rule: route.rule, attempts };
+            } catch (error) {
+                breaker.recordFailure(error);
+                attempts.push({ provider: name, error: error.message });
+                logger.warn(`AI provider ${name} failed${breaker.state === 'open' ? ' (circuit opened)' : ''}: ${error.message}`);
+            }
+        }
+
+        const error = new Error(route.providers.length
+            ? `No AI provider could answer (${attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')})`
+            : 'No AI provider is configured');
+
+        error.code = 'AI_UNAVAILABLE';
+        error.attempts = attempts;
+        throw error;
+    }
+
+    resetBreaker(name) {
+        const breaker = this.breakers.get(name);
+        if (!breaker) return false;
+
+        breaker.reset();
+        return true;
+    }
+
+    getStatus() {
+        return [...this.providers.values()].map(provider => ({
+            name: provider.name,
+            type: provider.type,
+            model: provider.model,
+            streaming: provider.supportsStreaming,
+            ...this.breakers.get(provider.name).getStatus()
+        }));
+    }
+}
+
+module.exports = {
+    AIProvider,
+    OpenAIProvider,
+    GeminiProvider,
+    MockProvider,
+    CircuitBreaker,
+    ProviderRegistry,
+    PROVIDER_TYPES,
+    createProvider,
+    estimateTokens,
+    readEventStream
+};
@@ -2,12 +2,40 @@ const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { cache } = require('../utils/cache');
+const { rateLimiter } = require('../utils/rateLimiter');
+const quotaManager = require('../utils/quotaManager');
+const conversations = require('../models/Conversation');
+const { ProviderRegistry, createProvider, estimateTokens } = require('./aiProviders');
+
+const AI_PERSONAS = {
+    assistant: {
+        name: 'Assistant',
+        prompt: 'You are Ilom Bot, a helpful WhatsApp assistant created by Ilom. You are friendly, knowledgeable, and concise.'
+    },
+    tutor: {
+        name: 'Tutor',
+        prompt: 'You are Ilom Bot acting as a patient tutor. Explain concepts step by step with short examples and check understanding.'
+    },
+    coder: {
+        name: 'Coder',
+        prompt: 'You are Ilom Bot acting as a senior software engineer. Give precise technical answers with short code snippets when useful.'
+    },
+    comedian: {
+        name: 'Comedian',
+        prompt: 'You are Ilom Bot in comedian mode. Answer helpfully but with light, friendly humour and playful wording.'
+    },
+    formal: {
+        name: 'Formal',
+        prompt: 'You are Ilom Bot, a professional assistant. Use formal, polite language and well-structured answers.'
+    }
+};
 
 class AIService {
     constructor() {
-        this.openaiClient = null;
-        this.geminiClient = null;
-        this.conversationHistory = new Map();
+        this.providers = new ProviderRegistry({
+            defaultOrder: config.ai.providerOrder,
+            breaker: config.ai.circuitBreaker
+        });
         this.rateLimits = new Map();
         this.isInitialized = false;
     }
@@ -16,154 +44,112 @@ class AIService {
         if (this.isInitialized) return;
 
         try {
-            if (config.apis.openai.apiKey) {
-                this.setupOpenAI();
-            }
-
-            if (config.apis.gemini.apiKey) {
-                this.setupGemini();
+            for (const options of this.getProviderConfigs()) {
+                try {
+                    this.providers.register(createProvider(options));
+                    logger.info(`AI provider ${options.name} initialized`);
+                } catch (error) {
+                    logger.error(`AI provider ${options.name} disabled:`, error);
+                }
             }
 
             this.isInitialized = true;
-            logger.info('AI Service initialized');
+            logger.info(`AI Service initialized (route: ${this.providers.getOrder().join(' → ') || 'none'})`);
         } catch (error) {
             logger.error('AI Service initialization failed:', error);
             throw error;
         }
     }
 
-    setupOpenAI() {
-        this.openaiClient = axios.create({
-            baseURL: config.apis.openai.baseURL || 'https://api.openai.com/v1',
-            headers: {
-                'Authorization': `Bearer ${config.apis.openai.apiKey}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 30000
-        });
-
-        logger.info('OpenAI client initialized');
-    }
+    getProviderConfigs() {
+        const { openai, gemini, localAI } = config.apis;
+        const providers = [];
+
+        if (openai.apiKey) {
+            providers.push({
+                type: 'openai',
+                name: 'openai',
+                baseURL: openai.baseURL || 'https://api.openai.com/v1',
+                apiKey: openai.apiKey,
+                model: openai.model || 'gpt-3.5-turbo',
+                maxTokens: openai.maxTokens || 150,
+                temperature: openai.temperature || 0.7
+            });
+        }
 
-    setupGemini() {
-        this.geminiClient = axios.create({
-            baseURL: `${config.apis.gemini.baseURL || 'https://generativelanguage.googleapis.com/v1beta'}/models`,
-            timeout: 30000
-        });
+        if (gemini.apiKey) {
+            providers.push({
+                type: 'gemini',
+                name: 'gemini',
+                baseURL: gemini.baseURL || 'https://generativelanguage.googleapis.com/v1beta',
+                apiKey: gemini.apiKey,
+                model: gemini.model || 'gemini-pro'
+            });
+        }
 
-        logger.info('Gemini client initialized');
-    }
+        if (localAI?.baseURL) {
+            providers.push({
+                type: 'openai-compatible',
+                name: 'local',
+                label: 'Local AI',
+                baseURL: localAI.baseURL,
+                apiKey: localAI.apiKey,
+                model: localAI.model,
+                timeout: 120000,
+                streamUsage: false
+            });
+        }
 
-    async getChatGPTResponse(prompt, user = null, context = {}) {
-        if (!this.openaiClient) {
-            throw new Error('OpenAI not configured');
+        if (config.ai.mockProvider) {
+            providers.push({ type: 'mock', name: 'mock' });
         }
 
-        try {
-            if (!await this.checkRateLimit('openai', user?.jid)) {
-                throw new Error('Rate limit exceeded for OpenAI');
-            }
+        return providers;
+    }
 
-            const cacheKey = `chatgpt_${this.hashString(prompt)}`;
-            const cached = await cache.get(cacheKey);
-            if (cached) {
-                return cached;
-            }
+    registerProvider(provider) {
+        return this.providers.register(provider);
+    }
 
-            const messages = this.buildConversationHistory(prompt, user?.jid, 'openai');
-            
-            const response = await this.openaiClient.post('/chat/completions', {
-                model: config.apis.openai.model || 'gpt-3.5-turbo',
-                messages,
-                max_tokens: config.apis.openai.maxTokens || 150,
-                temperature: config.apis.openai.temperature || 0.7,
-                presence_penalty: 0.6,
-                frequency_penalty: 0.5,
-                user: user?.jid || 'anonymous'
-            });
+    async getResponse(prompt, user = null, context = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
 
-            const aiResponse = response.data.choices[0]?.message?.content?.trim();
-            
-            if (aiResponse) {
-                await cache.set(cacheKey, aiResponse, 1800);
-                this.updateConversationHistory(user?.jid, 'openai', prompt, aiResponse);
-                await this.updateRateLimit('openai', user?.jid);
-            }
+        await this.checkRateLimit(user);
 
-            return aiResponse;
-        } catch (error) {
-            logger.error('ChatGPT API error:', error);
-            
-            if (error.response?.status === 429) {
-                throw new Error('OpenAI rate limit exceeded. Please try again later.');
-            } else if (error.response?.status === 401) {
-                throw new Error('OpenAI API key invalid or expired.');
-            } else if (error.response?.status === 402) {
-                throw new Error('OpenAI quota exceeded. Please check your billing.');
-            }
-            
-            throw new Error('Failed to get AI response. Please try again.');
-        }
-    }
+        const conversation = await this.loadConversation(context.chatId);
+        const messages = this.buildConversationHistory(prompt, user, context, conversation);
 
-    async getGeminiResponse(prompt, user = null, context = {}) {
-        if (!this.geminiClient) {
-            throw new Error('Gemini not configured');
-        }
+        await this.checkQuota(user, context, 'aiTokens', this.estimateRequestTokens(messages, context));
 
-        try {
-            if (!await this.checkRateLimit('gemini', user?.jid)) {
-                throw new Error('Rate limit exceeded for Gemini');
-            }
+        const result = await this.providers.complete(messages, {
+            command: context.command || null,
+            group: context.groupJid || null,
+            providers: context.providers || null,
+            preferred: context.preferred || null,
+            onToken: context.onToken || null,
+            maxTokens: context.maxTokens || null,
+            user: user?.jid || 'anonymous'
+        });
 
-            const cacheKey = `gemini_${this.hashString(prompt)}`;
-            const cached = await cache.get(cacheKey);
-            if (cached) {
-                return cached;
-            }
+        await this.recordTokens(user, context, result.tokens, messages, result.text);
+        await this.updateConversationHistory(user, context, prompt, result.text);
 
-            const model = config.apis.gemini.model || 'gemini-pro';
-            const response = await this.geminiClient.post(`/${model}:generateContent`, {
-                contents: [{
-                    parts: [{
-                        text: this.buildGeminiPrompt(prompt, user, context)
-                    }]
-                }],
-                generationConfig: {
-                    temperature: 0.7,
-                    topK: 40,
-                    topP: 0.95,
-                    maxOutputTokens: 150
-                }
-            }, {
-                params: {
-                    key: config.apis.gemini.apiKey
-                }
-            });
+        return result;
+    }
 
-            const aiResponse = response.data.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
-            
-            if (aiResponse) {
-                await cache.set(cacheKey, aiResponse, 1800);
-                this.updateConversationHistory(user?.jid, 'gemini', prompt, aiResponse);
-                await this.updateRateLimit('gemini', user?.jid);
-            }
+    async getChatGPTResponse(prompt, user = null, context = {}) {
+        const result = await this.getResponse(prompt, user, { ...context, providers: ['openai'] });
+        return result.text;
+    }
 
-            return aiResponse;
-        } catch (error) {
-            logger.error('Gemini API error:', error);
-            
-            if (error.response?.status === 429) {
-                throw new Error('Gemini rate limit exceeded. Please try again later.');
-            } else if (error.response?.status === 403) {
-                throw new Error('Gemini API access denied. Check your API key.');
-            }
-            
-            throw new Error('Failed to get AI response. Please try again.');
-        }
+    async getGeminiResponse(prompt, user = null, context = {}) {
+        const result = await this.getResponse(prompt, user, { ...context, providers: ['gemini'] });
+        return result.text;
     }
 
-    async generateResponse(prompt, user = null, isGroup = false) {
+    async generateResponse(prompt, user = null, isGroup = false, groupJid = null, options = {}) {
         try {
             if (!this.isInitialized) {
                 await this.initialize();
@@ -179,81 +165,167 @@ class AIService {
                 return 'I cannot respond to inappropriate content. Please ask something else.';
             }
 
+            if (!this.providers.size) {
+                return this.getFallbackResponse(cleanPrompt);
+            }
+
             const context = {
                 isGroup,
+                groupJid: isGroup ? groupJid : null,
+                chatId: isGroup ? groupJid : user?.jid || null,
+                command: options.command || null,
+                providers: options.providers || null,
+                preferred: options.preferred || null,
+                onToken: options.onToken || null,
                 userInfo: user ? {
                     name: user.name || 'User',
                     isPremium: user.isPremium || false
                 } : null
             };
 
-            let response = null;
+            const result = await this.getResponse(cleanPrompt, user, context);
 
-            if (config.apis.openai.apiKey && Math.random() < 0.7) {
-                response = await this.getChatGPTResponse(cleanPrompt, user, context);
-            } else if (config.apis.gemini.apiKey) {
-                response = await this.getGeminiResponse(cleanPrompt, user, context);
+            return this.postProcessResponse(result.text, user, isGroup);
+        } catch (error) {
+            if (error.code === 'RATE_LIMITED') {
+                return `⏳ ${error.message}`;
             }
 
-            if (!response) {
-                return this.getFallbackResponse(cleanPrompt);
+            if (error.code === 'QUOTA_EXCEEDED') {
+                return `📊 ${error.message}`;
             }
 
-            return this.postProcessResponse(response, user, isGroup);
-        } catch (error) {
             logger.error('AI response generation failed:', error);
             return this.getFallbackResponse(prompt);
         }
     }
 
-    buildConversationHistory(prompt, userId, provider) {
-        const historyKey = `${provider}_${userId || 'anonymous'}`;
-        const history = this.conversationHistory.get(historyKey) || [];
-        
-        const systemMessage = {
-            role: 'system',
-            content: `You are Ilom Bot, a helpful WhatsApp assistant created by Ilom. You are friendly, knowledgeable, and concise. Keep responses under 200 words. Current time: ${new Date().toLocaleString()}`
-        };
+    async loadConversation(chatId) {
+        if (!chatId) return null;
 
-        const messages = [systemMessage];
-        
-        history.slice(-6).forEach(entry => {
-            messages.push(
-                { role: 'user', content: entry.prompt },
-                { role: 'assistant', content: entry.response }
-            );
+        try {
+            return await conversations.getConversation(chatId);
+        } catch (error) {
+            logger.error('Failed to load AI conversation:', error);
+            return null;
+        }
+    }
+
+    getPersona(conversation) {
+        const key = conversation?.persona || config.ai.defaultPersona;
+        return AI_PERSONAS[key] ? { key, ...AI_PERSONAS[key] } : { key: 'assistant', ...AI_PERSONAS.assistant };
+    }
+
+    buildSystemPrompt(conversation, context = {}) {
+        const parts = [
+            conversation?.systemPrompt || this.getPersona(conversation).prompt,
+            `Keep responses under 200 words. Current time: ${new Date().toLocaleString()}`
+        ];
+
+        if (context.isGroup) {
+            parts.push('This is a group chat. User messages are prefixed with the sender\'s name.');
+        }
+
+        if (conversation?.summary) {
+            parts.push(`Summary of the earlier conversation: ${conversation.summary}`);
+        }
+
+        return parts.join('\n');
+    }
+
+    formatUserMessage(entry, isGroup) {
+        return isGroup && entry.name ? `${entry.name}: ${entry.content}` : entry.content;
+    }
+
+    buildConversationHistory(prompt, user, context = {}, conversation = null) {
+        const messages = [{ role: 'system', content: this.buildSystemPrompt(conversation, context) }];
+
+        for (const entry of conversation?.messages || []) {
+            messages.push({
+                role: entry.role,
+                content: entry.role === 'user' ? this.formatUserMessage(entry, context.isGroup) : entry.content
+            });
+        }
+
+        messages.push({
+            role: 'user',
+            content: this.formatUserMessage({ name: user?.name, content: prompt }, context.isGroup)
         });
 
-        messages.push({ role: 'user', content: prompt });
-        
         return messages;
     }
 
-    buildGeminiPrompt(prompt, user, context) {
-        const systemInfo = `You are Ilom Bot, a helpful WhatsApp assistant. Be friendly and concise.`;
-        const userInfo = user ? `User: ${user.name || 'User'}` : '';
-        const contextInfo = context.isGroup ? 'This is a group chat.' : 'This is a private chat.';
-        
-        return `${systemInfo}\n${userInfo}\n${contextInfo}\n\nUser question: ${prompt}\n\nResponse:`;
+    estimateTokens(text) {
+        return estimateTokens(text);
+    }
+
+    estimateRequestTokens(messages, context = {}) {
+        const completion = context.maxTokens || this.providers.getMaxTokens();
+        return this.estimateTokens(messages.map(message => message.content).join('')) + completion;
     }
 
-    updateConversationHistory(userId, provider, prompt, response) {
-        if (!userId) return;
+    async updateConversationHistory(user, context = {}, prompt, response) {
+        if (!context.chatId) return;
 
-        const historyKey = `${provider}_${userId}`;
-        const history = this.conversationHistory.get(historyKey) || [];
-        
-        history.push({
-            prompt,
-            response,
-            timestamp: Date.now()
+        try {
+            const conversation = await conversations.appendMessages(context.chatId, [
+                { role: 'user', content: prompt, sender: user?.jid || null, name: user?.name || null, tokens: this.estimateTokens(prompt) },
+                { role: 'assistant', content: response, tokens: this.estimateTokens(response) }
+            ], { isGroup: !!context.isGroup });
+
+            if (conversation?.tokenCount > config.ai.historyTokenBudget) {
+                await this.summarizeConversation(conversation, user, context);
+            }
+        } catch (error) {
+            logger.error('Failed to save AI conversation:', error);
+        }
+    }
+
+    async summarizeConversation(conversation, user = null, context = {}) {
+        const keep = Math.max(2, config.ai.keepRecentMessages - config.ai.keepRecentMessages % 2);
+        const older = conversation.messages.slice(0, -keep);
+
+        if (!older.length) return conversation;
+
+        const transcript = older
+            .map(entry => `${entry.role === 'assistant' ? 'Bot' : entry.name || 'User'}: ${entry.content}`)
+            .join('\n');
+
+        let summary;
+
+        try {
+            summary = await this.requestSummary(conversation.summary, transcript, user, context);
+        } catch (error) {
+            logger.error('AI conversation summarization failed:', error);
+            return conversation;
+        }
+
+        const compacted = await conversations.compactConversation(conversation, {
+            dropCount: older.length,
+            summary,
+            summaryTokens: this.estimateTokens(summary)
         });
 
-        if (history.length > 10) {
-            history.shift();
+        if (!compacted) {
+            logger.debug(`Skipped compacting conversation ${conversation.chatId}: it changed while summarizing`);
         }
 
-        this.conversationHistory.set(historyKey, history);
+        return compacted || conversation;
+    }
+
+    async requestSummary(previousSummary, transcript, user = null, context = {}) {
+        const prompt = `Summarize this chat so it can be continued later. Keep names, facts, decisions and open questions. Use at most 120 words.${previousSummary ? `\n\nEarlier summary: ${previousSummary}` : ''}\n\nConversation:\n${transcript}`;
+
+        const result = await this.providers.complete([{ role: 'user', content: prompt }], {
+            command: context.command || null,
+            group: context.groupJid || null,
+            providers: context.providers || null,
+            maxTokens: 200,
+            temperature: 0.3
+        });
+
+        await this.recordTokens(user, context, result.tokens, prompt, result.text);
+        return result.text;
     }
 
     sanitizePrompt(prompt) {
@@ -274,29 +346,17 @@ class AIService {
         return inappropriateWords.some(word => lowerPrompt.includes(word));
     }
 
-    async checkRateLimit(provider, userId) {
-        if (!userId) return true;
-
-        const rateLimitKey = `${provider}_rate_${userId}`;
-        const requests = await cache.get(rateLimitKey) || 0;
-        
-        const limit = provider === 'openai' ? 10 : 15;
-        const window = 3600000;
-
-        if (requests >= limit) {
-            return false;
-        }
-
-        return true;
+    async checkRateLimit(user, label = 'AI') {
+        return await rateLimiter.assertLimit(user, 'ai', label);
     }
 
-    async updateRateLimit(provider, userId) {
-        if (!userId) return;
+    async checkQuota(user, context = {}, metric, amount = 1) {
+        return await quotaManager.assertAvailable({ user, groupJid: context.groupJid }, metric, amount);
+    }
 
-        const rateLimitKey = `${provider}_rate_${userId}`;
-        const requests = await cache.get(rateLimitKey) || 0;
-        
-        await cache.set(rateLimitKey, requests + 1, 3600);
+    async recordTokens(user, context = {}, totalTokens, input, output) {
+        const tokens = totalTokens || this.estimateTokens(JSON.stringify(input || '') + (output || ''));
+        await quotaManager.record({ user, groupJid: context.groupJid }, { aiTokens: tokens });
     }
 
     getFallbackResponse(prompt) {
@@ -340,17 +400,21 @@ class AIService {
         return Math.abs(hash).toString(36);
     }
 
-    async generateImage(prompt, user = null) {
-        if (!this.openaiClient) {
+    async generateImage(prompt, user = null, context = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const openai = this.providers.get('openai');
+        if (!openai) {
             throw new Error('OpenAI not configured for image generation');
         }
 
-        try {
-            if (!await this.checkRateLimit('dall-e', user?.jid)) {
-                throw new Error('Rate limit exceeded for image generation');
-            }
+        await this.checkRateLimit(user, 'image generation');
+        await this.checkQuota(user, context, 'images');
 
-            const response = await this.openaiClient.post('/images/generations', {
+        try {
+            const response = await openai.client.post('/images/generations', {
                 prompt: this.sanitizePrompt(prompt),
                 n: 1,
                 size: '512x512',
@@ -361,7 +425,7 @@ class AIService {
             const imageUrl = response.data.data[0]?.url;
             
             if (imageUrl) {
-                await this.updateRateLimit('dall-e', user?.jid);
+                await quotaManager.record({ user, groupJid: context.groupJid }, { images: 1 });
                 return imageUrl;
             }
 
@@ -486,22 +550,56 @@ class AIService {
         return { keywords, totalWords: words.length };
     }
 
-    clearConversationHistory(userId, provider = null) {
-        if (provider) {
-            this.conversationHistory.delete(`${provider}_${userId}`);
-        } else {
-            ['openai', 'gemini'].forEach(p => {
-                this.conversationHistory.delete(`${p}_${userId}`);
-            });
+    async clearConversationHistory(chatId, options = {}) {
+        return await conversations.resetConversation(chatId, options);
+    }
+
+    async getConversationInfo(chatId) {
+        const conversation = await this.loadConversation(chatId);
+
+        return {
+            persona: this.getPersona(conversation),
+            customPrompt: conversation?.systemPrompt || null,
+            messages: conversation?.messages?.length || 0,
+            tokenCount: conversation?.tokenCount || 0,
+            summarized: !!conversation?.summary,
+            summarizedAt: conversation?.summarizedAt || null
+        };
+    }
+
+    async setPersona(chatId, persona, { isGroup = false, updatedBy = null } = {}) {
+        const key = persona?.toLowerCase();
+
+        if (!AI_PERSONAS[key]) {
+            throw new Error(`Unknown persona: ${persona}. Available: ${Object.keys(AI_PERSONAS).join(', ')}`);
+        }
+
+        return await conversations.setPersona(chatId, { persona: key, systemPrompt: null, isGroup }, updatedBy);
+    }
+
+    async setSystemPrompt(chatId, systemPrompt, { isGroup = false, updatedBy = null } = {}) {
+        const prompt = systemPrompt?.trim();
+
+        if (!prompt) {
+            throw new Error('System prompt cannot be empty');
         }
+
+        if (prompt.length > config.ai.maxSystemPromptLength) {
+            throw new Error(`System prompt must be under ${config.ai.maxSystemPromptLength} characters`);
+        }
+
+        return await conversations.setPersona(chatId, { persona: null, systemPrompt: prompt, isGroup }, updatedBy);
+    }
+
+    async resetPersona(chatId, { isGroup = false, updatedBy = null } = {}) {
+        return await conversations.setPersona(chatId, { persona: null, systemPrompt: null, isGroup }, updatedBy);
     }
 
     getServiceStats() {
         return {
             initialized: this.isInitialized,
-            openai: !!this.openaiClient,
-            gemini: !!this.geminiClient,
-            conversationHistories: this.conversationHistory.size,
+            providers: this.providers.getStatus(),
+            route: this.providers.getOrder(),
             rateLimits: this.rateLimits.size
         };
     }
@@ -511,13 +609,20 @@ const aiService = new AIService();
 
 module.exports = {
     aiService,
+    AI_PERSONAS,
     initialize: () => aiService.initialize(),
     getChatGPTResponse: (prompt, user, context) => aiService.getChatGPTResponse(prompt, user, context),
     getGeminiResponse: (prompt, user, context) => aiService.getGeminiResponse(prompt, user, context),
-    generateResponse: (prompt, user, isGroup) => aiService.generateResponse(prompt, user, isGroup),
-    generateImage: (prompt, user) => aiService.generateImage(prompt, user),
+    getResponse: (prompt, user, context) => aiService.getResponse(prompt, user, context),
+    generateResponse: (prompt, user, isGroup, groupJid, options) => aiService.generateResponse(prompt, user, isGroup, groupJid, options),
+    registerProvider: (provider) => aiService.registerProvider(provider),
+    generateImage: (prompt, user, context) => aiService.generateImage(prompt, user, context),
     translateText: (text, targetLang, sourceLang) => aiService.translateText(text, targetLang, sourceLang),
     analyzeText: (text, type) => aiService.analyzeText(text, type),
-    clearConversationHistory: (userId, provider) => aiService.clearConversationHistory(userId, provider),
+    clearConversationHistory: (chatId, options) => aiService.clearConversationHistory(chatId, options),
+    getConversationInfo: (chatId) => aiService.getConversationInfo(chatId),
+    setPersona: (chatId, persona, options) => aiService.setPersona(chatId, persona, options),
+    setSystemPrompt: (chatId, prompt, options) => aiService.setSystemPrompt(chatId, prompt, options),
+    resetPersona: (chatId, options) => aiService.resetPersona(chatId, options),
     getServiceStats: () => aiService.getServiceStats()
 };
\ No newline at end of file
@@ -5,6 +5,8 @@ const path = require('path');
 const { spawn } = require('child_process');
 const logger = require('../utils/logger');
 const { cache } = require('../utils/cache');
+const { rateLimiter } = require('../utils/rateLimiter');
+const quotaManager = require('../utils/quotaManager');
 const config = require('../config');
 
 class DownloadService {
@@ -32,7 +34,7 @@ class DownloadService {
             const cached = await cache.get(cacheKey);
             if (cached && await fs.pathExists(cached)) {
                 logger.info(`Using cached download: ${videoId}`);
-                return await fs.readFile(cached);
+                return { buffer: await fs.readFile(cached), info: {} };
             }
 
             const info = await ytdl.getInfo(url);
@@ -296,9 +298,6 @@ class DownloadService {
                 throw new Error('No media found in tweet');
             }
 
-            let mediaUrl;
-            if (media.type === 'video' || media.type === 'animated_gif') {
-                const variants = media.video_info.variants.filter(v => v.content_type === 'video/mp4');
             let mediaUrl;
             if (media.type === 'video' || media.type === 'animated_gif') {
                 const variants = media.video_info.variants.filter(v => v.content_type === 'video/mp4');
@@ -530,7 +529,31 @@ class DownloadService {
         return 'generic';
     }
 
+    async checkDownloadLimit(user) {
+        return await rateLimiter.assertLimit(user, 'downloads', 'download');
+    }
+
+    async checkDownloadQuota(options = {}, estimate = 1) {
+        return await quotaManager.assertAvailable({ user: options.user, groupJid: options.groupJid }, 'downloadBytes', Math.max(estimate, 1));
+    }
+
+    async getContentLength(url) {
+        try {
+            const response = await axios.head(url, { timeout: 5000 });
+            return parseInt(response.headers['content-length'], 10) || 0;
+        } catch (error) {
+            logger.debug(`Could not read the size of ${url}: ${error.message}`);
+            return 0;
+        }
+    }
+
     async smartDownload(url, options = {}) {
+        await this.checkDownloadLimit(options.user);
+
+        const platform = this.detectPlatform(url);
+        const estimate = platform === 'generic' ? await this.getContentLength(url) : 0;
+        const quota = await this.checkDownloadQuota(options, estimate);
+
         try {
             this.downloadStats.total++;
             
@@ -540,7 +563,6 @@ class DownloadService {
 
             this.activeDownloads.add(url);
             
-            const platform = this.detectPlatform(url);
             let result;
 
             switch (platform) {
@@ -569,11 +591,22 @@ class DownloadService {
                     result = await this.downloadPinterestImage(url);
                     break;
                 default:
-                    result = await this.downloadGeneric(url, options);
+                    result = await this.downloadGeneric(url, {
+                        ...options,
+                        maxSize: Math.min(
+                            options.maxSize || config.media.download.maxFileSize || 50 * 1024 * 1024,
+                            quotaManager.getRemaining(quota, 'downloadBytes')
+                        )
+                    });
                     break;
             }
 
             result.platform = platform;
+
+            if (result.buffer?.length) {
+                await quotaManager.record({ user: options.user, groupJid: options.groupJid }, { downloadBytes: result.buffer.length });
+            }
+
             return result;
         } finally {
             this.activeDownloads.delete(url);
@@ -1016,6 +1049,7 @@ const downloadService = new DownloadService();
 
 module.exports = {
     downloadService,
+    checkDownloadLimit: (user) => downloadService.checkDownloadLimit(user),
     downloadYouTube: (url, format, quality) => downloadService.downloadYouTube(url, format, quality),
     getYouTubeInfo: (url) => downloadService.getYouTubeInfo(url),
     downloadInstagram: (url) => downloadService.downloadInstagram(url),
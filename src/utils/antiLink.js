@@ -0,0 +1,179 @@
+const logger = require('./logger');
+const { warningManager } = require('./warningManager');
+
+const ANTILINK_ACTIONS = ['warn', 'kick', 'ban'];
+const MAX_WHITELIST = 50;
+
+const TLDS = [
+    'com', 'net', 'org', 'io', 'co', 'info', 'biz', 'xyz', 'app', 'dev', 'gg', 'ly', 'tv',
+    'uk', 'ng', 'de', 'ru', 'cn', 'br', 'fr', 'es', 'nl', 'pk', 'za',
+    'ke', 'gh', 'site', 'online', 'store', 'shop', 'link', 'live', 'club', 'top', 'tk', 'ml',
+    'ga', 'cf', 'gq', 'cc', 'ws', 'gl', 'sh', 'fm', 'bit', 'click'
+];
+
+// These double as everyday words ("ok.so", "go.to"), so a bare domain only counts with a path
+const AMBIGUOUS_TLDS = ['me', 'in', 'it', 'to', 'be', 'ai', 'so', 'us', 'id'];
+
+const OBFUSCATIONS = [
+    [/[\u200b-\u200d\u2060\ufeff]/g, ''],
+    [/\s*[[({<]\s*(?:\.|dot)\s*[\])}>]\s*/gi, '.'],
+    [/\s+dot\s+/gi, '.'],
+    [/\s*[[({<]\s*(?:\/|slash)\s*[\])}>]\s*/gi, '/'],
+    [/h\s*[xt]\s*[xt]\s*p\s*(s?)\s*:\s*\/\s*\//gi, 'http$1://'],
+    [/[\u3002\uff0e\uff61]/g, '.']
+];
+
+const DOMAIN_LABELS = '(?<![@\\w.-])(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\\.)+';
+
+const URL_PATTERN = new RegExp(
+    '(?:https?:\\/\\/[^\\s<>"\']+)|(?:www\\.[^\\s<>"\']+)' +
+    `|(?:${DOMAIN_LABELS}(?:${TLDS.join('|')})\\b(?:\\/[^\\s<>"']*)?)` +
+    `|(?:${DOMAIN_LABELS}(?:${AMBIGUOUS_TLDS.join('|')})\\/[^\\s<>"']*)`,
+    'gi'
+);
+
+const INVITE_PATTERN = /(?:https?:\/\/)?chat\.whatsapp\.com\/(?:invite\/)?[a-z0-9]{10,}/i;
+
+class AntiLinkManager {
+    normalizeText(text) {
+        return OBFUSCATIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text || ''));
+    }
+
+    getDomain(url) {
+        try {
+            const withProtocol = /^https?:\/\//i.test(url) ? url : `http://${url}`;
+            return new URL(withProtocol).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    detectLinks(text) {
+        const normalized = this.normalizeText(text);
+        const links = [];
+        const seen = new Set();
+
+        for (const match of normalized.matchAll(URL_PATTERN)) {
+            const url = match[0].replace(/[.,!?;:)\]}]+$/, '');
+            const domain = this.getDomain(url);
+
+            if (!domain || seen.has(url.toLowerCase())) {
+                continue;
+            }
+            seen.add(url.toLowerCase());
+
+            links.push({
+                url,
+                domain,
+                isInvite: INVITE_PATTERN.test(url)
+            });
+        }
+
+        return links;
+    }
+
+    normalizeDomain(value) {
+        return this.getDomain(String(value || '').trim().toLowerCase());
+    }
+
+    isWhitelisted(domain, whitelist = []) {
+        return whitelist.some(entry => {
+            const allowed = this.normalizeDomain(entry);
+            return allowed && (domain === allowed || domain.endsWith(`.${allowed}`));
+        });
+    }
+
+    findViolations(text, settings) {
+        if (!text) {
+            return [];
+        }
+
+        return this.detectLinks(text).filter(link => {
+            if (settings.inviteOnly && !link.isInvite) {
+                return false;
+            }
+            return !this.isWhitelisted(link.domain, settings.whitelist || []);
+        });
+    }
+
+    async getRoles(sock, groupJid, sender) {
+        const metadata = await sock.groupMetadata(groupJid);
+        const botJid = `${sock.user.id.split(':')[0].split('@')[0]}@s.whatsapp.net`;
+
+        return {
+            isSenderAdmin: !!metadata.participants.find(p => p.id === sender)?.admin,
+            isBotAdmin: !!metadata.participants.find(p => p.id === botJid)?.admin
+        };
+    }
+
+    async enforce(sock, message, group, sender, text) {
+        const settings = group?.settings?.antiLink;
+        if (!settings?.enabled || !text) {
+            return false;
+        }
+
+        const violations = this.findViolations(text, settings);
+        if (!violations.length) {
+            return false;
+        }
+
+        const from = message.key.remoteJid;
+
+        try {
+            const { isSenderAdmin, isBotAdmin } = await this.getRoles(sock, from, sender);
+            if (isSenderAdmin && settings.adminBypass !== false) {
+                return false;
+            }
+
+            if (isBotAdmin) {
+                await sock.sendMessage(from, { delete: message.key });
+            }
+
+            const isInvite = violations.some(link => link.isInvite);
+            const reason = isInvite ? 'Sharing group invite links' : `Sharing links (${violations[0].domain})`;
+            const action = ANTILINK_ACTIONS.includes(settings.action) ? settings.action : 'warn';
+            const tag = `@${sender.split('@')[0]}`;
+
+            if (action === 'warn') {
+                const result = await warningManager.addWarning(sock, from, sender, {
+                    reason,
+                    warnedBy: 'Anti-Link',
+                    source: 'antilink'
+                });
+
+                await sock.sendMessage(from, {
+                    text: `🔗 *Anti-Link*\n\n${warningManager.formatWarningMessage(sender, result)}`,
+                    contextInfo: { mentionedJid: [sender] }
+                });
+            } else {
+                const result = await warningManager.applyAction(sock, from, sender, { action, duration: null }, reason);
+
+                await sock.sendMessage(from, {
+                    text: result.applied
+                        ? `🔗 *Anti-Link*\n\n${tag} has been ${action === 'ban' ? 'banned and removed' : 'removed'}.\n\nReason: ${reason}`
+                        : `🔗 *Anti-Link*\n\n${tag}, links are not allowed here.${isBotAdmin ? '' : '\n\n⚠️ Make the bot an admin to enforce this.'}`,
+                    contextInfo: { mentionedJid: [sender] }
+                });
+            }
+
+            logger.info(`Anti-link ${action} for ${sender} in ${from}: ${violations.map(link => link.domain).join(', ')}`);
+            return true;
+        } catch (error) {
+            logger.error('Anti-link enforcement failed:', error);
+            return false;
+        }
+    }
+}
+
+const antiLinkManager = new AntiLinkManager();
+
+module.exports = {
+    antiLinkManager,
+    ANTILINK_ACTIONS,
+    MAX_WHITELIST,
+    detectLinks: (text) => antiLinkManager.detectLinks(text),
+    normalizeDomain: (value) => antiLinkManager.normalizeDomain(value),
+    isWhitelisted: (domain, whitelist) => antiLinkManager.isWhitelisted(domain, whitelist),
+    findViolations: (text, settings) => antiLinkManager.findViolations(text, settings),
+    enforce: (sock, message, group, sender, text) => antiLinkManager.enforce(sock, message, group, sender, text)
+};
@@ -58,7 +58,7 @@ class AntiSpam {
             const severity = this.calculateSeverity(spamIndicators);
             await this.recordViolation(userId, spamIndicators, severity);
 
-            const action = this.determineAction(userId, severity);
+            const action = await this.determineAction(userId, severity);
             
             return {
                 isSpam: true,
@@ -408,7 +408,11 @@ class AntiSpam {
     }
 
     async processSpamAction(sock, message, spamResult, context) {
-        const { from, sender, isGroup } = context;
+        const { from, sender, isGroup, group } = context;
+
+        if (isGroup && spamResult.action !== 'throttle') {
+            return await this.processGroupSpamAction(sock, spamResult, { from, sender, group });
+        }
         
         switch (spamResult.action) {
             case 'throttle':
@@ -444,6 +448,46 @@ class AntiSpam {
                 break;
         }
     }
+
+    async processGroupSpamAction(sock, spamResult, { from, sender, group }) {
+        const { warningManager } = require('./warningManager');
+        const reason = `Spam: ${spamResult.indicators.join(', ')}`;
+        const groupAction = group?.settings?.antiSpam?.action || 'warn';
+
+        try {
+            if (!config.antiSpam?.checkAdmins && await warningManager.isAdmin(sock, from, sender)) return;
+
+            if (groupAction === 'warn') {
+                const result = await warningManager.addWarning(sock, from, sender, {
+                    reason,
+                    warnedBy: 'Anti-Spam',
+                    source: 'antispam'
+                });
+
+                await sock.sendMessage(from, {
+                    text: warningManager.formatWarningMessage(sender, result),
+                    contextInfo: { mentionedJid: [sender] }
+                });
+                return;
+            }
+
+            const result = await warningManager.applyAction(sock, from, sender, {
+                action: groupAction,
+                duration: groupAction === 'mute' ? config.limits.tempBanDuration : null
+            }, reason);
+
+            if (result.applied) {
+                await sock.sendMessage(from, {
+                    text: `🚨 @${sender.split('@')[0]} has been ${groupAction === 'mute' ? 'muted' : 'removed'} for spam.
+
+Reason: ${spamResult.indicators.join(', ')}`,
+                    contextInfo: { mentionedJid: [sender] }
+                });
+            }
+        } catch (error) {
+            logger.error('Failed to process group spam action:', error);
+        }
+    }
 }
 
 const antiSpam = new AntiSpam();
@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const vm = require('vm');
+const config = require('../config');
+const logger = require('./logger');
+const cache = require('./cache');
+const { getGroup, updateGroup, updateGroupWhere } = require('../models/Group');
+const { getSetting, setSetting, updateSetting } = require('../models/Settings');
+const { getZonedParts } = require('./timeUtils');
+
+const GLOBAL_SCOPE = 'global';
+const MATCH_MODES = ['exact', 'contains', 'regex', 'startsWith'];
+const MAX_RULES_PER_SCOPE = 100;
+const MAX_RESPONSES_PER_RULE = 10;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_REGEX_INPUT = 1000;
+const REGEX_TIMEOUT = 50;
+const RULE_COOLDOWN = 5;
+
+class AutoReplyManager {
+    constructor() {
+        this.regexCache = new Map();
+        this.slowPatterns = new Set();
+        this.regexContext = vm.createContext({});
+        this.regexScript = new vm.Script('pattern.test(input)');
+    }
+
+    isGlobal(scope) {
+        return scope === GLOBAL_SCOPE;
+    }
+
+    normalizeRule(rule) {
+        const plain = rule.toObject ? rule.toObject() : { ...rule };
+        const responses = plain.responses?.length ? plain.responses : [plain.response].filter(Boolean);
+
+        return {
+            ...plain,
+            id: plain.id || String(plain._id || '').slice(-6),
+            match: plain.match || 'contains',
+            caseSensitive: !!plain.caseSensitive,
+            enabled: plain.enabled !== false,
+            responses
+        };
+    }
+
+    async getRules(scope) {
+        const rules = this.isGlobal(scope)
+            ? await getSetting('autoReply.rules', [])
+            : (await getGroup(scope))?.autoReplies || [];
+
+        return rules.map(rule => this.normalizeRule(rule));
+    }
+
+    async saveRules(scope, rules) {
+        if (this.isGlobal(scope)) {
+            await setSetting('autoReply.rules', rules);
+        } else {
+            await updateGroup(scope, { $set: { autoReplies: rules } });
+        }
+    }
+
+    async getGlobalConfig() {
+        return await getSetting('autoReply.config', {
+            enabled: true,
+            quietHours: { enabled: false, start: '22:00', end: '07:00' }
+        });
+    }
+
+    async setGlobalConfig(changes, updatedBy) {
+        const current = await this.getGlobalConfig();
+        const updated = {
+            ...current,
+            ...changes,
+            quietHours: { ...current.quietHours, ...(changes.quietHours || {}) }
+        };
+
+        await setSetting('autoReply.config', updated, updatedBy);
+        return updated;
+    }
+
+    findUnsafeConstruct(pattern) {
+        const groups = [{ repeats: false }];
+        let closed = null;
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            const quantifier = /^(?:[*+]|\{\d+,\d*\}|\{\d+\})/.exec(pattern.slice(i))?.[0];
+
+            if (char === '\\') {
+                if (/[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences';
+                i++;
+            } else if (char === '[') {
+                while (i < pattern.length && pattern[i] !== ']') {
+                    i += pattern[i] === '\\' ? 2 : 1;
+                }
+            } else if (char === '(') {
+                groups.push({ repeats: false });
+            } else if (char === ')' && groups.length > 1) {
+                closed = groups.pop();
+                if (closed.repeats) groups[groups.length - 1].repeats = true;
+                continue;
+            } else if (quantifier && quantifier !== '{0}' && quantifier !== '{1}') {
+                if (closed?.repeats) return 'nested quantifiers';
+                groups[groups.length - 1].repeats = true;
+                i += quantifier.length - 1;
+            }
+
+            closed = null;
+        }
+
+        return null;
+    }
+
+    compilePattern(pattern, caseSensitive) {
+        const flags = caseSensitive ? '' : 'i';
+        const key = `${flags}/${pattern}`;
+
+        if (!this.regexCache.has(key)) {
+            const unsafe = this.findUnsafeConstruct(pattern);
+            if (unsafe) {
+                throw new Error(`Regex uses ${unsafe}, which can hang the bot on crafted messages`);
+            }
+
+            this.regexCache.set(key, new RegExp(pattern, flags));
+        }
+
+        return this.regexCache.get(key);
+    }
+
+    // findUnsafeConstruct misses overlapping alternations like `(a|a)+$`, so matching is time-limited too.
+    testPattern(rule, text) {
+        const key = `${rule.caseSensitive ? '' : 'i'}/${rule.trigger}`;
+        if (this.slowPatterns.has(key)) {
+            return false;
+        }
+
+        this.regexContext.pattern = this.compilePattern(rule.trigger, rule.caseSensitive);
+        this.regexContext.input = text.slice(0, MAX_REGEX_INPUT);
+
+        try {
+            return this.regexScript.runInContext(this.regexContext, { timeout: REGEX_TIMEOUT });
+        } catch (error) {
+            if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                throw error;
+            }
+
+            this.slowPatterns.add(key);
+            logger.warn(`Auto-reply regex in rule ${rule.id} took over ${REGEX_TIMEOUT}ms and is disabled until restart`);
+            return false;
+        } finally {
+            this.regexContext.pattern = null;
+            this.regexContext.input = null;
+        }
+    }
+
+    validateRule({ trigger, match, responses }) {
+        if (!trigger || !trigger.trim()) {
+            throw new Error('Trigger cannot be empty.');
+        }
+
+        if (!MATCH_MODES.includes(match)) {
+            throw new Error(`Invalid match mode. Use one of: ${MATCH_MODES.join(', ')}`);
+        }
+
+        if (match === 'regex') {
+            if (trigger.length > MAX_PATTERN_LENGTH) {
+                throw new Error(`Regex is too long (max ${MAX_PATTERN_LENGTH} characters).`);
+            }
+
+            try {
+                new RegExp(trigger);
+            } catch (error) {
+                throw new Error(`Invalid regex: ${error.message}`);
+            }
+
+            const unsafe = this.findUnsafeConstruct(trigger);
+            if (unsafe) {
+                throw new Error(`Regex cannot use ${unsafe}. Simplify the pattern, e.g. use \`a+\` instead of \`(a+)+\`.`);
+            }
+        }
+
+        if (!responses.length) {
+            throw new Error('At least one response is required.');
+        }
+
+        if (responses.length > MAX_RESPONSES_PER_RULE) {
+            throw new Error(`A rule can have at most ${MAX_RESPONSES_PER_RULE} responses.`);
+        }
+    }
+
+    async addRule(scope, { trigger, responses, match = 'contains', caseSensitive = false, createdBy }) {
+        const list = (Array.isArray(responses) ? responses : [responses])
+            .map(response => response?.trim())
+            .filter(Boolean);
+
+        this.validateRule({ trigger, match, responses: list });
+
+        const rules = await this.getRules(scope);
+
+        if (rules.length >= MAX_RULES_PER_SCOPE) {
+            throw new Error(`Rule limit reached (${MAX_RULES_PER_SCOPE}).`);
+        }
+
+        const rule = {
+            id: crypto.randomBytes(3).toString('hex'),
+            trigger: trigger.trim(),
+            responses: list,
+            match,
+            caseSensitive,
+            enabled: true,
+            uses: 0,
+            createdBy,
+            createdAt: new Date()
+        };
+
+        await this.saveRules(scope, [...rules, rule]);
+        logger.info(`Auto-reply rule ${rule.id} added to ${scope}`);
+
+        return rule;
+    }
+
+    async updateRule(scope, id, changes) {
+        const rules = await this.getRules(scope);
+        const rule = rules.find(r => r.id === id);
+
+        if (!rule) {
+            throw new Error(`Rule *${id}* not found.`);
+        }
+
+        Object.assign(rule, changes);
+        this.validateRule(rule);
+
+        await this.saveRules(scope, rules);
+        return rule;
+    }
+
+    async addResponse(scope, id, response) {
+        const rules = await this.getRules(scope);
+        const rule = rules.find(r => r.id === id);
+
+        if (!rule) {
+            throw new Error(`Rule *${id}* not found.`);
+        }
+
+        return await this.updateRule(scope, id, { responses: [...rule.responses, response.trim()] });
+    }
+
+    async removeRule(scope, id) {
+        const rules = await this.getRules(scope);
+        const rule = rules.find(r => r.id === id);
+
+        if (!rule) {
+            throw new Error(`Rule *${id}* not found.`);
+        }
+
+        await this.saveRules(scope, rules.filter(r => r.id !== id));
+        logger.info(`Auto-reply rule ${id} removed from ${scope}`);
+
+        return rule;
+    }
+
+    async clearRules(scope) {
+        const rules = await this.getRules(scope);
+        await this.saveRules(scope, []);
+        return rules.length;
+    }
+
+    matchRule(rule, text) {
+        if (!rule.enabled || !text) return false;
+
+        if (rule.match === 'regex') {
+            try {
+                return this.testPattern(rule, text);
+            } catch (error) {
+                logger.warn(`Invalid auto-reply regex in rule ${rule.id}: ${error.message}`);
+                return false;
+            }
+        }
+
+        const input = rule.caseSensitive ? text.trim() : text.trim().toLowerCase();
+        const trigger = rule.caseSensitive ? rule.trigger : rule.trigger.toLowerCase();
+
+        switch (rule.match) {
+            case 'exact':
+                return input === trigger;
+            case 'startsWith':
+                return input.startsWith(trigger);
+            case 'contains':
+            default:
+                return input.includes(trigger);
+        }
+    }
+
+    pickResponse(rule) {
+        return rule.responses[Math.floor(Math.random() * rule.responses.length)];
+    }
+
+    parseTime(value) {
+        const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+        return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+    }
+
+    isQuietHours(quietHours, timezone = config.timezone, now = new Date()) {
+        if (!quietHours?.enabled) return false;
+
+        const start = this.parseTime(quietHours.start);
+        const end = this.parseTime(quietHours.end);
+        if (start === null || end === null || start === end) return false;
+
+        const { hour, minute } = getZonedParts(now, timezone || 'UTC');
+        const current = hour * 60 + minute;
+
+        return start < end
+            ? current >= start && current < end
+            : current >= start || current < end;
+    }
+
+    async findReply(text, group) {
+        const scopes = [];
+        const groupSettings = group?.settings?.autoReply;
+
+        if (group) {
+            if (groupSettings?.enabled === false) return null;
+            scopes.push(group.jid);
+        }
+
+        if (!group || groupSettings?.useGlobal !== false) {
+            scopes.push(GLOBAL_SCOPE);
+        }
+
+        for (const scope of scopes) {
+            const rules = scope === GLOBAL_SCOPE
+                ? await this.getRules(GLOBAL_SCOPE)
+                : (group.autoReplies || []).map(rule => this.normalizeRule(rule));
+
+            const rule = rules.find(r => this.matchRule(r, text));
+            if (rule) {
+                return { scope, rule, response: this.pickResponse(rule) };
+            }
+        }
+
+        return null;
+    }
+
+    async recordUse(scope, id) {
+        try {
+            if (this.isGlobal(scope)) {
+                await updateSetting('autoReply.rules', { 'value.id': id }, {
+                    $inc: { 'value.$.uses': 1 },
+                    $set: { 'value.$.lastUsed': new Date() }
+                });
+            } else {
+                await updateGroupWhere(scope, { 'autoReplies.id': id }, {
+                    $inc: { 'autoReplies.$.uses': 1 },
+                    $set: { 'autoReplies.$.lastUsed': new Date() }
+                });
+            }
+        } catch (error) {
+            logger.debug('Failed to record auto-reply usage:', error);
+        }
+    }
+
+    renderResponse(response, sender, group) {
+        const mentions = [];
+        const text = response
+            .replace(/\{sender\}/g, () => {
+                mentions.push(sender);
+                return `@${sender.split('@')[0]}`;
+            })
+            .replace(/\{group\}/g, group?.name || '');
+
+        return { text, mentions };
+    }
+
+    async handleMessage(sock, message, text, group) {
+        const from = message.key.remoteJid;
+        const sender = message.key.participant || from;
+
+        try {
+            const globalConfig = await this.getGlobalConfig();
+            if (!globalConfig.enabled) return false;
+
+            const quietHours = group?.settings?.autoReply?.quietHours?.enabled
+                ? group.settings.autoReply.quietHours
+                : globalConfig.quietHours;
+
+            if (this.isQuietHours(quietHours, group?.settings?.timezone)) return false;
+
+            const result = await this.findReply(text, group);
+            if (!result) return false;
+
+            const cooldownKey = `autoreply_${from}_${result.rule.id}`;
+            if (await cache.get(cooldownKey)) return false;
+            await cache.set(cooldownKey, true, RULE_COOLDOWN);
+
+            const rendered = this.renderResponse(result.response, sender, group);
+
+            await sock.sendMessage(from, {
+                text: rendered.text,
+                contextInfo: rendered.mentions.length ? { mentionedJid: rendered.mentions } : undefined
+            }, { quoted: message });
+
+            await this.recordUse(result.scope, result.rule.id);
+            logger.info(`Auto-reply triggered: ${result.rule.id} (${result.scope}) in ${from}`);
+
+            return true;
+        } catch (error) {
+            logger.error('Auto-reply failed:', error);
+            return false;
+        }
+    }
+}
+
+const autoReplyManager = new AutoReplyManager();
+
+module.exports = {
+    autoReplyManager,
+    GLOBAL_SCOPE,
+    MATCH_MODES,
+    getRules: (scope) => autoReplyManager.getRules(scope),
+    addRule: (scope, rule) => autoReplyManager.addRule(scope, rule),
+    updateRule: (scope, id, changes) => autoReplyManager.updateRule(scope, id, changes),
+    addResponse: (scope, id, response) => autoReplyManager.addResponse(scope, id, response),
+    removeRule: (scope, id) => autoReplyManager.removeRule(scope, id),
+    clearRules: (scope) => autoReplyManager.clearRules(scope),
+    getGlobalConfig: () => autoReplyManager.getGlobalConfig(),
+    setGlobalConfig: (changes, updatedBy) => autoReplyManager.setGlobalConfig(changes, updatedBy),
+    isQuietHours: (quietHours, timezone, now) => autoReplyManager.isQuietHours(quietHours, timezone, now),
+    parseTime: (value) => autoReplyManager.parseTime(value),
+    findReply: (text, group) => autoReplyManager.findReply(text, group),
+    handleMessage: (sock, message, text, group) => autoReplyManager.handleMessage(sock, message, text, group)
+};
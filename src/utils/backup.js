@@ -1,15 +1,39 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
 const archiver = require('archiver');
 const unzipper = require('unzipper');
 const logger = require('./logger');
-const { databaseManager } = require('./database');
+const { databaseManager, BACKUP_COLLECTIONS } = require('./database');
 const config = require('../config');
+const { getZonedParts } = require('./timeUtils');
+const { createDestinations } = require('./backupDestinations');
+
+const ENCRYPTION_MAGIC = Buffer.from('ILOMBAK1');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const DEFAULT_KEYS = ['default-key-change-this', 'your-super-secure-encryption-key-change-this'];
+
+const COLLECTION_KEYS = { users: 'jid', groups: 'jid', settings: 'key', premium: 'jid' };
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const BACKUP_NAME_DATE = /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z$/;
 
 class BackupManager {
     constructor() {
         this.backupDir = path.join(process.cwd(), 'backups');
         this.maxBackups = config.backup?.maxBackups || 7;
+        this.retention = {
+            daily: this.maxBackups,
+            weekly: 0,
+            monthly: 0,
+            maxSize: 0,
+            ...config.backup?.retention
+        };
+        this.pinsFile = path.join(this.backupDir, 'pins.json');
+        this.destinations = createDestinations(config.backup?.destinations);
         this.compressionLevel = 6;
         this.backupTypes = ['database', 'session', 'media', 'logs', 'config'];
     }
@@ -20,9 +44,14 @@ class BackupManager {
                 type = 'full',
                 includeMedia = config.backup?.includeMedia || false,
                 compression = config.backup?.compression !== false,
+                encrypt = config.backup?.encrypt || false,
                 description = ''
             } = options;
 
+            if (encrypt) {
+                this.getEncryptionKey();
+            }
+
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const backupName = `backup_${type}_${timestamp}`;
             const backupPath = path.join(this.backupDir, backupName);
@@ -38,7 +67,8 @@ class BackupManager {
                 description,
                 version: config.botVersion || '1.0.0',
                 includeMedia,
-                compression,
+                compression: compression || encrypt,
+                encrypted: encrypt,
                 files: []
             };
 
@@ -62,18 +92,39 @@ class BackupManager {
                 await this.backupMedia(backupPath, backupManifest);
             }
 
+            backupManifest.integrity = {
+                algorithm: 'sha256',
+                checksums: await this.computeChecksums(backupPath)
+            };
+
+            const signature = this.signManifest(backupManifest);
+            if (signature) {
+                backupManifest.integrity.signature = signature;
+            } else if (!encrypt) {
+                logger.warn('No backup key configured: the manifest is unsigned, so this backup is not tamper-evident');
+            }
+
             await fs.writeJSON(path.join(backupPath, 'manifest.json'), backupManifest, { spaces: 2 });
 
             let finalBackupPath = backupPath;
 
-            if (compression) {
+            if (compression || encrypt) {
                 finalBackupPath = await this.compressBackup(backupPath, `${backupName}.zip`);
                 await fs.remove(backupPath);
             }
 
+            if (encrypt) {
+                const encryptedPath = `${finalBackupPath}.enc`;
+                await this.encryptFile(finalBackupPath, encryptedPath);
+                await fs.remove(finalBackupPath);
+                finalBackupPath = encryptedPath;
+            }
+
+            const uploads = await this.uploadBackup(finalBackupPath);
+
             await this.cleanupOldBackups();
 
-            const backupSize = await this.getDirectorySize(finalBackupPath);
+            const backupSize = await this.getPathSize(finalBackupPath);
             
             logger.info(`Backup completed: ${backupName} (${this.formatBytes(backupSize)})`);
 
@@ -83,7 +134,10 @@ class BackupManager {
                 size: backupSize,
                 type,
                 created: backupManifest.created,
-                compressed: compression
+                compressed: compression || encrypt,
+                encrypted: encrypt,
+                files: Object.keys(backupManifest.integrity.checksums).length,
+                uploads
             };
 
         } catch (error) {
@@ -268,6 +322,8 @@ class BackupManager {
     }
 
     async restoreBackup(backupPath, options = {}) {
+        let prepared = null;
+
         try {
             const {
                 type = 'full',
@@ -275,10 +331,23 @@ class BackupManager {
                 restoreSession = true,
                 restoreConfig = false,
                 restoreMedia = true,
-                createBackupBeforeRestore = true
+                createBackupBeforeRestore = true,
+                allowUnverified = false
             } = options;
 
-            logger.info(`Starting restore from: ${backupPath}`);
+            const resolvedPath = options.destination
+                ? await this.fetchRemoteBackup(backupPath, options.destination)
+                : await this.resolveBackupPath(backupPath);
+            logger.info(`Starting restore from: ${resolvedPath}`);
+
+            prepared = await this.prepareBackup(resolvedPath);
+            const verification = await this.verifyPrepared(prepared);
+
+            if (!verification.valid && !(allowUnverified && verification.unverified)) {
+                throw new Error(`Backup verification failed: ${verification.errors.join('; ')}`);
+            }
+
+            const { workingPath, manifest } = prepared;
 
             if (createBackupBeforeRestore) {
                 await this.createBackup({
@@ -287,19 +356,6 @@ class BackupManager {
                 });
             }
 
-            let workingPath = backupPath;
-
-            if (path.extname(backupPath) === '.zip') {
-                workingPath = await this.extractBackup(backupPath);
-            }
-
-            const manifestPath = path.join(workingPath, 'manifest.json');
-            
-            if (!await fs.pathExists(manifestPath)) {
-                throw new Error('Backup manifest not found');
-            }
-
-            const manifest = await fs.readJSON(manifestPath);
             logger.info(`Restoring backup: ${manifest.name} (${manifest.type})`);
 
             if (restoreDatabase && (type === 'full' || type === 'database')) {
@@ -318,15 +374,12 @@ class BackupManager {
                 await this.restoreMedia(workingPath, manifest);
             }
 
-            if (path.extname(backupPath) === '.zip') {
-                await fs.remove(workingPath);
-            }
-
             logger.info('Backup restore completed successfully');
 
             return {
                 restored: true,
                 manifest,
+                verification,
                 restoredComponents: {
                     database: restoreDatabase,
                     session: restoreSession,
@@ -338,6 +391,564 @@ class BackupManager {
         } catch (error) {
             logger.error('Backup restore failed:', error);
             throw error;
+        } finally {
+            await this.cleanupPrepared(prepared);
+        }
+    }
+
+    async loadDatabaseDump(name, { allowUnverified = false } = {}) {
+        let prepared = null;
+
+        try {
+            prepared = await this.prepareBackup(await this.resolveBackupPath(name));
+            const verification = await this.verifyPrepared(prepared);
+
+            if (!verification.valid && !(allowUnverified && verification.unverified)) {
+                throw new Error(`Backup verification failed: ${verification.errors.join('; ')}`);
+            }
+
+            const dbFile = prepared.manifest.files.find(f => f.type === 'database');
+            if (!dbFile) {
+                throw new Error('This backup does not contain a database dump');
+            }
+
+            const dump = await fs.readJSON(path.join(prepared.workingPath, dbFile.path));
+            return { manifest: prepared.manifest, dump };
+        } finally {
+            await this.cleanupPrepared(prepared);
+        }
+    }
+
+    getDocumentKey(collection, doc) {
+        const field = COLLECTION_KEYS[collection] || 'jid';
+        return { field, value: doc[field] ?? (doc._id ? String(doc._id) : undefined) };
+    }
+
+    describeDocument(collection, doc) {
+        const { value } = this.getDocumentKey(collection, doc);
+        const label = doc.name || doc.subject || doc.pushName;
+        return label ? `${value} (${label})` : String(value);
+    }
+
+    async browseBackup(name, { collection, query, limit = 20, allowUnverified = false } = {}) {
+        const { manifest, dump } = await this.loadDatabaseDump(name, { allowUnverified });
+        const collections = BACKUP_COLLECTIONS.filter(c => Array.isArray(dump[c]));
+
+        if (!collection) {
+            return {
+                name: manifest.name,
+                created: manifest.created,
+                collections: collections.map(c => ({ name: c, count: dump[c].length }))
+            };
+        }
+
+        if (!collections.includes(collection)) {
+            throw new Error(`Unknown collection: ${collection}. Available: ${collections.join(', ')}`);
+        }
+
+        const needle = query?.toLowerCase();
+        const matches = dump[collection].filter(doc => !needle || JSON.stringify(doc).toLowerCase().includes(needle));
+
+        return {
+            name: manifest.name,
+            created: manifest.created,
+            collection,
+            total: matches.length,
+            documents: matches.slice(0, limit).map(doc => ({
+                key: this.getDocumentKey(collection, doc).value,
+                label: this.describeDocument(collection, doc),
+                document: doc
+            }))
+        };
+    }
+
+    selectDocuments(dump, { users = [], groups = [], collections = [] } = {}) {
+        const selected = [];
+
+        for (const collection of BACKUP_COLLECTIONS) {
+            const docs = dump[collection] || [];
+
+            for (const doc of docs) {
+                const wholeCollection = collections.includes(collection);
+                const byUser = (collection === 'users' || collection === 'premium') && users.includes(doc.jid);
+                const byGroup = collection === 'groups' && groups.includes(doc.jid);
+
+                if (wholeCollection || byUser || byGroup) {
+                    selected.push({ collection, doc });
+                }
+            }
+        }
+
+        return selected;
+    }
+
+    reviveValue(value) {
+        if (typeof value === 'string' && ISO_DATE.test(value)) return new Date(value);
+        if (Array.isArray(value)) return value.map(item => this.reviveValue(item));
+
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.reviveValue(item)]));
+        }
+
+        return value;
+    }
+
+    isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+    }
+
+    diffDocuments(live, restored, prefix = '') {
+        const changes = [];
+
+        for (const [key, value] of Object.entries(restored)) {
+            if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+
+            const fieldPath = prefix ? `${prefix}.${key}` : key;
+            const current = live?.[key];
+
+            if (this.isPlainObject(value) && this.isPlainObject(current)) {
+                changes.push(...this.diffDocuments(current, value, fieldPath));
+            } else if (JSON.stringify(current) !== JSON.stringify(value)) {
+                changes.push({ path: fieldPath, from: current, to: value });
+            }
+        }
+
+        return changes;
+    }
+
+    filterFields(doc, fields) {
+        if (!fields?.length) return doc;
+
+        return Object.fromEntries(Object.entries(doc).filter(([key]) =>
+            fields.some(field => field === key || field.startsWith(`${key}.`))
+        ).map(([key, value]) => {
+            const nested = fields.filter(field => field.startsWith(`${key}.`)).map(field => field.slice(key.length + 1));
+            return [key, nested.length && !fields.includes(key) && this.isPlainObject(value) ? this.filterFields(value, nested) : value];
+        }));
+    }
+
+    async restoreSelective(name, options = {}) {
+        try {
+            const {
+                users = [],
+                groups = [],
+                collections = [],
+                fields = [],
+                dryRun = true,
+                createBackupBeforeRestore = true,
+                allowUnverified = false
+            } = options;
+
+            if (!users.length && !groups.length && !collections.length) {
+                throw new Error('Select at least one user, group or collection to restore');
+            }
+
+            const invalid = collections.filter(c => !BACKUP_COLLECTIONS.includes(c));
+            if (invalid.length) {
+                throw new Error(`Unknown collection: ${invalid.join(', ')}. Available: ${BACKUP_COLLECTIONS.join(', ')}`);
+            }
+
+            const { manifest, dump } = await this.loadDatabaseDump(name, { allowUnverified });
+            const selected = this.selectDocuments(dump, { users, groups, collections });
+            const plan = [];
+
+            for (const { collection, doc } of selected) {
+                const { field, value } = this.getDocumentKey(collection, doc);
+                if (value === undefined) continue;
+
+                const restored = this.filterFields(this.reviveValue(doc), fields);
+                const live = await databaseManager.getCollection(collection).findOne({ [field]: value });
+                const changes = live ? this.diffDocuments(live, restored) : [];
+
+                if (live && !changes.length) continue;
+
+                plan.push({
+                    collection,
+                    key: value,
+                    label: this.describeDocument(collection, doc),
+                    action: live ? 'update' : 'insert',
+                    changes,
+                    filter: { [field]: value },
+                    document: restored
+                });
+            }
+
+            const missing = [
+                ...users.filter(jid => !selected.some(s => s.collection === 'users' && s.doc.jid === jid)),
+                ...groups.filter(jid => !selected.some(s => s.collection === 'groups' && s.doc.jid === jid))
+            ];
+
+            if (!dryRun && plan.length) {
+                if (createBackupBeforeRestore) {
+                    await this.createBackup({ type: 'database', description: `Pre-restore backup (selective from ${manifest.name})` });
+                }
+
+                for (const entry of plan) {
+                    const collection = databaseManager.getCollection(entry.collection);
+
+                    if (entry.action === 'insert') {
+                        const { _id, __v, ...document } = entry.document;
+                        await collection.insertOne(document);
+                    } else {
+                        await collection.updateOne(entry.filter, {
+                            $set: Object.fromEntries(entry.changes.map(change => [change.path, change.to]))
+                        });
+                    }
+                }
+
+                logger.info(`Selective restore from ${manifest.name}: ${plan.length} documents merged`);
+            }
+
+            return {
+                name: manifest.name,
+                created: manifest.created,
+                dryRun,
+                applied: !dryRun && plan.length > 0,
+                missing,
+                plan: plan.map(({ filter, document, ...entry }) => entry)
+            };
+        } catch (error) {
+            logger.error('Selective restore failed:', error);
+            throw error;
+        }
+    }
+
+    async findLocalBackup(nameOrPath) {
+        const name = path.basename(nameOrPath);
+        const candidates = [nameOrPath, name, `${name}.zip`, `${name}.zip.enc`]
+            .map((candidate, index) => index === 0 ? candidate : path.join(this.backupDir, candidate));
+
+        for (const candidate of candidates) {
+            if (await fs.pathExists(candidate)) return candidate;
+        }
+
+        return null;
+    }
+
+    async resolveBackupPath(nameOrPath) {
+        const localPath = await this.findLocalBackup(nameOrPath);
+        if (localPath) return localPath;
+
+        if (this.destinations.length) {
+            return await this.fetchRemoteBackup(nameOrPath);
+        }
+
+        throw new Error(`Backup not found: ${nameOrPath}`);
+    }
+
+    addDestination(destination) {
+        if (this.getDestination(destination.name)) {
+            throw new Error(`Backup destination already registered: ${destination.name}`);
+        }
+
+        this.destinations.push(destination);
+        return destination;
+    }
+
+    getDestination(name) {
+        return this.destinations.find(destination => destination.name === name) || null;
+    }
+
+    async uploadBackup(filePath) {
+        const results = [];
+
+        if (!this.destinations.length) return results;
+
+        if ((await fs.stat(filePath)).isDirectory()) {
+            logger.warn('Uncompressed backups are not uploaded to remote destinations');
+            return results;
+        }
+
+        for (const destination of this.destinations) {
+            try {
+                const { location } = await destination.upload(filePath, path.basename(filePath));
+                logger.info(`Backup uploaded to ${destination.name}: ${location}`);
+                results.push({ destination: destination.name, uploaded: true, location });
+            } catch (error) {
+                logger.error(`Backup upload to ${destination.name} failed:`, error);
+                results.push({ destination: destination.name, uploaded: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    async listRemoteBackups(destinationName) {
+        const destinations = destinationName ? [this.getDestination(destinationName)].filter(Boolean) : this.destinations;
+        const pins = await this.getPins();
+        const backups = [];
+
+        if (destinationName && !destinations.length) {
+            throw new Error(`Unknown backup destination: ${destinationName}`);
+        }
+
+        for (const destination of destinations) {
+            try {
+                for (const file of await destination.list()) {
+                    backups.push({
+                        name: file.name,
+                        size: file.size,
+                        created: this.parseBackupDate(file.name) || file.modified,
+                        destination: destination.name,
+                        encrypted: file.name.endsWith('.enc'),
+                        pinned: !!pins[file.name]
+                    });
+                }
+            } catch (error) {
+                logger.error(`Failed to list backups on ${destination.name}:`, error);
+            }
+        }
+
+        return backups.sort((a, b) => b.created - a.created);
+    }
+
+    async fetchRemoteBackup(name, destinationName) {
+        const baseName = path.basename(name);
+        const candidates = [baseName, `${baseName}.zip`, `${baseName}.zip.enc`];
+        const remote = (await this.listRemoteBackups(destinationName)).find(backup => candidates.includes(backup.name));
+
+        if (!remote) {
+            throw new Error(`Backup not found locally or on any destination: ${name}`);
+        }
+
+        const localPath = path.join(this.backupDir, remote.name);
+        if (await fs.pathExists(localPath)) return localPath;
+
+        const partialPath = `${localPath}.partial`;
+
+        await fs.ensureDir(this.backupDir);
+        await this.getDestination(remote.destination).download(remote.name, partialPath);
+        await fs.move(partialPath, localPath, { overwrite: true });
+
+        logger.info(`Backup ${remote.name} fetched from ${remote.destination}`);
+        return localPath;
+    }
+
+    async prepareBackup(backupPath) {
+        const prepared = { workingPath: backupPath, manifest: null, encrypted: false, temporary: [] };
+
+        let archivePath = backupPath;
+
+        if (backupPath.endsWith('.enc')) {
+            archivePath = path.join(this.backupDir, `temp_decrypt_${Date.now()}.zip`);
+            prepared.temporary.push(archivePath);
+            prepared.encrypted = true;
+            await this.decryptFile(backupPath, archivePath);
+        }
+
+        if (path.extname(archivePath) === '.zip') {
+            prepared.workingPath = await this.extractBackup(archivePath);
+            prepared.temporary.push(prepared.workingPath);
+        }
+
+        const manifestPath = path.join(prepared.workingPath, 'manifest.json');
+
+        if (!await fs.pathExists(manifestPath)) {
+            await this.cleanupPrepared(prepared);
+            throw new Error('Backup manifest not found');
+        }
+
+        prepared.manifest = await fs.readJSON(manifestPath);
+        return prepared;
+    }
+
+    async cleanupPrepared(prepared) {
+        for (const tempPath of prepared?.temporary || []) {
+            await fs.remove(tempPath).catch(() => {});
+        }
+    }
+
+    async verifyPrepared(prepared) {
+        const { workingPath, manifest } = prepared;
+        const expected = manifest.integrity?.checksums;
+        const errors = [];
+
+        if (!expected) {
+            return { valid: false, unverified: true, checked: 0, errors: ['Backup has no recorded checksums'] };
+        }
+
+        const signature = this.signManifest(manifest);
+
+        if (signature && !manifest.integrity.signature) {
+            return { valid: false, unverified: true, signed: false, checked: 0, errors: ['Backup manifest is not signed'] };
+        }
+
+        if (signature && !this.signaturesMatch(signature, manifest.integrity.signature)) {
+            return { valid: false, unverified: false, signed: true, checked: 0, errors: ['Manifest signature mismatch'] };
+        }
+
+        const actual = await this.computeChecksums(workingPath);
+
+        for (const [file, checksum] of Object.entries(expected)) {
+            if (!(file in actual)) {
+                errors.push(`Missing file: ${file}`);
+            } else if (actual[file] !== checksum) {
+                errors.push(`Checksum mismatch: ${file}`);
+            }
+        }
+
+        for (const file of Object.keys(actual)) {
+            if (!(file in expected)) {
+                errors.push(`Unexpected file: ${file}`);
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            unverified: false,
+            signed: Boolean(signature),
+            checked: Object.keys(expected).length,
+            errors
+        };
+    }
+
+    async verifyBackup(name) {
+        let prepared = null;
+
+        try {
+            const backupPath = await this.resolveBackupPath(name);
+            prepared = await this.prepareBackup(backupPath);
+            const result = await this.verifyPrepared(prepared);
+
+            logger.info(`Backup ${name} verification: ${result.valid ? 'passed' : `failed (${result.errors.length} errors)`}`);
+
+            return {
+                name: prepared.manifest.name,
+                encrypted: prepared.encrypted,
+                manifest: prepared.manifest,
+                ...result
+            };
+        } catch (error) {
+            logger.error(`Backup verification failed for ${name}:`, error);
+            return { name, valid: false, unverified: false, checked: 0, errors: [error.message] };
+        } finally {
+            await this.cleanupPrepared(prepared);
+        }
+    }
+
+    async listFiles(dirPath, base = dirPath) {
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+        const files = [];
+
+        for (const entry of entries) {
+            const fullPath = path.join(dirPath, entry.name);
+
+            if (entry.isDirectory()) {
+                files.push(...await this.listFiles(fullPath, base));
+            } else if (entry.isFile()) {
+                files.push(path.relative(base, fullPath).split(path.sep).join('/'));
+            }
+        }
+
+        return files;
+    }
+
+    async hashFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        await pipeline(fs.createReadStream(filePath), hash);
+        return hash.digest('hex');
+    }
+
+    async computeChecksums(dirPath) {
+        const checksums = {};
+        const files = (await this.listFiles(dirPath)).filter(file => file !== 'manifest.json').sort();
+
+        for (const file of files) {
+            checksums[file] = await this.hashFile(path.join(dirPath, file));
+        }
+
+        return checksums;
+    }
+
+    getSigningKey() {
+        try {
+            return Buffer.from(crypto.hkdfSync('sha256', this.getEncryptionKey(), '', 'backup-manifest', 32));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    signManifest(manifest) {
+        const key = this.getSigningKey();
+        if (!key) return null;
+
+        const { signature, ...integrity } = manifest.integrity || {};
+        return crypto.createHmac('sha256', key).update(JSON.stringify({ ...manifest, integrity })).digest('hex');
+    }
+
+    signaturesMatch(expected, actual) {
+        const a = Buffer.from(expected, 'hex');
+        const b = Buffer.from(String(actual), 'hex');
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    getEncryptionKey() {
+        const key = config.backup?.encryptionKey || config.security?.encryptionKey;
+
+        if (!key || DEFAULT_KEYS.includes(key)) {
+            throw new Error('Backup encryption requires BACKUP_ENCRYPTION_KEY or a non-default ENCRYPTION_KEY');
+        }
+
+        return key;
+    }
+
+    deriveKey(salt) {
+        return crypto.scryptSync(this.getEncryptionKey(), salt, 32);
+    }
+
+    async encryptFile(sourcePath, destPath) {
+        const salt = crypto.randomBytes(SALT_LENGTH);
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+        cipher.setAAD(ENCRYPTION_MAGIC);
+
+        const output = fs.createWriteStream(destPath);
+        output.write(Buffer.concat([ENCRYPTION_MAGIC, salt, iv]));
+
+        await pipeline(fs.createReadStream(sourcePath), cipher, output, { end: false });
+        await new Promise((resolve, reject) => {
+            output.end(cipher.getAuthTag(), error => error ? reject(error) : resolve());
+        });
+    }
+
+    async decryptFile(sourcePath, destPath) {
+        const headerLength = ENCRYPTION_MAGIC.length + SALT_LENGTH + IV_LENGTH;
+        const { size } = await fs.stat(sourcePath);
+
+        if (size < headerLength + TAG_LENGTH) {
+            throw new Error('Encrypted backup is truncated');
+        }
+
+        const handle = await fs.promises.open(sourcePath, 'r');
+        const header = Buffer.alloc(headerLength);
+        const tag = Buffer.alloc(TAG_LENGTH);
+
+        try {
+            await handle.read(header, 0, headerLength, 0);
+            await handle.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+        } finally {
+            await handle.close();
+        }
+
+        if (!header.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)) {
+            throw new Error('Not an encrypted backup archive');
+        }
+
+        const salt = header.subarray(ENCRYPTION_MAGIC.length, ENCRYPTION_MAGIC.length + SALT_LENGTH);
+        const iv = header.subarray(ENCRYPTION_MAGIC.length + SALT_LENGTH);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+        decipher.setAAD(ENCRYPTION_MAGIC);
+        decipher.setAuthTag(tag);
+
+        try {
+            await pipeline(
+                fs.createReadStream(sourcePath, { start: headerLength, end: size - TAG_LENGTH - 1 }),
+                decipher,
+                fs.createWriteStream(destPath)
+            );
+        } catch (error) {
+            await fs.remove(destPath);
+            throw new Error('Backup decryption failed: wrong key or tampered archive');
         }
     }
 
@@ -460,11 +1071,12 @@ class BackupManager {
         try {
             await fs.ensureDir(this.backupDir);
             const entries = await fs.readdir(this.backupDir, { withFileTypes: true });
+            const pins = await this.getPins();
             
             const backups = [];
             
             for (const entry of entries) {
-                if (entry.isFile() && entry.name.endsWith('.zip')) {
+                if (entry.isFile() && entry.name.startsWith('backup_') && /\.zip(\.enc)?$/.test(entry.name)) {
                     const backupPath = path.join(this.backupDir, entry.name);
                     const stats = await fs.stat(backupPath);
                     
@@ -472,9 +1084,11 @@ class BackupManager {
                         name: entry.name,
                         path: backupPath,
                         size: stats.size,
-                        created: stats.birthtime,
+                        created: this.parseBackupDate(entry.name) || stats.birthtime,
                         modified: stats.mtime,
-                        compressed: true
+                        compressed: true,
+                        encrypted: entry.name.endsWith('.enc'),
+                        pinned: !!pins[entry.name]
                     });
                 } else if (entry.isDirectory() && entry.name.startsWith('backup_')) {
                     const backupPath = path.join(this.backupDir, entry.name);
@@ -491,7 +1105,8 @@ class BackupManager {
                             created: new Date(manifest.created),
                             type: manifest.type,
                             description: manifest.description,
-                            compressed: false
+                            compressed: false,
+                            pinned: !!pins[entry.name]
                         });
                     }
                 }
@@ -510,6 +1125,7 @@ class BackupManager {
             
             if (await fs.pathExists(backupPath)) {
                 await fs.remove(backupPath);
+                await this.unpinBackup(backupName);
                 logger.info(`Backup deleted: ${backupName}`);
                 return true;
             }
@@ -521,35 +1137,176 @@ class BackupManager {
         }
     }
 
-    async cleanupOldBackups() {
+    parseBackupDate(name) {
+        const match = name.match(BACKUP_NAME_DATE);
+        if (!match) return null;
+
+        const [, date, hours, minutes, seconds, millis] = match;
+        return new Date(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+    }
+
+    async getPins() {
         try {
-            const backups = await this.listBackups();
-            
-            if (backups.length > this.maxBackups) {
-                const backupsToDelete = backups.slice(this.maxBackups);
-                
-                for (const backup of backupsToDelete) {
+            return await fs.pathExists(this.pinsFile) ? await fs.readJSON(this.pinsFile) : {};
+        } catch (error) {
+            logger.error('Failed to read backup pins:', error);
+            return {};
+        }
+    }
+
+    async pinBackup(name, note = '') {
+        const localPath = await this.findLocalBackup(name);
+        const candidates = [name, `${name}.zip`, `${name}.zip.enc`];
+        const remote = localPath ? null : (await this.listRemoteBackups()).find(backup => candidates.includes(backup.name));
+
+        if (!localPath && !remote) {
+            throw new Error(`Backup not found: ${name}`);
+        }
+
+        const backupName = localPath ? path.basename(localPath) : remote.name;
+        const pins = await this.getPins();
+
+        pins[backupName] = { pinnedAt: new Date().toISOString(), note };
+        await fs.writeJSON(this.pinsFile, pins, { spaces: 2 });
+
+        logger.info(`Backup pinned: ${backupName}`);
+        return backupName;
+    }
+
+    async unpinBackup(name) {
+        const pins = await this.getPins();
+        const backupName = Object.keys(pins).find(pinned => pinned === name || pinned.replace(/\.zip(\.enc)?$/, '') === name);
+
+        if (!backupName) return false;
+
+        delete pins[backupName];
+        await fs.writeJSON(this.pinsFile, pins, { spaces: 2 });
+
+        logger.info(`Backup unpinned: ${backupName}`);
+        return true;
+    }
+
+    getRetentionBuckets(date) {
+        const { year, month, day, weekday } = getZonedParts(date, config.timezone);
+        const monday = new Date(Date.UTC(year, month - 1, day) - ((weekday + 6) % 7) * 24 * 60 * 60 * 1000);
+
+        return {
+            daily: `${year}-${month}-${day}`,
+            weekly: monday.toISOString().slice(0, 10),
+            monthly: `${year}-${month}`
+        };
+    }
+
+    planRetention(backups, retention = this.retention) {
+        const sorted = [...backups].sort((a, b) => b.created - a.created);
+        const reasons = new Map(sorted.map(backup => [backup.name, []]));
+
+        if (sorted.length) {
+            reasons.get(sorted[0].name).push('latest');
+        }
+
+        for (const backup of sorted) {
+            if (backup.pinned) reasons.get(backup.name).push('pinned');
+        }
+
+        for (const period of ['daily', 'weekly', 'monthly']) {
+            const seen = new Set();
+
+            for (const backup of sorted) {
+                if (seen.size >= (retention[period] || 0)) break;
+
+                const bucket = this.getRetentionBuckets(backup.created)[period];
+                if (seen.has(bucket)) continue;
+
+                seen.add(bucket);
+                reasons.get(backup.name).push(period);
+            }
+        }
+
+        const keep = sorted.filter(backup => reasons.get(backup.name).length);
+        const remove = sorted
+            .filter(backup => !reasons.get(backup.name).length)
+            .map(backup => ({ ...backup, reason: 'expired' }));
+
+        let totalSize = keep.reduce((sum, backup) => sum + backup.size, 0);
+
+        if (retention.maxSize > 0) {
+            for (let i = keep.length - 1; i >= 0 && totalSize > retention.maxSize; i--) {
+                const backup = keep[i];
+                const kept = reasons.get(backup.name);
+
+                if (kept.includes('pinned') || kept.includes('latest')) continue;
+
+                keep.splice(i, 1);
+                remove.push({ ...backup, reason: 'size budget' });
+                totalSize -= backup.size;
+            }
+        }
+
+        return {
+            keep: keep.map(backup => ({ ...backup, retention: reasons.get(backup.name) })),
+            remove,
+            totalSize,
+            overBudget: retention.maxSize > 0 && totalSize > retention.maxSize
+        };
+    }
+
+    async cleanupOldBackups(options = {}) {
+        try {
+            const plan = this.planRetention(await this.listBackups());
+            plan.remote = [];
+
+            for (const destination of this.destinations) {
+                const remotePlan = this.planRetention(await this.listRemoteBackups(destination.name));
+                let removed = 0;
+
+                if (!options.dryRun) {
+                    for (const backup of remotePlan.remove) {
+                        try {
+                            await destination.delete(backup.name);
+                            removed++;
+                        } catch (error) {
+                            logger.error(`Failed to delete ${backup.name} from ${destination.name}:`, error);
+                        }
+                    }
+                }
+
+                plan.remote.push({
+                    destination: destination.name,
+                    keep: remotePlan.keep.length,
+                    remove: options.dryRun ? remotePlan.remove.length : removed
+                });
+            }
+
+            if (!options.dryRun) {
+                for (const backup of plan.remove) {
                     await this.deleteBackup(backup.name);
                 }
-                
-                logger.info(`Cleaned up ${backupsToDelete.length} old backups`);
+
+                if (plan.remove.length) {
+                    logger.info(`Cleaned up ${plan.remove.length} old backups`);
+                }
+
+                if (plan.overBudget) {
+                    logger.warn(`Backups exceed size budget: ${this.formatBytes(plan.totalSize)} of ${this.formatBytes(this.retention.maxSize)} (pinned backups cannot be removed)`);
+                }
             }
+
+            return plan;
         } catch (error) {
             logger.error('Failed to cleanup old backups:', error);
+            return null;
         }
     }
 
     async getDirectorySize(dirPath) {
         try {
-            const files = await fs.readdir(dirPath, { recursive: true, withFileTypes: true });
+            const files = await this.listFiles(dirPath);
             let totalSize = 0;
             
             for (const file of files) {
-                if (file.isFile()) {
-                    const filePath = path.join(dirPath, file.name);
-                    const stats = await fs.stat(filePath);
-                    totalSize += stats.size;
-                }
+                const stats = await fs.stat(path.join(dirPath, file));
+                totalSize += stats.size;
             }
             
             return totalSize;
@@ -558,6 +1315,11 @@ class BackupManager {
         }
     }
 
+    async getPathSize(targetPath) {
+        const stats = await fs.stat(targetPath);
+        return stats.isDirectory() ? await this.getDirectorySize(targetPath) : stats.size;
+    }
+
     formatBytes(bytes, decimals = 2) {
         if (bytes === 0) return '0 Bytes';
         
@@ -592,20 +1354,32 @@ class BackupManager {
     generateBackupReport() {
         return this.listBackups().then(backups => {
             const totalSize = backups.reduce((sum, backup) => sum + backup.size, 0);
+            const plan = this.planRetention(backups);
+            const retention = plan.keep.reduce((map, backup) => map.set(backup.name, backup.retention), new Map());
+            const { daily, weekly, monthly, maxSize } = this.retention;
             
             let report = `💾 *Backup System Report*\n\n`;
             report += `📊 *Statistics:*\n`;
             report += `├ Total Backups: ${backups.length}\n`;
-            report += `├ Total Size: ${this.formatBytes(totalSize)}\n`;
-            report += `├ Max Backups: ${this.maxBackups}\n`;
-            report += `╰ Auto Cleanup: Enabled\n\n`;
+            report += `├ Pinned: ${backups.filter(backup => backup.pinned).length}\n`;
+            report += `├ Total Size: ${this.formatBytes(totalSize)}${maxSize ? ` / ${this.formatBytes(maxSize)}` : ''}\n`;
+            report += `╰ Pending Cleanup: ${plan.remove.length}\n\n`;
+
+            report += `🗓️ *Retention Policy:*\n`;
+            report += `├ Daily: ${daily}\n`;
+            report += `├ Weekly: ${weekly}\n`;
+            report += `├ Monthly: ${monthly}\n`;
+            report += `╰ Size Budget: ${maxSize ? this.formatBytes(maxSize) : 'Unlimited'}${plan.overBudget ? ' ⚠️ exceeded by pinned backups' : ''}\n\n`;
+
+            report += `☁️ *Destinations:* ${this.destinations.length ? this.destinations.map(destination => destination.name).join(', ') : 'Local only'}\n\n`;
 
             if (backups.length > 0) {
                 report += `📋 *Recent Backups:*\n`;
                 backups.slice(0, 5).forEach((backup, index) => {
                     const age = Math.floor((Date.now() - backup.created.getTime()) / (1000 * 60 * 60 * 24));
-                    report += `${index + 1}. ${backup.name}\n`;
-                    report += `   Size: ${this.formatBytes(backup.size)} | Age: ${age}d\n`;
+                    const kept = retention.get(backup.name);
+                    report += `${index + 1}. ${backup.pinned ? '📌 ' : ''}${backup.name}\n`;
+                    report += `   Size: ${this.formatBytes(backup.size)} | Age: ${age}d | ${kept ? `Keep: ${kept.join(', ')}` : 'Expires at next cleanup'}\n`;
                 });
             } else {
                 report += `⚠️ No backups found\n`;
@@ -622,9 +1396,18 @@ module.exports = {
     backupManager,
     createBackup: (options) => backupManager.createBackup(options),
     restoreBackup: (backupPath, options) => backupManager.restoreBackup(backupPath, options),
+    verifyBackup: (name) => backupManager.verifyBackup(name),
+    browseBackup: (name, options) => backupManager.browseBackup(name, options),
+    restoreSelective: (name, options) => backupManager.restoreSelective(name, options),
     listBackups: () => backupManager.listBackups(),
     deleteBackup: (backupName) => backupManager.deleteBackup(backupName),
-    cleanupOldBackups: () => backupManager.cleanupOldBackups(),
+    cleanupOldBackups: (options) => backupManager.cleanupOldBackups(options),
+    planRetention: (backups, retention) => backupManager.planRetention(backups, retention),
+    pinBackup: (name, note) => backupManager.pinBackup(name, note),
+    addDestination: (destination) => backupManager.addDestination(destination),
+    listRemoteBackups: (destinationName) => backupManager.listRemoteBackups(destinationName),
+    fetchRemoteBackup: (name, destinationName) => backupManager.fetchRemoteBackup(name, destinationName),
+    unpinBackup: (name) => backupManager.unpinBackup(name),
     scheduleAutoBackup: (interval) => backupManager.scheduleAutoBackup(interval),
     generateBackupReport: () => backupManager.generateBackupReport()
 };
\ No newline at end of file
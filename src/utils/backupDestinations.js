@@ -0,0 +1,319 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { pipeline } = require('stream/promises');
+const logger = require('./logger');
+
+const BACKUP_FILE_PATTERN = /^backup_.+\.zip(\.enc)?$/;
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+class BackupDestination {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async upload(filePath, fileName) {
+        throw new Error(`${this.name}: upload is not implemented`);
+    }
+
+    async list() {
+        throw new Error(`${this.name}: list is not implemented`);
+    }
+
+    async download(fileName, destPath) {
+        throw new Error(`${this.name}: download is not implemented`);
+    }
+
+    async delete(fileName) {
+        throw new Error(`${this.name}: delete is not implemented`);
+    }
+
+    async exists(fileName) {
+        const files = await this.list();
+        return files.some(file => file.name === fileName);
+    }
+}
+
+class LocalDestination extends BackupDestination {
+    constructor({ name = 'local', path: targetPath }) {
+        super(name);
+
+        if (!targetPath) {
+            throw new Error('Local backup destination requires a path');
+        }
+
+        this.path = path.resolve(targetPath);
+    }
+
+    async upload(filePath, fileName = path.basename(filePath)) {
+        await fs.ensureDir(this.path);
+
+        const target = path.join(this.path, fileName);
+        const partial = `${target}.partial`;
+
+        await fs.copy(filePath, partial);
+        await fs.move(partial, target, { overwrite: true });
+
+        return { name: fileName, location: target };
+    }
+
+    async list() {
+        if (!await fs.pathExists(this.path)) return [];
+
+        const entries = await fs.readdir(this.path, { withFileTypes: true });
+        const files = [];
+
+        for (const entry of entries) {
+            if (!entry.isFile() || !BACKUP_FILE_PATTERN.test(entry.name)) continue;
+
+            const stats = await fs.stat(path.join(this.path, entry.name));
+            files.push({ name: entry.name, size: stats.size, modified: stats.mtime });
+        }
+
+        return files;
+    }
+
+    async download(fileName, destPath) {
+        const source = path.join(this.path, path.basename(fileName));
+
+        if (!await fs.pathExists(source)) {
+            throw new Error(`${this.name}: ${fileName} not found`);
+        }
+
+        await fs.copy(source, destPath);
+        return destPath;
+    }
+
+    async delete(fileName) {
+        await fs.remove(path.join(this.path, path.basename(fileName)));
+        return true;
+    }
+}
+
+class S3Destination extends BackupDestination {
+    constructor({ name = 's3', endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, prefix = '', forcePathStyle = true }) {
+        super(name);
+
+        if (!bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('S3 backup destination requires a bucket, access key and secret key');
+        }
+
+        this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+        this.region = region;
+        this.bucket = bucket;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+        this.forcePathStyle = forcePathStyle;
+    }
+
+    encode(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+
+    getHost() {
+        return this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    }
+
+    getPath(key = '') {
+        const encodedKey = key.split('/').map(segment => this.encode(segment)).join('/');
+        const basePath = this.endpoint.pathname.replace(/\/$/, '');
+
+        return this.forcePathStyle
+            ? `${basePath}/${this.bucket}${key ? `/${encodedKey}` : ''}`
+            : `${basePath}/${encodedKey}`;
+    }
+
+    hmac(key, value) {
+        return crypto.createHmac('sha256', key).update(value).digest();
+    }
+
+    sign(method, canonicalPath, query = {}, payloadHash = EMPTY_HASH) {
+        const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const date = amzDate.slice(0, 8);
+        const host = this.getHost();
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+
+        const canonicalQuery = Object.keys(query).sort()
+            .map(key => `${this.encode(key)}=${this.encode(query[key])}`)
+            .join('&');
+
+        const headers = {
+            host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+
+        const signedHeaders = Object.keys(headers).sort().join(';');
+        const canonicalHeaders = Object.keys(headers).sort().map(key => `${key}:${headers[key]}\n`).join('');
+
+        const canonicalRequest = [method, canonicalPath, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            (key, value) => this.hmac(key, value),
+            this.hmac(this.hmac(`AWS4${this.secretAccessKey}`, date), this.region)
+        );
+
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        return {
+            url: `${this.endpoint.protocol}//${host}${canonicalPath}${canonicalQuery ? `?${canonicalQuery}` : ''}`,
+            headers: {
+                'x-amz-content-sha256': payloadHash,
+                'x-amz-date': amzDate,
+                Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            }
+        };
+    }
+
+    async request(method, key, { query, payloadHash, data, headers = {}, responseType } = {}) {
+        const signed = this.sign(method, this.getPath(key), query, payloadHash);
+
+        try {
+            return await axios({
+                method,
+                url: signed.url,
+                headers: { ...headers, ...signed.headers },
+                data,
+                responseType,
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity,
+                timeout: 5 * 60 * 1000
+            });
+        } catch (error) {
+            const code = typeof error.response?.data === 'string' ? error.response.data.match(/<Code>([^<]+)<\/Code>/)?.[1] : null;
+            throw new Error(`${this.name}: ${method} ${key || this.bucket} failed${code ? ` (${code})` : error.response ? ` (HTTP ${error.response.status})` : `: ${error.message}`}`);
+        }
+    }
+
+    async hashFile(filePath) {
+        const hash = crypto.createHash('sha256');
+        await pipeline(fs.createReadStream(filePath), hash);
+        return hash.digest('hex');
+    }
+
+    async upload(filePath, fileName = path.basename(filePath)) {
+        const { size } = await fs.stat(filePath);
+        const key = `${this.prefix}${fileName}`;
+
+        await this.request('PUT', key, {
+            payloadHash: await this.hashFile(filePath),
+            data: fs.createReadStream(filePath),
+            headers: { 'Content-Length': size, 'Content-Type': 'application/octet-stream' }
+        });
+
+        return { name: fileName, location: `s3://${this.bucket}/${key}` };
+    }
+
+    decodeXml(value) {
+        return value
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    async list() {
+        const files = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': '2', prefix: this.prefix };
+            if (continuationToken) query['continuation-token'] = continuationToken;
+
+            const response = await this.request('GET', '', { query, responseType: 'text' });
+            const body = String(response.data);
+
+            for (const [, content] of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const key = this.decodeXml(content.match(/<Key>([^<]*)<\/Key>/)?.[1] || '');
+                const name = key.slice(this.prefix.length);
+
+                if (name.includes('/') || !BACKUP_FILE_PATTERN.test(name)) continue;
+
+                files.push({
+                    name,
+                    size: parseInt(content.match(/<Size>(\d+)<\/Size>/)?.[1]) || 0,
+                    modified: new Date(content.match(/<LastModified>([^<]+)<\/LastModified>/)?.[1] || 0)
+                });
+            }
+
+            continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(body)
+                ? this.decodeXml(body.match(/<NextContinuationToken>([^<]+)<\/NextContinuationToken>/)?.[1] || '') || null
+                : null;
+        } while (continuationToken);
+
+        return files;
+    }
+
+    async download(fileName, destPath) {
+        const response = await this.request('GET', `${this.prefix}${path.basename(fileName)}`, { responseType: 'stream' });
+
+        try {
+            await pipeline(response.data, fs.createWriteStream(destPath));
+        } catch (error) {
+            await fs.remove(destPath);
+            throw error;
+        }
+
+        return destPath;
+    }
+
+    async delete(fileName) {
+        await this.request('DELETE', `${this.prefix}${path.basename(fileName)}`);
+        return true;
+    }
+}
+
+const DESTINATION_TYPES = {
+    local: LocalDestination,
+    s3: S3Destination
+};
+
+function createDestination({ type, ...options }) {
+    const Destination = DESTINATION_TYPES[type];
+
+    if (!Destination) {
+        throw new Error(`Unknown backup destination type: ${type}`);
+    }
+
+    return new Destination(options);
+}
+
+function createDestinations(settings = {}) {
+    const destinations = [];
+
+    if (settings.local?.path) {
+        destinations.push({ type: 'local', ...settings.local });
+    }
+
+    if (settings.s3?.bucket) {
+        destinations.push({ type: 's3', ...settings.s3 });
+    }
+
+    return destinations.flatMap(options => {
+        try {
+            return [createDestination(options)];
+        } catch (error) {
+            logger.error(`Backup destination ${options.type} disabled:`, error);
+            return [];
+        }
+    });
+}
+
+module.exports = {
+    BackupDestination,
+    LocalDestination,
+    S3Destination,
+    DESTINATION_TYPES,
+    BACKUP_FILE_PATTERN,
+    createDestination,
+    createDestinations
+};
@@ -0,0 +1,104 @@
+const logger = require('./logger');
+const { updateGroup } = require('../models/Group');
+const { formatDuration } = require('./timeUtils');
+
+class BanManager {
+    normalizeBan(ban) {
+        return ban.toObject ? ban.toObject() : { ...ban };
+    }
+
+    isExpired(ban, now = Date.now()) {
+        return !!ban.bannedUntil && new Date(ban.bannedUntil).getTime() <= now;
+    }
+
+    getActiveBans(group) {
+        return (group?.settings?.bannedMembers || [])
+            .map(ban => this.normalizeBan(ban))
+            .filter(ban => !this.isExpired(ban));
+    }
+
+    getBan(group, userJid) {
+        return this.getActiveBans(group).find(ban => ban.jid === userJid) || null;
+    }
+
+    async ban(groupJid, userJid, { duration, reason, bannedBy } = {}) {
+        const ban = {
+            jid: userJid,
+            bannedBy: bannedBy || 'System',
+            bannedAt: new Date(),
+            bannedUntil: duration ? new Date(Date.now() + duration) : null,
+            reason: reason || 'No reason provided'
+        };
+
+        await updateGroup(groupJid, { $pull: { 'settings.bannedMembers': { jid: userJid } } });
+        await updateGroup(groupJid, { $push: { 'settings.bannedMembers': ban } });
+        logger.info(`Banned ${userJid} from ${groupJid}${duration ? ` for ${formatDuration(duration)}` : ''}`);
+
+        return ban;
+    }
+
+    async unban(groupJid, userJid) {
+        await updateGroup(groupJid, { $pull: { 'settings.bannedMembers': { jid: userJid } } });
+        logger.info(`Unbanned ${userJid} from ${groupJid}`);
+    }
+
+    async removeBanned(sock, groupJid, userJid, ban) {
+        if (this.isExpired(ban)) {
+            await this.unban(groupJid, userJid);
+            return false;
+        }
+
+        try {
+            await sock.groupParticipantsUpdate(groupJid, [userJid], 'remove');
+        } catch (error) {
+            logger.error(`Failed to remove banned member ${userJid} from ${groupJid}:`, error);
+        }
+
+        return true;
+    }
+
+    async enforce(sock, message, group, sender) {
+        const ban = (group?.settings?.bannedMembers || []).map(b => this.normalizeBan(b)).find(b => b.jid === sender);
+        if (!ban) return false;
+
+        const from = message.key.remoteJid;
+
+        if (this.isExpired(ban)) {
+            await this.unban(from, sender);
+            return false;
+        }
+
+        try {
+            await sock.sendMessage(from, { delete: message.key });
+        } catch (error) {
+            logger.debug(`Failed to delete message from banned member ${sender}:`, error);
+        }
+
+        await this.removeBanned(sock, from, sender, ban);
+        return true;
+    }
+
+    async enforceJoin(sock, groupJid, participant, group) {
+        const ban = (group?.settings?.bannedMembers || []).map(b => this.normalizeBan(b)).find(b => b.jid === participant);
+        if (!ban || !await this.removeBanned(sock, groupJid, participant, ban)) return false;
+
+        await sock.sendMessage(groupJid, {
+            text: `🚫 @${participant.split('@')[0]} is banned from this group and was removed.\n\nReason: ${ban.reason}`,
+            contextInfo: { mentionedJid: [participant] }
+        });
+
+        return true;
+    }
+}
+
+const banManager = new BanManager();
+
+module.exports = {
+    banManager,
+    getActiveBans: (group) => banManager.getActiveBans(group),
+    getBan: (group, userJid) => banManager.getBan(group, userJid),
+    ban: (groupJid, userJid, options) => banManager.ban(groupJid, userJid, options),
+    unban: (groupJid, userJid) => banManager.unban(groupJid, userJid),
+    enforce: (sock, message, group, sender) => banManager.enforce(sock, message, group, sender),
+    enforceJoin: (sock, groupJid, participant, group) => banManager.enforceJoin(sock, groupJid, participant, group)
+};
@@ -344,12 +344,6 @@ class CacheManager {
         }
     }
 
-    async cleanup() {
-        try {
-            const keys = this.nodeCache.keys();
-            const now = Date.now();
-            let cleanedCount = 0;
-            
     async cleanup() {
         try {
             const keys = this.nodeCache.keys();
@@ -3,13 +3,13 @@ const path = require('path');
 const { Collection } = require('@whiskeysockets/baileys');
 const logger = require('./logger');
 const { commandHandler } = require('../handlers/commandHandler');
+const { commandToggles } = require('./commandToggles');
 
 class CommandManager {
     constructor() {
         this.loadedCommands = new Map();
         this.commandCategories = new Map();
         this.aliases = new Map();
-        this.disabledCommands = new Set();
         this.commandUsage = new Map();
         this.isInitialized = false;
     }
@@ -19,6 +19,7 @@ class CommandManager {
 
         try {
             await this.loadAllCommands();
+            await commandToggles.loadGlobal(true);
             await this.validateCommands();
             await this.setupCommandWatchers();
             
@@ -282,24 +283,31 @@ _Template command - Delete this file after creating real commands._\`,
         return Array.from(this.commandCategories.keys());
     }
 
-    enableCommand(commandName) {
-        this.disabledCommands.delete(commandName);
+    getToggleTarget(commandName) {
+        return { type: 'command', name: commandName, category: this.getCommand(commandName)?.category };
+    }
+
+    async enableCommand(commandName) {
+        await commandToggles.setGlobal(this.getToggleTarget(commandName), null);
         logger.info(`Enabled command: ${commandName}`);
         return true;
     }
 
-    disableCommand(commandName) {
-        this.disabledCommands.add(commandName);
+    async disableCommand(commandName) {
+        const target = this.getToggleTarget(commandName);
+
+        commandToggles.assertTogglable(target);
+        await commandToggles.setGlobal(target, 'off');
         logger.info(`Disabled command: ${commandName}`);
         return true;
     }
 
     isCommandEnabled(commandName) {
-        return !this.disabledCommands.has(commandName);
+        return commandToggles.isEnabledGlobally(this.getToggleTarget(commandName));
     }
 
     getDisabledCommands() {
-        return Array.from(this.disabledCommands);
+        return [...this.loadedCommands.keys()].filter(name => !this.isCommandEnabled(name));
     }
 
     recordCommandUsage(commandName, executionTime, success = true) {
@@ -455,7 +463,8 @@ _Template command - Delete this file after creating real commands._\`,
 
     getSystemStats() {
         const totalCommands = this.loadedCommands.size;
-        const enabledCommands = totalCommands - this.disabledCommands.size;
+        const disabledCommands = this.getDisabledCommands().length;
+        const enabledCommands = totalCommands - disabledCommands;
         const categories = this.commandCategories.size;
         const totalAliases = this.aliases.size;
         
@@ -466,7 +475,7 @@ _Template command - Delete this file after creating real commands._\`,
         return {
             totalCommands,
             enabledCommands,
-            disabledCommands: this.disabledCommands.size,
+            disabledCommands,
             categories,
             totalAliases,
             totalUsage,
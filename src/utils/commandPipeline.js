@@ -0,0 +1,125 @@
+const logger = require('./logger');
+
+class CommandPipeline {
+    constructor() {
+        this.entries = [];
+        this.chain = null;
+    }
+
+    use(name, handler, options = {}) {
+        if (!name || typeof handler !== 'function') {
+            throw new Error('Middleware needs a name and a handler function');
+        }
+
+        const { before = null, after = null, owner = null, core = false } = options;
+
+        if (before && after) {
+            throw new Error(`Middleware ${name} cannot set both before and after`);
+        }
+
+        const entry = { name, handler, before, after, owner, core };
+        const index = this.entries.findIndex(existing => existing.name === name);
+        const existing = this.entries[index];
+
+        if (existing && (existing.core !== core || existing.owner !== owner)) {
+            throw new Error(existing.core
+                ? `Middleware ${name} is a core stage and cannot be replaced`
+                : `Middleware ${name} is already registered${existing.owner ? ` by ${existing.owner}` : ''}`);
+        }
+
+        if (index === -1) {
+            this.entries.push(entry);
+        } else {
+            this.entries[index] = entry;
+        }
+
+        this.chain = null;
+        logger.debug(`Registered command middleware: ${name}${owner ? ` (${owner})` : ''}`);
+        return this;
+    }
+
+    remove(name) {
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.name !== name);
+        this.chain = null;
+        return this.entries.length < count;
+    }
+
+    removeByOwner(owner) {
+        const removed = this.entries.filter(entry => entry.owner === owner).map(entry => entry.name);
+        removed.forEach(name => this.remove(name));
+        return removed;
+    }
+
+    getChain() {
+        if (this.chain) return this.chain;
+
+        const ordered = [
+            ...this.entries.filter(entry => entry.core && !entry.before && !entry.after),
+            ...this.entries.filter(entry => !entry.core && !entry.before && !entry.after)
+        ];
+        const pending = this.entries.filter(entry => entry.before || entry.after);
+        let placed = true;
+
+        while (pending.length && placed) {
+            placed = false;
+
+            for (const entry of [...pending]) {
+                const index = ordered.findIndex(existing => existing.name === (entry.before || entry.after));
+                if (index === -1) continue;
+
+                ordered.splice(entry.before ? index : index + 1, 0, entry);
+                pending.splice(pending.indexOf(entry), 1);
+                placed = true;
+            }
+        }
+
+        for (const entry of pending) {
+            logger.warn(`Middleware ${entry.name} anchor "${entry.before || entry.after}" not found, running it last`);
+            ordered.push(entry);
+        }
+
+        this.chain = ordered;
+        return ordered;
+    }
+
+    list() {
+        return this.getChain().map(({ name, owner, core }) => ({ name, owner, core }));
+    }
+
+    async run(ctx, final = null) {
+        const chain = this.getChain();
+
+        const dispatch = async (index) => {
+            const entry = chain[index];
+
+            if (!entry) {
+                ctx.completed = true;
+                return final ? await final(ctx) : undefined;
+            }
+
+            let called = false;
+            ctx.stage = entry.name;
+
+            return await entry.handler(ctx, async () => {
+                if (called) throw new Error(`next() called more than once in middleware ${entry.name}`);
+                called = true;
+                return await dispatch(index + 1);
+            });
+        };
+
+        ctx.completed = false;
+        await dispatch(0);
+
+        return ctx;
+    }
+}
+
+const commandPipeline = new CommandPipeline();
+
+module.exports = {
+    CommandPipeline,
+    commandPipeline,
+    use: (name, handler, options) => commandPipeline.use(name, handler, options),
+    remove: (name) => commandPipeline.remove(name)
+};
@@ -0,0 +1,184 @@
+const logger = require('./logger');
+const { getSetting, setSetting } = require('../models/Settings');
+const { updateUser } = require('../models/User');
+const { updateGroup } = require('../models/Group');
+
+const GLOBAL_KEY = 'commandToggles';
+const GLOBAL_REFRESH = 60 * 1000;
+const PROTECTED_COMMANDS = ['toggle', 'help'];
+const PROTECTED_CATEGORIES = ['owner'];
+const GLOBAL_STATES = ['on', 'off'];
+
+class CommandToggleManager {
+    constructor() {
+        this.global = { commands: {}, categories: {} };
+        this.globalLoadedAt = 0;
+    }
+
+    async loadGlobal(force = false) {
+        if (!force && Date.now() - this.globalLoadedAt < GLOBAL_REFRESH) {
+            return this.global;
+        }
+
+        try {
+            const stored = await getSetting(GLOBAL_KEY, {}) || {};
+            this.global = { commands: stored.commands || {}, categories: stored.categories || {} };
+            this.globalLoadedAt = Date.now();
+        } catch (error) {
+            logger.debug('Failed to load command toggles:', error);
+        }
+
+        return this.global;
+    }
+
+    getLocal({ group = null, user = null, isGroup = !!group } = {}) {
+        const toggles = (isGroup ? group?.settings?.commandToggles : user?.preferences?.commandToggles) || {};
+
+        return {
+            scope: isGroup ? 'group' : 'chat',
+            disabledCommands: toggles.disabledCommands || [],
+            disabledCategories: toggles.disabledCategories || [],
+            enabledCommands: toggles.enabledCommands || []
+        };
+    }
+
+    isProtected({ name, category }) {
+        return PROTECTED_COMMANDS.includes(name) || PROTECTED_CATEGORIES.includes(category);
+    }
+
+    resolveWith(global, local, command) {
+        const { name, category } = command;
+
+        if (this.isProtected(command)) {
+            return { enabled: true, scope: 'protected' };
+        }
+
+        for (const [state, target] of [[global.commands[name], 'command'], [global.categories[category], 'category']]) {
+            if (GLOBAL_STATES.includes(state)) {
+                return { enabled: state === 'on', scope: 'global', target, forced: state === 'on' };
+            }
+        }
+
+        if (local.enabledCommands.includes(name)) {
+            return { enabled: true, scope: local.scope, target: 'command' };
+        }
+
+        if (local.disabledCommands.includes(name)) {
+            return { enabled: false, scope: local.scope, target: 'command' };
+        }
+
+        if (local.disabledCategories.includes(category)) {
+            return { enabled: false, scope: local.scope, target: 'category' };
+        }
+
+        return { enabled: true, scope: 'default' };
+    }
+
+    isEnabledGlobally(command) {
+        return this.resolveWith(this.global, this.getLocal(), command).enabled;
+    }
+
+    async check(command, context = {}) {
+        const global = await this.loadGlobal();
+        return this.resolveWith(global, this.getLocal(context), command);
+    }
+
+    async filterEnabled(commands, context = {}) {
+        const global = await this.loadGlobal();
+        const local = this.getLocal(context);
+
+        return commands.filter(command => this.resolveWith(global, local, command).enabled);
+    }
+
+    assertTogglable(target) {
+        if (target.type === 'command' ? this.isProtected(target) : PROTECTED_CATEGORIES.includes(target.name)) {
+            throw new Error(`*${target.name}* cannot be disabled`);
+        }
+    }
+
+    async setLocal({ group = null, user = null, isGroup = !!group, jid }, target, enabled) {
+        const field = isGroup ? 'settings.commandToggles' : 'preferences.commandToggles';
+        let update;
+
+        if (!enabled) {
+            this.assertTogglable(target);
+        }
+
+        if (target.type === 'category') {
+            update = { [enabled ? '$pull' : '$addToSet']: { [`${field}.disabledCategories`]: target.name } };
+        } else if (!enabled) {
+            update = {
+                $addToSet: { [`${field}.disabledCommands`]: target.name },
+                $pull: { [`${field}.enabledCommands`]: target.name }
+            };
+        } else if (this.getLocal({ group, user, isGroup }).disabledCategories.includes(target.category)) {
+            update = {
+                $pull: { [`${field}.disabledCommands`]: target.name },
+                $addToSet: { [`${field}.enabledCommands`]: target.name }
+            };
+        } else {
+            update = { $pull: { [`${field}.disabledCommands`]: target.name, [`${field}.enabledCommands`]: target.name } };
+        }
+
+        return isGroup ? await updateGroup(jid, update) : await updateUser(jid, update);
+    }
+
+    async resetLocal({ isGroup, jid }, target) {
+        const field = isGroup ? 'settings.commandToggles' : 'preferences.commandToggles';
+        const update = target.type === 'category'
+            ? { $pull: { [`${field}.disabledCategories`]: target.name } }
+            : { $pull: { [`${field}.disabledCommands`]: target.name, [`${field}.enabledCommands`]: target.name } };
+
+        return isGroup ? await updateGroup(jid, update) : await updateUser(jid, update);
+    }
+
+    async setGlobal(target, state, updatedBy = null) {
+        if (state !== null && !GLOBAL_STATES.includes(state)) {
+            throw new Error(`Global state must be one of: ${GLOBAL_STATES.join(', ')}`);
+        }
+
+        if (state === 'off') {
+            this.assertTogglable(target);
+        }
+
+        const current = await this.loadGlobal(true);
+        const key = target.type === 'category' ? 'categories' : 'commands';
+        const next = { commands: { ...current.commands }, categories: { ...current.categories } };
+
+        if (state === null) {
+            if (!(target.name in next[key])) return false;
+            delete next[key][target.name];
+        } else {
+            next[key][target.name] = state;
+        }
+
+        await setSetting(GLOBAL_KEY, next, updatedBy);
+        this.global = next;
+        this.globalLoadedAt = Date.now();
+
+        return true;
+    }
+
+    async list(context = {}) {
+        const global = await this.loadGlobal();
+        const local = this.getLocal(context);
+
+        return {
+            global: [
+                ...Object.entries(global.categories).map(([name, state]) => ({ type: 'category', name, state })),
+                ...Object.entries(global.commands).map(([name, state]) => ({ type: 'command', name, state }))
+            ],
+            local
+        };
+    }
+}
+
+const commandToggles = new CommandToggleManager();
+
+module.exports = {
+    commandToggles,
+    PROTECTED_COMMANDS,
+    PROTECTED_CATEGORIES,
+    check: (command, context) => commandToggles.check(command, context),
+    filterEnabled: (commands, context) => commandToggles.filterEnabled(commands, context)
+};
@@ -0,0 +1,357 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const config = require('../config');
+const logger = require('./logger');
+const cache = require('./cache');
+const { getGroup, updateGroup, updateGroupWhere } = require('../models/Group');
+const { prefixManager } = require('./prefixManager');
+
+const NAME_PATTERN = /^[a-z0-9_-]{1,30}$/;
+const MAX_COMMANDS_PER_GROUP = 50;
+const MAX_RESPONSE_LENGTH = 2000;
+const MEDIA_DIR = path.join(process.cwd(), 'media', 'custom');
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+class CustomCommandManager {
+    normalizeName(name) {
+        return String(name || '').toLowerCase().trim();
+    }
+
+    validateName(name) {
+        if (!NAME_PATTERN.test(name)) {
+            return 'Command names may only contain letters, numbers, _ and - (max 30 characters).';
+        }
+
+        const { commandHandler } = require('../handlers/commandHandler');
+        if (commandHandler.getCommand(name)) {
+            return `*${name}* is a built-in command and cannot be overridden.`;
+        }
+
+        return null;
+    }
+
+    toList(group) {
+        return (group?.customCommands || []).map(cc => (cc.toObject ? cc.toObject() : { ...cc }));
+    }
+
+    async getCommands(groupJid) {
+        return this.toList(await getGroup(groupJid));
+    }
+
+    findCommand(group, name) {
+        const commandName = this.normalizeName(name);
+        return (group?.customCommands || []).find(cc => cc.name === commandName) || null;
+    }
+
+    async saveCommands(groupJid, commands) {
+        return await updateGroup(groupJid, { $set: { customCommands: commands } });
+    }
+
+    async addCommand(groupJid, { name, response, createdBy, media = null, cooldown = 0 }) {
+        const commandName = this.normalizeName(name);
+        const error = this.validateName(commandName);
+        if (error) throw new Error(error);
+
+        if (!response && !media) {
+            throw new Error('A custom command needs a response text or a media attachment.');
+        }
+
+        if (response && response.length > MAX_RESPONSE_LENGTH) {
+            throw new Error(`Response is too long (max ${MAX_RESPONSE_LENGTH} characters).`);
+        }
+
+        const commands = await this.getCommands(groupJid);
+
+        if (commands.some(cc => cc.name === commandName)) {
+            throw new Error(`Custom command *${commandName}* already exists. Use edit to change it.`);
+        }
+
+        if (commands.length >= MAX_COMMANDS_PER_GROUP) {
+            throw new Error(`This group already has ${MAX_COMMANDS_PER_GROUP} custom commands.`);
+        }
+
+        const command = {
+            name: commandName,
+            response: response || '',
+            createdBy,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+            cooldown,
+            uses: 0,
+            media
+        };
+
+        await this.saveCommands(groupJid, [...commands, command]);
+        logger.info(`Custom command added: ${commandName} in ${groupJid}`);
+
+        return command;
+    }
+
+    async editCommand(groupJid, name, changes) {
+        const commandName = this.normalizeName(name);
+        const commands = await this.getCommands(groupJid);
+        const command = commands.find(cc => cc.name === commandName);
+
+        if (!command) {
+            throw new Error(`Custom command *${commandName}* does not exist.`);
+        }
+
+        if (changes.response !== undefined && changes.response.length > MAX_RESPONSE_LENGTH) {
+            throw new Error(`Response is too long (max ${MAX_RESPONSE_LENGTH} characters).`);
+        }
+
+        if (changes.media !== undefined && command.media?.path && command.media.path !== changes.media?.path) {
+            await this.removeMedia(command.media);
+        }
+
+        Object.assign(command, changes, { updatedAt: new Date() });
+
+        await this.saveCommands(groupJid, commands);
+        logger.info(`Custom command edited: ${commandName} in ${groupJid}`);
+
+        return command;
+    }
+
+    async removeCommand(groupJid, name) {
+        const commandName = this.normalizeName(name);
+        const commands = await this.getCommands(groupJid);
+        const command = commands.find(cc => cc.name === commandName);
+
+        if (!command) {
+            throw new Error(`Custom command *${commandName}* does not exist.`);
+        }
+
+        await this.removeMedia(command.media);
+        await this.saveCommands(groupJid, commands.filter(cc => cc.name !== commandName));
+        await cache.flushByPattern(`custom_cooldown_${groupJid}_${commandName}_`);
+
+        logger.info(`Custom command removed: ${commandName} from ${groupJid}`);
+        return command;
+    }
+
+    getMediaSource(message) {
+        const content = message.message || {};
+        const contextInfo = content.extendedTextMessage?.contextInfo ||
+            Object.values(content).find(value => value?.contextInfo)?.contextInfo;
+
+        for (const type of MEDIA_TYPES) {
+            if (content[`${type}Message`]) {
+                return { type, node: content[`${type}Message`], message };
+            }
+        }
+
+        const quoted = contextInfo?.quotedMessage;
+        if (!quoted) return null;
+
+        for (const type of MEDIA_TYPES) {
+            if (quoted[`${type}Message`]) {
+                return {
+                    type,
+                    node: quoted[`${type}Message`],
+                    message: {
+                        key: {
+                            remoteJid: message.key.remoteJid,
+                            id: contextInfo.stanzaId,
+                            participant: contextInfo.participant
+                        },
+                        message: quoted
+                    }
+                };
+            }
+        }
+
+        return null;
+    }
+
+    async saveMedia(groupJid, name, message) {
+        const commandName = this.normalizeName(name);
+        if (!NAME_PATTERN.test(commandName)) {
+            throw new Error('Command names may only contain letters, numbers, _ and - (max 30 characters).');
+        }
+
+        const source = this.getMediaSource(message);
+        if (!source) return null;
+
+        const maxSize = config.media.upload.maxSize;
+        if (source.node.fileLength && Number(source.node.fileLength) > maxSize) {
+            throw new Error(`Media is too large (max ${Math.round(maxSize / 1024 / 1024)} MB).`);
+        }
+
+        const buffer = await downloadMediaMessage(source.message, 'buffer', {});
+        const mimetype = source.node.mimetype || 'application/octet-stream';
+        const subtype = mimetype.split('/')[1]?.split(';')[0] || '';
+        const extension = /^[a-z0-9]{1,10}$/i.test(subtype) ? subtype : 'bin';
+
+        const groupDir = path.resolve(MEDIA_DIR, groupJid.split('@')[0]);
+        const filePath = path.resolve(groupDir, `${commandName}_${Date.now()}.${extension}`);
+
+        if (!this.isInside(MEDIA_DIR, groupDir) || !this.isInside(groupDir, filePath)) {
+            throw new Error('Invalid media path.');
+        }
+
+        await fs.ensureDir(groupDir);
+        await fs.writeFile(filePath, buffer);
+
+        return {
+            type: source.type,
+            mimetype,
+            fileName: source.node.fileName || path.basename(filePath),
+            path: path.relative(process.cwd(), filePath)
+        };
+    }
+
+    isInside(parent, child) {
+        const relative = path.relative(path.resolve(parent), child);
+        return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    async removeMedia(media) {
+        if (!media?.path) return;
+
+        try {
+            await fs.remove(path.resolve(process.cwd(), media.path));
+        } catch (error) {
+            logger.warn(`Failed to remove custom command media ${media.path}:`, error);
+        }
+    }
+
+    getMentionTarget(message) {
+        const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+        return contextInfo?.mentionedJid?.[0] || contextInfo?.participant || null;
+    }
+
+    renderTemplate(template, context) {
+        const { sender, group, args, mention, prefix } = context;
+        const mentions = new Set();
+
+        const text = (template || '').replace(/\{(sender|group|args|mention|prefix)\}/g, (match, variable) => {
+            switch (variable) {
+                case 'sender':
+                    mentions.add(sender);
+                    return `@${sender.split('@')[0]}`;
+                case 'group':
+                    return group?.name || 'this group';
+                case 'args':
+                    return args.join(' ');
+                case 'mention':
+                    if (!mention) return '';
+                    mentions.add(mention);
+                    return `@${mention.split('@')[0]}`;
+                case 'prefix':
+                    return prefix || prefixManager.getPrimaryPrefix({ group, isGroup: true });
+                default:
+                    return match;
+            }
+        });
+
+        return { text, mentions: [...mentions] };
+    }
+
+    async checkCooldown(groupJid, command, sender) {
+        if (!command.cooldown) return { allowed: true };
+
+        const key = `custom_cooldown_${groupJid}_${command.name}_${sender}`;
+        const lastUsed = await cache.get(key);
+
+        if (lastUsed) {
+            const timeLeft = Math.ceil((lastUsed + command.cooldown * 1000 - Date.now()) / 1000);
+            if (timeLeft > 0) {
+                return { allowed: false, timeLeft };
+            }
+        }
+
+        await cache.set(key, Date.now(), command.cooldown);
+        return { allowed: true };
+    }
+
+    async buildContent(command, rendered) {
+        const contextInfo = rendered.mentions.length ? { mentionedJid: rendered.mentions } : undefined;
+
+        if (command.media?.path) {
+            const mediaPath = path.resolve(process.cwd(), command.media.path);
+
+            if (await fs.pathExists(mediaPath)) {
+                const buffer = await fs.readFile(mediaPath);
+
+                switch (command.media.type) {
+                    case 'image':
+                    case 'video':
+                        return { [command.media.type]: buffer, caption: rendered.text, contextInfo };
+                    case 'audio':
+                        return { audio: buffer, mimetype: command.media.mimetype };
+                    case 'sticker':
+                        return { sticker: buffer };
+                    case 'document':
+                        return {
+                            document: buffer,
+                            mimetype: command.media.mimetype,
+                            fileName: command.media.fileName,
+                            caption: rendered.text,
+                            contextInfo
+                        };
+                }
+            } else {
+                logger.warn(`Custom command media missing: ${command.media.path}`);
+            }
+        }
+
+        return { text: rendered.text, contextInfo };
+    }
+
+    async execute(sock, message, group, commandName, args) {
+        const command = this.findCommand(group, commandName);
+        if (!command) return false;
+
+        const from = message.key.remoteJid;
+        const sender = message.key.participant || from;
+
+        try {
+            const cooldown = await this.checkCooldown(from, command, sender);
+            if (!cooldown.allowed) {
+                await sock.sendMessage(from, {
+                    text: `⏰ *Cooldown Active*\n\nPlease wait ${cooldown.timeLeft} seconds before using *${command.name}* again.`
+                }, { quoted: message });
+                return true;
+            }
+
+            const rendered = this.renderTemplate(command.response, {
+                sender,
+                group,
+                args,
+                mention: this.getMentionTarget(message)
+            });
+
+            const content = await this.buildContent(command, rendered);
+            await sock.sendMessage(from, content, { quoted: message });
+
+            await updateGroupWhere(from, { 'customCommands.name': command.name }, {
+                $inc: { 'customCommands.$.uses': 1 },
+                $set: { 'customCommands.$.lastUsed': new Date() }
+            });
+
+            return true;
+        } catch (error) {
+            logger.error(`Custom command ${command.name} failed:`, error);
+            return true;
+        }
+    }
+}
+
+const customCommandManager = new CustomCommandManager();
+
+module.exports = {
+    customCommandManager,
+    MAX_COMMANDS_PER_GROUP,
+    getCommands: (groupJid) => customCommandManager.getCommands(groupJid),
+    findCommand: (group, name) => customCommandManager.findCommand(group, name),
+    validateName: (name) => customCommandManager.validateName(customCommandManager.normalizeName(name)),
+    addCommand: (groupJid, data) => customCommandManager.addCommand(groupJid, data),
+    editCommand: (groupJid, name, changes) => customCommandManager.editCommand(groupJid, name, changes),
+    removeCommand: (groupJid, name) => customCommandManager.removeCommand(groupJid, name),
+    saveMedia: (groupJid, name, message) => customCommandManager.saveMedia(groupJid, name, message),
+    removeMedia: (media) => customCommandManager.removeMedia(media),
+    renderTemplate: (template, context) => customCommandManager.renderTemplate(template, context),
+    execute: (sock, message, group, commandName, args) =>
+        customCommandManager.execute(sock, message, group, commandName, args)
+};
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const config = require('../config');
 const logger = require('./logger');
+const storage = require('../database/connection');
+
+const BACKUP_COLLECTIONS = ['users', 'groups', 'settings', 'premium'];
 
 class DatabaseManager {
     constructor() {
@@ -18,6 +21,10 @@ class DatabaseManager {
                 return this.connection;
             }
 
+            if (!storage.isMongo()) {
+                return await this.connectToStore();
+            }
+
             logger.info('Connecting to database...');
             
             mongoose.set('strictQuery', false);
@@ -44,6 +51,18 @@ class DatabaseManager {
         }
     }
 
+    async connectToStore() {
+        logger.info(`Opening ${storage.getDriver()} database...`);
+
+        this.connection = await storage.connect();
+        this.isConnected = true;
+
+        process.on('SIGINT', this.gracefulShutdown.bind(this));
+        process.on('SIGTERM', this.gracefulShutdown.bind(this));
+
+        return this.connection;
+    }
+
     setupEventListeners() {
         mongoose.connection.on('connected', () => {
             this.isConnected = true;
@@ -121,7 +140,11 @@ class DatabaseManager {
     async gracefulShutdown() {
         logger.info('Shutting down database connection...');
         try {
-            await mongoose.connection.close();
+            if (storage.isMongo()) {
+                await mongoose.connection.close();
+            } else {
+                await storage.close();
+            }
             logger.info('Database connection closed');
             process.exit(0);
         } catch (error) {
@@ -189,11 +212,27 @@ class DatabaseManager {
         if (!this.isConnected) return null;
 
         try {
+            if (!storage.isMongo()) {
+                const stats = await this.connection.getStats();
+
+                return {
+                    connected: this.isConnected,
+                    driver: storage.getDriver(),
+                    database: this.connection.filePath || 'memory',
+                    collections: stats.collections,
+                    documents: stats.documents,
+                    dataSize: Math.round(stats.dataSize / 1024 / 1024 * 100) / 100,
+                    indexSize: 0,
+                    totalSize: Math.round(stats.dataSize / 1024 / 1024 * 100) / 100
+                };
+            }
+
             const db = mongoose.connection.db;
             const stats = await db.stats();
             
             return {
                 connected: this.isConnected,
+                driver: 'mongodb',
                 database: stats.db,
                 collections: stats.collections,
                 dataSize: Math.round(stats.dataSize / 1024 / 1024 * 100) / 100,
@@ -209,6 +248,7 @@ class DatabaseManager {
     async healthCheck() {
         try {
             if (!this.isConnected) return false;
+            if (!storage.isMongo()) return true;
             
             await mongoose.connection.db.admin().ping();
             return true;
@@ -228,12 +268,13 @@ class DatabaseManager {
             
             const backupData = {
                 timestamp: new Date().toISOString(),
-                users: await mongoose.connection.db.collection('users').find({}).toArray(),
-                groups: await mongoose.connection.db.collection('groups').find({}).toArray(),
-                settings: await mongoose.connection.db.collection('settings').find({}).toArray(),
-                premium: await mongoose.connection.db.collection('premium').find({}).toArray()
+                driver: storage.getDriver()
             };
 
+            for (const collection of BACKUP_COLLECTIONS) {
+                backupData[collection] = await this.getCollection(collection).find({}).toArray();
+            }
+
             const fs = require('fs-extra');
             const path = require('path');
             
@@ -263,12 +304,12 @@ class DatabaseManager {
             const fs = require('fs-extra');
             const backupData = await fs.readJSON(backupFile);
             
-            const collections = ['users', 'groups', 'settings', 'premium'];
-            
-            for (const collection of collections) {
+            for (const collection of BACKUP_COLLECTIONS) {
                 if (backupData[collection]) {
-                    await mongoose.connection.db.collection(collection).deleteMany({});
-                    await mongoose.connection.db.collection(collection).insertMany(backupData[collection]);
+                    await this.getCollection(collection).deleteMany({});
+                    if (backupData[collection].length) {
+                        await this.getCollection(collection).insertMany(backupData[collection]);
+                    }
                     logger.info(`Restored ${collection}: ${backupData[collection].length} records`);
                 }
             }
@@ -289,14 +330,14 @@ class DatabaseManager {
             
             const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
             
-            const result1 = await mongoose.connection.db.collection('messages')
+            const result1 = await this.getCollection('messages')
                 .deleteMany({ timestamp: { $lt: thirtyDaysAgo }, isCommand: false });
             
-            const result2 = await mongoose.connection.db.collection('logs')
+            const result2 = await this.getCollection('logs')
                 .deleteMany({ timestamp: { $lt: thirtyDaysAgo }, level: { $in: ['debug', 'silly'] } });
             
             const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-            const result3 = await mongoose.connection.db.collection('commands')
+            const result3 = await this.getCollection('commands')
                 .deleteMany({ timestamp: { $lt: sevenDaysAgo } });
 
             logger.info(`Cleanup completed: ${result1.deletedCount + result2.deletedCount + result3.deletedCount} records removed`);
@@ -306,7 +347,12 @@ class DatabaseManager {
         }
     }
 
+    getCollection(name) {
+        return storage.isMongo() ? mongoose.connection.db.collection(name) : storage.collection(name);
+    }
+
     isHealthy() {
+        if (!storage.isMongo()) return this.isConnected;
         return this.isConnected && mongoose.connection.readyState === 1;
     }
 
@@ -317,6 +363,16 @@ class DatabaseManager {
             2: 'connecting',
             3: 'disconnecting'
         };
+
+        if (!storage.isMongo()) {
+            return {
+                state: this.isConnected ? 'connected' : 'disconnected',
+                driver: storage.getDriver(),
+                readyState: this.isConnected ? 1 : 0,
+                isConnected: this.isConnected,
+                reconnectAttempts: 0
+            };
+        }
         
         return {
             state: states[mongoose.connection.readyState] || 'unknown',
@@ -338,5 +394,6 @@ module.exports = {
     cleanup: () => databaseManager.cleanup(),
     isHealthy: () => databaseManager.isHealthy(),
     getConnectionState: () => databaseManager.getConnectionState(),
-    databaseManager
+    databaseManager,
+    BACKUP_COLLECTIONS
 };
\ No newline at end of file
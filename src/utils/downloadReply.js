@@ -0,0 +1,78 @@
+const logger = require('./logger');
+const downloadService = require('../services/downloadService');
+
+const DOCUMENT_PLATFORMS = ['mediafire', 'googledrive'];
+
+function getMediaType(result, format) {
+    const contentType = result.info?.contentType || '';
+
+    if (format === 'audio' || contentType.startsWith('audio/')) return 'audio';
+    if (DOCUMENT_PLATFORMS.includes(result.platform)) return 'document';
+    if (result.platform === 'pinterest' || result.info?.mediaType === 'photo' || contentType.startsWith('image/')) return 'image';
+    if (contentType && !contentType.startsWith('video/')) return 'document';
+
+    return 'video';
+}
+
+function buildCaption(info = {}) {
+    const lines = [
+        info.title && `├ Title: ${String(info.title).slice(0, 200)}`,
+        (info.author || info.channel) && `├ By: ${info.author || info.channel}`
+    ].filter(Boolean);
+
+    if (!lines.length) return '📥 *Downloaded*';
+
+    lines[lines.length - 1] = lines[lines.length - 1].replace('├', '╰');
+    return `📥 *Downloaded*\n\n${lines.join('\n')}`;
+}
+
+async function sendDownload({ sock, message, from, user, isGroup }, url, { platforms = [], label = 'supported', format, quality } = {}) {
+    const reply = (text) => sock.sendMessage(from, { text }, { quoted: message });
+
+    if (!url || !downloadService.isValidUrl(url)) {
+        return await reply('❌ *Invalid link*\n\nSend a full link starting with https://');
+    }
+
+    if (platforms.length && !platforms.includes(downloadService.detectPlatform(url))) {
+        return await reply(`❌ *Unsupported link*\n\nThis command only downloads ${label} links.`);
+    }
+
+    try {
+        const result = await downloadService.smartDownload(url, {
+            user,
+            groupJid: isGroup ? from : null,
+            format,
+            quality
+        });
+
+        const type = getMediaType(result, format);
+        const content = { [type]: result.buffer };
+
+        if (type === 'audio') {
+            content.mimetype = 'audio/mpeg';
+        } else if (type === 'document') {
+            content.mimetype = result.info?.contentType || 'application/octet-stream';
+            content.fileName = result.info?.filename || `download_${Date.now()}`;
+        } else {
+            content.caption = buildCaption(result.info);
+        }
+
+        return await sock.sendMessage(from, content, { quoted: message });
+    } catch (error) {
+        if (error.code === 'QUOTA_EXCEEDED') {
+            return await reply(`📊 ${error.message}`);
+        }
+
+        if (error.code === 'RATE_LIMITED') {
+            return await reply(`⏳ ${error.message}`);
+        }
+
+        logger.error(`Download failed for ${url}:`, error);
+        return await reply(`❌ *Download failed*\n\n${error.message}`);
+    }
+}
+
+module.exports = {
+    sendDownload,
+    getMediaType
+};
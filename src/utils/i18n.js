@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+const LOCALES_PATH = path.join(__dirname, '..', 'locales');
+
+class I18n {
+    constructor() {
+        this.locales = new Map();
+    }
+
+    load(language) {
+        if (this.locales.has(language)) {
+            return this.locales.get(language);
+        }
+
+        let strings = {};
+
+        try {
+            const file = path.join(LOCALES_PATH, `${language}.json`);
+            const raw = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim() : '';
+            strings = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            logger.error(`Failed to load locale ${language}:`, error);
+        }
+
+        this.locales.set(language, strings);
+        return strings;
+    }
+
+    lookup(language, key) {
+        return key.split('.').reduce((node, part) => node?.[part], this.load(language));
+    }
+
+    resolveLanguage({ user = null, group = null, isGroup = !!group } = {}) {
+        const { defaultLanguage = 'en', supportedLanguages = [] } = config.localization || {};
+        const candidates = isGroup ? [group?.settings?.language, user?.language] : [user?.language];
+        return candidates.find(lang => lang && supportedLanguages.includes(lang)) || defaultLanguage;
+    }
+
+    t(key, vars = {}, language = null) {
+        const { defaultLanguage = 'en', fallbackLanguage = 'en' } = config.localization || {};
+        const template = [language, defaultLanguage, fallbackLanguage]
+            .filter(Boolean)
+            .map(lang => this.lookup(lang, key))
+            .find(value => typeof value === 'string');
+
+        if (!template) return key;
+
+        return template.replace(/\{(\w+)\}/g, (match, name) => vars[name] !== undefined ? String(vars[name]) : match);
+    }
+
+    reload() {
+        this.locales.clear();
+    }
+}
+
+const i18n = new I18n();
+
+module.exports = {
+    i18n,
+    t: (key, vars, language) => i18n.t(key, vars, language),
+    resolveLanguage: (context) => i18n.resolveLanguage(context)
+};
@@ -103,6 +103,7 @@ class Logger {
                 level: process.env.LOG_LEVEL || 'info',
                 format: customFormat,
                 transports,
+                silent: transports.length === 0,
                 exitOnError: false,
                 handleExceptions: true,
                 handleRejections: true
@@ -391,135 +392,3 @@ ${errorData.meta.substring(0, 1000)}
 const logger = new Logger();
 
 module.exports = logger;
-    }
-
-    async logCommand(command, user, group, executionTime) {
-        const logData = {
-            type: 'command',
-            command,
-            user: user?.jid || 'unknown',
-            group: group?.jid || null,
-            executionTime,
-            timestamp: new Date().toISOString()
-        };
-
-        await this.info(`Command executed: ${command}`, logData);
-    }
-
-    async logError(error, context = {}) {
-        const errorData = {
-            type: 'error',
-            message: error.message,
-            stack: error.stack,
-            context,
-            timestamp: new Date().toISOString()
-        };
-
-        await this.error(`Error occurred: ${error.message}`, errorData);
-    }
-
-    async logSecurity(event, details = {}) {
-        const securityData = {
-            type: 'security',
-            event,
-            details,
-            timestamp: new Date().toISOString()
-        };
-
-        await this.warn(`Security event: ${event}`, securityData);
-    }
-
-    async logPerformance(metric, value, context = {}) {
-        const perfData = {
-            type: 'performance',
-            metric,
-            value,
-            context,
-            timestamp: new Date().toISOString()
-        };
-
-        await this.verbose(`Performance metric: ${metric} = ${value}`, perfData);
-    }
-
-    async notifyError(message, meta) {
-        try {
-            const config = require('../config');
-            if (!config.notifications.errors) return;
-
-            const errorData = {
-                bot: config.botName,
-                error: message,
-                timestamp: new Date().toISOString(),
-                environment: process.env.NODE_ENV || 'production',
-                meta
-            };
-
-            if (global.sock && config.ownerNumbers) {
-                const errorMessage = `🚨 *Bot Error Alert*\n\n*Message:* ${message}\n*Time:* ${new Date().toLocaleString()}\n*Environment:* ${errorData.environment}`;
-                
-                for (const owner of config.ownerNumbers) {
-                    try {
-                        await global.sock.sendMessage(owner, { text: errorMessage });
-                    } catch (err) {
-                        console.error('Failed to send error notification:', err);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error notification failed:', error);
-        }
-    }
-
-    async cleanup() {
-        try {
-            const files = await fs.readdir(this.logDir);
-            const now = Date.now();
-            const maxAge = 30 * 24 * 60 * 60 * 1000;
-
-            for (const file of files) {
-                const filePath = path.join(this.logDir, file);
-                const stats = await fs.stat(filePath);
-                
-                if (now - stats.mtime.getTime() > maxAge) {
-                    await fs.remove(filePath);
-                    console.log(`Cleaned up old log file: ${file}`);
-                }
-            }
-        } catch (error) {
-            console.error('Log cleanup failed:', error);
-        }
-    }
-
-    async getLogStats() {
-        try {
-            const files = await fs.readdir(this.logDir);
-            let totalSize = 0;
-            const fileStats = [];
-
-            for (const file of files) {
-                const filePath = path.join(this.logDir, file);
-                const stats = await fs.stat(filePath);
-                totalSize += stats.size;
-                
-                fileStats.push({
-                    name: file,
-                    size: Math.round(stats.size / 1024 / 1024 * 100) / 100,
-                    modified: stats.mtime
-                });
-            }
-
-            return {
-                totalFiles: files.length,
-                totalSize: Math.round(totalSize / 1024 / 1024 * 100) / 100,
-                files: fileStats
-            };
-        } catch (error) {
-            this.error('Failed to get log stats:', error);
-            return null;
-        }
-    }
-}
-
-const logger = new Logger();
-
-module.exports = logger;
\ No newline at end of file
@@ -0,0 +1,163 @@
+const config = require('../config');
+const logger = require('./logger');
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'sticker', 'document'];
+
+class MessageStore {
+    constructor(options = {}) {
+        this.messages = new Map();
+        this.mediaBytes = 0;
+        this.options = {
+            retention: options.retention || config.antiDelete.retention,
+            maxMessages: options.maxMessages || config.antiDelete.maxMessages,
+            maxMediaSize: options.maxMediaSize || config.antiDelete.maxMediaSize,
+            maxStoreSize: options.maxStoreSize || config.antiDelete.maxStoreSize
+        };
+        this.stats = {
+            stored: 0,
+            evicted: 0,
+            restored: 0
+        };
+    }
+
+    getKey(key) {
+        return `${key.remoteJid}:${key.id}`;
+    }
+
+    buildMedia(messageType, media, mediaData) {
+        if (!MEDIA_TYPES.includes(messageType) || !mediaData?.buffer) {
+            return null;
+        }
+        if (mediaData.buffer.length > this.options.maxMediaSize) {
+            return null;
+        }
+
+        return {
+            buffer: mediaData.buffer,
+            mimetype: media?.mimetype || mediaData.mimetype,
+            fileName: media?.fileName || mediaData.fileName,
+            ptt: !!media?.ptt,
+            seconds: media?.seconds,
+            gifPlayback: !!media?.gifPlayback,
+            isAnimated: !!media?.isAnimated
+        };
+    }
+
+    remember(message, messageContent, mediaData = null) {
+        try {
+            if (!message?.key?.id || !messageContent) {
+                return null;
+            }
+
+            const entry = {
+                key: message.key,
+                sender: message.key.participant || message.key.remoteJid,
+                pushName: message.pushName,
+                timestamp: (message.messageTimestamp || Math.floor(Date.now() / 1000)) * 1000,
+                storedAt: Date.now(),
+                messageType: messageContent.messageType,
+                text: messageContent.text,
+                media: this.buildMedia(messageContent.messageType, messageContent.media, mediaData)
+            };
+
+            const id = this.getKey(message.key);
+            this.delete(id);
+
+            this.messages.set(id, entry);
+            this.mediaBytes += entry.media?.buffer.length || 0;
+            this.stats.stored++;
+
+            this.prune();
+            return entry;
+        } catch (error) {
+            logger.error('Failed to store message:', error);
+            return null;
+        }
+    }
+
+    get(key) {
+        const entry = this.messages.get(this.getKey(key));
+        if (!entry) {
+            return null;
+        }
+
+        if (Date.now() - entry.storedAt > this.options.retention) {
+            this.delete(this.getKey(key));
+            return null;
+        }
+
+        return entry;
+    }
+
+    take(key) {
+        const entry = this.get(key);
+        if (entry) {
+            this.delete(this.getKey(key));
+            this.stats.restored++;
+        }
+        return entry;
+    }
+
+    delete(id) {
+        const entry = this.messages.get(id);
+        if (!entry) {
+            return false;
+        }
+
+        this.mediaBytes -= entry.media?.buffer.length || 0;
+        this.messages.delete(id);
+        return true;
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.options.retention;
+
+        for (const [id, entry] of this.messages) {
+            const expired = entry.storedAt < cutoff;
+            const overCount = this.messages.size > this.options.maxMessages;
+            const overMedia = this.mediaBytes > this.options.maxStoreSize;
+
+            if (!expired && !overCount && !overMedia) {
+                break;
+            }
+
+            // Text-only entries don't count towards the media budget, so keep them when only that is exceeded
+            if (!expired && !overCount && !entry.media) {
+                continue;
+            }
+
+            this.delete(id);
+            this.stats.evicted++;
+        }
+    }
+
+    clear() {
+        this.messages.clear();
+        this.mediaBytes = 0;
+    }
+
+    getStats() {
+        this.prune();
+
+        return {
+            ...this.stats,
+            messages: this.messages.size,
+            mediaBytes: this.mediaBytes,
+            retention: this.options.retention
+        };
+    }
+}
+
+const messageStore = new MessageStore();
+
+module.exports = {
+    MessageStore,
+    messageStore,
+    MEDIA_TYPES,
+    remember: (message, content, mediaData) => messageStore.remember(message, content, mediaData),
+    get: (key) => messageStore.get(key),
+    take: (key) => messageStore.take(key),
+    prune: () => messageStore.prune(),
+    clear: () => messageStore.clear(),
+    getStats: () => messageStore.getStats()
+};
@@ -0,0 +1,168 @@
+const logger = require('./logger');
+const { getGroup, updateGroup, updateGroupWhere, findGroups } = require('../models/Group');
+const { formatDuration } = require('./timeUtils');
+
+const MAX_MUTE_DURATION = 30 * 24 * 60 * 60 * 1000;
+
+class MuteManager {
+    constructor() {
+        this.isChecking = false;
+    }
+
+    normalizeMute(mute) {
+        return mute.toObject ? mute.toObject() : { ...mute };
+    }
+
+    isExpired(mute, now = Date.now()) {
+        return !!mute.mutedUntil && new Date(mute.mutedUntil).getTime() <= now;
+    }
+
+    getActiveMutes(group) {
+        return (group?.mutedUsers || [])
+            .map(m => this.normalizeMute(m))
+            .filter(m => !this.isExpired(m));
+    }
+
+    getMute(group, userJid) {
+        return this.getActiveMutes(group).find(m => m.jid === userJid) || null;
+    }
+
+    async mute(groupJid, userJid, { duration, reason, mutedBy } = {}) {
+        if (duration && (duration < 60 * 1000 || duration > MAX_MUTE_DURATION)) {
+            throw new Error(`Mute duration must be between 1 minute and ${formatDuration(MAX_MUTE_DURATION)}.`);
+        }
+
+        const mute = {
+            jid: userJid,
+            mutedBy: mutedBy || 'System',
+            mutedAt: new Date(),
+            mutedUntil: duration ? new Date(Date.now() + duration) : null,
+            reason: reason || 'No reason provided'
+        };
+
+        await updateGroupWhere(groupJid, {}, { $pull: { mutedUsers: { jid: userJid } } });
+        await updateGroup(groupJid, { $push: { mutedUsers: mute } });
+        logger.info(`Muted ${userJid} in ${groupJid}${duration ? ` for ${formatDuration(duration)}` : ''}`);
+
+        return mute;
+    }
+
+    async unmute(groupJid, userJid) {
+        const mute = this.getMute(await getGroup(groupJid), userJid);
+        if (!mute) {
+            return null;
+        }
+
+        await updateGroupWhere(groupJid, {}, { $pull: { mutedUsers: { jid: userJid } } });
+        logger.info(`Unmuted ${userJid} in ${groupJid}`);
+
+        return mute;
+    }
+
+    async sendUnmuteNotice(sock, groupJid, userJid) {
+        try {
+            await sock.sendMessage(groupJid, {
+                text: `🔊 @${userJid.split('@')[0]} has been unmuted. Mute expired.`,
+                contextInfo: { mentionedJid: [userJid] }
+            });
+        } catch (error) {
+            logger.debug(`Failed to send unmute notice in ${groupJid}:`, error);
+        }
+    }
+
+    async enforce(sock, message, group, sender) {
+        const mute = (group?.mutedUsers || []).map(m => this.normalizeMute(m)).find(m => m.jid === sender);
+        if (!mute) return false;
+
+        const from = message.key.remoteJid;
+
+        if (this.isExpired(mute)) {
+            await this.unmuteExpired(sock, from, [mute.jid]);
+            return false;
+        }
+
+        try {
+            const metadata = await sock.groupMetadata(from);
+            const botJid = `${sock.user.id.split(':')[0].split('@')[0]}@s.whatsapp.net`;
+            const isBotAdmin = !!metadata.participants.find(p => p.id === botJid)?.admin;
+
+            if (isBotAdmin) {
+                await sock.sendMessage(from, { delete: message.key });
+            }
+        } catch (error) {
+            logger.error(`Failed to delete message from muted user ${sender}:`, error);
+        }
+
+        return true;
+    }
+
+    async unmuteExpired(sock, groupJid, jids) {
+        const group = await getGroup(groupJid);
+        const now = new Date();
+        const expired = (group?.mutedUsers || [])
+            .map(m => this.normalizeMute(m))
+            .filter(m => this.isExpired(m, now.getTime()) && (!jids || jids.includes(m.jid)));
+
+        let unmuted = 0;
+
+        for (const mute of expired) {
+            const selector = { jid: mute.jid, mutedUntil: { $lte: now } };
+
+            // Only whoever actually pulls the mute announces it, so racing checks don't post twice.
+            const updated = await updateGroupWhere(groupJid, { mutedUsers: { $elemMatch: selector } }, {
+                $pull: { mutedUsers: selector }
+            });
+            if (!updated) {
+                continue;
+            }
+
+            unmuted++;
+            if (sock) {
+                await this.sendUnmuteNotice(sock, groupJid, mute.jid);
+            }
+        }
+
+        return unmuted;
+    }
+
+    async checkExpiredMutes() {
+        if (this.isChecking) return 0;
+        this.isChecking = true;
+
+        let unmuted = 0;
+
+        try {
+            const groups = await findGroups({
+                mutedUsers: { $elemMatch: { mutedUntil: { $lte: new Date() } } }
+            });
+
+            for (const group of groups) {
+                unmuted += await this.unmuteExpired(global.sock, group.jid);
+            }
+
+            if (unmuted) {
+                logger.info(`Automatically unmuted ${unmuted} members`);
+            }
+        } catch (error) {
+            logger.error('Mute expiry check failed:', error);
+        } finally {
+            this.isChecking = false;
+        }
+
+        return unmuted;
+    }
+}
+
+const muteManager = new MuteManager();
+
+module.exports = {
+    muteManager,
+    MAX_MUTE_DURATION,
+    getActiveMutes: (group) => muteManager.getActiveMutes(group),
+    getMute: (group, userJid) => muteManager.getMute(group, userJid),
+    mute: (groupJid, userJid, options) => muteManager.mute(groupJid, userJid, options),
+    unmute: (groupJid, userJid) => muteManager.unmute(groupJid, userJid),
+    enforce: (sock, message, group, sender) => muteManager.enforce(sock, message, group, sender),
+    unmuteExpired: (sock, groupJid, jids) => muteManager.unmuteExpired(sock, groupJid, jids),
+    checkExpiredMutes: () => muteManager.checkExpiredMutes()
+};
@@ -0,0 +1,241 @@
+const { validationUtils } = require('./validationUtils');
+const { parseDuration, formatDuration } = require('./timeUtils');
+const { t } = require('./i18n');
+
+const PARAM_TYPES = ['mention', 'number', 'duration', 'url', 'enum', 'string', 'text', 'quoted', 'media'];
+const MESSAGE_TYPES = ['quoted', 'media'];
+const MEDIA_TYPES = {
+    image: 'imageMessage',
+    video: 'videoMessage',
+    audio: 'audioMessage',
+    document: 'documentMessage',
+    sticker: 'stickerMessage'
+};
+
+class ArgParser {
+    getContextInfo(message) {
+        const content = message?.message || {};
+        return Object.values(content).find(value => value?.contextInfo)?.contextInfo || {};
+    }
+
+    toDuration(value) {
+        return typeof value === 'number' ? value : parseDuration(value);
+    }
+
+    formatParam(param) {
+        let label = param.name;
+
+        if (param.type === 'enum') label = param.values.join('|');
+        if (param.type === 'mention') label = `@${param.name}|reply`;
+        if (param.type === 'text') label = `${param.name}...`;
+        if (param.type === 'quoted') label = 'reply';
+        if (param.type === 'media') label = (param.media || Object.keys(MEDIA_TYPES)).join('|');
+
+        return param.required === false ? `[${label}]` : `<${label}>`;
+    }
+
+    formatUsage(command) {
+        if (!Array.isArray(command.params)) {
+            return command.usage || command.name;
+        }
+
+        return [command.name, ...command.params.map(param => this.formatParam(param))].join(' ');
+    }
+
+    formatError(command, error, { prefix = '', language = null } = {}) {
+        const lines = [
+            `❌ *${t('args.title', {}, language)}*`,
+            '',
+            error,
+            '',
+            `*${t('args.usage', {}, language)}:* ${prefix}${this.formatUsage(command)}`
+        ];
+
+        if (command.example) {
+            lines.push(`*${t('args.example', {}, language)}:* ${prefix}${command.example}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    parse(command, args = [], { message = null, language = null } = {}) {
+        const contextInfo = this.getContextInfo(message);
+        const state = { message, contextInfo, language, mentions: contextInfo.mentionedJid || [] };
+        const params = {};
+        let index = 0;
+
+        for (const param of command.params || []) {
+            const fail = (key, vars = {}) => ({ valid: false, error: t(`args.${key}`, { name: param.name, ...vars }, language) });
+
+            if (!PARAM_TYPES.includes(param.type)) {
+                throw new Error(`Unknown parameter type "${param.type}" in command ${command.name}`);
+            }
+
+            if (MESSAGE_TYPES.includes(param.type)) {
+                const result = this[`parse${param.type === 'quoted' ? 'Quoted' : 'Media'}`](param, state);
+                if (!result.valid && param.required !== false) return result;
+
+                params[param.name] = result.valid ? result.value : (param.default ?? null);
+                continue;
+            }
+
+            const token = param.type === 'text' ? args.slice(index).join(' ').trim() : args[index];
+
+            if (param.type === 'mention') {
+                const result = this.parseMention(token, param, state);
+
+                if (result.valid) {
+                    params[param.name] = result.value;
+                    if (result.consumed) index++;
+                    continue;
+                }
+
+                if (token === undefined && param.required === false) {
+                    params[param.name] = param.default ?? null;
+                    continue;
+                }
+
+                return token === undefined ? fail('missing') : result;
+            }
+
+            if (token === undefined || token === '') {
+                if (param.required !== false) return fail('missing');
+
+                params[param.name] = param.default ?? null;
+                continue;
+            }
+
+            const result = this[`parse${param.type.charAt(0).toUpperCase()}${param.type.slice(1)}`](token, param, fail);
+            if (!result.valid) return result;
+
+            params[param.name] = result.value;
+            index = param.type === 'text' ? args.length : index + 1;
+        }
+
+        if (Array.isArray(command.params) && index < args.length && !command.allowExtraArgs) {
+            return { valid: false, error: t('args.tooMany', { extra: args.slice(index).join(' ') }, language) };
+        }
+
+        return { valid: true, params };
+    }
+
+    parseMention(token, param, { contextInfo, mentions, language }) {
+        const digits = token?.startsWith('@') || /^\+?\d[\d\s-]*$/.test(token || '') ? token.replace(/\D/g, '') : '';
+
+        if (digits) {
+            const jid = mentions.find(mention => mention.split('@')[0] === digits)
+                || (digits.length >= 7 && digits.length <= 15 ? `${digits}@s.whatsapp.net` : null);
+
+            if (jid) return { valid: true, value: jid, consumed: true };
+        }
+
+        if (param.fromReply !== false && contextInfo.participant) {
+            return { valid: true, value: contextInfo.participant, consumed: false };
+        }
+
+        return { valid: false, error: t('args.mention', { name: param.name }, language) };
+    }
+
+    parseNumber(token, param, fail) {
+        const result = validationUtils.validateNumber(token.replace(/,/g, ''));
+
+        if (!result.valid || !/^[-+]?\d*\.?\d+$/.test(token.replace(/,/g, ''))) return fail('number');
+        if (param.integer && !Number.isInteger(result.value)) return fail('integer');
+        if (param.min !== undefined && result.value < param.min) return fail('min', { min: param.min });
+        if (param.max !== undefined && result.value > param.max) return fail('max', { max: param.max });
+
+        return { valid: true, value: result.value };
+    }
+
+    parseDuration(token, param, fail) {
+        const value = parseDuration(token);
+        const min = param.min !== undefined ? this.toDuration(param.min) : null;
+        const max = param.max !== undefined ? this.toDuration(param.max) : null;
+
+        if (!value) return fail('duration');
+        if (min !== null && value < min) return fail('durationMin', { min: formatDuration(min) });
+        if (max !== null && value > max) return fail('durationMax', { max: formatDuration(max) });
+
+        return { valid: true, value };
+    }
+
+    parseUrl(token, param, fail) {
+        const result = validationUtils.validateURL(token, { protocols: param.protocols || ['http', 'https'] });
+        return result.valid ? { valid: true, value: result.value } : fail('url');
+    }
+
+    parseEnum(token, param, fail) {
+        const value = param.values.find(option => option.toLowerCase() === token.toLowerCase());
+        return value ? { valid: true, value } : fail('enum', { values: param.values.join(', ') });
+    }
+
+    parseString(token, param, fail) {
+        if (param.minLength && token.length < param.minLength) return fail('minLength', { min: param.minLength });
+        if (param.maxLength && token.length > param.maxLength) return fail('maxLength', { max: param.maxLength });
+        if (param.pattern && !param.pattern.test(token)) return fail('pattern');
+
+        return { valid: true, value: token };
+    }
+
+    parseText(token, param, fail) {
+        return this.parseString(token, param, fail);
+    }
+
+    parseQuoted(param, { message, contextInfo, language }) {
+        if (!contextInfo.quotedMessage) {
+            return { valid: false, error: t('args.quoted', {}, language) };
+        }
+
+        return {
+            valid: true,
+            value: {
+                message: contextInfo.quotedMessage,
+                sender: contextInfo.participant || null,
+                key: { remoteJid: message?.key?.remoteJid, id: contextInfo.stanzaId, participant: contextInfo.participant }
+            }
+        };
+    }
+
+    parseMedia(param, { message, contextInfo, language }) {
+        const allowed = param.media || Object.keys(MEDIA_TYPES);
+        const sources = [
+            { content: message?.message, key: message?.key, quoted: false },
+            {
+                content: contextInfo.quotedMessage,
+                key: { remoteJid: message?.key?.remoteJid, id: contextInfo.stanzaId, participant: contextInfo.participant },
+                quoted: true
+            }
+        ];
+
+        for (const source of sources) {
+            const type = allowed.find(name => source.content?.[MEDIA_TYPES[name]]);
+
+            if (type) {
+                return {
+                    valid: true,
+                    value: {
+                        type,
+                        media: source.content[MEDIA_TYPES[type]],
+                        quoted: source.quoted,
+                        source: { key: source.key, message: source.content }
+                    }
+                };
+            }
+        }
+
+        const names = allowed.map(name => t(`media.${name}`, {}, language));
+        const types = names.length > 1 ? `${names.slice(0, -1).join(', ')} ${t('media.or', {}, language)} ${names[names.length - 1]}` : names[0];
+
+        return { valid: false, error: t('args.media', { types }, language) };
+    }
+}
+
+const argParser = new ArgParser();
+
+module.exports = {
+    argParser,
+    PARAM_TYPES,
+    MEDIA_TYPES,
+    parseArgs: (command, args, options) => argParser.parse(command, args, options),
+    formatUsage: (command) => argParser.formatUsage(command)
+};
@@ -3,6 +3,7 @@ const path = require('path');
 const EventEmitter = require('events');
 const logger = require('./logger');
 const config = require('../config');
+const { commandPipeline } = require('./commandPipeline');
 
 class PluginManager extends EventEmitter {
     constructor() {
@@ -112,44 +113,31 @@ class PluginManager extends EventEmitter {
     }
 
     generateAutoReplyPlugin() {
-        return `const { cache } = require('../utils/cache');
+        return `const autoReply = require('../utils/autoReply');
 const logger = require('../utils/logger');
 
 module.exports = {
     name: 'autoReply',
-    version: '1.0.0',
-    description: 'Automatic reply system',
+    version: '1.1.0',
+    description: 'Trigger/response auto-reply rules (per group and global)',
     author: 'Ilom',
     enabled: true,
     priority: 1,
     
     config: {
         enabled: true,
-        groupsOnly: false,
-        adminBypass: true
+        groupsOnly: false
     },
 
     async execute(sock, message, context) {
         try {
-            const { from, text, isGroup, user, group } = context;
-            
-            if (!this.config.enabled) return;
+            const { text, isGroup, group } = context;
             
-            if (this.config.groupsOnly && !isGroup) return;
+            if (!this.config.enabled || !text) return false;
             
-            const autoReplies = await cache.get('autoReplies') || {};
-            const lowerText = text.toLowerCase();
+            if (this.config.groupsOnly && !isGroup) return false;
             
-            for (const [trigger, reply] of Object.entries(autoReplies)) {
-                if (lowerText.includes(trigger.toLowerCase())) {
-                    await sock.sendMessage(from, { text: reply });
-                    
-                    logger.info(\`Auto-reply triggered: \${trigger}\`);
-                    return true;
-                }
-            }
-            
-            return false;
+            return await autoReply.handleMessage(sock, message, text, group);
         } catch (error) {
             logger.error('AutoReply plugin error:', error);
             return false;
@@ -197,7 +185,7 @@ module.exports = {
             if (text.length > this.config.maxLength) return;
             
             const aiService = require('../services/aiService');
-            const response = await aiService.generateResponse(text, user, isGroup);
+            const response = await aiService.generateResponse(text, user, isGroup, from);
             
             if (response) {
                 await sock.sendMessage(from, {
@@ -420,11 +408,6 @@ module.exports = {
         }
     }
 
-    async activatePlugin(name) {
-        try {
-            const plugin = this.plugins.get(name);
-            if (!plugin) return false;
-
     async activatePlugin(name) {
         try {
             const plugin = this.plugins.get(name);
@@ -434,6 +417,7 @@ module.exports = {
                 await plugin.onLoad();
             }
 
+            this.registerMiddleware(name, plugin);
             this.activePlugins.add(name);
             this.pluginStates.set(name, 'active');
             
@@ -457,6 +441,7 @@ module.exports = {
                 await plugin.onUnload();
             }
 
+            commandPipeline.removeByOwner(`plugin:${name}`);
             this.activePlugins.delete(name);
             this.pluginStates.set(name, 'inactive');
             
@@ -491,6 +476,43 @@ module.exports = {
         }
     }
 
+    getMiddlewareDefinitions(name, plugin) {
+        if (typeof plugin.middleware === 'function') {
+            return [{ name, handler: plugin.middleware }];
+        }
+
+        return Array.isArray(plugin.middleware) ? plugin.middleware : [];
+    }
+
+    getMiddlewareStageName(name, stage = name) {
+        return `plugin:${name}:${stage}`;
+    }
+
+    registerMiddleware(name, plugin) {
+        const definitions = this.getMiddlewareDefinitions(name, plugin);
+        const ownStages = definitions.map(definition => definition.name || name);
+        const anchor = stage => stage && ownStages.includes(stage) ? this.getMiddlewareStageName(name, stage) : stage;
+
+        try {
+            for (const definition of definitions) {
+                const { name: stage = name, handler, before, after } = definition;
+
+                commandPipeline.use(this.getMiddlewareStageName(name, stage), (ctx, next) => handler.call(plugin, ctx, next, this.getPluginConfig(name)), {
+                    before: anchor(before),
+                    after: anchor(after),
+                    owner: `plugin:${name}`
+                });
+            }
+        } catch (error) {
+            commandPipeline.removeByOwner(`plugin:${name}`);
+            throw error;
+        }
+    }
+
+    useMiddleware(name, handler, options = {}) {
+        return commandPipeline.use(name, handler, options);
+    }
+
     async setupPluginHooks() {
         this.hooks.set('message', []);
         this.hooks.set('command', []);
@@ -669,7 +691,8 @@ module.exports = {
             states,
             hooks: Object.fromEntries(
                 Array.from(this.hooks.entries()).map(([hook, plugins]) => [hook, plugins.length])
-            )
+            ),
+            middleware: commandPipeline.list()
         };
     }
 
@@ -708,7 +731,8 @@ module.exports = {
             state: this.getPluginState(name),
             loaded: plugin.loaded,
             filepath: plugin.filepath,
-            hooks: plugin.hooks || []
+            hooks: plugin.hooks || [],
+            middleware: this.getMiddlewareDefinitions(name, plugin).map(definition => this.getMiddlewareStageName(name, definition.name))
         };
     }
 
@@ -799,6 +823,7 @@ module.exports = {
     reloadPlugin: (name) => pluginManager.reloadPlugin(name),
     executePlugins: (type, ...args) => pluginManager.executePlugins(type, ...args),
     executeHook: (hook, ...args) => pluginManager.executeHook(hook, ...args),
+    useMiddleware: (name, handler, options) => pluginManager.useMiddleware(name, handler, options),
     getPlugin: (name) => pluginManager.getPlugin(name),
     getAllPlugins: () => pluginManager.getAllPlugins(),
     getActivePlugins: () => pluginManager.getActivePlugins(),
@@ -0,0 +1,141 @@
+const config = require('../config');
+const { updateUser } = require('../models/User');
+const { updateGroup } = require('../models/Group');
+
+const MAX_PREFIXES = 5;
+const MAX_PREFIX_LENGTH = 3;
+const FALLBACK_PREFIXES = ['!', '.', '/', '#', '>', '<'];
+
+class PrefixManager {
+    getGlobalPrefixes() {
+        return this.unique([config.prefix, config.secondaryPrefix, ...FALLBACK_PREFIXES]);
+    }
+
+    getGroupPrefixes(group) {
+        const settings = group?.settings || {};
+        return this.unique([...(settings.prefixes || []), settings.prefix]);
+    }
+
+    getUserPrefix(user) {
+        return user?.preferences?.prefix || null;
+    }
+
+    unique(prefixes) {
+        return [...new Set(prefixes.filter(prefix => typeof prefix === 'string' && prefix.trim()))];
+    }
+
+    resolve({ group = null, user = null, isGroup = !!group } = {}) {
+        const groupPrefixes = isGroup ? this.getGroupPrefixes(group) : [];
+
+        if (groupPrefixes.length) {
+            return { prefixes: groupPrefixes, primary: groupPrefixes[0], source: 'group' };
+        }
+
+        const userPrefix = this.getUserPrefix(user);
+
+        if (userPrefix) {
+            return { prefixes: [userPrefix], primary: userPrefix, source: 'user' };
+        }
+
+        const prefixes = this.getGlobalPrefixes();
+        return { prefixes, primary: config.prefix || prefixes[0], source: 'global' };
+    }
+
+    getPrimaryPrefix(context = {}) {
+        return this.resolve(context).primary;
+    }
+
+    detect(text, prefixes) {
+        if (!text) return null;
+
+        return [...prefixes]
+            .sort((a, b) => b.length - a.length)
+            .find(prefix => text.startsWith(prefix)) || null;
+    }
+
+    isNoPrefixEnabled({ group = null, isGroup = !!group } = {}) {
+        if (!config.noPrefixEnabled) {
+            return false;
+        }
+
+        if (isGroup) {
+            return group?.settings?.noPrefixEnabled === true;
+        }
+
+        return config.privateNoPrefixEnabled === true;
+    }
+
+    validate(prefixes) {
+        const list = this.unique(prefixes);
+
+        if (!list.length) {
+            throw new Error('Provide at least one prefix');
+        }
+
+        if (list.length > MAX_PREFIXES) {
+            throw new Error(`A chat can have at most ${MAX_PREFIXES} prefixes`);
+        }
+
+        for (const prefix of list) {
+            if (prefix.length > MAX_PREFIX_LENGTH || /\s/.test(prefix)) {
+                throw new Error(`Invalid prefix "${prefix}". Use up to ${MAX_PREFIX_LENGTH} characters without spaces.`);
+            }
+
+            if (/^[a-z0-9]/i.test(prefix)) {
+                throw new Error(`Invalid prefix "${prefix}". Prefixes must start with a symbol.`);
+            }
+        }
+
+        return list;
+    }
+
+    async setGroupPrefixes(groupJid, prefixes) {
+        const list = this.validate(prefixes);
+
+        await updateGroup(groupJid, {
+            $set: { 'settings.prefix': list[0], 'settings.prefixes': list }
+        });
+
+        return list;
+    }
+
+    async resetGroupPrefixes(groupJid) {
+        return await updateGroup(groupJid, {
+            $set: { 'settings.prefix': null, 'settings.prefixes': [] }
+        });
+    }
+
+    async setNoPrefix(groupJid, enabled) {
+        await updateGroup(groupJid, {
+            $set: { 'settings.noPrefixEnabled': !!enabled }
+        });
+    }
+
+    async setUserPrefix(userJid, prefix) {
+        const [value] = prefix ? this.validate([prefix]) : [null];
+
+        await updateUser(userJid, {
+            $set: { 'preferences.prefix': value }
+        });
+
+        return value;
+    }
+
+    async resetUserPrefix(userJid) {
+        return await updateUser(userJid, {
+            $set: { 'preferences.prefix': null }
+        });
+    }
+}
+
+const prefixManager = new PrefixManager();
+
+module.exports = {
+    prefixManager,
+    MAX_PREFIXES,
+    MAX_PREFIX_LENGTH,
+    resolve: (context) => prefixManager.resolve(context),
+    getPrimaryPrefix: (context) => prefixManager.getPrimaryPrefix(context),
+    detect: (text, prefixes) => prefixManager.detect(text, prefixes),
+    isNoPrefixEnabled: (context) => prefixManager.isNoPrefixEnabled(context)
+};
@@ -0,0 +1,241 @@
+const config = require('../config');
+const logger = require('./logger');
+const { getUser, updateUser } = require('../models/User');
+const { getGroup, updateGroup } = require('../models/Group');
+const { getZonedParts, zonedTimeToDate, formatDuration } = require('./timeUtils');
+const { getTier } = require('./rateLimiter');
+
+const QUOTA_METRICS = ['aiTokens', 'images', 'downloadBytes'];
+const QUOTA_PERIODS = ['daily', 'monthly'];
+const TIER_MULTIPLIERS = { regular: 1, basic: 2, pro: 5 };
+
+const METRIC_LABELS = {
+    aiTokens: 'AI tokens',
+    images: 'image generations',
+    downloadBytes: 'download data'
+};
+
+class QuotaManager {
+    getPeriodKeys(date = new Date()) {
+        const { year, month, day } = getZonedParts(date, config.timezone);
+        const pad = value => String(value).padStart(2, '0');
+
+        return {
+            day: `${year}-${pad(month)}-${pad(day)}`,
+            month: `${year}-${pad(month)}`
+        };
+    }
+
+    getResetTime(period, date = new Date()) {
+        const { year, month, day } = getZonedParts(date, config.timezone);
+        const next = period === 'daily'
+            ? new Date(Date.UTC(year, month - 1, day + 1))
+            : new Date(Date.UTC(year, month, 1));
+
+        return zonedTimeToDate({
+            year: next.getUTCFullYear(),
+            month: next.getUTCMonth() + 1,
+            day: next.getUTCDate()
+        }, config.timezone);
+    }
+
+    getCurrentUsage(doc, now = new Date()) {
+        const keys = this.getPeriodKeys(now);
+        const usage = doc?.usage || {};
+        const empty = () => Object.fromEntries(QUOTA_METRICS.map(metric => [metric, 0]));
+
+        return {
+            daily: usage.day === keys.day ? { ...empty(), ...this.plain(usage.daily) } : empty(),
+            monthly: usage.month === keys.month ? { ...empty(), ...this.plain(usage.monthly) } : empty()
+        };
+    }
+
+    plain(value) {
+        if (!value) return {};
+        const object = value.toObject ? value.toObject() : { ...value };
+        return Object.fromEntries(QUOTA_METRICS.map(metric => [metric, Number(object[metric]) || 0]));
+    }
+
+    getLimits(scope, user = null) {
+        if (!config.quotas?.enabled) return null;
+
+        if (scope === 'group') {
+            return config.quotas.group;
+        }
+
+        const tier = getTier(user);
+        if (tier === 'owner' || tier === 'unlimited') return null;
+
+        const multiplier = tier === 'banned' ? 0 : TIER_MULTIPLIERS[tier] || 1;
+
+        return Object.fromEntries(QUOTA_PERIODS.map(period => [
+            period,
+            Object.fromEntries(QUOTA_METRICS.map(metric => [metric, config.quotas.user[period][metric] * multiplier]))
+        ]));
+    }
+
+    buildStatus(scope, doc, user = null) {
+        const limits = this.getLimits(scope, user);
+        const usage = this.getCurrentUsage(doc);
+        const status = {};
+
+        for (const period of QUOTA_PERIODS) {
+            status[period] = {};
+
+            for (const metric of QUOTA_METRICS) {
+                const limit = limits ? limits[period][metric] : null;
+                const used = usage[period][metric];
+
+                status[period][metric] = {
+                    used,
+                    limit,
+                    remaining: limit === null ? Infinity : Math.max(0, limit - used)
+                };
+            }
+
+            status[period].resetsAt = this.getResetTime(period);
+        }
+
+        return { scope, unlimited: !limits, ...status };
+    }
+
+    async getStatus({ user, groupJid } = {}) {
+        const result = {};
+
+        if (user?.jid) {
+            const doc = await getUser(user.jid);
+            result.user = this.buildStatus('user', doc, doc || user);
+        }
+
+        if (groupJid) {
+            result.group = this.buildStatus('group', await getGroup(groupJid));
+        }
+
+        return result;
+    }
+
+    formatAmount(metric, value) {
+        if (value === Infinity || value === null) return '∞';
+
+        if (metric === 'downloadBytes') {
+            const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+            let amount = value;
+            let unit = 0;
+
+            while (amount >= 1024 && unit < units.length - 1) {
+                amount /= 1024;
+                unit++;
+            }
+
+            return `${amount.toFixed(unit ? 1 : 0)} ${units[unit]}`;
+        }
+
+        return value.toLocaleString();
+    }
+
+    createQuotaError(scope, period, metric, entry, resetsAt) {
+        const owner = scope === 'group' ? 'This group has' : 'You have';
+        const error = new Error(`${owner} used the ${period} ${METRIC_LABELS[metric]} quota (${this.formatAmount(metric, entry.used)}/${this.formatAmount(metric, entry.limit)}). It resets in ${formatDuration(Math.max(resetsAt - Date.now(), 60 * 1000))}.`);
+
+        error.code = 'QUOTA_EXCEEDED';
+        error.scope = scope;
+        error.period = period;
+        error.metric = metric;
+        error.resetsAt = resetsAt;
+
+        return error;
+    }
+
+    // Callers pass their worst-case cost (content-length, prompt plus maxTokens) as amount.
+    // The check and record() are separate writes, so requests already in flight can each
+    // pass and overshoot the limit by at most their own cost; the rate limiter keeps that
+    // number small, and we accept the overshoot rather than reserving usage up front.
+    async assertAvailable({ user, groupJid } = {}, metric, amount = 1) {
+        if (!config.quotas?.enabled || !QUOTA_METRICS.includes(metric)) return null;
+
+        const status = await this.getStatus({ user, groupJid });
+
+        for (const scope of ['user', 'group']) {
+            if (!status[scope] || status[scope].unlimited) continue;
+
+            for (const period of QUOTA_PERIODS) {
+                const entry = status[scope][period][metric];
+
+                if (entry.remaining < amount) {
+                    throw this.createQuotaError(scope, period, metric, entry, status[scope][period].resetsAt);
+                }
+            }
+        }
+
+        return status;
+    }
+
+    getRemaining(status, metric) {
+        return Math.min(...['user', 'group']
+            .filter(scope => status?.[scope] && !status[scope].unlimited)
+            .flatMap(scope => QUOTA_PERIODS.map(period => status[scope][period][metric].remaining)));
+    }
+
+    buildUsageUpdate(doc, amounts, now = new Date()) {
+        const keys = this.getPeriodKeys(now);
+        const usage = doc?.usage || {};
+        const update = { $set: {}, $inc: {} };
+
+        if (usage.day !== keys.day) {
+            update.$set['usage.day'] = keys.day;
+            update.$set['usage.daily'] = { aiTokens: 0, images: 0, downloadBytes: 0 };
+        }
+
+        if (usage.month !== keys.month) {
+            update.$set['usage.month'] = keys.month;
+            update.$set['usage.monthly'] = { aiTokens: 0, images: 0, downloadBytes: 0 };
+        }
+
+        for (const [metric, amount] of Object.entries(amounts)) {
+            if (!QUOTA_METRICS.includes(metric) || !amount) continue;
+
+            for (const period of QUOTA_PERIODS) {
+                if (update.$set[`usage.${period}`]) {
+                    update.$set[`usage.${period}`][metric] = amount;
+                } else {
+                    update.$inc[`usage.${period}.${metric}`] = amount;
+                }
+            }
+        }
+
+        if (!Object.keys(update.$set).length) delete update.$set;
+        if (!Object.keys(update.$inc).length) delete update.$inc;
+
+        return update;
+    }
+
+    async record({ user, groupJid } = {}, amounts = {}) {
+        if (!config.quotas?.enabled) return;
+
+        try {
+            if (user?.jid) {
+                await updateUser(user.jid, this.buildUsageUpdate(await getUser(user.jid), amounts));
+            }
+
+            if (groupJid) {
+                await updateGroup(groupJid, this.buildUsageUpdate(await getGroup(groupJid), amounts));
+            }
+        } catch (error) {
+            logger.error('Failed to record quota usage:', error);
+        }
+    }
+}
+
+const quotaManager = new QuotaManager();
+
+module.exports = {
+    quotaManager,
+    QUOTA_METRICS,
+    QUOTA_PERIODS,
+    METRIC_LABELS,
+    getStatus: (context) => quotaManager.getStatus(context),
+    assertAvailable: (context, metric, amount) => quotaManager.assertAvailable(context, metric, amount),
+    getRemaining: (status, metric) => quotaManager.getRemaining(status, metric),
+    record: (context, amounts) => quotaManager.record(context, amounts),
+    formatAmount: (metric, value) => quotaManager.formatAmount(metric, value)
+};
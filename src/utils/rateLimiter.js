@@ -1,50 +1,339 @@
+const crypto = require('crypto');
 const { cache } = require('./cache');
 const logger = require('./logger');
 const config = require('../config');
+const { getSetting, setSetting } = require('../models/Settings');
+const { formatDuration } = require('./timeUtils');
+
+const OVERRIDES_KEY = 'rateLimitOverrides';
+const OVERRIDES_REFRESH = 60 * 1000;
+const MAX_WINDOW = 24 * 60 * 60 * 1000;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const TIER_LIMITS = {
+    owner: null,
+    unlimited: null,
+    pro: {
+        messages: { max: 60, window: MINUTE },
+        commands: { max: 30, window: MINUTE },
+        media: { max: 20, window: 5 * MINUTE },
+        ai: { max: 100, window: HOUR },
+        downloads: { max: 40, window: HOUR },
+        api: { max: 500, window: HOUR }
+    },
+    basic: {
+        messages: { max: 40, window: MINUTE },
+        commands: { max: 20, window: MINUTE },
+        media: { max: 10, window: 5 * MINUTE },
+        ai: { max: 40, window: HOUR },
+        downloads: { max: 20, window: HOUR },
+        api: { max: 200, window: HOUR }
+    },
+    regular: {
+        messages: { max: config.limits.rateLimitRequests || 20, window: config.limits.rateLimitWindow || MINUTE },
+        commands: { max: 10, window: MINUTE },
+        media: { max: 5, window: 5 * MINUTE },
+        ai: { max: 10, window: HOUR },
+        downloads: { max: 5, window: HOUR },
+        api: { max: 100, window: HOUR }
+    },
+    banned: {
+        messages: { max: 0, window: MINUTE },
+        commands: { max: 0, window: MINUTE },
+        media: { max: 0, window: MINUTE },
+        ai: { max: 0, window: MINUTE },
+        downloads: { max: 0, window: MINUTE },
+        api: { max: 0, window: MINUTE }
+    }
+};
+
+const PREMIUM_TIERS = ['basic', 'pro', 'unlimited'];
+
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local max = tonumber(ARGV[3])
+
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+
+local count = redis.call('ZCARD', key)
+local allowed = 0
+
+if count < max then
+    redis.call('ZADD', key, now, ARGV[4])
+    redis.call('PEXPIRE', key, window)
+    count = count + 1
+    allowed = 1
+end
+
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+return { allowed, count, tonumber(oldest[2] or now) }
+`;
 
 class RateLimiter {
     constructor() {
         this.limits = new Map();
         this.violations = new Map();
-        this.defaultLimits = {
-            messages: { max: 20, window: 60000 },
-            commands: { max: 10, window: 60000 },
-            media: { max: 5, window: 300000 },
-            api: { max: 100, window: 3600000 }
+        this.overrides = {};
+        this.overridesLoadedAt = 0;
+        this.scriptSha = null;
+        this.defaultLimits = TIER_LIMITS.regular;
+    }
+
+    getTier(user) {
+        if (!user?.jid) return 'regular';
+        if (config.ownerNumbers.includes(user.jid)) return 'owner';
+
+        const now = Date.now();
+
+        if (user.isBanned && (!user.banUntil || new Date(user.banUntil).getTime() > now)) {
+            return 'banned';
+        }
+
+        if (user.isPremium && (!user.premiumUntil || new Date(user.premiumUntil).getTime() > now)) {
+            return PREMIUM_TIERS.includes(user.premiumType) ? user.premiumType : 'basic';
+        }
+
+        return 'regular';
+    }
+
+    getTierLimit(tier, type) {
+        const limits = TIER_LIMITS[tier];
+        if (limits === null) return null;
+
+        return (limits || this.defaultLimits)[type] || this.defaultLimits[type] || this.defaultLimits.messages;
+    }
+
+    getTierMultiplier(tier, type) {
+        const tierLimit = this.getTierLimit(tier, type);
+        const baseLimit = this.getTierLimit('regular', type);
+
+        if (!tierLimit || !baseLimit.max) return 1;
+        return Math.max(1, tierLimit.max / baseLimit.max);
+    }
+
+    getOverrideKey(group, command) {
+        return `${group || '*'}:${command || '*'}`;
+    }
+
+    async loadOverrides(force = false) {
+        if (!force && Date.now() - this.overridesLoadedAt < OVERRIDES_REFRESH) {
+            return this.overrides;
+        }
+
+        try {
+            this.overrides = await getSetting(OVERRIDES_KEY, {}) || {};
+            this.overridesLoadedAt = Date.now();
+        } catch (error) {
+            logger.debug('Failed to load rate limit overrides:', error);
+        }
+
+        return this.overrides;
+    }
+
+    async setOverride({ group = null, command = null, max, window }, updatedBy = null) {
+        if (!group && !command) {
+            throw new Error('An override needs a group, a command or both');
+        }
+
+        if (!Number.isInteger(max) || max < 1) {
+            throw new Error('Limit must be a positive whole number');
+        }
+
+        if (!Number.isFinite(window) || window < 1000 || window > MAX_WINDOW) {
+            throw new Error('Window must be between 1 second and 24 hours');
+        }
+
+        const overrides = { ...await this.loadOverrides(true) };
+        overrides[this.getOverrideKey(group, command)] = { max, window };
+
+        await setSetting(OVERRIDES_KEY, overrides, updatedBy);
+        this.overrides = overrides;
+
+        return { group, command, max, window };
+    }
+
+    async removeOverride({ group = null, command = null }, updatedBy = null) {
+        const overrides = { ...await this.loadOverrides(true) };
+        const key = this.getOverrideKey(group, command);
+
+        if (!overrides[key]) return false;
+
+        delete overrides[key];
+        await setSetting(OVERRIDES_KEY, overrides, updatedBy);
+        this.overrides = overrides;
+
+        return true;
+    }
+
+    async listOverrides(group) {
+        const overrides = await this.loadOverrides();
+
+        return Object.entries(overrides)
+            .map(([key, limit]) => {
+                const [scope, command] = key.split(/:(?=[^:]*$)/);
+                return {
+                    group: scope === '*' ? null : scope,
+                    command: command === '*' ? null : command,
+                    ...limit
+                };
+            })
+            .filter(override => group === undefined || !override.group || override.group === group);
+    }
+
+    async resolveLimit(userId, type, { command, group, user } = {}) {
+        const tier = this.getTier(user);
+        const tierLimit = this.getTierLimit(tier, type);
+
+        if (!tierLimit || tierLimit.max === 0) {
+            return { limit: tierLimit, tier, key: `ratelimit_${type}_${userId}` };
+        }
+
+        const overrides = await this.loadOverrides();
+        const candidates = [];
+
+        if (command) {
+            if (group) candidates.push([group, command]);
+            candidates.push([null, command]);
+        }
+
+        if (group) {
+            candidates.push([group, null]);
+        }
+
+        for (const [scopeGroup, scopeCommand] of candidates) {
+            const limit = overrides[this.getOverrideKey(scopeGroup, scopeCommand)];
+            if (!limit) continue;
+
+            const scope = [scopeCommand && `cmd:${scopeCommand}`, scopeGroup].filter(Boolean).join('_');
+            const max = Math.floor(limit.max * this.getTierMultiplier(tier, type));
+
+            return { limit: { ...limit, max }, tier, key: `ratelimit_${type}_${scope}_${userId}` };
+        }
+
+        return {
+            limit: tierLimit,
+            tier,
+            key: `ratelimit_${type}_${userId}`
         };
     }
 
-    async checkLimit(userId, type = 'messages', customLimit = null) {
+    isRedisReady() {
+        return cache.useRedis && cache.redisClient?.isReady;
+    }
+
+    async hitRedis(key, limit, now) {
+        const client = cache.redisClient;
+        const args = {
+            keys: [key],
+            arguments: [String(now), String(limit.window), String(limit.max), `${now}-${crypto.randomBytes(4).toString('hex')}`]
+        };
+
+        if (!this.scriptSha) {
+            this.scriptSha = await client.scriptLoad(SLIDING_WINDOW_SCRIPT);
+        }
+
+        let result;
         try {
-            const limit = customLimit || this.defaultLimits[type] || this.defaultLimits.messages;
-            const key = `ratelimit_${type}_${userId}`;
-            
-            const requests = await cache.get(key) || [];
+            result = await client.evalSha(this.scriptSha, args);
+        } catch (error) {
+            if (!String(error.message).includes('NOSCRIPT')) throw error;
+
+            this.scriptSha = await client.scriptLoad(SLIDING_WINDOW_SCRIPT);
+            result = await client.evalSha(this.scriptSha, args);
+        }
+
+        const [allowed, count, oldest] = result.map(Number);
+        return { allowed: allowed === 1, count, oldest };
+    }
+
+    hitLocal(key, limit, now) {
+        const requests = (cache.nodeCache.get(key) || []).filter(timestamp => now - timestamp < limit.window);
+        const allowed = requests.length < limit.max;
+
+        if (allowed) {
+            requests.push(now);
+        }
+
+        cache.nodeCache.set(key, requests, Math.ceil(limit.window / 1000));
+        return { allowed, count: requests.length, oldest: requests[0] ?? now };
+    }
+
+    async hit(key, limit, now = Date.now()) {
+        if (this.isRedisReady()) {
+            try {
+                return await this.hitRedis(key, limit, now);
+            } catch (error) {
+                logger.debug('Redis rate limit failed, using local limiter:', error);
+            }
+        }
+
+        return this.hitLocal(key, limit, now);
+    }
+
+    async peek(key, limit, now = Date.now()) {
+        if (this.isRedisReady()) {
+            try {
+                const client = cache.redisClient;
+                await client.zRemRangeByScore(key, '-inf', now - limit.window);
+                const [count, oldest] = await Promise.all([
+                    client.zCard(key),
+                    client.zRangeWithScores(key, 0, 0)
+                ]);
+
+                return { count, oldest: oldest[0]?.score ?? null };
+            } catch (error) {
+                logger.debug('Redis rate limit peek failed:', error);
+            }
+        }
+
+        const requests = (cache.nodeCache.get(key) || []).filter(timestamp => now - timestamp < limit.window);
+        return { count: requests.length, oldest: requests[0] ?? null };
+    }
+
+    async checkLimit(userId, type = 'messages', customLimit = null, context = {}) {
+        try {
+            const resolved = await this.resolveLimit(userId, type, context);
+            const { tier } = resolved;
+
+            if (resolved.limit === null) {
+                return { allowed: true, tier, remaining: Infinity, limit: null, window: null, resetTime: 0, retryAfter: 0 };
+            }
+
+            if (resolved.limit.max === 0) {
+                return { allowed: false, tier, remaining: 0, limit: 0, window: resolved.limit.window, resetTime: 0, retryAfter: 0 };
+            }
+
+            const limit = customLimit || resolved.limit;
             const now = Date.now();
-            
-            const validRequests = requests.filter(timestamp => 
-                now - timestamp < limit.window
-            );
-            
-            if (validRequests.length >= limit.max) {
+
+            const { allowed, count, oldest } = await this.hit(resolved.key, limit, now);
+            const resetTime = Math.max(0, oldest + limit.window - now);
+
+            if (!allowed) {
                 await this.recordViolation(userId, type);
-                
-                const resetTime = validRequests[0] + limit.window - now;
+
                 return {
                     allowed: false,
+                    tier,
                     remaining: 0,
+                    limit: limit.max,
+                    window: limit.window,
                     resetTime,
                     retryAfter: Math.ceil(resetTime / 1000)
                 };
             }
-            
-            validRequests.push(now);
-            await cache.set(key, validRequests, Math.ceil(limit.window / 1000));
-            
+
             return {
                 allowed: true,
-                remaining: limit.max - validRequests.length,
-                resetTime: validRequests[0] + limit.window - now,
+                tier,
+                remaining: limit.max - count,
+                limit: limit.max,
+                window: limit.window,
+                resetTime,
                 retryAfter: 0
             };
         } catch (error) {
@@ -53,6 +342,21 @@ class RateLimiter {
         }
     }
 
+    async assertLimit(user, type, label = type) {
+        if (!user?.jid) return null;
+
+        const result = await this.checkLimit(user.jid, type, null, { user });
+        if (result.allowed) return result;
+
+        const error = new Error(result.limit === 0
+            ? `You are not allowed to use ${label} right now.`
+            : `${label.charAt(0).toUpperCase()}${label.slice(1)} limit reached (${result.limit} per ${formatDuration(result.window)} on the ${result.tier} tier). Try again in ${formatDuration(Math.max(result.resetTime, 1000))}.`);
+        error.code = 'RATE_LIMITED';
+        error.retryAfter = result.retryAfter;
+        error.tier = result.tier;
+        throw error;
+    }
+
     async recordViolation(userId, type) {
         const key = `violations_${userId}`;
         const violations = await cache.get(key) || [];
@@ -102,24 +406,27 @@ class RateLimiter {
         };
     }
 
-    async getUserLimits(userId) {
+    async getUserLimits(userId, user = null) {
         const limits = {};
+        const tier = this.getTier(user);
         
-        for (const [type, limit] of Object.entries(this.defaultLimits)) {
-            const key = `ratelimit_${type}_${userId}`;
-            const requests = await cache.get(key) || [];
+        for (const type of Object.keys(this.defaultLimits)) {
+            const limit = this.getTierLimit(tier, type);
             const now = Date.now();
-            
-            const validRequests = requests.filter(timestamp => 
-                now - timestamp < limit.window
-            );
+
+            if (!limit) {
+                limits[type] = { used: 0, max: null, remaining: Infinity, resetTime: 0 };
+                continue;
+            }
+
+
+            const { count, oldest } = await this.peek(`ratelimit_${type}_${userId}`, limit, now);
             
             limits[type] = {
-                used: validRequests.length,
+                used: count,
                 max: limit.max,
-                remaining: limit.max - validRequests.length,
-                resetTime: validRequests.length > 0 ? 
-                    validRequests[0] + limit.window - now : 0
+                remaining: Math.max(0, limit.max - count),
+                resetTime: oldest !== null ? oldest + limit.window - now : 0
             };
         }
         
@@ -127,10 +434,9 @@ class RateLimiter {
     }
 
     async clearUserLimits(userId) {
-        const types = Object.keys(this.defaultLimits);
+        const keys = await cache.keys(`ratelimit_*_${userId}`);
         
-        for (const type of types) {
-            const key = `ratelimit_${type}_${userId}`;
+        for (const key of new Set(keys)) {
             await cache.del(key);
         }
         
@@ -204,9 +510,15 @@ const rateLimiter = new RateLimiter();
 
 module.exports = {
     rateLimiter,
-    checkLimit: (userId, type, customLimit) => rateLimiter.checkLimit(userId, type, customLimit),
+    TIER_LIMITS,
+    checkLimit: (userId, type, customLimit, context) => rateLimiter.checkLimit(userId, type, customLimit, context),
+    setOverride: (override, updatedBy) => rateLimiter.setOverride(override, updatedBy),
+    removeOverride: (override, updatedBy) => rateLimiter.removeOverride(override, updatedBy),
+    listOverrides: (group) => rateLimiter.listOverrides(group),
     isTemporaryBanned: (userId) => rateLimiter.isTemporaryBanned(userId),
-    getUserLimits: (userId) => rateLimiter.getUserLimits(userId),
+    getUserLimits: (userId, user) => rateLimiter.getUserLimits(userId, user),
+    getTier: (user) => rateLimiter.getTier(user),
+    assertLimit: (user, type, label) => rateLimiter.assertLimit(user, type, label),
     clearUserLimits: (userId) => rateLimiter.clearUserLimits(userId),
     getGlobalStats: () => rateLimiter.getGlobalStats(),
     createUserLimiter: (userId, limits) => rateLimiter.createUserLimiter(userId, limits),
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+const { getUser, updateUser, updateUserWhere, findUsers } = require('../models/User');
+const { getGroup } = require('../models/Group');
+const { prefixManager } = require('./prefixManager');
+const {
+    isValidTimezone,
+    getZonedParts,
+    zonedTimeToDate,
+    parseTimeOfDay,
+    parseDuration,
+    formatInTimezone
+} = require('./timeUtils');
+
+const MAX_ACTIVE_REMINDERS = 25;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_AHEAD = 366 * 24 * 60 * 60 * 1000;
+const MIN_AHEAD = 10 * 1000;
+const COMPLETED_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_SNOOZE = 10 * 60 * 1000;
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_DELAY = 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class ReminderManager {
+    constructor() {
+        this.isChecking = false;
+    }
+
+    getTimezone(user) {
+        const timezone = user?.timezone;
+        return timezone && isValidTimezone(timezone) ? timezone : config.timezone || 'UTC';
+    }
+
+    normalizeReminder(reminder) {
+        const plain = reminder.toObject ? reminder.toObject() : { ...reminder };
+        return {
+            ...plain,
+            id: plain.id || String(plain._id || '').slice(-6),
+            completed: !!plain.completed
+        };
+    }
+
+    addDays(parts, days) {
+        const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    takeTime(words) {
+        const start = words[0] === 'at' ? 1 : 0;
+
+        for (const length of [2, 1]) {
+            const candidate = words.slice(start, start + length).join(' ');
+            const time = length === 2 && !/^(am|pm)$/i.test(words[start + 1] || '') ? null : parseTimeOfDay(candidate);
+            if (time) return { time, rest: words.slice(start + length) };
+        }
+
+        return { time: null, rest: words };
+    }
+
+    cleanMessage(words) {
+        return words.join(' ').replace(/^(to|that|about)\s+/i, '').trim();
+    }
+
+    parseReminder(input, timezone = 'UTC', now = new Date()) {
+        const words = String(input || '').trim().replace(/^me\s+/i, '').split(/\s+/).filter(Boolean);
+        if (!words.length) return null;
+
+        const first = words[0].toLowerCase();
+        const today = getZonedParts(now, timezone);
+
+        if (first === 'in') {
+            for (let length = Math.min(words.length - 1, 6); length > 0; length--) {
+                const duration = parseDuration(words.slice(1, length + 1).join(' '));
+                if (duration) {
+                    return {
+                        remindAt: new Date(now.getTime() + duration),
+                        message: this.cleanMessage(words.slice(length + 1))
+                    };
+                }
+            }
+            return null;
+        }
+
+        const isoDate = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(first);
+        if (isoDate) {
+            const { time, rest } = this.takeTime(words.slice(1));
+            const date = { year: parseInt(isoDate[1]), month: parseInt(isoDate[2]), day: parseInt(isoDate[3]) };
+            const check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+
+            if (check.getUTCMonth() !== date.month - 1 || check.getUTCDate() !== date.day) return null;
+
+            return {
+                remindAt: zonedTimeToDate({ ...date, ...(time || { hour: 9, minute: 0 }) }, timezone),
+                message: this.cleanMessage(rest)
+            };
+        }
+
+        let dayOffset = null;
+        let remaining = words;
+
+        if (first === 'today' || first === 'tonight') {
+            dayOffset = 0;
+            remaining = words.slice(1);
+        } else if (first === 'tomorrow') {
+            dayOffset = 1;
+            remaining = words.slice(1);
+        } else {
+            const weekday = WEEKDAYS.findIndex(day => day === first || day.slice(0, 3) === first);
+            if (weekday !== -1) {
+                dayOffset = (weekday - today.weekday + 7) % 7 || 7;
+                remaining = words.slice(1);
+            }
+        }
+
+        const { time, rest } = this.takeTime(remaining);
+
+        if (dayOffset === null && !time) return null;
+
+        const resolvedTime = time || (first === 'tonight' ? { hour: 20, minute: 0 } : { hour: 9, minute: 0 });
+        let remindAt = zonedTimeToDate({ ...this.addDays(today, dayOffset || 0), ...resolvedTime }, timezone);
+
+        if (dayOffset === null && remindAt <= now) {
+            remindAt = zonedTimeToDate({ ...this.addDays(today, 1), ...resolvedTime }, timezone);
+        }
+
+        return { remindAt, message: this.cleanMessage(rest) };
+    }
+
+    async getReminders(jid, includeCompleted = false) {
+        const user = await getUser(jid);
+        const reminders = (user?.reminders || []).map(r => this.normalizeReminder(r));
+
+        return (includeCompleted ? reminders : reminders.filter(r => !r.completed))
+            .sort((a, b) => new Date(a.remindAt) - new Date(b.remindAt));
+    }
+
+    selectReminder(reminder) {
+        return reminder._id ? { _id: reminder._id } : { id: reminder.id };
+    }
+
+    async pruneReminders(jid) {
+        const cutoff = new Date(Date.now() - COMPLETED_RETENTION);
+
+        await updateUserWhere(jid, {}, {
+            $pull: {
+                reminders: {
+                    completed: true,
+                    $or: [
+                        { deliveredAt: { $lt: cutoff } },
+                        { deliveredAt: null, remindAt: { $lt: cutoff } }
+                    ]
+                }
+            }
+        });
+    }
+
+    validateTime(remindAt, now = new Date()) {
+        if (!(remindAt instanceof Date) || isNaN(remindAt)) {
+            throw new Error('Invalid reminder time.');
+        }
+
+        if (remindAt.getTime() - now.getTime() < MIN_AHEAD) {
+            throw new Error('Reminder time must be in the future.');
+        }
+
+        if (remindAt.getTime() - now.getTime() > MAX_AHEAD) {
+            throw new Error('Reminders can be set at most one year ahead.');
+        }
+    }
+
+    async addReminder(jid, { message, remindAt, chat }) {
+        if (!message) {
+            throw new Error('Reminder message cannot be empty.');
+        }
+
+        if (message.length > MAX_MESSAGE_LENGTH) {
+            throw new Error(`Reminder message is too long (max ${MAX_MESSAGE_LENGTH} characters).`);
+        }
+
+        this.validateTime(remindAt);
+
+        const active = await this.getReminders(jid);
+
+        if (active.length >= MAX_ACTIVE_REMINDERS) {
+            throw new Error(`You can have at most ${MAX_ACTIVE_REMINDERS} active reminders.`);
+        }
+
+        const reminder = {
+            id: crypto.randomBytes(3).toString('hex'),
+            message,
+            remindAt,
+            chat: chat || jid,
+            createdAt: new Date(),
+            completed: false,
+            deliveredAt: null
+        };
+
+        await updateUser(jid, { $push: { reminders: reminder } });
+        await this.pruneReminders(jid);
+        logger.info(`Reminder ${reminder.id} set for ${jid} at ${remindAt.toISOString()}`);
+
+        return reminder;
+    }
+
+    async cancelReminder(jid, id) {
+        const reminder = (await this.getReminders(jid)).find(r => r.id === id);
+        const selector = reminder && { ...this.selectReminder(reminder), completed: false };
+
+        // The filter makes the pull fail if the reminder was delivered since it was read.
+        const updated = reminder && await updateUserWhere(jid, { reminders: { $elemMatch: selector } }, {
+            $pull: { reminders: selector }
+        });
+
+        if (!updated) {
+            throw new Error(`Reminder *${id}* not found.`);
+        }
+
+        return reminder;
+    }
+
+    async clearReminders(jid) {
+        const active = await this.getReminders(jid);
+
+        await updateUserWhere(jid, {}, { $pull: { reminders: { completed: false } } });
+        return active.length;
+    }
+
+    async snoozeReminder(jid, id, duration = DEFAULT_SNOOZE) {
+        const reminders = await this.getReminders(jid, true);
+        const reminder = id
+            ? reminders.find(r => r.id === id)
+            : reminders
+                .filter(r => r.completed && r.deliveredAt)
+                .sort((a, b) => new Date(b.deliveredAt) - new Date(a.deliveredAt))[0];
+
+        if (!reminder) {
+            throw new Error(id ? `Reminder *${id}* not found.` : 'No delivered reminder to snooze.');
+        }
+
+        const remindAt = new Date(Date.now() + duration);
+        this.validateTime(remindAt);
+
+        const reset = { remindAt, completed: false, deliveredAt: null, attempts: 0, failed: false };
+        const updated = await updateUserWhere(jid, { reminders: { $elemMatch: this.selectReminder(reminder) } }, {
+            $set: Object.fromEntries(Object.entries(reset).map(([key, value]) => [`reminders.$.${key}`, value]))
+        });
+
+        if (!updated) {
+            throw new Error(`Reminder *${reminder.id}* not found.`);
+        }
+
+        return { ...reminder, ...reset };
+    }
+
+    async deliverReminder(user, reminder) {
+        const timezone = this.getTimezone(user);
+        const isGroup = reminder.chat?.endsWith('@g.us');
+        const mention = isGroup ? `@${user.jid.split('@')[0]} ` : '';
+        const group = isGroup ? await getGroup(reminder.chat) : null;
+        const prefix = prefixManager.getPrimaryPrefix({ group, user, isGroup });
+
+        await global.sock.sendMessage(reminder.chat || user.jid, {
+            text: `⏰ *Reminder*
+
+${mention}${reminder.message}
+
+├ Set: ${formatInTimezone(reminder.createdAt, timezone)}
+╰ Snooze: ${prefix}remind snooze 10m`,
+            contextInfo: isGroup ? { mentionedJid: [user.jid] } : undefined
+        });
+    }
+
+    async markReminder(jid, reminder, update) {
+        return await updateUserWhere(jid, {
+            reminders: { $elemMatch: { ...this.selectReminder(reminder), completed: false } }
+        }, update);
+    }
+
+    async recordFailure(jid, reminder) {
+        const attempts = (reminder.attempts || 0) + 1;
+
+        try {
+            if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+                await this.markReminder(jid, reminder, {
+                    $set: { 'reminders.$.completed': true, 'reminders.$.failed': true, 'reminders.$.attempts': attempts }
+                });
+                logger.warn(`Gave up on reminder ${reminder.id} for ${jid} after ${attempts} attempts`);
+                return;
+            }
+
+            await this.markReminder(jid, reminder, {
+                $set: {
+                    'reminders.$.attempts': attempts,
+                    'reminders.$.remindAt': new Date(Date.now() + RETRY_DELAY * 2 ** (attempts - 1))
+                }
+            });
+        } catch (error) {
+            logger.error(`Failed to record delivery failure for reminder ${reminder.id}:`, error);
+        }
+    }
+
+    async checkDueReminders() {
+        if (this.isChecking || !global.sock) return 0;
+        this.isChecking = true;
+
+        let delivered = 0;
+
+        try {
+            const now = new Date();
+            const users = await findUsers({
+                reminders: { $elemMatch: { completed: false, remindAt: { $lte: now } } }
+            });
+
+            for (const user of users) {
+                const due = (user.reminders || [])
+                    .map(r => this.normalizeReminder(r))
+                    .filter(r => !r.completed && new Date(r.remindAt) <= now);
+
+                for (const reminder of due) {
+                    try {
+                        await this.deliverReminder(user, reminder);
+                        await this.markReminder(user.jid, reminder, {
+                            $set: { 'reminders.$.completed': true, 'reminders.$.deliveredAt': new Date() }
+                        });
+                        delivered++;
+                    } catch (error) {
+                        logger.error(`Failed to deliver reminder ${reminder.id} to ${user.jid}:`, error);
+                        await this.recordFailure(user.jid, reminder);
+                    }
+                }
+            }
+
+            if (delivered) {
+                logger.info(`Delivered ${delivered} reminders`);
+            }
+        } catch (error) {
+            logger.error('Reminder check failed:', error);
+        } finally {
+            this.isChecking = false;
+        }
+
+        return delivered;
+    }
+}
+
+const reminderManager = new ReminderManager();
+
+module.exports = {
+    reminderManager,
+    MAX_ACTIVE_REMINDERS,
+    getTimezone: (user) => reminderManager.getTimezone(user),
+    parseReminder: (input, timezone, now) => reminderManager.parseReminder(input, timezone, now),
+    getReminders: (jid, includeCompleted) => reminderManager.getReminders(jid, includeCompleted),
+    addReminder: (jid, reminder) => reminderManager.addReminder(jid, reminder),
+    cancelReminder: (jid, id) => reminderManager.cancelReminder(jid, id),
+    clearReminders: (jid) => reminderManager.clearReminders(jid),
+    snoozeReminder: (jid, id, duration) => reminderManager.snoozeReminder(jid, id, duration),
+    checkDueReminders: () => reminderManager.checkDueReminders()
+};
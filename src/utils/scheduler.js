@@ -1,8 +1,15 @@
 const cron = require('node-cron');
+const crypto = require('crypto');
 const EventEmitter = require('events');
 const logger = require('./logger');
 const { cache } = require('./cache');
 const config = require('../config');
+const { nextCronRun, isValidCron, getCronInterval, isValidTimezone } = require('./timeUtils');
+
+const GROUP_TASK_PREFIX = 'group:';
+const GROUP_TASK_TYPES = ['message', 'reminder', 'cleanup'];
+const MAX_TASKS_PER_GROUP = 20;
+const MIN_GROUP_TASK_INTERVAL = 5;
 
 class TaskScheduler extends EventEmitter {
     constructor() {
@@ -25,6 +32,7 @@ class TaskScheduler extends EventEmitter {
         try {
             await this.initializeDefaultTasks();
             await this.loadSavedTasks();
+            await this.loadGroupTasks();
             
             this.setupEventListeners();
             this.startStatsTracking();
@@ -57,6 +65,7 @@ class TaskScheduler extends EventEmitter {
                 enabled: true,
                 task: async () => {
                     await cache.cleanup();
+                    require('./messageStore').prune();
                     logger.debug('Cache cleanup completed');
                 }
             },
@@ -101,6 +110,26 @@ class TaskScheduler extends EventEmitter {
                     logger.info('Premium subscriptions checked');
                 }
             },
+            {
+                name: 'deliver-reminders',
+                schedule: '* * * * *',
+                description: 'Deliver due user reminders',
+                enabled: true,
+                task: async () => {
+                    const { checkDueReminders } = require('./reminders');
+                    await checkDueReminders();
+                }
+            },
+            {
+                name: 'expire-group-mutes',
+                schedule: '* * * * *',
+                description: 'Unmute members whose mute has expired',
+                enabled: true,
+                task: async () => {
+                    const { checkExpiredMutes } = require('./muteManager');
+                    await checkExpiredMutes();
+                }
+            },
             {
                 name: 'send-daily-stats',
                 schedule: '0 9 * * *',
@@ -134,7 +163,9 @@ class TaskScheduler extends EventEmitter {
 
     async saveTasks() {
         try {
-            const tasksData = Array.from(this.tasks.values()).map(task => ({
+            const tasksData = Array.from(this.tasks.values())
+                .filter(task => !task.name.startsWith(GROUP_TASK_PREFIX))
+                .map(task => ({
                 name: task.name,
                 schedule: task.schedule,
                 description: task.description,
@@ -196,6 +227,7 @@ class TaskScheduler extends EventEmitter {
     addTask(taskData) {
         try {
             const { name, schedule, description, enabled = true, task } = taskData;
+            const timezone = taskData.timezone || config.timezone || 'UTC';
             
             if (!name || !schedule) {
                 throw new Error('Task name and schedule are required');
@@ -205,6 +237,10 @@ class TaskScheduler extends EventEmitter {
                 throw new Error(`Invalid cron schedule: ${schedule}`);
             }
 
+            if (!isValidTimezone(timezone)) {
+                throw new Error(`Invalid timezone: ${timezone}`);
+            }
+
             if (this.tasks.has(name)) {
                 this.removeTask(name);
             }
@@ -214,6 +250,7 @@ class TaskScheduler extends EventEmitter {
                 schedule,
                 description: description || 'No description',
                 enabled,
+                timezone,
                 task: task || (() => logger.info(`Executing task: ${name}`)),
                 cronJob: null,
                 created: new Date(),
@@ -226,11 +263,11 @@ class TaskScheduler extends EventEmitter {
                     await this.executeTask(name);
                 }, {
                     scheduled: false,
-                    timezone: config.timezone || 'UTC'
+                    timezone
                 });
 
                 taskInstance.cronJob.start();
-                taskInstance.nextRun = this.getNextRunTime(schedule);
+                taskInstance.nextRun = this.getNextRunTime(schedule, timezone);
             }
 
             this.tasks.set(name, taskInstance);
@@ -252,7 +289,6 @@ class TaskScheduler extends EventEmitter {
 
         if (task.cronJob) {
             task.cronJob.stop();
-            task.cronJob.destroy();
         }
 
         this.tasks.delete(name);
@@ -279,12 +315,12 @@ class TaskScheduler extends EventEmitter {
                 await this.executeTask(name);
             }, {
                 scheduled: false,
-                timezone: config.timezone || 'UTC'
+                timezone: task.timezone
             });
         }
 
         task.cronJob.start();
-        task.nextRun = this.getNextRunTime(task.schedule);
+        task.nextRun = this.getNextRunTime(task.schedule, task.timezone);
 
         logger.info(`Enabled task: ${name}`);
         this.emit('task:enabled', name);
@@ -328,7 +364,7 @@ class TaskScheduler extends EventEmitter {
 
             const duration = Date.now() - startTime;
             task.lastRun = new Date();
-            task.nextRun = this.getNextRunTime(task.schedule);
+            task.nextRun = this.getNextRunTime(task.schedule, task.timezone);
 
             logger.info(`Task completed: ${name} (${duration}ms)`);
             this.emit('task:completed', name, duration);
@@ -344,10 +380,9 @@ class TaskScheduler extends EventEmitter {
         }
     }
 
-    getNextRunTime(schedule) {
+    getNextRunTime(schedule, timezone = config.timezone || 'UTC') {
         try {
-            const task = cron.schedule(schedule, () => {}, { scheduled: false });
-            return task.nextDate();
+            return nextCronRun(schedule, timezone);
         } catch (error) {
             return null;
         }
@@ -401,14 +436,18 @@ class TaskScheduler extends EventEmitter {
 
     async checkPremiumExpiry() {
         try {
-            const { User } = require('../models/User');
-            const expiredUsers = await User.find({
+            const { findUsers, updateUser } = require('../models/User');
+            const expiredUsers = await findUsers({
                 isPremium: true,
                 premiumUntil: { $lte: new Date() }
             });
 
             for (const user of expiredUsers) {
-                await user.removePremium();
+                await updateUser(user.jid, {
+                    isPremium: false,
+                    premiumType: null,
+                    premiumUntil: null
+                });
                 logger.info(`Premium expired for user: ${user.jid}`);
 
                 if (global.sock && config.notifications.updates) {
@@ -469,6 +508,249 @@ _Automated daily report_`;
         }
     }
 
+    getGroupTaskName(groupJid, taskId) {
+        return `${GROUP_TASK_PREFIX}${groupJid}:${taskId}`;
+    }
+
+    normalizeGroupTask(task) {
+        const plain = task.toObject ? task.toObject() : { ...task };
+        return {
+            ...plain,
+            id: plain.id || String(plain._id || '').slice(-6),
+            enabled: plain.enabled !== false,
+            data: plain.data || {}
+        };
+    }
+
+    async loadGroupTasks() {
+        try {
+            const { findGroups } = require('../models/Group');
+            const groups = await findGroups({
+                isBanned: false,
+                'schedule.tasks.0': { $exists: true }
+            });
+
+            let loaded = 0;
+            for (const group of groups) {
+                loaded += this.registerGroupTasks(group);
+            }
+
+            logger.info(`Loaded ${loaded} group scheduled tasks from ${groups.length} groups`);
+        } catch (error) {
+            logger.error('Failed to load group tasks:', error);
+        }
+    }
+
+    registerGroupTasks(group) {
+        const timezone = this.getGroupTimezone(group);
+        let registered = 0;
+
+        for (const task of (group.schedule?.tasks || []).map(t => this.normalizeGroupTask(t))) {
+            if (this.registerGroupTask(group.jid, task, timezone)) registered++;
+        }
+
+        return registered;
+    }
+
+    registerGroupTask(groupJid, task, timezone) {
+        return this.addTask({
+            name: this.getGroupTaskName(groupJid, task.id),
+            schedule: task.schedule,
+            description: task.name || `${task.type} task for ${groupJid}`,
+            enabled: task.enabled,
+            timezone,
+            task: () => this.runGroupTask(groupJid, task.id)
+        });
+    }
+
+    unregisterGroupTasks(groupJid) {
+        const prefix = `${GROUP_TASK_PREFIX}${groupJid}:`;
+        for (const name of Array.from(this.tasks.keys())) {
+            if (name.startsWith(prefix)) this.removeTask(name);
+        }
+    }
+
+    getGroupTimezone(group) {
+        const timezone = group?.settings?.timezone;
+        return timezone && isValidTimezone(timezone) ? timezone : config.timezone || 'UTC';
+    }
+
+    async getGroupTasks(groupJid) {
+        const { getGroup } = require('../models/Group');
+        const group = await getGroup(groupJid);
+        const timezone = this.getGroupTimezone(group);
+
+        return (group?.schedule?.tasks || []).map(task => {
+            const normalized = this.normalizeGroupTask(task);
+            return {
+                ...normalized,
+                timezone,
+                nextRun: normalized.enabled ? this.getNextRunTime(normalized.schedule, timezone) : null
+            };
+        });
+    }
+
+    async saveGroupTasks(groupJid, tasks) {
+        const { updateGroup } = require('../models/Group');
+        await updateGroup(groupJid, { $set: { 'schedule.tasks': tasks } });
+    }
+
+    async addGroupTask(groupJid, { name, type = 'message', schedule, data = {}, createdBy }) {
+        if (!GROUP_TASK_TYPES.includes(type)) {
+            throw new Error(`Invalid task type. Use one of: ${GROUP_TASK_TYPES.join(', ')}`);
+        }
+
+        if (!isValidCron(schedule)) {
+            throw new Error(`Invalid schedule: ${schedule}`);
+        }
+
+        if (getCronInterval(schedule) < MIN_GROUP_TASK_INTERVAL) {
+            throw new Error(`Group schedules must be at least ${MIN_GROUP_TASK_INTERVAL} minutes apart.`);
+        }
+
+        if (type !== 'cleanup' && !data.text?.trim()) {
+            throw new Error('Scheduled message text cannot be empty.');
+        }
+
+        const { getGroup } = require('../models/Group');
+        const group = await getGroup(groupJid);
+        const tasks = (group?.schedule?.tasks || []).map(t => this.normalizeGroupTask(t));
+
+        if (tasks.length >= MAX_TASKS_PER_GROUP) {
+            throw new Error(`Scheduled task limit reached (${MAX_TASKS_PER_GROUP}).`);
+        }
+
+        const timezone = this.getGroupTimezone(group);
+        const task = {
+            id: crypto.randomBytes(3).toString('hex'),
+            name: name || (data.text || type).slice(0, 40),
+            type,
+            schedule,
+            data,
+            enabled: true,
+            createdBy,
+            createdAt: new Date(),
+            lastRun: null,
+            nextRun: this.getNextRunTime(schedule, timezone)
+        };
+
+        await this.saveGroupTasks(groupJid, [...tasks, task]);
+        this.registerGroupTask(groupJid, task, timezone);
+
+        logger.info(`Group task ${task.id} added to ${groupJid} (${schedule} ${timezone})`);
+        return { ...task, timezone };
+    }
+
+    async removeGroupTask(groupJid, taskId) {
+        const tasks = await this.getGroupTasks(groupJid);
+        const task = tasks.find(t => t.id === taskId);
+
+        if (!task) {
+            throw new Error(`Task *${taskId}* not found.`);
+        }
+
+        await this.saveGroupTasks(groupJid, tasks.filter(t => t.id !== taskId).map(({ timezone, ...t }) => t));
+        this.removeTask(this.getGroupTaskName(groupJid, taskId));
+
+        logger.info(`Group task ${taskId} removed from ${groupJid}`);
+        return task;
+    }
+
+    async setGroupTaskEnabled(groupJid, taskId, enabled) {
+        const tasks = await this.getGroupTasks(groupJid);
+        const task = tasks.find(t => t.id === taskId);
+
+        if (!task) {
+            throw new Error(`Task *${taskId}* not found.`);
+        }
+
+        task.enabled = enabled;
+        task.nextRun = enabled ? this.getNextRunTime(task.schedule, task.timezone) : null;
+
+        await this.saveGroupTasks(groupJid, tasks.map(({ timezone, ...t }) => t));
+
+        const name = this.getGroupTaskName(groupJid, taskId);
+        if (!this.tasks.has(name)) {
+            this.registerGroupTask(groupJid, task, task.timezone);
+        } else if (enabled) {
+            this.enableTask(name);
+        } else {
+            this.disableTask(name);
+        }
+
+        return task;
+    }
+
+    async rescheduleGroup(groupJid) {
+        const { getGroup } = require('../models/Group');
+        const group = await getGroup(groupJid);
+
+        this.unregisterGroupTasks(groupJid);
+        if (!group || group.isBanned) return 0;
+
+        const timezone = this.getGroupTimezone(group);
+        const tasks = (group.schedule?.tasks || []).map(t => this.normalizeGroupTask(t));
+
+        if (tasks.length) {
+            tasks.forEach(task => {
+                task.nextRun = task.enabled ? this.getNextRunTime(task.schedule, timezone) : null;
+            });
+            await this.saveGroupTasks(groupJid, tasks);
+        }
+
+        return this.registerGroupTasks({ ...group, schedule: { tasks } });
+    }
+
+    async runGroupTask(groupJid, taskId) {
+        const { getGroup } = require('../models/Group');
+        const group = await getGroup(groupJid);
+        const tasks = (group?.schedule?.tasks || []).map(t => this.normalizeGroupTask(t));
+        const task = tasks.find(t => t.id === taskId);
+
+        if (!group || !task) {
+            this.removeTask(this.getGroupTaskName(groupJid, taskId));
+            return;
+        }
+
+        if (group.isBanned || !task.enabled) return;
+
+        switch (task.type) {
+            case 'cleanup': {
+                const { warningManager } = require('./warningManager');
+                const { unmuteExpired } = require('./muteManager');
+
+                await warningManager.pruneWarnings(groupJid);
+                await unmuteExpired(global.sock, groupJid);
+                break;
+            }
+
+            case 'reminder':
+            case 'message':
+            default: {
+                if (!global.sock) throw new Error('Socket not available');
+
+                let mentions = [];
+                if (task.data.mentionAll) {
+                    const metadata = await global.sock.groupMetadata(groupJid);
+                    mentions = metadata.participants.map(p => p.id);
+                }
+
+                const text = task.type === 'reminder'
+                    ? `⏰ *Reminder*\n\n${task.data.text}`
+                    : task.data.text;
+
+                await global.sock.sendMessage(groupJid, {
+                    text,
+                    contextInfo: mentions.length ? { mentionedJid: mentions } : undefined
+                });
+            }
+        }
+
+        task.lastRun = new Date();
+        task.nextRun = this.getNextRunTime(task.schedule, this.getGroupTimezone(group));
+        await this.saveGroupTasks(groupJid, tasks);
+    }
+
     scheduleOneTime(name, delay, task) {
         const executeAt = new Date(Date.now() + delay);
         
@@ -515,7 +797,6 @@ _Automated daily report_`;
             for (const task of this.tasks.values()) {
                 if (task.cronJob) {
                     task.cronJob.stop();
-                    task.cronJob.destroy();
                 }
             }
 
@@ -549,5 +830,12 @@ module.exports = {
     getTaskStats: () => taskScheduler.getTaskStats(),
     scheduleOneTime: (name, delay, task) => taskScheduler.scheduleOneTime(name, delay, task),
     generateTaskList: () => taskScheduler.generateTaskList(),
-    stopScheduler: () => taskScheduler.stopScheduler()
+    stopScheduler: () => taskScheduler.stopScheduler(),
+    GROUP_TASK_TYPES,
+    getGroupTasks: (groupJid) => taskScheduler.getGroupTasks(groupJid),
+    addGroupTask: (groupJid, taskData) => taskScheduler.addGroupTask(groupJid, taskData),
+    removeGroupTask: (groupJid, taskId) => taskScheduler.removeGroupTask(groupJid, taskId),
+    setGroupTaskEnabled: (groupJid, taskId, enabled) => taskScheduler.setGroupTaskEnabled(groupJid, taskId, enabled),
+    rescheduleGroup: (groupJid) => taskScheduler.rescheduleGroup(groupJid),
+    runGroupTask: (groupJid, taskId) => taskScheduler.runGroupTask(groupJid, taskId)
 };
\ No newline at end of file
@@ -0,0 +1,216 @@
+const config = require('../config');
+const logger = require('./logger');
+const { sessionCache } = require('./cache');
+const { formatDuration } = require('./timeUtils');
+
+const PROMPT_ERRORS = {
+    PROMPT_CANCELLED: '❎ Cancelled.',
+    PROMPT_TIMEOUT: '⌛ No reply received in time, so the session was closed.',
+    PROMPT_INVALID: '❌ Too many invalid answers, so the session was closed.',
+    PROMPT_INTERRUPTED: '↩️ Another command was started, so this session was closed.',
+    PROMPT_REPLACED: null
+};
+
+class SessionManager {
+    constructor() {
+        this.pending = new Map();
+    }
+
+    getKey(chatId, sender) {
+        return `${chatId}:${sender}`;
+    }
+
+    getSettings() {
+        const { promptTimeout = 60000, maxRetries = 2, cancelWords = ['cancel'] } = config.sessions || {};
+        return { promptTimeout, maxRetries, cancelWords: cancelWords.map(word => word.trim().toLowerCase()) };
+    }
+
+    createError(code) {
+        const error = new Error(PROMPT_ERRORS[code] || 'Session ended');
+        error.code = code;
+        return error;
+    }
+
+    isPromptError(error) {
+        return !!error?.code && error.code in PROMPT_ERRORS;
+    }
+
+    hasPending(chatId, sender) {
+        return this.pending.has(this.getKey(chatId, sender));
+    }
+
+    normalizeChoices(choices) {
+        return choices.map(choice => typeof choice === 'object'
+            ? { label: choice.label ?? String(choice.value), value: choice.value ?? choice.label }
+            : { label: String(choice), value: choice });
+    }
+
+    formatQuestion(question, choices, timeout) {
+        const options = choices
+            ? `\n\n${choices.map((choice, index) => `${index === choices.length - 1 ? '╰' : '├'} ${index + 1}. ${choice.label}`).join('\n')}`
+            : '';
+
+        return `${question}${options}\n\n_Reply within ${formatDuration(timeout)} or send *cancel*._`;
+    }
+
+    async prompt(ctx, question, options = {}) {
+        const settings = this.getSettings();
+        const {
+            timeout = settings.promptTimeout,
+            retries = settings.maxRetries,
+            expect = 'text',
+            validate = null,
+            parse = null,
+            data = null
+        } = options;
+        const { sock, message, from, sender } = ctx;
+        const key = this.getKey(from, sender);
+        const choices = options.choices ? this.normalizeChoices(options.choices) : null;
+
+        this.cancel(from, sender, 'PROMPT_REPLACED');
+
+        await sock.sendMessage(from, {
+            text: this.formatQuestion(question, choices, timeout)
+        }, { quoted: message });
+
+        return await new Promise((resolve, reject) => {
+            const entry = { key, sock, from, sender, question, choices, expect, validate, parse, retries, timeout, resolve, reject };
+
+            entry.timer = setTimeout(() => this.settle(entry, this.createError('PROMPT_TIMEOUT')), timeout);
+            this.pending.set(key, entry);
+
+            sessionCache.set(key, {
+                command: ctx.commandName || null,
+                question,
+                data,
+                startedAt: Date.now(),
+                expiresAt: Date.now() + timeout
+            }, Math.ceil(timeout / 1000)).catch(error => logger.debug('Failed to persist session:', error));
+        });
+    }
+
+    settle(entry, error, value) {
+        clearTimeout(entry.timer);
+
+        if (this.pending.get(entry.key) === entry) {
+            this.pending.delete(entry.key);
+            sessionCache.del(entry.key).catch(error => logger.debug('Failed to clear session:', error));
+        }
+
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve(value);
+        }
+    }
+
+    cancel(chatId, sender, code = 'PROMPT_CANCELLED') {
+        const entry = this.pending.get(this.getKey(chatId, sender));
+        if (!entry) return false;
+
+        this.settle(entry, this.createError(code));
+        return true;
+    }
+
+    parseAnswer(entry, message, content) {
+        const text = content.text?.trim() || '';
+
+        if (entry.expect === 'media') {
+            return content.media
+                ? { valid: true, value: { type: content.messageType, media: content.media, message } }
+                : { valid: false, error: 'Please send an image, video, audio or document.' };
+        }
+
+        if (!text) {
+            return { valid: false, error: 'Please reply with text.' };
+        }
+
+        if (entry.choices) {
+            const index = /^\d+$/.test(text) ? parseInt(text) - 1 : -1;
+            const choice = entry.choices[index]
+                || entry.choices.find(option => option.label.toLowerCase() === text.toLowerCase());
+
+            return choice
+                ? { valid: true, value: choice.value }
+                : { valid: false, error: `Reply with a number from 1 to ${entry.choices.length}.` };
+        }
+
+        const error = entry.validate ? entry.validate(text) : null;
+        if (typeof error === 'string') {
+            return { valid: false, error };
+        }
+
+        return { valid: true, value: entry.parse ? entry.parse(text) : text };
+    }
+
+    async handleMessage(sock, message, content) {
+        const from = message.key.remoteJid;
+        const sender = message.key.participant || from;
+        const key = this.getKey(from, sender);
+        const entry = this.pending.get(key);
+
+        if (!entry) {
+            const stale = await sessionCache.get(key);
+            if (!stale) return false;
+
+            await sessionCache.del(key);
+            await sock.sendMessage(from, {
+                text: `⌛ *Session expired*\n\nThe${stale.command ? ` *${stale.command}*` : ''} session was interrupted by a restart. Run the command again to start over.`
+            }, { quoted: message });
+            return true;
+        }
+
+        if (this.getSettings().cancelWords.includes(content.text?.trim().toLowerCase())) {
+            this.settle(entry, this.createError('PROMPT_CANCELLED'));
+            return true;
+        }
+
+        let result;
+        try {
+            result = this.parseAnswer(entry, message, content);
+        } catch (error) {
+            logger.error('Session answer parsing failed:', error);
+            result = { valid: false, error: error.message };
+        }
+
+        if (result.valid) {
+            this.settle(entry, null, result.value);
+            return true;
+        }
+
+        if (entry.retries <= 0) {
+            this.settle(entry, this.createError('PROMPT_INVALID'));
+            return true;
+        }
+
+        entry.retries--;
+        await sock.sendMessage(from, {
+            text: `❌ ${result.error}\n\n${this.formatQuestion(entry.question, entry.choices, entry.timeout)}`
+        }, { quoted: message });
+
+        return true;
+    }
+
+    async sendEndNotice(sock, from, message, error) {
+        const text = PROMPT_ERRORS[error.code];
+        if (!text) return;
+
+        await sock.sendMessage(from, { text }, { quoted: message });
+    }
+
+    bind(ctx) {
+        return (question, options) => this.prompt(ctx, question, options);
+    }
+}
+
+const sessionManager = new SessionManager();
+
+module.exports = {
+    sessionManager,
+    PROMPT_ERRORS,
+    prompt: (ctx, question, options) => sessionManager.prompt(ctx, question, options),
+    cancel: (chatId, sender, code) => sessionManager.cancel(chatId, sender, code),
+    hasPending: (chatId, sender) => sessionManager.hasPending(chatId, sender),
+    handleMessage: (sock, message, content) => sessionManager.handleMessage(sock, message, content),
+    isPromptError: (error) => sessionManager.isPromptError(error)
+};
@@ -0,0 +1,96 @@
+const logger = require('./logger');
+
+const TYPING_CURSOR = ' ▌';
+
+class StreamingReply {
+    constructor(sock, jid, { quoted = null, interval = 1500, placeholder = '🤔 Thinking...' } = {}) {
+        this.sock = sock;
+        this.jid = jid;
+        this.quoted = quoted;
+        this.interval = interval;
+        this.placeholder = placeholder;
+        this.key = null;
+        this.pending = null;
+        this.lastSent = null;
+        this.lastEditAt = 0;
+        this.timer = null;
+        this.inFlight = Promise.resolve();
+        this.finished = false;
+    }
+
+    async start() {
+        const sent = await this.sock.sendMessage(this.jid, { text: this.placeholder }, this.quoted ? { quoted: this.quoted } : {});
+        this.key = sent?.key || null;
+        this.lastSent = this.placeholder;
+        this.lastEditAt = Date.now();
+        return this;
+    }
+
+    update(text) {
+        if (this.finished || !text) return;
+
+        this.pending = `${text}${TYPING_CURSOR}`;
+
+        if (this.timer) return;
+
+        const wait = Math.max(0, this.lastEditAt + this.interval - Date.now());
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, wait);
+    }
+
+    flush() {
+        const text = this.pending;
+        this.pending = null;
+
+        if (!text || text === this.lastSent) return this.inFlight;
+
+        this.inFlight = this.inFlight
+            .then(() => this.edit(text))
+            .catch(error => logger.debug('Streaming edit failed:', error));
+
+        return this.inFlight;
+    }
+
+    async edit(text) {
+        this.lastEditAt = Date.now();
+        this.lastSent = text;
+
+        if (!this.key) {
+            const sent = await this.sock.sendMessage(this.jid, { text }, this.quoted ? { quoted: this.quoted } : {});
+            this.key = sent?.key || null;
+            return;
+        }
+
+        await this.sock.sendMessage(this.jid, { text, edit: this.key });
+    }
+
+    async finish(text) {
+        this.finished = true;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        this.pending = null;
+        await this.inFlight;
+
+        try {
+            await this.edit(text);
+        } catch (error) {
+            logger.error('Failed to send final streamed reply:', error);
+            await this.sock.sendMessage(this.jid, { text }, this.quoted ? { quoted: this.quoted } : {});
+        }
+    }
+}
+
+async function createStreamingReply(sock, jid, options = {}) {
+    return await new StreamingReply(sock, jid, options).start();
+}
+
+module.exports = {
+    StreamingReply,
+    createStreamingReply
+};
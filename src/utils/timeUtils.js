@@ -0,0 +1,386 @@
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    { name: 'weekday', min: 0, max: 7, names: DAY_NAMES }
+];
+
+// Long enough for dates like Feb 29 on a given weekday, which recur every 28 years.
+const CRON_SEARCH_DAYS = 366 * 28;
+
+const DAY_ALIASES = {
+    sunday: 0, sun: 0,
+    monday: 1, mon: 1,
+    tuesday: 2, tue: 2, tues: 2,
+    wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thur: 4, thurs: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6
+};
+
+const formatterCache = new Map();
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getFormatter(timezone) {
+    if (!formatterCache.has(timezone)) {
+        formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatterCache.get(timezone);
+}
+
+function getZonedParts(date = new Date(), timezone = 'UTC') {
+    const parts = {};
+
+    for (const part of getFormatter(timezone || 'UTC').formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour) % 24,
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase().slice(0, 3))
+    };
+}
+
+function getTimezoneOffset(date, timezone) {
+    const parts = getZonedParts(date, timezone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone = 'UTC') {
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = getTimezoneOffset(new Date(guess), timezone);
+    const result = new Date(guess - offset);
+    const correction = getTimezoneOffset(result, timezone);
+
+    return correction === offset ? result : new Date(guess - correction);
+}
+
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i.exec(String(value || '').trim());
+    if (!match) return null;
+
+    let hour = parseInt(match[1]);
+    const minute = match[2] ? parseInt(match[2]) : 0;
+    const meridiem = match[3]?.toLowerCase();
+
+    if (minute > 59) return null;
+
+    if (meridiem) {
+        if (hour < 1 || hour > 12) return null;
+        if (meridiem === 'pm' && hour !== 12) hour += 12;
+        if (meridiem === 'am' && hour === 12) hour = 0;
+    } else if (hour > 23 || !match[2]) {
+        return null;
+    }
+
+    return { hour, minute };
+}
+
+function parseCronValue(token, { min, names }) {
+    const index = names ? names.indexOf(token.toLowerCase()) : -1;
+    if (index !== -1) {
+        return index + min;
+    }
+
+    return /^\d+$/.test(token) ? parseInt(token, 10) : NaN;
+}
+
+function parseCronField(field, spec) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = /^(?:(\*)|([a-z0-9]+)(?:-([a-z0-9]+))?)(?:\/(\d+))?$/i.exec(part);
+        if (!match) {
+            return null;
+        }
+
+        const [, wildcard, from, to, stepText] = match;
+        const start = wildcard ? spec.min : parseCronValue(from, spec);
+        let end = start;
+
+        if (wildcard || (stepText && !to)) {
+            end = spec.max;
+        } else if (to) {
+            end = parseCronValue(to, spec);
+        }
+
+        const step = stepText ? parseInt(stepText, 10) : 1;
+
+        if ([start, end].some(value => isNaN(value) || value < spec.min || value > spec.max) || start > end || step < 1) {
+            return null;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return [...values].sort((a, b) => a - b);
+}
+
+function parseCron(expression) {
+    const normalized = String(expression || '').trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error(`Invalid cron expression: ${normalized} (expected ${CRON_FIELDS.length} fields)`);
+    }
+
+    const fields = {};
+
+    CRON_FIELDS.forEach((spec, index) => {
+        const values = parseCronField(parts[index], spec);
+        if (!values) {
+            throw new Error(`Invalid cron expression: ${normalized} (bad ${spec.name} field)`);
+        }
+        fields[spec.name] = values;
+    });
+
+    fields.weekday = [...new Set(fields.weekday.map(day => day % 7))].sort((a, b) => a - b);
+    return fields;
+}
+
+function isValidCron(expression) {
+    if (typeof expression !== 'string') {
+        return false;
+    }
+
+    try {
+        parseCron(expression);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Shortest gap between two runs within a day, in minutes.
+function getCronInterval(expression) {
+    const { minute, hour } = parseCron(expression);
+    const times = hour.flatMap(h => minute.map(m => h * 60 + m));
+    let interval = 24 * 60 - times[times.length - 1] + times[0];
+
+    for (let i = 1; i < times.length; i++) {
+        interval = Math.min(interval, times[i] - times[i - 1]);
+    }
+
+    return interval;
+}
+
+function nextCronRun(expression, timezone = 'UTC', after = new Date()) {
+    const fields = parseCron(expression);
+    const start = getZonedParts(after, timezone);
+
+    for (let offset = 0; offset <= CRON_SEARCH_DAYS; offset++) {
+        const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const day = date.getUTCDate();
+
+        if (!fields.month.includes(month) || !fields.day.includes(day) || !fields.weekday.includes(date.getUTCDay())) {
+            continue;
+        }
+
+        for (const hour of fields.hour) {
+            if (offset === 0 && hour < start.hour) continue;
+
+            for (const minute of fields.minute) {
+                if (offset === 0 && hour === start.hour && minute < start.minute) continue;
+
+                const run = zonedTimeToDate({ year, month, day, hour, minute }, timezone);
+                const parts = getZonedParts(run, timezone);
+
+                if (run > after && parts.hour === hour && parts.minute === minute) {
+                    return run;
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+function parseDays(text) {
+    if (/\b(weekdays?|workdays?)\b/.test(text)) return '1-5';
+    if (/\bweekends?\b/.test(text)) return '0,6';
+
+    const days = [];
+    for (const word of text.split(/[\s,]+/)) {
+        const day = DAY_ALIASES[word.replace(/s$/, '')] ?? DAY_ALIASES[word];
+        if (day !== undefined && !days.includes(day)) days.push(day);
+    }
+
+    return days.length ? days.sort((a, b) => a - b).join(',') : null;
+}
+
+function parseNaturalSchedule(input) {
+    const text = String(input || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    if (isValidCron(text)) return text;
+
+    const interval = /^every (\d+)?\s*(minute|min|hour|hr)s?$/.exec(text);
+    if (interval) {
+        const amount = parseInt(interval[1] || '1');
+        if (interval[2].startsWith('m')) {
+            return amount >= 1 && amount <= 59 ? `*/${amount} * * * *` : null;
+        }
+        return amount >= 1 && amount <= 23 ? `0 */${amount} * * *` : null;
+    }
+
+    const timeMatch = /(?:at |@ ?)?(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)$/.exec(text);
+    const parsedTime = timeMatch ? parseTimeOfDay(timeMatch[1]) : null;
+    const rest = (parsedTime ? text.slice(0, timeMatch.index) : text).replace(/\bat\s*$/, '').trim();
+
+    if (!parsedTime && (timeMatch || !rest)) return null;
+
+    const { hour, minute } = parsedTime || { hour: 9, minute: 0 };
+
+    if (/^(every day|daily|everyday)$/.test(rest) || rest === '') {
+        return `${minute} ${hour} * * *`;
+    }
+
+    const monthly = /^(?:every month|monthly)(?: on)?(?: the)? (\d{1,2})(?:st|nd|rd|th)?$/.exec(rest);
+    if (monthly) {
+        const day = parseInt(monthly[1]);
+        return day >= 1 && day <= 31 ? `${minute} ${hour} ${day} * *` : null;
+    }
+
+    const dayText = rest.replace(/^(every|on)\s*/, '');
+    const onlyDays = dayText.split(/[\s,]+/).every(word => word === 'and' || parseDays(word));
+    const days = onlyDays ? parseDays(dayText) : null;
+
+    return days ? `${minute} ${hour} * * ${days}` : null;
+}
+
+function describeCron(expression) {
+    try {
+        const parts = expression.trim().split(/\s+/);
+        if (parts.length === 6) parts.shift();
+
+        const [minute, hour, dayOfMonth, month, dayOfWeek] = parts;
+        if (!/^\d+$/.test(minute) || !/^\d+$/.test(hour) || month !== '*') return expression;
+
+        const time = `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+
+        if (dayOfMonth === '*' && dayOfWeek === '*') return `Every day at ${time}`;
+        if (dayOfMonth === '*' && dayOfWeek === '1-5') return `Weekdays at ${time}`;
+        if (dayOfMonth === '*' && dayOfWeek === '0,6') return `Weekends at ${time}`;
+
+        if (dayOfMonth === '*') {
+            const names = dayOfWeek.split(',').map(day => {
+                const name = DAY_NAMES[parseInt(day) % 7];
+                return name ? name[0].toUpperCase() + name.slice(1) : day;
+            });
+            return `Every ${names.join(', ')} at ${time}`;
+        }
+
+        if (dayOfWeek === '*' && /^\d+$/.test(dayOfMonth)) {
+            return `Monthly on day ${dayOfMonth} at ${time}`;
+        }
+
+        return expression;
+    } catch (error) {
+        return expression;
+    }
+}
+
+const DURATION_UNITS = {
+    s: 1000, sec: 1000, secs: 1000, second: 1000, seconds: 1000,
+    m: 60000, min: 60000, mins: 60000, minute: 60000, minutes: 60000,
+    h: 3600000, hr: 3600000, hrs: 3600000, hour: 3600000, hours: 3600000,
+    d: 86400000, day: 86400000, days: 86400000,
+    w: 604800000, week: 604800000, weeks: 604800000
+};
+
+function parseDuration(input) {
+    const text = String(input || '').toLowerCase().replace(/\band\b|,/g, ' ').trim();
+    if (!text) return null;
+
+    const pattern = /(\d+(?:\.\d+)?)\s*([a-z]+)/g;
+    let total = 0;
+    let consumed = '';
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const unit = DURATION_UNITS[match[2]];
+        if (!unit) return null;
+
+        total += parseFloat(match[1]) * unit;
+        consumed += match[0];
+    }
+
+    return total > 0 && consumed.replace(/\s/g, '') === text.replace(/\s/g, '') ? Math.round(total) : null;
+}
+
+function formatDuration(ms) {
+    const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+    const parts = [];
+    let remaining = Math.max(0, Math.round(ms));
+
+    for (const [label, size] of units) {
+        const value = Math.floor(remaining / size);
+        if (value) {
+            parts.push(`${value}${label}`);
+            remaining -= value * size;
+        }
+    }
+
+    return parts.slice(0, 2).join(' ') || '0s';
+}
+
+function formatInTimezone(date, timezone = 'UTC') {
+    return new Date(date).toLocaleString('en-GB', {
+        timeZone: timezone || 'UTC',
+        weekday: 'short',
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+}
+
+module.exports = {
+    isValidTimezone,
+    getZonedParts,
+    zonedTimeToDate,
+    parseTimeOfDay,
+    parseCron,
+    isValidCron,
+    getCronInterval,
+    nextCronRun,
+    parseNaturalSchedule,
+    describeCron,
+    parseDuration,
+    formatDuration,
+    formatInTimezone
+};
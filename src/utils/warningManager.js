@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+const { getGroup, updateGroup, updateGroupWhere } = require('../models/Group');
+const { formatDuration } = require('./timeUtils');
+const { mute } = require('./muteManager');
+const { ban } = require('./banManager');
+
+const ESCALATION_ACTIONS = ['mute', 'kick', 'ban'];
+const WARNING_SOURCES = ['manual', 'antispam', 'antilink'];
+const MAX_ESCALATION_STEPS = 10;
+
+class WarningManager {
+    getDefaultPolicy() {
+        return [{ count: config.limits.maxWarnings, action: 'kick', duration: null }];
+    }
+
+    getPolicy(group) {
+        const settings = group?.settings?.warnings;
+        const steps = (settings?.escalation || [])
+            .map(step => step.toObject ? step.toObject() : { ...step })
+            .filter(step => step.count > 0 && ESCALATION_ACTIONS.includes(step.action));
+
+        return {
+            escalate: settings?.escalate !== false,
+            expiry: settings?.expiry || config.limits.warningExpiry,
+            steps: (steps.length ? steps : this.getDefaultPolicy()).sort((a, b) => a.count - b.count)
+        };
+    }
+
+    async setPolicy(groupJid, steps) {
+        if (steps.length > MAX_ESCALATION_STEPS) {
+            throw new Error(`A policy can have at most ${MAX_ESCALATION_STEPS} steps.`);
+        }
+
+        const counts = new Set();
+        for (const step of steps) {
+            if (!Number.isInteger(step.count) || step.count < 1) {
+                throw new Error(`Invalid warning count: ${step.count}`);
+            }
+
+            if (!ESCALATION_ACTIONS.includes(step.action)) {
+                throw new Error(`Invalid action. Use one of: ${ESCALATION_ACTIONS.join(', ')}`);
+            }
+
+            if (step.action === 'mute' && !step.duration) {
+                throw new Error('Mute steps need a duration, e.g. 3 mute 1h');
+            }
+
+            if (counts.has(step.count)) {
+                throw new Error(`Duplicate step for ${step.count} warnings.`);
+            }
+            counts.add(step.count);
+        }
+
+        await updateGroup(groupJid, {
+            $set: {
+                'settings.warnings.escalation': steps.map(({ count, action, duration }) => ({ count, action, duration: duration || null })),
+                'settings.warnings.escalate': true
+            }
+        });
+
+        return steps;
+    }
+
+    formatStep(step) {
+        const duration = step.duration ? ` ${formatDuration(step.duration)}` : '';
+        return `${step.count} → ${step.action}${duration}`;
+    }
+
+    normalizeWarning(warning) {
+        const plain = warning.toObject ? warning.toObject() : { ...warning };
+        return {
+            ...plain,
+            id: plain.id || String(plain._id || '').slice(-6),
+            source: plain.source || 'manual'
+        };
+    }
+
+    isActive(warning, now = Date.now()) {
+        return !warning.expiresAt || new Date(warning.expiresAt).getTime() > now;
+    }
+
+    getActiveWarnings(group, userJid) {
+        return (group?.warnings || [])
+            .map(w => this.normalizeWarning(w))
+            .filter(w => this.isActive(w) && (!userJid || w.user === userJid))
+            .sort((a, b) => new Date(a.warnedAt) - new Date(b.warnedAt));
+    }
+
+    async getWarnings(groupJid, userJid) {
+        return this.getActiveWarnings(await getGroup(groupJid), userJid);
+    }
+
+    selectWarning(warning) {
+        return warning._id ? { _id: warning._id } : { id: warning.id };
+    }
+
+    async pruneWarnings(groupJid) {
+        await updateGroupWhere(groupJid, {}, { $pull: { warnings: { expiresAt: { $lte: new Date() } } } });
+    }
+
+    getEscalationStep(policy, count) {
+        if (!policy.escalate || !policy.steps.length) return null;
+
+        const exact = policy.steps.find(step => step.count === count);
+        if (exact) return exact;
+
+        const last = policy.steps[policy.steps.length - 1];
+        return count > last.count ? last : null;
+    }
+
+    getNextStep(policy, count) {
+        if (!policy.escalate) return null;
+        return policy.steps.find(step => step.count > count) || null;
+    }
+
+    async isAdmin(sock, groupJid, userJid) {
+        try {
+            const metadata = await sock.groupMetadata(groupJid);
+            return !!metadata.participants.find(p => p.id === userJid)?.admin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async addWarning(sock, groupJid, userJid, { reason, warnedBy, source = 'manual' } = {}) {
+        if (!WARNING_SOURCES.includes(source)) {
+            throw new Error(`Invalid warning source: ${source}`);
+        }
+
+        const policy = this.getPolicy(await getGroup(groupJid));
+
+        const warning = {
+            id: crypto.randomBytes(3).toString('hex'),
+            user: userJid,
+            reason: reason || 'No reason provided',
+            warnedBy: warnedBy || 'System',
+            source,
+            warnedAt: new Date(),
+            expiresAt: new Date(Date.now() + policy.expiry)
+        };
+
+        await this.pruneWarnings(groupJid);
+        const updated = await updateGroup(groupJid, { $push: { warnings: warning } });
+
+        const count = this.getActiveWarnings(updated, userJid).length;
+        const step = this.getEscalationStep(policy, count);
+        let action = null;
+
+        if (step) {
+            action = await this.applyAction(sock, groupJid, userJid, step, `${count} warnings`);
+        }
+
+        logger.info(`Warning ${warning.id} issued to ${userJid} in ${groupJid} (${source}, ${count} active)`);
+
+        return {
+            warning,
+            count,
+            step,
+            action,
+            next: this.getNextStep(policy, count),
+            expiresAt: warning.expiresAt
+        };
+    }
+
+    async applyAction(sock, groupJid, userJid, step, reason) {
+        try {
+            if (await this.isAdmin(sock, groupJid, userJid)) {
+                return { action: step.action, applied: false, error: 'User is a group admin' };
+            }
+
+            switch (step.action) {
+                case 'mute':
+                    await mute(groupJid, userJid, {
+                        duration: step.duration,
+                        reason: `Escalation: ${reason}`,
+                        mutedBy: 'System'
+                    });
+                    break;
+
+                case 'ban':
+                    await ban(groupJid, userJid, {
+                        duration: step.duration,
+                        reason: `Escalation: ${reason}`,
+                        bannedBy: 'System'
+                    });
+                    await sock.groupParticipantsUpdate(groupJid, [userJid], 'remove');
+                    await this.clearWarnings(groupJid, userJid);
+                    break;
+
+                case 'kick':
+                    await sock.groupParticipantsUpdate(groupJid, [userJid], 'remove');
+                    await this.clearWarnings(groupJid, userJid);
+                    break;
+            }
+
+            logger.info(`Escalation ${step.action} applied to ${userJid} in ${groupJid}`);
+            return { action: step.action, applied: true };
+        } catch (error) {
+            logger.error(`Escalation ${step.action} failed for ${userJid} in ${groupJid}:`, error);
+            return { action: step.action, applied: false, error: error.message };
+        }
+    }
+
+    async removeWarning(groupJid, userJid, id) {
+        const userWarnings = await this.getWarnings(groupJid, userJid);
+        const target = id ? userWarnings.find(w => w.id === id) : userWarnings[userWarnings.length - 1];
+        const selector = target && { ...this.selectWarning(target), user: userJid };
+
+        const updated = target && await updateGroupWhere(groupJid, { warnings: { $elemMatch: selector } }, {
+            $pull: { warnings: selector }
+        });
+
+        if (!updated) {
+            throw new Error(id ? `Warning *${id}* not found.` : 'This user has no active warnings.');
+        }
+
+        return { removed: target, remaining: this.getActiveWarnings(updated, userJid).length };
+    }
+
+    async clearWarnings(groupJid, userJid) {
+        const cleared = (await this.getWarnings(groupJid, userJid)).length;
+
+        await updateGroupWhere(groupJid, {}, userJid
+            ? { $pull: { warnings: { user: userJid } } }
+            : { $set: { warnings: [] } });
+
+        return cleared;
+    }
+
+    formatWarningMessage(userJid, result) {
+        const { warning, count, step, action, next } = result;
+        const lines = [
+            `⚠️ *Warning issued*`,
+            '',
+            `├ User: @${userJid.split('@')[0]}`,
+            `├ Reason: ${warning.reason}`,
+            `├ Warnings: ${count}`,
+            `╰ Expires: ${new Date(warning.expiresAt).toLocaleString()}`
+        ];
+
+        if (step) {
+            lines.push('', action?.applied
+                ? `🚨 Escalation: *${this.formatStep(step)}* applied.`
+                : `🚨 Escalation *${this.formatStep(step)}* could not be applied${action?.error ? `: ${action.error}` : ''}.`);
+        } else if (next) {
+            lines.push('', `📈 Next: ${this.formatStep(next)}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+const warningManager = new WarningManager();
+
+module.exports = {
+    warningManager,
+    ESCALATION_ACTIONS,
+    WARNING_SOURCES,
+    getPolicy: (group) => warningManager.getPolicy(group),
+    setPolicy: (groupJid, steps) => warningManager.setPolicy(groupJid, steps),
+    formatStep: (step) => warningManager.formatStep(step),
+    getWarnings: (groupJid, userJid) => warningManager.getWarnings(groupJid, userJid),
+    getActiveWarnings: (group, userJid) => warningManager.getActiveWarnings(group, userJid),
+    addWarning: (sock, groupJid, userJid, options) => warningManager.addWarning(sock, groupJid, userJid, options),
+    removeWarning: (groupJid, userJid, id) => warningManager.removeWarning(groupJid, userJid, id),
+    clearWarnings: (groupJid, userJid) => warningManager.clearWarnings(groupJid, userJid),
+    getNextStep: (policy, count) => warningManager.getNextStep(policy, count),
+    formatWarningMessage: (userJid, result) => warningManager.formatWarningMessage(userJid, result)
+};
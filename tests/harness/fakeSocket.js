@@ -0,0 +1,214 @@
+const EventEmitter = require('events');
+
+class FakeSocket {
+    constructor(options = {}) {
+        this.user = {
+            id: options.botJid || '10000000000@s.whatsapp.net',
+            name: options.botName || 'Ilom Bot'
+        };
+        this.ev = new EventEmitter();
+        this.groups = new Map();
+        this.sentMessages = [];
+        this.presenceUpdates = [];
+        this.participantUpdates = [];
+        this.groupChanges = [];
+        this.blockUpdates = [];
+        this.readReceipts = [];
+        this.messageCounter = 0;
+    }
+
+    addGroup(jid, options = {}) {
+        const {
+            subject = 'Test Group',
+            desc = '',
+            owner = null,
+            participants = [],
+            creation = Math.floor(Date.now() / 1000)
+        } = options;
+
+        this.groups.set(jid, {
+            id: jid,
+            subject,
+            desc,
+            owner,
+            creation,
+            announce: false,
+            restrict: false,
+            participants: participants.map(p => typeof p === 'string'
+                ? { id: p, admin: null }
+                : { id: p.id, admin: p.admin || null })
+        });
+
+        return this.groups.get(jid);
+    }
+
+    addParticipant(groupJid, jid, admin = null) {
+        const group = this.requireGroup(groupJid);
+        const existing = group.participants.find(p => p.id === jid);
+
+        if (existing) {
+            existing.admin = admin;
+        } else {
+            group.participants.push({ id: jid, admin });
+        }
+    }
+
+    removeParticipant(groupJid, jid) {
+        const group = this.requireGroup(groupJid);
+        group.participants = group.participants.filter(p => p.id !== jid);
+    }
+
+    setAdmin(groupJid, jid, role = 'admin') {
+        const participant = this.requireGroup(groupJid).participants.find(p => p.id === jid);
+        if (!participant) {
+            throw new Error(`${jid} is not a participant of ${groupJid}`);
+        }
+        participant.admin = role;
+    }
+
+    requireGroup(jid) {
+        const group = this.groups.get(jid);
+        if (!group) {
+            throw new Error(`Unknown fake group: ${jid}`);
+        }
+        return group;
+    }
+
+    async groupMetadata(jid) {
+        const group = this.groups.get(jid);
+        if (!group) {
+            const error = new Error('item-not-found');
+            error.output = { statusCode: 404 };
+            throw error;
+        }
+
+        return JSON.parse(JSON.stringify({ ...group, size: group.participants.length }));
+    }
+
+    async sendMessage(jid, content, options = {}) {
+        const key = {
+            remoteJid: jid,
+            fromMe: true,
+            id: `FAKE${String(++this.messageCounter).padStart(6, '0')}`
+        };
+
+        const record = {
+            jid,
+            content,
+            options,
+            key,
+            isEdit: !!content.edit,
+            isDelete: !!content.delete,
+            timestamp: Date.now()
+        };
+
+        this.sentMessages.push(record);
+        this.ev.emit('fake.sent', record);
+
+        return {
+            key,
+            message: content,
+            messageTimestamp: Math.floor(record.timestamp / 1000)
+        };
+    }
+
+    async sendPresenceUpdate(type, jid) {
+        this.presenceUpdates.push({ type, jid, timestamp: Date.now() });
+    }
+
+    async groupParticipantsUpdate(jid, participants, action) {
+        const group = this.requireGroup(jid);
+
+        for (const participant of participants) {
+            switch (action) {
+                case 'add':
+                    this.addParticipant(jid, participant);
+                    break;
+                case 'remove':
+                    this.removeParticipant(jid, participant);
+                    break;
+                case 'promote':
+                    this.setAdmin(jid, participant, 'admin');
+                    break;
+                case 'demote':
+                    this.setAdmin(jid, participant, null);
+                    break;
+            }
+        }
+
+        this.participantUpdates.push({ jid, participants, action, timestamp: Date.now() });
+        group.size = group.participants.length;
+
+        return participants.map(participant => ({ status: '200', jid: participant }));
+    }
+
+    async groupUpdateSubject(jid, subject) {
+        this.requireGroup(jid).subject = subject;
+        this.groupChanges.push({ jid, field: 'subject', value: subject });
+    }
+
+    async groupUpdateDescription(jid, desc) {
+        this.requireGroup(jid).desc = desc;
+        this.groupChanges.push({ jid, field: 'desc', value: desc });
+    }
+
+    async groupSettingUpdate(jid, setting) {
+        const group = this.requireGroup(jid);
+        if (setting === 'announcement' || setting === 'not_announcement') {
+            group.announce = setting === 'announcement';
+        } else {
+            group.restrict = setting === 'locked';
+        }
+        this.groupChanges.push({ jid, field: 'setting', value: setting });
+    }
+
+    async updateBlockStatus(jid, action) {
+        this.blockUpdates.push({ jid, action });
+    }
+
+    async readMessages(keys) {
+        this.readReceipts.push(...keys);
+    }
+
+    async logout() {
+        this.ev.emit('connection.update', { connection: 'close' });
+    }
+
+    getSentMessages(jid = null) {
+        return jid ? this.sentMessages.filter(m => m.jid === jid) : [...this.sentMessages];
+    }
+
+    getReplies(jid = null) {
+        return this.getSentMessages(jid).filter(m => !m.isEdit && !m.isDelete);
+    }
+
+    getEdits(jid = null) {
+        return this.getSentMessages(jid).filter(m => m.isEdit);
+    }
+
+    getDeletes(jid = null) {
+        return this.getSentMessages(jid).filter(m => m.isDelete);
+    }
+
+    getTexts(jid = null) {
+        return this.getSentMessages(jid)
+            .map(m => m.content.text ?? m.content.caption)
+            .filter(text => typeof text === 'string');
+    }
+
+    lastMessage(jid = null) {
+        const messages = this.getSentMessages(jid);
+        return messages[messages.length - 1] || null;
+    }
+
+    clear() {
+        this.sentMessages = [];
+        this.presenceUpdates = [];
+        this.participantUpdates = [];
+        this.groupChanges = [];
+        this.blockUpdates = [];
+        this.readReceipts = [];
+    }
+}
+
+module.exports = { FakeSocket };
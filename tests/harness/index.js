@@ -0,0 +1,183 @@
+const path = require('path');
+const { FakeSocket } = require('./fakeSocket');
+const { createMemoryModels } = require('./memoryModels');
+const messageFactory = require('./messageFactory');
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'sample_messages.json');
+
+function createBotHarness(options = {}) {
+    const {
+        botJid,
+        ownerNumbers = ['254700000001'],
+        loadCommands = true,
+        env = {}
+    } = options;
+
+    Object.assign(process.env, {
+        LOG_CONSOLE: 'false',
+        LOG_FILE: 'false',
+        REDIS_ENABLED: 'false',
+        DATABASE_DRIVER: 'memory',
+        ...env
+    });
+
+    jest.resetModules();
+
+    const storage = require(path.join(SRC, 'database', 'connection'));
+    const models = createMemoryModels(storage);
+    const mediaStore = new Map();
+    const mediaCalls = [];
+
+    jest.doMock('@whiskeysockets/baileys', () => ({
+        Collection: Map,
+        downloadMediaMessage: async (message) => {
+            const buffer = mediaStore.get(message.key.id) || message.mediaBuffer;
+            if (!buffer) throw new Error(`No fake media registered for ${message.key.id}`);
+            return buffer;
+        }
+    }), { virtual: true });
+
+    jest.doMock(path.join(SRC, 'models', 'Message'), () => models.Message);
+    jest.doMock(path.join(SRC, 'models', 'Command'), () => models.Command);
+    jest.doMock(path.join(SRC, 'handlers', 'mediaHandler'), () => ({
+        processMedia: async (sock, message, mediaData) => {
+            mediaCalls.push({ type: 'message', key: message.key, mediaData });
+        },
+        processQuotedMedia: async (sock, message, mediaData) => {
+            mediaCalls.push({ type: 'quoted', key: message.key, mediaData });
+        }
+    }));
+
+    const config = require(path.join(SRC, 'config'));
+    config.ownerNumbers = ownerNumbers.map(num => num.includes('@') ? num : `${num}@s.whatsapp.net`);
+
+    const cache = require(path.join(SRC, 'utils', 'cache'));
+    const commandHandler = require(path.join(SRC, 'handlers', 'commandHandler'));
+    const messageHandler = require(path.join(SRC, 'handlers', 'messageHandler'));
+
+    messageHandler.messageHandler.downloadMedia = async (message, media) => {
+        const buffer = mediaStore.get(message.key.id) || message.mediaBuffer;
+        if (!buffer) return null;
+
+        return {
+            buffer,
+            filePath: null,
+            fileName: `${message.key.id}.${media.mimetype?.split('/')[1] || 'bin'}`,
+            mimetype: media.mimetype,
+            size: buffer.length
+        };
+    };
+
+    const sock = new FakeSocket({ botJid });
+
+    const harness = {
+        sock,
+        models,
+        config,
+        cache,
+        commandHandler,
+        messageHandler,
+        mediaCalls,
+        factory: messageFactory,
+
+        async init() {
+            await storage.connect();
+            if (loadCommands) {
+                await commandHandler.loadCommands();
+            }
+            return harness;
+        },
+
+        addGroup(jid, groupOptions) {
+            return sock.addGroup(jid, groupOptions);
+        },
+
+        clearCooldowns() {
+            commandHandler.commandHandler.cooldowns.clear();
+        },
+
+        registerMedia(messageId, buffer) {
+            mediaStore.set(messageId, buffer);
+        },
+
+        async receive(message) {
+            if (message.mediaBuffer) {
+                mediaStore.set(message.key.id, message.mediaBuffer);
+            }
+            await messageHandler.handleIncomingMessage(sock, message);
+            return sock.getSentMessages(message.key.remoteJid);
+        },
+
+        async sendText(from, text, messageOptions = {}) {
+            const message = messageFactory.createTextMessage({ from, text, ...messageOptions });
+            const before = sock.sentMessages.length;
+            await harness.receive(message);
+            return sock.sentMessages.slice(before);
+        },
+
+        async sendMedia(from, mediaOptions = {}) {
+            const message = messageFactory.createMediaMessage({ from, ...mediaOptions });
+            const before = sock.sentMessages.length;
+            await harness.receive(message);
+            return sock.sentMessages.slice(before);
+        },
+
+        loadFixtures(file = FIXTURES) {
+            const data = require(file);
+
+            if (data.bot?.jid) {
+                sock.user.id = data.bot.jid;
+            }
+
+            for (const group of data.groups || []) {
+                if (!sock.groups.has(group.jid)) {
+                    sock.addGroup(group.jid, group);
+                }
+            }
+
+            return data.messages || [];
+        },
+
+        async replayFixtures(names = null, file = FIXTURES) {
+            const fixtures = harness.loadFixtures(file)
+                .filter(fixture => !names || names.includes(fixture.name));
+            const results = [];
+
+            for (const fixture of fixtures) {
+                const message = messageFactory.fromFixture(fixture);
+                const before = sock.sentMessages.length;
+                await harness.receive(message);
+                results.push({
+                    name: fixture.name,
+                    message,
+                    sent: sock.sentMessages.slice(before)
+                });
+            }
+
+            return results;
+        },
+
+        async reset() {
+            sock.clear();
+            harness.clearCooldowns();
+            await models.reset();
+            mediaStore.clear();
+            mediaCalls.length = 0;
+        },
+
+        async cleanup() {
+            await harness.reset();
+            await cache.flush();
+        }
+    };
+
+    return harness;
+}
+
+module.exports = {
+    createBotHarness,
+    FakeSocket,
+    createMemoryModels,
+    ...messageFactory
+};
@@ -0,0 +1,44 @@
+function createMemoryModels(storage) {
+    const messages = [];
+    const commandLogs = [];
+
+    const Message = {
+        createMessage: async data => {
+            messages.push(structuredClone(data));
+            return data;
+        }
+    };
+
+    const Command = {
+        logCommand: async data => {
+            commandLogs.push(structuredClone(data));
+            return data;
+        }
+    };
+
+    return {
+        Message,
+        Command,
+        messages,
+        commandLogs,
+
+        get users() {
+            return storage.collection('users');
+        },
+
+        get groups() {
+            return storage.collection('groups');
+        },
+
+        async reset() {
+            await storage.collection('users').deleteMany({});
+            await storage.collection('groups').deleteMany({});
+            messages.length = 0;
+            commandLogs.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    createMemoryModels
+};
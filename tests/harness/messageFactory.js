@@ -0,0 +1,162 @@
+let messageCounter = 0;
+
+const MEDIA_DEFAULTS = {
+    image: { field: 'imageMessage', mimetype: 'image/jpeg' },
+    video: { field: 'videoMessage', mimetype: 'video/mp4' },
+    audio: { field: 'audioMessage', mimetype: 'audio/ogg; codecs=opus' },
+    sticker: { field: 'stickerMessage', mimetype: 'image/webp' },
+    document: { field: 'documentMessage', mimetype: 'application/pdf' }
+};
+
+function nextMessageId() {
+    return `TEST${Date.now().toString(36).toUpperCase()}${String(++messageCounter).padStart(4, '0')}`;
+}
+
+function buildKey(from, sender, id, fromMe = false) {
+    const isGroup = from.endsWith('@g.us');
+
+    return {
+        remoteJid: from,
+        fromMe,
+        id: id || nextMessageId(),
+        participant: isGroup ? sender : undefined
+    };
+}
+
+function buildContextInfo({ quoted, mentions }) {
+    if (!quoted && !mentions) return undefined;
+
+    const contextInfo = {};
+
+    if (mentions) {
+        contextInfo.mentionedJid = mentions;
+    }
+
+    if (quoted) {
+        contextInfo.stanzaId = quoted.key.id;
+        contextInfo.participant = quoted.key.participant || quoted.key.remoteJid;
+        contextInfo.quotedMessage = quoted.message;
+    }
+
+    return contextInfo;
+}
+
+function createTextMessage(options) {
+    const {
+        from,
+        sender = from,
+        text,
+        pushName = 'Test User',
+        quoted = null,
+        mentions = null,
+        id = null,
+        fromMe = false,
+        timestamp = Date.now()
+    } = options;
+
+    const contextInfo = buildContextInfo({ quoted, mentions });
+
+    return {
+        key: buildKey(from, sender, id, fromMe),
+        pushName,
+        messageTimestamp: Math.floor(timestamp / 1000),
+        message: contextInfo
+            ? { extendedTextMessage: { text, contextInfo } }
+            : { conversation: text }
+    };
+}
+
+function createMediaMessage(options) {
+    const {
+        from,
+        sender = from,
+        type = 'image',
+        caption = '',
+        mimetype = null,
+        buffer = Buffer.from(`fake ${type} payload`),
+        pushName = 'Test User',
+        quoted = null,
+        mentions = null,
+        id = null,
+        seconds = null,
+        ptt = false,
+        timestamp = Date.now()
+    } = options;
+
+    const defaults = MEDIA_DEFAULTS[type];
+    if (!defaults) {
+        throw new Error(`Unsupported fake media type: ${type}`);
+    }
+
+    const media = {
+        mimetype: mimetype || defaults.mimetype,
+        fileLength: buffer.length,
+        contextInfo: buildContextInfo({ quoted, mentions })
+    };
+
+    if (type !== 'audio' && type !== 'sticker') {
+        media.caption = caption;
+    }
+
+    if (seconds !== null) {
+        media.seconds = seconds;
+    }
+
+    if (type === 'audio') {
+        media.ptt = ptt;
+    }
+
+    const message = {
+        key: buildKey(from, sender, id),
+        pushName,
+        messageTimestamp: Math.floor(timestamp / 1000),
+        message: { [defaults.field]: media }
+    };
+
+    Object.defineProperty(message, 'mediaBuffer', { value: buffer, enumerable: false });
+
+    return message;
+}
+
+function createRevokeMessage(options) {
+    const { from, sender = from, target, pushName = 'Test User' } = options;
+
+    return {
+        key: buildKey(from, sender),
+        pushName,
+        messageTimestamp: Math.floor(Date.now() / 1000),
+        message: {
+            protocolMessage: {
+                key: target.key,
+                type: 0
+            }
+        }
+    };
+}
+
+function fromFixture(fixture) {
+    const message = JSON.parse(JSON.stringify(fixture.message));
+
+    if (!message.key.id) {
+        message.key.id = nextMessageId();
+    }
+
+    if (!message.messageTimestamp) {
+        message.messageTimestamp = Math.floor(Date.now() / 1000);
+    }
+
+    if (fixture.media) {
+        const buffer = Buffer.from(fixture.media.base64 || '', 'base64');
+        Object.defineProperty(message, 'mediaBuffer', { value: buffer, enumerable: false });
+    }
+
+    return message;
+}
+
+module.exports = {
+    nextMessageId,
+    createTextMessage,
+    createMediaMessage,
+    createRevokeMessage,
+    fromFixture
+};
@@ -0,0 +1,271 @@
+const { createBotHarness } = require('../harness');
+
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('AI providers', () => {
+    let bot;
+    let aiService;
+    let MockProvider;
+
+    beforeEach(async () => {
+        bot = await createBotHarness({ env: { AI_HISTORY_KEEP_RECENT: '2' } }).init();
+        ({ aiService } = require('../../src/services/aiService'));
+        ({ MockProvider } = require('../../src/services/aiProviders'));
+        aiService.isInitialized = true;
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('a failing provider falls through to the next one', async () => {
+        const primary = aiService.registerProvider(new MockProvider({ name: 'primary', failing: true }));
+        const backup = aiService.registerProvider(new MockProvider({ name: 'backup', responses: ['Backup answer here'] }));
+
+        await bot.sendText(MEMBER, '.chatgpt hello there');
+
+        expect(primary.calls).toHaveLength(1);
+        expect(backup.calls).toHaveLength(1);
+        expect(bot.sock.getEdits(MEMBER).pop().content.text).toContain('Backup answer here');
+    });
+
+    describe('conversation summaries', () => {
+        const conversations = () => require('../../src/models/Conversation');
+        const turn = (index) => [
+            { role: 'user', content: `question ${index}`, tokens: 10 },
+            { role: 'assistant', content: `answer ${index}`, tokens: 10 }
+        ];
+
+        async function seedConversation() {
+            for (let index = 1; index <= 3; index++) {
+                await conversations().appendMessages(MEMBER, turn(index));
+            }
+            return await conversations().getConversation(MEMBER);
+        }
+
+        test('a failed summary leaves the history untouched', async () => {
+            aiService.registerProvider(new MockProvider({ name: 'broken', failing: true }));
+            const snapshot = await seedConversation();
+
+            await aiService.summarizeConversation(snapshot);
+            const stored = await conversations().getConversation(MEMBER);
+
+            expect(stored.messages).toHaveLength(6);
+            expect(stored.summary).toBeNull();
+        });
+
+        test('turns added while summarizing are kept', async () => {
+            aiService.registerProvider(new MockProvider({
+                name: 'summarizer',
+                handler: async () => {
+                    await conversations().appendMessages(MEMBER, turn(4));
+                    return 'They asked three questions.';
+                }
+            }));
+            const snapshot = await seedConversation();
+
+            await aiService.summarizeConversation(snapshot);
+            const stored = await conversations().getConversation(MEMBER);
+
+            expect(stored.summary).toBe('They asked three questions.');
+            expect(stored.messages.map(entry => entry.content)).toEqual(['question 3', 'answer 3', 'question 4', 'answer 4']);
+            expect(stored.tokenCount).toBe(40 + aiService.estimateTokens(stored.summary));
+        });
+    });
+
+    describe('circuit breaker', () => {
+        let CircuitBreaker;
+        let ProviderRegistry;
+
+        beforeEach(() => {
+            ({ CircuitBreaker, ProviderRegistry } = require('../../src/services/aiProviders'));
+        });
+
+        test('opens after failureThreshold consecutive failures', () => {
+            const breaker = new CircuitBreaker({ failureThreshold: 3, cooldown: 1000 });
+
+            breaker.recordFailure(new Error('one'), 0);
+            breaker.recordFailure(new Error('two'), 0);
+            expect(breaker.canRequest(0)).toBe(true);
+
+            breaker.recordFailure(new Error('three'), 0);
+            expect(breaker.state).toBe('open');
+            expect(breaker.canRequest(999)).toBe(false);
+            expect(breaker.getStatus(400)).toMatchObject({ failures: 3, lastError: 'three', retryIn: 600 });
+        });
+
+        test('half-opens after the cooldown and closes again on success', () => {
+            const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 1000 });
+
+            breaker.recordFailure(new Error('down'), 0);
+            expect(breaker.canRequest(1000)).toBe(true);
+            expect(breaker.state).toBe('half-open');
+
+            breaker.recordSuccess();
+            expect(breaker.getStatus()).toMatchObject({ state: 'closed', failures: 0, retryIn: 0 });
+        });
+
+        test('a failure while half-open reopens the circuit straight away', () => {
+            const breaker = new CircuitBreaker({ failureThreshold: 3, cooldown: 1000 });
+
+            for (let attempt = 0; attempt < 3; attempt++) {
+                breaker.recordFailure(new Error('down'), 0);
+            }
+            breaker.canRequest(1000);
+            breaker.recordFailure(new Error('still down'), 1000);
+
+            expect(breaker.state).toBe('open');
+            expect(breaker.canRequest(1999)).toBe(false);
+        });
+
+        test('the registry skips an open provider until its cooldown passes', async () => {
+            const registry = new ProviderRegistry({ breaker: { failureThreshold: 2, cooldown: 60000 } });
+            const flaky = registry.register(new MockProvider({ name: 'flaky', failing: true, responses: ['Flaky answer'] }));
+            registry.register(new MockProvider({ name: 'steady', responses: ['Steady answer'] }));
+            const messages = [{ role: 'user', content: 'hello' }];
+
+            await registry.complete(messages);
+            await registry.complete(messages);
+            const skipped = await registry.complete(messages);
+
+            expect(flaky.calls).toHaveLength(2);
+            expect(skipped).toMatchObject({ provider: 'steady', attempts: [{ provider: 'flaky', skipped: true, error: 'circuit open' }] });
+
+            flaky.setFailing(false);
+            registry.breakers.get('flaky').openedAt -= 60000;
+            const recovered = await registry.complete(messages);
+
+            expect(recovered).toMatchObject({ provider: 'flaky', text: 'Flaky answer' });
+            expect(registry.breakers.get('flaky').state).toBe('closed');
+        });
+    });
+
+    describe('route precedence', () => {
+        const GROUP = '120363000000000001@g.us';
+        const OTHER_GROUP = '120363000000000002@g.us';
+        let registry;
+
+        beforeEach(async () => {
+            const { ProviderRegistry } = require('../../src/services/aiProviders');
+            registry = new ProviderRegistry({ defaultOrder: ['fallback'] });
+
+            for (const name of ['exact', 'command', 'group', 'fallback']) {
+                registry.register(new MockProvider({ name }));
+            }
+
+            await registry.setRoute({ group: GROUP, command: 'chatgpt', providers: ['exact'] });
+            await registry.setRoute({ command: 'chatgpt', providers: ['command'] });
+            await registry.setRoute({ group: GROUP, providers: ['group'] });
+        });
+
+        test.each([
+            [{ command: 'chatgpt', group: GROUP }, `${GROUP}:chatgpt`, ['exact']],
+            [{ command: 'chatgpt', group: OTHER_GROUP }, '*:chatgpt', ['command']],
+            [{ command: 'gemini', group: GROUP }, `${GROUP}:*`, ['group']],
+            [{ command: 'gemini', group: OTHER_GROUP }, 'default', ['fallback', 'exact', 'command', 'group']]
+        ])('%o resolves to %s', async (context, rule, providers) => {
+            expect(await registry.resolveRoute(context)).toEqual({ rule, providers });
+        });
+
+        test('explicit providers win over every route', async () => {
+            expect(await registry.resolveRoute({ command: 'chatgpt', group: GROUP, providers: ['fallback', 'missing'] }))
+                .toEqual({ rule: 'explicit', providers: ['fallback'] });
+        });
+
+        test('a route whose providers are all gone falls through to the next scope', async () => {
+            registry.unregister('exact');
+
+            expect(await registry.resolveRoute({ command: 'chatgpt', group: GROUP })).toEqual({ rule: '*:chatgpt', providers: ['command'] });
+        });
+
+        test('a preferred provider only applies when no route matches', async () => {
+            expect(await registry.resolveRoute({ command: 'chatgpt', preferred: 'group' })).toMatchObject({ rule: '*:chatgpt' });
+            expect(await registry.resolveRoute({ command: 'gemini', preferred: 'group' }))
+                .toEqual({ rule: 'preferred', providers: ['group', 'fallback', 'exact', 'command'] });
+        });
+    });
+
+    describe('streaming replies', () => {
+        let StreamingReply;
+
+        beforeEach(() => {
+            ({ StreamingReply } = require('../../src/utils/streamingReply'));
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        test('updates are throttled to one edit per interval carrying the latest text', async () => {
+            jest.useFakeTimers({ now: 0 });
+            const stream = await new StreamingReply(bot.sock, MEMBER, { interval: 1000 }).start();
+
+            stream.update('one');
+            stream.update('one two');
+            await jest.advanceTimersByTimeAsync(999);
+            expect(bot.sock.getEdits(MEMBER)).toHaveLength(0);
+
+            await jest.advanceTimersByTimeAsync(1);
+            stream.update('one two three');
+            await jest.advanceTimersByTimeAsync(500);
+
+            expect(bot.sock.getEdits(MEMBER).map(edit => edit.content.text)).toEqual(['one two ▌']);
+
+            await jest.advanceTimersByTimeAsync(500);
+            const edits = bot.sock.getEdits(MEMBER);
+
+            expect(edits.map(edit => edit.content.text)).toEqual(['one two ▌', 'one two three ▌']);
+            expect(edits.every(edit => edit.content.edit.id === bot.sock.getReplies(MEMBER)[0].key.id)).toBe(true);
+        });
+
+        test('finish drops a pending update and edits in the final text once', async () => {
+            jest.useFakeTimers({ now: 0 });
+            const stream = await new StreamingReply(bot.sock, MEMBER, { interval: 1000 }).start();
+
+            stream.update('partial');
+            await stream.finish('Final answer');
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(bot.sock.getEdits(MEMBER).map(edit => edit.content.text)).toEqual(['Final answer']);
+        });
+
+        test('a failed final edit is sent as a new message instead', async () => {
+            const stream = await new StreamingReply(bot.sock, MEMBER).start();
+            const sendMessage = bot.sock.sendMessage.bind(bot.sock);
+            jest.spyOn(bot.sock, 'sendMessage').mockImplementation(async (jid, content, options) => {
+                if (content.edit) {
+                    throw new Error('edit rejected');
+                }
+                return sendMessage(jid, content, options);
+            });
+
+            await stream.finish('Final answer');
+
+            expect(bot.sock.getReplies(MEMBER).map(entry => entry.content.text)).toEqual(['🤔 Thinking...', 'Final answer']);
+        });
+    });
+});
+
+describe('streamed AI commands', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createBotHarness({ env: { AI_STREAM_EDIT_INTERVAL: '60000' } }).init();
+        const { aiService } = require('../../src/services/aiService');
+        const { MockProvider } = require('../../src/services/aiProviders');
+
+        aiService.isInitialized = true;
+        aiService.registerProvider(new MockProvider({ name: 'openai', responses: ['First line\n\n\n\nSecond line'] }));
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('the final edit carries the post-processed response without the typing cursor', async () => {
+        await bot.models.users.insertOne({ jid: MEMBER, name: 'Member', isPremium: true, premiumType: 'pro' });
+
+        await bot.sendText(MEMBER, '.chatgpt hello there');
+        const edits = bot.sock.getEdits(MEMBER);
+
+        expect(edits).toHaveLength(1);
+        expect(edits[0].content.text).toBe('First line\n\nSecond line\n\n_✨ Premium AI Response_');
+    });
+});
@@ -0,0 +1,133 @@
+const { createBotHarness } = require('../harness');
+const { MessageStore } = require('../../src/utils/messageStore');
+
+const GROUP = '120363000000000001@g.us';
+const ADMIN = '254700000001@s.whatsapp.net';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('anti-delete', () => {
+    let bot;
+
+    async function setup(antiDelete) {
+        await bot.models.groups.insertOne({ jid: GROUP, name: 'Ilom Test Group', settings: { antiDelete } });
+    }
+
+    async function sendAndDelete(message, deletedBy = MEMBER) {
+        await bot.receive(message);
+        const before = bot.sock.sentMessages.length;
+        await bot.receive(bot.factory.createRevokeMessage({ from: GROUP, sender: deletedBy, target: message }));
+        return bot.sock.sentMessages.slice(before);
+    }
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('a deleted text is re-posted in the group', async () => {
+        await setup({ enabled: true, adminOnly: false });
+
+        const [restored] = await sendAndDelete(bot.factory.createTextMessage({ from: GROUP, sender: MEMBER, text: 'secret plan' }));
+
+        expect(restored.jid).toBe(GROUP);
+        expect(restored.content.text).toContain('🗑️ *Anti-Delete*');
+        expect(restored.content.text).toContain('secret plan');
+        expect(restored.content.contextInfo.mentionedJid).toEqual([MEMBER]);
+    });
+
+    test('a deleted image is restored with its media and caption', async () => {
+        await setup({ enabled: true, adminOnly: false });
+        const buffer = Buffer.from('original image bytes');
+
+        const [restored] = await sendAndDelete(bot.factory.createMediaMessage({
+            from: GROUP,
+            sender: MEMBER,
+            caption: 'look at this',
+            buffer
+        }));
+
+        expect(restored.content.image).toEqual(buffer);
+        expect(restored.content.mimetype).toBe('image/jpeg');
+        expect(restored.content.caption).toContain('look at this');
+    });
+
+    test('deliveries go privately to admins unless the group opted in', async () => {
+        await setup({ enabled: true });
+
+        const restored = await sendAndDelete(bot.factory.createTextMessage({ from: GROUP, sender: MEMBER, text: 'quiet' }));
+
+        expect(restored.map(m => m.jid)).toEqual([ADMIN]);
+        expect(restored[0].content.text).toContain('Group: Ilom Test Group');
+    });
+
+    test('messages removed by someone else or with anti-delete off are not restored', async () => {
+        await setup({ enabled: true, adminOnly: false });
+
+        const byAdmin = await sendAndDelete(bot.factory.createTextMessage({ from: GROUP, sender: MEMBER, text: 'rule breaking' }), ADMIN);
+        await bot.models.groups.updateOne({ jid: GROUP }, { $set: { 'settings.antiDelete.enabled': false } });
+        const whileOff = await sendAndDelete(bot.factory.createTextMessage({ from: GROUP, sender: MEMBER, text: 'untracked' }));
+
+        expect(byAdmin).toHaveLength(0);
+        expect(whileOff).toHaveLength(0);
+    });
+});
+
+describe('message store retention', () => {
+    let now;
+
+    const message = (id, text = `message ${id}`) => [
+        { key: { remoteJid: GROUP, id, participant: MEMBER }, messageTimestamp: Math.floor(now / 1000) },
+        { messageType: 'text', text }
+    ];
+
+    const media = (id, size) => [
+        { key: { remoteJid: GROUP, id, participant: MEMBER } },
+        { messageType: 'image', media: { mimetype: 'image/jpeg' } },
+        { buffer: Buffer.alloc(size) }
+    ];
+
+    beforeEach(() => {
+        now = 1790000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('the oldest messages are evicted past the message limit', () => {
+        const store = new MessageStore({ maxMessages: 2 });
+
+        ['a', 'b', 'c'].forEach(id => store.remember(...message(id)));
+
+        expect(store.get({ remoteJid: GROUP, id: 'a' })).toBeNull();
+        expect(store.get({ remoteJid: GROUP, id: 'c' }).text).toBe('message c');
+        expect(store.getStats()).toMatchObject({ messages: 2, evicted: 1 });
+    });
+
+    test('entries expire after the retention window', () => {
+        const store = new MessageStore({ retention: 60 * 1000 });
+
+        store.remember(...message('a'));
+        now += 30 * 1000;
+        store.remember(...message('b'));
+        now += 31 * 1000;
+
+        expect(store.take({ remoteJid: GROUP, id: 'a' })).toBeNull();
+        expect(store.take({ remoteJid: GROUP, id: 'b' }).text).toBe('message b');
+        expect(store.take({ remoteJid: GROUP, id: 'b' })).toBeNull();
+    });
+
+    test('oversized media is dropped and the media budget evicts old entries', () => {
+        const store = new MessageStore({ maxMediaSize: 100, maxStoreSize: 250 });
+
+        expect(store.remember(...media('huge', 101)).media).toBeNull();
+
+        store.remember(...media('a', 100));
+        store.remember(...media('b', 100));
+        store.remember(...media('c', 100));
+
+        expect(store.get({ remoteJid: GROUP, id: 'a' })).toBeNull();
+        expect(store.getStats()).toMatchObject({ messages: 3, mediaBytes: 200 });
+    });
+});
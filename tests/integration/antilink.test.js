@@ -0,0 +1,59 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('anti-link', () => {
+    let bot;
+
+    async function enableAntiLink(action) {
+        await bot.models.groups.insertOne({
+            jid: GROUP,
+            name: 'Ilom Test Group',
+            settings: { antiLink: { enabled: true, action, whitelist: [] } }
+        });
+    }
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test.each([
+        'ok.so see you later',
+        'go.to bed already',
+        'that is.it for today',
+        'tell.me when you are back'
+    ])('does not treat "%s" as a link', async (text) => {
+        await enableAntiLink('warn');
+        await bot.sendText(GROUP, text, { sender: MEMBER });
+
+        expect(bot.sock.getDeletes(GROUP)).toHaveLength(0);
+    });
+
+    test.each([
+        'join t.me/spamchannel',
+        'visit example.com today',
+        'https://example.so/promo'
+    ])('removes "%s"', async (text) => {
+        await enableAntiLink('warn');
+        await bot.sendText(GROUP, text, { sender: MEMBER });
+
+        expect(bot.sock.getDeletes(GROUP)).toHaveLength(1);
+        expect(bot.sock.getTexts(GROUP).pop()).toContain('Anti-Link');
+    });
+
+    test('the ban action bans from the group only', async () => {
+        await enableAntiLink('ban');
+        await bot.sendText(GROUP, 'free stuff at example.com', { sender: MEMBER });
+
+        const group = await bot.models.groups.findOne({ jid: GROUP });
+        const user = await bot.models.users.findOne({ jid: MEMBER });
+
+        expect(group.settings.bannedMembers.map(ban => ban.jid)).toEqual([MEMBER]);
+        expect(user.isBanned).toBeFalsy();
+        expect(bot.sock.getTexts(GROUP).pop()).toContain('banned and removed');
+    });
+});
@@ -0,0 +1,74 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const ADMIN = '254700000001@s.whatsapp.net';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('auto-replies', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('regex rules with nested quantifiers or backreferences are rejected', async () => {
+        const [nested] = await bot.sendText(GROUP, '.autoreply add regex (a+)+$ | boom', { sender: ADMIN });
+        bot.clearCooldowns();
+        const [backref] = await bot.sendText(GROUP, '.autoreply add regex (ha)\\1 | boom', { sender: ADMIN });
+
+        expect(nested.content.text).toContain('nested quantifiers');
+        expect(backref.content.text).toContain('backreferences');
+        expect((await bot.models.groups.findOne({ jid: GROUP }))?.autoReplies || []).toHaveLength(0);
+    });
+
+    test.each([
+        '^(a|a)+$',
+        '^(a|aa)*$',
+        '(\\w|\\d)+$',
+        '^(a?){25}a{25}$'
+    ])('matching %s against a crafted message is cut off instead of blocking', async (pattern) => {
+        await bot.sendText(ADMIN, `.autoreply add regex ${pattern} | boom`, { sender: ADMIN });
+        bot.clearCooldowns();
+        await bot.sendText(ADMIN, '.autoreply add contains ping | pong', { sender: ADMIN });
+
+        const started = Date.now();
+        const crafted = await bot.sendText(MEMBER, `${'a'.repeat(40)}!`);
+        const elapsed = Date.now() - started;
+        const [reply] = await bot.sendText(MEMBER, 'ping!');
+        const { getSetting } = require('../../src/models/Settings');
+        const [rule] = await getSetting('autoReply.rules');
+
+        expect(rule.trigger).toBe(pattern);
+        expect(crafted.map(msg => msg.content.text)).not.toContain('boom');
+        expect(elapsed).toBeLessThan(2000);
+        expect(reply.content.text).toBe('pong');
+    });
+
+    test('a trigger only increments the matched rule', async () => {
+        await bot.sendText(GROUP, '.autoreply add exact good morning | Morning!', { sender: ADMIN });
+        bot.clearCooldowns();
+        await bot.sendText(GROUP, '.autoreply add regex ^hel+o$ | Hi there', { sender: ADMIN });
+
+        const [reply] = await bot.sendText(GROUP, 'hello', { sender: MEMBER });
+        const [morning, hello] = (await bot.models.groups.findOne({ jid: GROUP })).autoReplies;
+
+        expect(reply.content.text).toBe('Hi there');
+        expect(morning.uses).toBe(0);
+        expect(hello.uses).toBe(1);
+        expect(hello.lastUsed).toBeInstanceOf(Date);
+    });
+
+    test('global rules record usage on the settings document', async () => {
+        await bot.sendText(ADMIN, '.autoreply add contains ping me | pong', { sender: ADMIN });
+
+        const [reply] = await bot.sendText(MEMBER, 'please ping me');
+        const { getSetting } = require('../../src/models/Settings');
+        const [rule] = await getSetting('autoReply.rules');
+
+        expect(reply.content.text).toBe('pong');
+        expect(rule.uses).toBe(1);
+    });
+});
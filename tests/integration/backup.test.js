@@ -0,0 +1,201 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createBotHarness } = require('../harness');
+
+const OWNER = '254700000001@s.whatsapp.net';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('backup restore', () => {
+    let bot;
+    let backupManager;
+    let backupDir;
+
+    async function writeLegacyBackup(name, dump) {
+        const dir = path.join(backupDir, name);
+
+        await fs.outputJSON(path.join(dir, 'database', 'dump.json'), { timestamp: new Date().toISOString(), ...dump });
+        await fs.writeJSON(path.join(dir, 'manifest.json'), {
+            name,
+            type: 'database',
+            created: new Date().toISOString(),
+            files: [{ type: 'database', path: 'database/dump.json' }]
+        });
+    }
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ilom-backups-'));
+        ({ backupManager } = require('../../src/utils/backup'));
+        backupManager.backupDir = backupDir;
+
+        await writeLegacyBackup('backup_legacy', {
+            users: [{ jid: MEMBER, name: 'Restored Member', economy: { balance: 500 } }],
+            groups: [],
+            settings: [],
+            premium: []
+        });
+    });
+
+    afterEach(async () => {
+        await bot.cleanup();
+        await fs.remove(backupDir);
+    });
+
+    test('backups without checksums are refused by default', async () => {
+        await expect(backupManager.restoreSelective('backup_legacy', { users: [MEMBER] }))
+            .rejects.toThrow('Backup verification failed');
+
+        const [reply] = await bot.sendText(OWNER, '.restore backup_legacy user 254700000002');
+
+        expect(reply.content.text).toContain('Restore failed');
+        expect(reply.content.text).toContain('no recorded checksums');
+    });
+
+    test('--unverified opens a legacy backup for preview', async () => {
+        const [reply] = await bot.sendText(OWNER, '.restore backup_legacy user 254700000002 --unverified');
+
+        expect(reply.content.text).toContain('Restore preview');
+        expect(reply.content.text).toContain('--apply');
+        expect(reply.content.text).toContain('--unverified');
+    });
+
+    describe('manifest signatures', () => {
+        let config;
+
+        beforeEach(() => {
+            config = require('../../src/config');
+            config.backup.encryptionKey = 'test-backup-key';
+        });
+
+        afterEach(() => {
+            config.backup.encryptionKey = null;
+        });
+
+        async function tamper(name) {
+            const dir = path.join(backupDir, name);
+            const manifest = await fs.readJSON(path.join(dir, 'manifest.json'));
+            const [file] = Object.keys(manifest.integrity.checksums);
+
+            await fs.appendFile(path.join(dir, file), '\n// tampered\n');
+            manifest.integrity.checksums[file] = await backupManager.hashFile(path.join(dir, file));
+            await fs.writeJSON(path.join(dir, 'manifest.json'), manifest);
+        }
+
+        test('verify rejects a backup whose checksums were rewritten', async () => {
+            const backup = await backupManager.createBackup({ type: 'config', compression: false });
+
+            expect((await backupManager.verifyBackup(backup.name)).signed).toBe(true);
+
+            await tamper(backup.name);
+            const [reply] = await bot.sendText(OWNER, `.restore verify ${backup.name}`);
+
+            expect(reply.content.text).toContain('verification failed');
+            expect(reply.content.text).toContain('Manifest signature mismatch');
+        });
+
+        test('unsigned backups are reported as not tamper-evident', async () => {
+            config.backup.encryptionKey = null;
+            const backup = await backupManager.createBackup({ type: 'config', compression: false });
+
+            const [reply] = await bot.sendText(OWNER, `.restore verify ${backup.name}`);
+
+            expect(reply.content.text).toContain('Backup verified');
+            expect(reply.content.text).toContain('Signed: No');
+        });
+    });
+});
+
+describe('backup retention', () => {
+    let bot;
+    let backupManager;
+
+    const backup = (date, { pinned = false, size = 10 } = {}) => ({
+        name: `backup_${date}`,
+        created: new Date(`${date.length > 10 ? date : `${date}T12:00`}:00Z`),
+        size,
+        pinned
+    });
+
+    const days = (from, count) => Array.from({ length: count }, (_, i) =>
+        new Date(Date.parse(`${from}T12:00:00Z`) - i * 86400000).toISOString().slice(0, 10));
+
+    const names = (list) => list.map(b => b.name.replace('backup_', ''));
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        ({ backupManager } = require('../../src/utils/backup'));
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test.each([
+        {
+            title: 'keeps the newest backup per day, week and month',
+            retention: { daily: 3, weekly: 2, monthly: 2 },
+            backups: days('2026-10-19', 40).map(date => backup(date)),
+            keep: ['2026-10-19', '2026-10-18', '2026-10-17', '2026-09-30']
+        },
+        {
+            title: 'only the newest of several same-day backups counts for that day',
+            retention: { daily: 2, weekly: 0, monthly: 0 },
+            backups: [backup('2026-10-19T16:00'), backup('2026-10-19T10:00'), backup('2026-10-18T15:00'), backup('2026-10-18T09:00')],
+            keep: ['2026-10-19T16:00', '2026-10-18T15:00']
+        },
+        {
+            title: 'pinned backups survive outside every bucket',
+            retention: { daily: 1, weekly: 0, monthly: 0 },
+            backups: [backup('2026-10-19'), backup('2025-01-01', { pinned: true }), backup('2024-06-01')],
+            keep: ['2026-10-19', '2025-01-01']
+        },
+        {
+            title: 'the latest backup is kept even when every count is zero',
+            retention: { daily: 0, weekly: 0, monthly: 0 },
+            backups: [backup('2026-10-18'), backup('2026-10-19')],
+            keep: ['2026-10-19']
+        }
+    ])('$title', ({ retention, backups, keep }) => {
+        const plan = backupManager.planRetention(backups, retention);
+
+        expect(names(plan.keep)).toEqual(keep);
+        expect(plan.remove).toHaveLength(backups.length - keep.length);
+        expect(plan.remove.every(b => b.reason === 'expired')).toBe(true);
+    });
+
+    test('reasons list every bucket a backup fills', () => {
+        const plan = backupManager.planRetention(days('2026-10-19', 10).map(date => backup(date)), { daily: 2, weekly: 2, monthly: 1 });
+
+        expect(plan.keep.map(b => [b.name, b.retention])).toEqual([
+            ['backup_2026-10-19', ['latest', 'daily', 'weekly', 'monthly']],
+            ['backup_2026-10-18', ['daily', 'weekly']]
+        ]);
+    });
+
+    test('the size budget drops the oldest unpinned backups first', () => {
+        const backups = [
+            backup('2026-10-19', { size: 40 }),
+            backup('2026-10-18', { size: 40 }),
+            backup('2026-10-17', { size: 40, pinned: true }),
+            backup('2026-10-16', { size: 40 })
+        ];
+
+        const plan = backupManager.planRetention(backups, { daily: 4, weekly: 0, monthly: 0, maxSize: 100 });
+
+        expect(names(plan.keep)).toEqual(['2026-10-19', '2026-10-17']);
+        expect(plan.remove.map(b => [b.name, b.reason])).toEqual([
+            ['backup_2026-10-16', 'size budget'],
+            ['backup_2026-10-18', 'size budget']
+        ]);
+        expect(plan).toMatchObject({ totalSize: 80, overBudget: false });
+    });
+
+    test('pinned and latest backups stay even when they exceed the budget', () => {
+        const backups = [backup('2026-10-19', { size: 60 }), backup('2026-10-01', { size: 60, pinned: true }), backup('2026-09-01', { size: 5 })];
+
+        const plan = backupManager.planRetention(backups, { daily: 0, weekly: 0, monthly: 3, maxSize: 100 });
+
+        expect(names(plan.keep)).toEqual(['2026-10-19', '2026-10-01']);
+        expect(plan.remove.map(b => b.reason)).toEqual(['size budget']);
+        expect(plan).toMatchObject({ totalSize: 120, overBudget: true });
+    });
+});
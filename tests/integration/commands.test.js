@@ -0,0 +1,28 @@
+const { createBotHarness } = require('../harness');
+
+describe('ping', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('.ping in a group produces an edited reply', async () => {
+        const [result] = await bot.replayFixtures(['group_ping']);
+
+        expect(result.sent[0].content.text).toContain('Pinging');
+        expect(bot.sock.getEdits()).toHaveLength(1);
+        expect(bot.sock.getEdits()[0].content.edit).toEqual(result.sent[0].key);
+        expect(bot.sock.getEdits()[0].content.text).toContain('Pong!');
+    });
+
+    test('.ping in private chat edits the same message', async () => {
+        const [result] = await bot.replayFixtures(['private_ping']);
+        const [edit] = bot.sock.getEdits('254700000001@s.whatsapp.net');
+
+        expect(edit.content.edit).toEqual(result.sent[0].key);
+        expect(edit.content.text).toContain('Mode: Private');
+    });
+});
@@ -0,0 +1,70 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const ADMIN = '254700000001@s.whatsapp.net';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('custom commands', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        bot.cleanup();
+    });
+
+    test('running a custom command counts a use on that command only', async () => {
+        await bot.sendText(GROUP, '.customcmd add rules Read the pinned rules', { sender: ADMIN });
+        bot.clearCooldowns();
+        await bot.sendText(GROUP, '.customcmd add faq See the FAQ, {sender}', { sender: ADMIN });
+
+        const [reply] = await bot.sendText(GROUP, '.faq', { sender: MEMBER });
+        const commands = (await bot.models.groups.findOne({ jid: GROUP })).customCommands;
+        const rules = commands.find(cc => cc.name === 'rules');
+        const faq = commands.find(cc => cc.name === 'faq');
+
+        expect(reply.content.text).toBe('See the FAQ, @254700000002');
+        expect(rules.uses || 0).toBe(0);
+        expect(faq.uses).toBe(1);
+        expect(faq.lastUsed).toBeInstanceOf(Date);
+    });
+
+    test('rejects an unsafe name before downloading any attached media', async () => {
+        const writeFile = jest.spyOn(require('fs-extra'), 'writeFile');
+        const [reply] = await bot.sendMedia(GROUP, {
+            sender: ADMIN,
+            caption: '.customcmd add ../../../x hi',
+            mimetype: 'image/../../jpeg'
+        });
+        const group = await bot.models.groups.findOne({ jid: GROUP });
+
+        expect(reply.content.text).toContain('Command names may only contain');
+        expect(writeFile).not.toHaveBeenCalled();
+        expect(group.customCommands || []).toHaveLength(0);
+    });
+
+    test('editing a missing command does not save the attached media', async () => {
+        const writeFile = jest.spyOn(require('fs-extra'), 'writeFile');
+        const [reply] = await bot.sendMedia(GROUP, { sender: ADMIN, caption: '.customcmd edit ghost new text' });
+
+        expect(reply.content.text).toContain('Custom command *ghost* does not exist.');
+        expect(writeFile).not.toHaveBeenCalled();
+    });
+
+    test('saveMedia refuses names that would leave the group media folder', async () => {
+        const customCommands = require('../../src/utils/customCommands');
+        const writeFile = jest.spyOn(require('fs-extra'), 'writeFile');
+        const message = {
+            key: { remoteJid: GROUP, id: 'TRAVERSAL', participant: ADMIN },
+            message: { imageMessage: { mimetype: 'image/jpeg' } },
+            mediaBuffer: Buffer.from('payload')
+        };
+
+        await expect(customCommands.saveMedia(GROUP, '../escape', message)).rejects.toThrow('Command names may only contain');
+        expect(writeFile).not.toHaveBeenCalled();
+    });
+});
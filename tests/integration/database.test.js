@@ -0,0 +1,84 @@
+const { JsonStore } = require('../../src/database/jsonStore');
+const { clone } = require('../../src/database/query');
+
+describe('memory database driver', () => {
+    let groups;
+
+    beforeEach(async () => {
+        groups = new JsonStore().collection('groups', { key: 'jid' });
+
+        await groups.insertMany([
+            {
+                jid: 'alpha@g.us',
+                subject: 'Alpha Team',
+                customCommands: [{ name: 'rules', uses: 0 }, { name: 'faq', uses: 4 }]
+            },
+            { jid: 'beta@g.us', subject: 'beta testers', customCommands: [] }
+        ]);
+    });
+
+    test('clone keeps dates and does not share references', () => {
+        const source = { createdAt: new Date('2024-01-01T00:00:00Z'), nested: { list: [1, { deep: true }] } };
+        const copy = clone(source);
+
+        expect(copy.createdAt).toBeInstanceOf(Date);
+        expect(copy.createdAt.getTime()).toBe(source.createdAt.getTime());
+        expect(copy.nested.list).not.toBe(source.nested.list);
+        expect(copy).toEqual(source);
+    });
+
+    test('$regex honours $options', async () => {
+        expect(await groups.findOne({ subject: { $regex: '^alpha' } })).toBeNull();
+        expect((await groups.findOne({ subject: { $regex: '^alpha', $options: 'i' } })).jid).toBe('alpha@g.us');
+    });
+
+    test('dotted paths match inside arrays', async () => {
+        expect((await groups.findOne({ 'customCommands.name': 'faq' })).jid).toBe('alpha@g.us');
+        expect(await groups.countDocuments({ 'customCommands.name': { $ne: 'faq' } })).toBe(1);
+    });
+
+    test('findOneAndDelete returns a detached copy', async () => {
+        const deleted = await groups.findOneAndDelete({ jid: 'beta@g.us' });
+
+        deleted.subject = 'changed';
+
+        expect(deleted.jid).toBe('beta@g.us');
+        expect(await groups.findOne({ jid: 'beta@g.us' })).toBeNull();
+    });
+
+    test('positional updates target the element matched by the filter', async () => {
+        const updated = await groups.findOneAndUpdate(
+            { jid: 'alpha@g.us', 'customCommands.name': 'faq' },
+            { $inc: { 'customCommands.$.uses': 1 }, $set: { 'customCommands.$.lastUsed': 'now' } },
+            { new: true }
+        );
+
+        expect(updated.customCommands).toEqual([
+            { name: 'rules', uses: 0 },
+            { name: 'faq', uses: 5, lastUsed: 'now' }
+        ]);
+    });
+
+    test('positional updates without a matching element are rejected', async () => {
+        await expect(groups.findOneAndUpdate(
+            { jid: 'alpha@g.us' },
+            { $inc: { 'customCommands.$.uses': 1 } }
+        )).rejects.toThrow('positional operator');
+    });
+
+    test.each([
+        [2, ['a', 'b']],
+        [-2, ['d', 'e']],
+        [0, []]
+    ])('$push with $slice %i keeps the same elements as MongoDB', async (slice, expected) => {
+        await groups.updateOne({ jid: 'alpha@g.us' }, { $set: { tags: ['a', 'b', 'c'] } });
+
+        const updated = await groups.findOneAndUpdate(
+            { jid: 'alpha@g.us' },
+            { $push: { tags: { $each: ['d', 'e'], $slice: slice } } },
+            { new: true }
+        );
+
+        expect(updated.tags).toEqual(expected);
+    });
+});
@@ -0,0 +1,192 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const ADMIN = '254700000001@s.whatsapp.net';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('group bans', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+
+        await bot.models.groups.insertOne({
+            jid: GROUP,
+            name: 'Ilom Test Group',
+            settings: { warnings: { escalate: true, escalation: [{ count: 1, action: 'ban', duration: null }] } }
+        });
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('a ban escalation is stored on the group and never bans the user globally', async () => {
+        await bot.sendText(GROUP, '.warn @254700000002 spam', { sender: ADMIN, mentions: [MEMBER] });
+
+        const group = await bot.models.groups.findOne({ jid: GROUP });
+        const user = await bot.models.users.findOne({ jid: MEMBER });
+
+        expect(group.settings.bannedMembers.map(ban => ban.jid)).toEqual([MEMBER]);
+        expect(user?.isBanned || false).toBe(false);
+        expect(bot.sock.participantUpdates).toContainEqual(expect.objectContaining({ participants: [MEMBER], action: 'remove' }));
+    });
+
+    test('banned members are removed again when they rejoin or post', async () => {
+        await bot.sendText(GROUP, '.warn @254700000002 spam', { sender: ADMIN, mentions: [MEMBER] });
+
+        bot.sock.addParticipant(GROUP, MEMBER);
+        await bot.messageHandler.handleGroupParticipantsUpdate(bot.sock, { id: GROUP, participants: [MEMBER], action: 'add' });
+
+        expect((await bot.sock.groupMetadata(GROUP)).participants.map(p => p.id)).not.toContain(MEMBER);
+        expect(bot.sock.getTexts(GROUP).pop()).toContain('is banned from this group');
+
+        bot.sock.addParticipant(GROUP, MEMBER);
+        await bot.sendText(GROUP, 'hello again', { sender: MEMBER });
+
+        expect(bot.sock.getDeletes(GROUP)).toHaveLength(1);
+        expect((await bot.sock.groupMetadata(GROUP)).participants.map(p => p.id)).not.toContain(MEMBER);
+    });
+
+    test('a group ban does not stop the member using the bot elsewhere', async () => {
+        await bot.sendText(GROUP, '.warn @254700000002 spam', { sender: ADMIN, mentions: [MEMBER] });
+
+        const replies = await bot.sendText(MEMBER, '.ping');
+
+        expect(replies[0].content.text).toContain('Pinging');
+    });
+});
+
+describe('warnings', () => {
+    const OTHER = '254700000003@s.whatsapp.net';
+    let bot;
+    let warnings;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+        warnings = require('../../src/utils/warningManager');
+
+        await bot.models.groups.insertOne({
+            jid: GROUP,
+            name: 'Ilom Test Group',
+            settings: { warnings: { escalate: true, escalation: [{ count: 5, action: 'kick', duration: null }] } }
+        });
+    });
+
+    afterEach(() => bot.cleanup());
+
+    async function storedWarnings() {
+        return (await bot.models.groups.findOne({ jid: GROUP })).warnings;
+    }
+
+    test('concurrent warnings are all kept and counted', async () => {
+        const results = await Promise.all([
+            warnings.addWarning(bot.sock, GROUP, MEMBER, { reason: 'first' }),
+            warnings.addWarning(bot.sock, GROUP, OTHER, { reason: 'other' }),
+            warnings.addWarning(bot.sock, GROUP, MEMBER, { reason: 'second' })
+        ]);
+
+        expect((await storedWarnings()).map(w => w.reason).sort()).toEqual(['first', 'other', 'second']);
+        expect(results.filter(r => r.warning.user === MEMBER).map(r => r.count).sort()).toEqual([1, 2]);
+        expect(results.find(r => r.warning.user === OTHER).count).toBe(1);
+    });
+
+    test('expired warnings are pruned and not counted', async () => {
+        await bot.models.groups.updateOne({ jid: GROUP }, {
+            $push: { warnings: { id: 'old001', user: MEMBER, reason: 'old', warnedAt: new Date(0), expiresAt: new Date(Date.now() - 1000) } }
+        });
+
+        const result = await warnings.addWarning(bot.sock, GROUP, MEMBER, { reason: 'new' });
+
+        expect(result.count).toBe(1);
+        expect((await storedWarnings()).map(w => w.id)).not.toContain('old001');
+    });
+
+    test('removing a warning leaves one added in the meantime', async () => {
+        const { warning } = await warnings.addWarning(bot.sock, GROUP, MEMBER, { reason: 'first' });
+        const [, removed] = await Promise.all([
+            warnings.addWarning(bot.sock, GROUP, MEMBER, { reason: 'second' }),
+            warnings.removeWarning(GROUP, MEMBER, warning.id)
+        ]);
+
+        expect(removed.removed.id).toBe(warning.id);
+        expect((await storedWarnings()).map(w => w.reason)).toEqual(['second']);
+        await expect(warnings.removeWarning(GROUP, MEMBER, warning.id)).rejects.toThrow('not found');
+    });
+
+    test('clearing one member leaves the others', async () => {
+        await warnings.addWarning(bot.sock, GROUP, MEMBER, { reason: 'first' });
+        await warnings.addWarning(bot.sock, GROUP, OTHER, { reason: 'other' });
+
+        expect(await warnings.clearWarnings(GROUP, MEMBER)).toBe(1);
+        expect((await storedWarnings()).map(w => w.user)).toEqual([OTHER]);
+    });
+});
+
+describe('mutes', () => {
+    let bot;
+    let mutes;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+        mutes = require('../../src/utils/muteManager');
+        global.sock = bot.sock;
+    });
+
+    afterEach(async () => {
+        delete global.sock;
+        await bot.cleanup();
+    });
+
+    async function expireMute(jid) {
+        await bot.models.groups.updateOne(
+            { jid: GROUP, 'mutedUsers.jid': jid },
+            { $set: { 'mutedUsers.$.mutedUntil': new Date(Date.now() - 1000) } }
+        );
+    }
+
+    async function storedMutes() {
+        return (await bot.models.groups.findOne({ jid: GROUP })).mutedUsers;
+    }
+
+    test('a timed mute deletes the member\'s messages until it expires', async () => {
+        await bot.sendText(GROUP, '.mute @254700000002 10m flooding', { sender: ADMIN, mentions: [MEMBER] });
+        const [mute] = await storedMutes();
+
+        expect(mute.jid).toBe(MEMBER);
+        expect(new Date(mute.mutedUntil).getTime() - Date.now()).toBeGreaterThan(9 * 60 * 1000);
+
+        await bot.sendText(GROUP, 'still talking', { sender: MEMBER });
+        expect(bot.sock.getDeletes(GROUP)).toHaveLength(1);
+    });
+
+    test('expired mutes are lifted once with a single notice', async () => {
+        await mutes.mute(GROUP, MEMBER, { duration: 60 * 1000, mutedBy: ADMIN });
+        await expireMute(MEMBER);
+
+        const counts = await Promise.all([mutes.checkExpiredMutes(), mutes.unmuteExpired(bot.sock, GROUP)]);
+        await bot.sendText(GROUP, 'back again', { sender: MEMBER });
+
+        expect(counts.reduce((sum, count) => sum + count, 0)).toBe(1);
+        expect(bot.sock.getTexts(GROUP).filter(text => text.includes('has been unmuted'))).toHaveLength(1);
+        expect(await storedMutes()).toHaveLength(0);
+        expect(bot.sock.getDeletes(GROUP)).toHaveLength(0);
+    });
+
+    test('the cleanup task announces expired mutes and keeps active ones', async () => {
+        const { taskScheduler: scheduler } = require('../../src/utils/scheduler');
+        const OTHER = '254700000003@s.whatsapp.net';
+
+        await mutes.mute(GROUP, MEMBER, { duration: 60 * 1000 });
+        await mutes.mute(GROUP, OTHER, { duration: 60 * 60 * 1000 });
+        await expireMute(MEMBER);
+
+        const task = await scheduler.addGroupTask(GROUP, { type: 'cleanup', schedule: '0 3 * * *' });
+        await scheduler.runGroupTask(GROUP, task.id);
+        scheduler.unregisterGroupTasks(GROUP);
+
+        expect(bot.sock.getTexts(GROUP).pop()).toContain('@254700000002 has been unmuted');
+        expect((await storedMutes()).map(m => m.jid)).toEqual([OTHER]);
+    });
+});
@@ -0,0 +1,72 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const ADMIN = '254700000001@s.whatsapp.net';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('typed command parameters', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('a missing mention produces a usage error with the effective prefix', async () => {
+        await bot.sendText(GROUP, '.setprefix $', { sender: ADMIN });
+        bot.clearCooldowns();
+
+        const [reply] = await bot.sendText(GROUP, '$warn', { sender: ADMIN });
+
+        expect(reply.content.text).toContain('Invalid arguments');
+        expect(reply.content.text).toContain('Missing *user*');
+        expect(reply.content.text).toContain('*Usage:* $warn <');
+    });
+
+    test('unexpected extra arguments are reported', async () => {
+        const [reply] = await bot.sendText(GROUP, '.unmute @254700000002 now please', { sender: ADMIN, mentions: [MEMBER] });
+
+        expect(reply.content.text).toContain('Too many arguments. Unexpected: now please');
+    });
+
+    test('over-long text parameters are rejected before the command runs', async () => {
+        const replies = await bot.sendText(GROUP, `.warn @254700000002 ${'x'.repeat(201)}`, { sender: ADMIN, mentions: [MEMBER] });
+
+        expect(replies).toHaveLength(1);
+        expect(replies[0].content.text).toContain('*reason* must not exceed 200 characters');
+    });
+
+    describe('parser', () => {
+        const command = {
+            name: 'remind',
+            params: [
+                { name: 'count', type: 'number', integer: true, min: 1, max: 10 },
+                { name: 'after', type: 'duration', max: '1d' },
+                { name: 'mode', type: 'enum', values: ['dm', 'group'] },
+                { name: 'note', type: 'text', required: false, default: '' }
+            ]
+        };
+
+        const parse = (text) => require('../../src/utils/parser').argParser.parse(command, text.split(' '));
+
+        test.each([
+            ['abc 2h dm', '*count* must be a number.'],
+            ['11 2h dm', '*count* must not exceed 10.'],
+            ['2.5 2h dm', '*count* must be a whole number.'],
+            ['3 soon dm', '*after* must be a duration like 30m, 2h or 1d12h.'],
+            ['3 2d dm', '*after* must not exceed 1d.'],
+            ['3 2h everyone', '*mode* must be one of: dm, group.']
+        ])('"%s" fails with a specific message', (text, error) => {
+            expect(parse(text)).toEqual({ valid: false, error });
+        });
+
+        test('valid input is converted to typed values', () => {
+            expect(parse('3 90m group bring snacks')).toEqual({
+                valid: true,
+                params: { count: 3, after: 90 * 60 * 1000, mode: 'group', note: 'bring snacks' }
+            });
+        });
+    });
+});
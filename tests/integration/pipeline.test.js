@@ -0,0 +1,146 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('command pipeline', () => {
+    let bot;
+    let CommandPipeline;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+        ({ CommandPipeline } = require('../../src/utils/commandPipeline'));
+    });
+
+    afterEach(() => bot.cleanup());
+
+    const pass = (log, name) => async (ctx, next) => {
+        log.push(name);
+        return await next();
+    };
+
+    test('core stages run first, then plugin stages, with anchors placed around their targets', async () => {
+        const pipeline = new CommandPipeline();
+        const log = [];
+
+        pipeline.use('late', pass(log, 'late'), { owner: 'plugin:a' });
+        pipeline.use('bans', pass(log, 'bans'), { owner: 'core', core: true });
+        pipeline.use('stats', pass(log, 'stats'), { owner: 'core', core: true });
+        pipeline.use('audit', pass(log, 'audit'), { owner: 'plugin:a', after: 'bans' });
+        pipeline.use('gate', pass(log, 'gate'), { owner: 'plugin:b', before: 'audit' });
+        pipeline.use('orphan', pass(log, 'orphan'), { owner: 'plugin:b', before: 'missing' });
+
+        await pipeline.run({}, async () => log.push('final'));
+
+        expect(pipeline.list().map(entry => entry.name)).toEqual(['bans', 'gate', 'audit', 'stats', 'late', 'orphan']);
+        expect(log).toEqual(['bans', 'gate', 'audit', 'stats', 'late', 'orphan', 'final']);
+    });
+
+    test('a stage that does not call next stops the chain', async () => {
+        const pipeline = new CommandPipeline();
+        const log = [];
+
+        pipeline.use('first', pass(log, 'first'));
+        pipeline.use('stop', async () => {
+            log.push('stop');
+        });
+        pipeline.use('never', pass(log, 'never'));
+
+        const ctx = await pipeline.run({}, async () => log.push('final'));
+
+        expect(log).toEqual(['first', 'stop']);
+        expect(ctx).toMatchObject({ completed: false, stage: 'stop' });
+    });
+
+    test('calling next twice is an error', async () => {
+        const pipeline = new CommandPipeline();
+
+        pipeline.use('twice', async (ctx, next) => {
+            await next();
+            await next();
+        });
+
+        await expect(pipeline.run({})).rejects.toThrow('next() called more than once in middleware twice');
+    });
+
+    test('core stages cannot be replaced and other owners cannot take a name', () => {
+        const { commandPipeline } = require('../../src/utils/commandPipeline');
+        const pipeline = new CommandPipeline();
+
+        pipeline.use('audit', pass([], 'audit'), { owner: 'plugin:a' });
+        pipeline.use('audit', pass([], 'audit again'), { owner: 'plugin:a' });
+
+        expect(() => commandPipeline.use('antiSpam', pass([], 'x'), { owner: 'plugin:antiSpam' })).toThrow('core stage');
+        expect(() => pipeline.use('audit', pass([], 'x'), { owner: 'plugin:b' })).toThrow('already registered by plugin:a');
+        expect(commandPipeline.list().find(entry => entry.name === 'antiSpam')).toEqual({ name: 'antiSpam', owner: 'core', core: true });
+    });
+
+    describe('plugin middleware', () => {
+        let pluginManager;
+        let commandPipeline;
+        let seen;
+
+        const names = () => commandPipeline.list().map(entry => entry.name);
+
+        beforeEach(() => {
+            ({ pluginManager } = require('../../src/utils/pluginManager'));
+            ({ commandPipeline } = require('../../src/utils/commandPipeline'));
+            seen = [];
+        });
+
+        function addPlugin(name, middleware) {
+            pluginManager.plugins.set(name, { name, version: '1.0.0', execute: async () => {}, middleware });
+        }
+
+        test('a plugin named after a core stage gets its own namespaced stage', async () => {
+            addPlugin('antiSpam', async (ctx, next) => {
+                seen.push(ctx.commandName);
+                return await next();
+            });
+
+            expect(await pluginManager.activatePlugin('antiSpam')).toBe(true);
+            const [pong] = await bot.sendText(GROUP, '.ping', { sender: MEMBER });
+
+            expect(names()).toEqual(expect.arrayContaining(['antiSpam', 'plugin:antiSpam:antiSpam']));
+            expect(seen).toEqual(['ping']);
+            expect(pong.content.text).toContain('Pinging');
+
+            await pluginManager.deactivatePlugin('antiSpam');
+
+            expect(names()).toContain('antiSpam');
+            expect(names()).not.toContain('plugin:antiSpam:antiSpam');
+        });
+
+        test('plugin stages anchor to core stages and to each other', async () => {
+            addPlugin('audit', [
+                { name: 'check', after: 'permissions', handler: pass(seen, 'check') },
+                { name: 'log', before: 'check', handler: pass(seen, 'log') }
+            ]);
+
+            await pluginManager.activatePlugin('audit');
+            const chain = names();
+
+            expect(chain.slice(chain.indexOf('permissions'), chain.indexOf('permissions') + 3))
+                .toEqual(['permissions', 'plugin:audit:log', 'plugin:audit:check']);
+            expect(pluginManager.getPluginInfo('audit').middleware).toEqual(['plugin:audit:check', 'plugin:audit:log']);
+        });
+
+        test('a plugin stage can short-circuit a command', async () => {
+            addPlugin('gate', async (ctx) => {
+                await ctx.reply('Commands are paused');
+            });
+
+            await pluginManager.activatePlugin('gate');
+            const replies = await bot.sendText(GROUP, '.ping', { sender: MEMBER });
+
+            expect(replies.map(reply => reply.content.text)).toEqual(['Commands are paused']);
+
+            await pluginManager.deactivatePlugin('gate');
+            bot.clearCooldowns();
+            const [pong] = await bot.sendText(GROUP, '.ping', { sender: MEMBER });
+
+            expect(pong.content.text).toContain('Pinging');
+        });
+    });
+});
@@ -0,0 +1,99 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const ADMIN = '254700000001@s.whatsapp.net';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('command prefixes', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('group prefixes replace the global ones in that group', async () => {
+        const [updated] = await bot.sendText(GROUP, '.setprefix $ !', { sender: ADMIN });
+        bot.clearCooldowns();
+
+        const ignored = await bot.sendText(GROUP, '.ping', { sender: MEMBER });
+        const [pong] = await bot.sendText(GROUP, '$ping', { sender: MEMBER });
+        const [info] = await bot.sendText(GROUP, 'prefix', { sender: MEMBER });
+
+        expect(updated.content.text).toContain('Group prefix updated');
+        expect(ignored).toHaveLength(0);
+        expect(pong.content.text).toContain('Pinging');
+        expect(info.content.text).toContain('*$* *!*');
+        expect(info.content.text).toContain('$help');
+    });
+
+    test('group no-prefix mode stays off while it is disabled bot-wide', async () => {
+        const [saved] = await bot.sendText(GROUP, '.setprefix noprefix on', { sender: ADMIN });
+        const ignored = await bot.sendText(GROUP, 'ping', { sender: MEMBER });
+
+        expect(saved.content.text).toContain('disabled bot-wide');
+        expect(ignored).toHaveLength(0);
+    });
+
+    test('resetting the group prefix names the prefix that now applies to the sender', async () => {
+        const { prefixManager } = require('../../src/utils/prefixManager');
+        await prefixManager.setUserPrefix(ADMIN, '~');
+        await prefixManager.setGroupPrefixes(GROUP, ['$']);
+
+        const [reset] = await bot.sendText(GROUP, '$setprefix reset', { sender: ADMIN });
+
+        expect(reset.content.text).toContain('Use *~* for commands in this group');
+    });
+
+    test('resetting a personal prefix names the bot default', async () => {
+        const config = require('../../src/config');
+        await bot.sendText(MEMBER, '.setprefix ~');
+        bot.clearCooldowns();
+
+        const [reset] = await bot.sendText(MEMBER, '~setprefix reset');
+
+        expect(reset.content.text).toContain(`Use *${config.prefix}* for commands.`);
+    });
+
+    test('a personal prefix applies in private chat', async () => {
+        const [updated] = await bot.sendText(MEMBER, '.setprefix ~');
+        const [pong] = await bot.sendText(MEMBER, '~ping');
+
+        expect(updated.content.text).toContain('personal prefix is now *~*');
+        expect(pong.content.text).toContain('Pinging');
+    });
+
+    test('members cannot change the group prefix', async () => {
+        const [reply] = await bot.sendText(GROUP, '.setprefix $', { sender: MEMBER });
+
+        expect(reply.content.text).toContain('Only group admins');
+    });
+});
+
+describe('no-prefix mode', () => {
+    let bot;
+
+    afterEach(() => bot.cleanup());
+
+    test('runs bare command names in groups that turned it on', async () => {
+        bot = await createBotHarness({ env: { NO_PREFIX_ENABLED: 'true' } }).init();
+        bot.loadFixtures();
+
+        const ignored = await bot.sendText(GROUP, 'ping', { sender: MEMBER });
+        const [enabled] = await bot.sendText(GROUP, '.setprefix noprefix on', { sender: ADMIN });
+        const [pong] = await bot.sendText(GROUP, 'ping', { sender: MEMBER });
+
+        expect(ignored).toHaveLength(0);
+        expect(enabled.content.text).toContain('No-prefix mode on');
+        expect(pong.content.text).toContain('Pinging');
+    });
+
+    test('needs its own switch in private chat', async () => {
+        bot = await createBotHarness({ env: { NO_PREFIX_ENABLED: 'true', PRIVATE_NO_PREFIX_ENABLED: 'false' } }).init();
+        const { prefixManager } = require('../../src/utils/prefixManager');
+
+        expect(prefixManager.isNoPrefixEnabled({ isGroup: false })).toBe(false);
+    });
+});
@@ -0,0 +1,123 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('usage quotas', () => {
+    let bot;
+    let quotaManager;
+    let config;
+
+    async function seedUsage(daily) {
+        const { day, month } = quotaManager.getPeriodKeys();
+        const empty = { aiTokens: 0, images: 0, downloadBytes: 0 };
+
+        await bot.models.users.insertOne({
+            jid: MEMBER,
+            name: 'Member',
+            usage: { day, month, daily: { ...empty, ...daily }, monthly: { ...empty, ...daily } }
+        });
+    }
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+        ({ quotaManager } = require('../../src/utils/quotaManager'));
+        config = require('../../src/config');
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('downloads stop once the daily download quota is used up', async () => {
+        await seedUsage({ downloadBytes: config.quotas.user.daily.downloadBytes });
+
+        const [reply] = await bot.sendText(GROUP, '.tikdl https://www.tiktok.com/@someone/video/123', { sender: MEMBER });
+
+        expect(reply.content.text).toContain('daily download data quota');
+    });
+
+    test('downloads are refused up front when the content-length exceeds the remaining quota', async () => {
+        const axios = require('axios');
+        const { downloadService } = require('../../src/services/downloadService');
+        const remaining = 1024;
+        await seedUsage({ downloadBytes: config.quotas.user.daily.downloadBytes - remaining });
+
+        const head = jest.spyOn(axios, 'head').mockResolvedValue({ headers: { 'content-length': String(remaining + 1) } });
+        const get = jest.spyOn(axios, 'get');
+
+        try {
+            const user = await bot.models.users.findOne({ jid: MEMBER });
+            await expect(downloadService.smartDownload('https://files.example/archive.zip', { user }))
+                .rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+
+            expect(head).toHaveBeenCalledWith('https://files.example/archive.zip', expect.any(Object));
+            expect(get).not.toHaveBeenCalled();
+        } finally {
+            head.mockRestore();
+            get.mockRestore();
+        }
+    });
+
+    test('AI requests are refused when the prompt plus maxTokens exceeds the remaining quota', async () => {
+        const { aiService } = require('../../src/services/aiService');
+        const { MockProvider } = require('../../src/services/aiProviders');
+        const provider = new MockProvider({ name: 'openai' });
+        provider.maxTokens = 150;
+
+        aiService.isInitialized = true;
+        aiService.registerProvider(provider);
+        await seedUsage({ aiTokens: config.quotas.user.daily.aiTokens - 100 });
+
+        const user = await bot.models.users.findOne({ jid: MEMBER });
+
+        await expect(aiService.getResponse('hello', user, {})).rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+        expect(provider.calls).toHaveLength(0);
+
+        await expect(aiService.getResponse('hello', user, { maxTokens: 50 })).resolves.toMatchObject({ provider: 'openai' });
+        expect(provider.calls[0].options.maxTokens).toBe(50);
+    });
+
+    describe('image generation', () => {
+        let aiService;
+        let prompts;
+
+        beforeEach(() => {
+            ({ aiService } = require('../../src/services/aiService'));
+            const { MockProvider } = require('../../src/services/aiProviders');
+            const openai = new MockProvider({ name: 'openai' });
+
+            prompts = [];
+            openai.client = {
+                post: async (endpoint, body) => {
+                    prompts.push(body.prompt);
+                    return { data: { data: [{ url: 'https://images.example/1.png' }] } };
+                }
+            };
+
+            aiService.isInitialized = true;
+            aiService.registerProvider(openai);
+        });
+
+        test('imagine records image usage against the user and the group', async () => {
+            await seedUsage({});
+            const staleUser = await bot.models.users.findOne({ jid: MEMBER });
+
+            const [reply] = await bot.sendText(GROUP, '.imagine a red bicycle', { sender: MEMBER });
+            const status = await quotaManager.getStatus({ user: staleUser, groupJid: GROUP });
+
+            expect(reply.content.image).toEqual({ url: 'https://images.example/1.png' });
+            expect(prompts).toHaveLength(1);
+            expect(status.user.daily.images.used).toBe(1);
+            expect(status.group.daily.images.used).toBe(1);
+        });
+
+        test('imagine is refused once the image quota is used up', async () => {
+            await seedUsage({ images: config.quotas.user.daily.images });
+
+            const [reply] = await bot.sendText(GROUP, '.imagine a red bicycle', { sender: MEMBER });
+
+            expect(reply.content.text).toContain('daily image generations quota');
+            expect(prompts).toHaveLength(0);
+        });
+    });
+});
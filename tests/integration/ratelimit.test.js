@@ -0,0 +1,208 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('rate limit overrides', () => {
+    let bot;
+    let rateLimiter;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        ({ rateLimiter } = require('../../src/utils/rateLimiter'));
+        await rateLimiter.setOverride({ group: GROUP, command: 'sticker', max: 2, window: 60000 });
+    });
+
+    afterEach(() => bot.cleanup());
+
+    async function allowedUses(user) {
+        let allowed = 0;
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const result = await rateLimiter.checkLimit(user.jid, 'commands', null, { command: 'sticker', group: GROUP, user });
+            if (result.allowed) allowed++;
+        }
+        return allowed;
+    }
+
+    test('group overrides keep the premium tier multiplier', async () => {
+        const regular = { jid: MEMBER };
+        const pro = { jid: '254700000003@s.whatsapp.net', isPremium: true, premiumType: 'pro' };
+
+        expect(await allowedUses(regular)).toBe(2);
+        expect(await allowedUses(pro)).toBe(6);
+    });
+});
+
+describe('message limit', () => {
+    let bot;
+    let TIER_LIMITS;
+    let original;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        ({ TIER_LIMITS } = require('../../src/utils/rateLimiter'));
+        original = TIER_LIMITS.regular.messages;
+        TIER_LIMITS.regular.messages = { max: 2, window: 60000 };
+    });
+
+    afterEach(async () => {
+        TIER_LIMITS.regular.messages = original;
+        await bot.cleanup();
+    });
+
+    test('stops replying once a sender goes over the messages limit', async () => {
+        const replies = [];
+        for (let attempt = 0; attempt < 3; attempt++) {
+            bot.clearCooldowns();
+            replies.push(await bot.sendText(MEMBER, '.ping', { sender: MEMBER }));
+        }
+
+        expect(replies[0].length).toBeGreaterThan(0);
+        expect(replies[1].length).toBeGreaterThan(0);
+        expect(replies[2]).toHaveLength(0);
+    });
+});
+
+describe('sliding window', () => {
+    const LIMIT = { max: 3, window: 1000 };
+    let bot;
+    let rateLimiter;
+    let cache;
+
+    // Models the sorted-set commands the Lua script issues, so the Redis code path runs without a server.
+    function createFakeRedis() {
+        const sets = new Map();
+        const zset = (key) => sets.get(key) || sets.set(key, []).get(key);
+
+        const client = {
+            isReady: true,
+            scripts: new Set(),
+            loads: 0,
+            async scriptLoad(script) {
+                client.loads++;
+                client.scripts.add('sha');
+                client.script = script;
+                return 'sha';
+            },
+            async evalSha(sha, { keys: [key], arguments: [now, window, max, member] }) {
+                if (!client.scripts.has(sha)) {
+                    throw new Error('NOSCRIPT No matching script');
+                }
+
+                await client.zRemRangeByScore(key, '-inf', Number(now) - Number(window));
+                const entries = zset(key);
+                let allowed = 0;
+
+                if (entries.length < Number(max)) {
+                    entries.push({ score: Number(now), value: member });
+                    allowed = 1;
+                }
+
+                return [allowed, entries.length, entries[0]?.score ?? Number(now)];
+            },
+            async zRemRangeByScore(key, min, max) {
+                sets.set(key, zset(key).filter(entry => entry.score > max));
+            },
+            async zCard(key) {
+                return zset(key).length;
+            },
+            async zRangeWithScores(key, start, stop) {
+                return zset(key).slice(start, stop + 1);
+            }
+        };
+
+        return client;
+    }
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        ({ rateLimiter } = require('../../src/utils/rateLimiter'));
+        ({ cache } = require('../../src/utils/cache'));
+    });
+
+    afterEach(() => bot.cleanup());
+
+    async function hits(key, times) {
+        const results = [];
+        for (const now of times) {
+            results.push(await rateLimiter.hit(key, LIMIT, now));
+        }
+        return results;
+    }
+
+    test.each(['local', 'redis'])('the %s window admits max requests and frees a slot as each one ages out', async (backend) => {
+        if (backend === 'redis') {
+            cache.useRedis = true;
+            cache.redisClient = createFakeRedis();
+        }
+
+        const results = await hits('rl:window', [0, 100, 200, 300, 999, 1000, 1050, 1101]);
+
+        expect(results.map(result => result.allowed)).toEqual([true, true, true, false, false, true, false, true]);
+        expect(results[3]).toMatchObject({ count: 3, oldest: 0 });
+        expect(results[5]).toMatchObject({ count: 3, oldest: 100 });
+        expect(await rateLimiter.peek('rl:window', LIMIT, 1101)).toEqual({ count: 3, oldest: 200 });
+    });
+
+    test('the Redis script is loaded once and reloaded after a script flush', async () => {
+        const client = createFakeRedis();
+        cache.useRedis = true;
+        cache.redisClient = client;
+
+        await hits('rl:flush', [0, 10]);
+        client.scripts.clear();
+        const [afterFlush] = await hits('rl:flush', [20]);
+
+        expect(client.loads).toBe(2);
+        expect(afterFlush).toMatchObject({ allowed: true, count: 3 });
+        expect(client.script).toContain('ZREMRANGEBYSCORE');
+    });
+
+    test('a failing Redis client falls back to the local window', async () => {
+        cache.useRedis = true;
+        cache.redisClient = {
+            isReady: true,
+            scriptLoad: async () => {
+                throw new Error('connection reset');
+            }
+        };
+
+        const results = await hits('rl:fallback', [0, 1, 2, 3]);
+
+        expect(results.map(result => result.allowed)).toEqual([true, true, true, false]);
+    });
+});
+
+// Runs the real Lua script when a Redis server is available, e.g. REDIS_URL=redis://localhost:6379
+(process.env.REDIS_URL ? describe : describe.skip)('sliding window on a live Redis', () => {
+    let bot;
+    let rateLimiter;
+    let cache;
+    let client;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        ({ rateLimiter } = require('../../src/utils/rateLimiter'));
+        ({ cache } = require('../../src/utils/cache'));
+
+        client = require('redis').createClient({ url: process.env.REDIS_URL });
+        await client.connect();
+        cache.useRedis = true;
+        cache.redisClient = client;
+    });
+
+    afterEach(async () => {
+        await client.del('rl:live');
+        await client.quit();
+        await bot.cleanup();
+    });
+
+    test('the script enforces the window atomically', async () => {
+        const limit = { max: 3, window: 1000 };
+        const burst = await Promise.all(Array.from({ length: 10 }, () => rateLimiter.hit('rl:live', limit, 5000)));
+        const later = await rateLimiter.hit('rl:live', limit, 6001);
+
+        expect(burst.filter(result => result.allowed)).toHaveLength(3);
+        expect(later).toMatchObject({ allowed: true, count: 1 });
+    });
+});
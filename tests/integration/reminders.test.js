@@ -0,0 +1,127 @@
+const { createBotHarness } = require('../harness');
+
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('reminder delivery', () => {
+    let bot;
+    let reminders;
+
+    const reminder = (id, remindAt) => ({
+        id,
+        message: `reminder ${id}`,
+        remindAt,
+        chat: MEMBER,
+        createdAt: new Date(),
+        completed: false,
+        deliveredAt: null
+    });
+
+    async function storedReminders() {
+        return (await bot.models.users.findOne({ jid: MEMBER })).reminders;
+    }
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        reminders = require('../../src/utils/reminders');
+        global.sock = bot.sock;
+
+        await bot.models.users.insertOne({
+            jid: MEMBER,
+            name: 'Member',
+            reminders: [reminder('due001', new Date(Date.now() - 1000)), reminder('later1', new Date(Date.now() + 3600000))]
+        });
+    });
+
+    afterEach(async () => {
+        delete global.sock;
+        await bot.cleanup();
+    });
+
+    test('delivery marks only the due reminder and keeps reminders added meanwhile', async () => {
+        const send = bot.sock.sendMessage.bind(bot.sock);
+        bot.sock.sendMessage = async (...args) => {
+            await reminders.addReminder(MEMBER, { message: 'added mid-check', remindAt: new Date(Date.now() + 600000) });
+            return await send(...args);
+        };
+
+        expect(await reminders.checkDueReminders()).toBe(1);
+
+        const stored = await storedReminders();
+
+        expect(bot.sock.getTexts(MEMBER)[0]).toContain('reminder due001');
+        expect(stored.find(r => r.id === 'due001')).toMatchObject({ completed: true });
+        expect(stored.find(r => r.id === 'due001').deliveredAt).toBeInstanceOf(Date);
+        expect(stored.find(r => r.id === 'later1').completed).toBe(false);
+        expect(stored.some(r => r.message === 'added mid-check')).toBe(true);
+    });
+
+    test('failed deliveries back off and give up after the attempt limit', async () => {
+        bot.sock.sendMessage = async () => {
+            throw new Error('socket closed');
+        };
+
+        await reminders.checkDueReminders();
+        const [retry] = await storedReminders();
+
+        expect(retry.attempts).toBe(1);
+        expect(retry.completed).toBe(false);
+        expect(new Date(retry.remindAt).getTime()).toBeGreaterThan(Date.now());
+
+        for (let attempt = 2; attempt <= 5; attempt++) {
+            await bot.models.users.updateOne(
+                { jid: MEMBER, 'reminders.id': 'due001' },
+                { $set: { 'reminders.$.remindAt': new Date(Date.now() - 1000) } }
+            );
+            await reminders.checkDueReminders();
+        }
+
+        const [failed] = await storedReminders();
+
+        expect(failed).toMatchObject({ attempts: 5, completed: true, failed: true });
+        expect(await reminders.checkDueReminders()).toBe(0);
+    });
+
+    test.each([
+        ['adding', () => reminders.addReminder(MEMBER, { message: 'new one', remindAt: new Date(Date.now() + 600000) })],
+        ['cancelling', () => reminders.cancelReminder(MEMBER, 'later1')],
+        ['snoozing', () => reminders.snoozeReminder(MEMBER, 'later1', 600000)]
+    ])('%s a reminder while another is delivered does not re-arm the delivered one', async (_label, change) => {
+        const { reminderManager } = reminders;
+        const read = reminderManager.getReminders.bind(reminderManager);
+
+        reminderManager.getReminders = async (...args) => {
+            const result = await read(...args);
+            await reminderManager.checkDueReminders();
+            return result;
+        };
+
+        await change();
+        reminderManager.getReminders = read;
+
+        expect((await storedReminders()).find(r => r.id === 'due001').completed).toBe(true);
+        expect(await reminders.checkDueReminders()).toBe(0);
+        expect(bot.sock.getTexts(MEMBER)).toHaveLength(1);
+    });
+
+    test('cancelling an already delivered reminder reports it as not found', async () => {
+        const [due] = await reminders.getReminders(MEMBER);
+
+        await reminders.checkDueReminders();
+
+        await expect(reminders.cancelReminder(MEMBER, due.id)).rejects.toThrow('not found');
+        expect((await storedReminders()).find(r => r.id === 'due001').completed).toBe(true);
+    });
+
+    test('adding a reminder prunes completed ones past the retention window', async () => {
+        const old = { ...reminder('old001', new Date(Date.now() - 9 * 86400000)), completed: true, deliveredAt: new Date(Date.now() - 8 * 86400000) };
+        const recent = { ...reminder('recent', new Date(Date.now() - 86400000)), completed: true, deliveredAt: new Date(Date.now() - 86400000) };
+        await bot.models.users.updateOne({ jid: MEMBER }, { $push: { reminders: { $each: [old, recent] } } });
+
+        await reminders.addReminder(MEMBER, { message: 'fresh', remindAt: new Date(Date.now() + 600000) });
+        const ids = (await storedReminders()).map(r => r.id);
+
+        expect(ids).not.toContain('old001');
+        expect(ids).toContain('recent');
+        expect(ids).toHaveLength(4);
+    });
+});
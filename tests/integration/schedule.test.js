@@ -0,0 +1,91 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const ADMIN = '254700000001@s.whatsapp.net';
+
+describe('group schedules', () => {
+    let bot;
+    let scheduler;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+        ({ taskScheduler: scheduler } = require('../../src/utils/scheduler'));
+    });
+
+    afterEach(async () => {
+        scheduler.unregisterGroupTasks(GROUP);
+        await bot.cleanup();
+    });
+
+    test('a leap day schedule previews the next February 29th', async () => {
+        const { nextCronRun } = require('../../src/utils/timeUtils');
+
+        expect(nextCronRun('0 0 29 2 *', 'UTC', new Date('2029-03-01T00:00:00Z'))).toEqual(new Date('2032-02-29T00:00:00Z'));
+        expect(nextCronRun('0 9 29 2 *', 'Africa/Nairobi', new Date('2026-10-19T00:00:00Z'))).toEqual(new Date('2028-02-29T06:00:00Z'));
+
+        const [reply] = await bot.sendText(GROUP, '.schedule add 0 0 29 2 * | Leap day!', { sender: ADMIN });
+
+        expect(reply.content.text).toContain('Message Scheduled');
+        expect(reply.content.text).toMatch(/Next run: .*29 Feb/);
+    });
+
+    test('out-of-range cron fields are not scheduled', async () => {
+        const [reply] = await bot.sendText(GROUP, '.schedule add 61 9 * * * | Too late', { sender: ADMIN });
+
+        expect(reply.content.text).toContain('Unrecognised schedule');
+        expect(await scheduler.getGroupTasks(GROUP)).toHaveLength(0);
+    });
+
+    test('six-field expressions with a seconds column are not accepted', async () => {
+        const { parseNaturalSchedule } = require('../../src/utils/timeUtils');
+        const [reply] = await bot.sendText(GROUP, '.schedule add * * * * * * | Every second', { sender: ADMIN });
+
+        expect(parseNaturalSchedule('0 0 9 * * *')).toBeNull();
+        expect(reply.content.text).toContain('Unrecognised schedule');
+        expect(await scheduler.getGroupTasks(GROUP)).toHaveLength(0);
+    });
+
+    test('schedules closer together than five minutes are refused', async () => {
+        const [everyMinute] = await bot.sendText(GROUP, '.schedule add * * * * * | Spam', { sender: ADMIN });
+        bot.clearCooldowns();
+        const [twoMinutes] = await bot.sendText(GROUP, '.schedule add 0,2 9 * * * | Twice', { sender: ADMIN });
+
+        expect(everyMinute.content.text).toContain('at least 5 minutes apart');
+        expect(twoMinutes.content.text).toContain('at least 5 minutes apart');
+        expect(await scheduler.getGroupTasks(GROUP)).toHaveLength(0);
+    });
+
+    test('natural intervals at or above the minimum are scheduled', async () => {
+        const [reply] = await bot.sendText(GROUP, '.schedule add every 10 minutes | Stretch', { sender: ADMIN });
+
+        expect(reply.content.text).toContain('Message Scheduled');
+        expect((await scheduler.getGroupTasks(GROUP))[0].schedule).toBe('*/10 * * * *');
+    });
+
+    test.each([
+        ['*/15 * * * *', 15],
+        ['0 9 * * 1-5', 1440],
+        ['2,58 0,23 * * *', 4],
+        ['0,30 8-17/3 * * *', 30],
+        ['0 */6 * * *', 360]
+    ])('%s runs at most every %i minutes', (expression, interval) => {
+        const { getCronInterval } = require('../../src/utils/timeUtils');
+
+        expect(getCronInterval(expression)).toBe(interval);
+    });
+
+    test('cron fields accept names, ranges and steps', () => {
+        const { parseCron } = require('../../src/utils/timeUtils');
+
+        expect(parseCron('5 9 1-10/3 jan,mar sun,7')).toEqual({
+            minute: [5],
+            hour: [9],
+            day: [1, 4, 7, 10],
+            month: [1, 3],
+            weekday: [0]
+        });
+        expect(() => parseCron('0 24 * * *')).toThrow('bad hour field');
+        expect(() => parseCron('0 9 10-1 * *')).toThrow('bad day field');
+    });
+});
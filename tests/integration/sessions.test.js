@@ -0,0 +1,83 @@
+const { createBotHarness } = require('../harness');
+
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('interactive prompts', () => {
+    let bot;
+    let sessionManager;
+
+    async function waitForPrompt() {
+        for (let attempt = 0; attempt < 200 && !sessionManager.hasPending(MEMBER, MEMBER); attempt++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(sessionManager.hasPending(MEMBER, MEMBER)).toBe(true);
+    }
+
+    async function answer(text) {
+        await waitForPrompt();
+        return await bot.sendText(MEMBER, text);
+    }
+
+    beforeEach(async () => {
+        bot = await createBotHarness({ env: { PROMPT_TIMEOUT: '300' } }).init();
+        ({ sessionManager } = require('../../src/utils/sessionManager'));
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('the poll wizard collects each answer in turn', async () => {
+        const running = bot.sendText(MEMBER, '.poll');
+
+        await answer('Where should we eat?');
+        await answer('Pizza | Tacos | Sushi');
+        await answer('2');
+        await running;
+
+        expect(bot.sock.getSentMessages(MEMBER).pop().content.poll).toEqual({
+            name: 'Where should we eat?',
+            values: ['Pizza', 'Tacos', 'Sushi'],
+            selectableCount: 3
+        });
+    });
+
+    test('a cancel word ends the session', async () => {
+        const running = bot.sendText(MEMBER, '.poll');
+
+        await answer('cancel');
+        const replies = await running;
+
+        expect(replies.pop().content.text).toBe('❎ Cancelled.');
+        expect(sessionManager.hasPending(MEMBER, MEMBER)).toBe(false);
+        expect(bot.sock.getSentMessages(MEMBER).some(sent => sent.content.poll)).toBe(false);
+    });
+
+    test('a prefixed command closes the pending prompt and runs', async () => {
+        const running = bot.sendText(MEMBER, '.poll');
+
+        const [pong] = await answer('.ping');
+        const replies = await running;
+
+        expect(pong.content.text).toContain('Pinging');
+        expect(replies.map(reply => reply.content.text)).toContain('↩️ Another command was started, so this session was closed.');
+        expect(sessionManager.hasPending(MEMBER, MEMBER)).toBe(false);
+    });
+
+    test('an answer that only looks prefixed is still taken as the answer', async () => {
+        const running = bot.sendText(MEMBER, '.poll');
+
+        await answer('.NET or Java?');
+        await answer('.NET | Java');
+        await answer('1');
+        await running;
+
+        expect(bot.sock.getSentMessages(MEMBER).pop().content.poll).toMatchObject({ name: '.NET or Java?', values: ['.NET', 'Java'] });
+    });
+
+    test('an unanswered prompt times out and later messages are handled normally', async () => {
+        const replies = await bot.sendText(MEMBER, '.poll');
+        const [pong] = await bot.sendText(MEMBER, '.ping');
+
+        expect(replies.pop().content.text).toContain('No reply received in time');
+        expect(pong.content.text).toContain('Pinging');
+    });
+});
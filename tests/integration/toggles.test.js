@@ -0,0 +1,89 @@
+const { createBotHarness } = require('../harness');
+
+const GROUP = '120363000000000001@g.us';
+const ADMIN = '254700000001@s.whatsapp.net';
+const MEMBER = '254700000002@s.whatsapp.net';
+
+describe('command toggles', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createBotHarness().init();
+        bot.loadFixtures();
+    });
+
+    afterEach(() => bot.cleanup());
+
+    test('a command disabled in a group is refused there until re-enabled', async () => {
+        await bot.sendText(GROUP, '.toggle off ping', { sender: ADMIN });
+        const [refused] = await bot.sendText(GROUP, '.ping', { sender: MEMBER });
+
+        bot.clearCooldowns();
+        await bot.sendText(GROUP, '.toggle on ping', { sender: ADMIN });
+        const [allowed] = await bot.sendText(GROUP, '.ping', { sender: MEMBER });
+
+        expect(refused.content.text).toContain('Command Disabled');
+        expect(allowed.content.text).not.toContain('Command Disabled');
+    });
+
+    test('protected commands cannot be disabled', async () => {
+        const [reply] = await bot.sendText(GROUP, '.toggle off help', { sender: ADMIN });
+
+        expect(reply.content.text).toContain('cannot be disabled');
+    });
+
+    describe('command manager', () => {
+        let commandManager;
+        let commandToggles;
+
+        beforeEach(() => {
+            ({ commandManager } = require('../../src/utils/commandManager'));
+            ({ commandToggles } = require('../../src/utils/commandToggles'));
+        });
+
+        afterEach(() => jest.restoreAllMocks());
+
+        test('refuses protected commands without touching its state', async () => {
+            await expect(commandManager.disableCommand('toggle')).rejects.toThrow('cannot be disabled');
+
+            expect(commandManager.isCommandEnabled('toggle')).toBe(true);
+        });
+
+        test('surfaces persistence failures and keeps the previous state', async () => {
+            jest.spyOn(commandToggles, 'setGlobal').mockRejectedValue(new Error('database unavailable'));
+
+            await expect(commandManager.disableCommand('ping')).rejects.toThrow('database unavailable');
+
+            expect(commandManager.isCommandEnabled('ping')).toBe(true);
+        });
+
+        test('persists a global disable', async () => {
+            await commandManager.disableCommand('ping');
+            const { getSetting } = require('../../src/models/Settings');
+
+            expect(commandManager.isCommandEnabled('ping')).toBe(false);
+            expect((await getSetting('commandToggles')).commands.ping).toBe('off');
+
+            await commandManager.enableCommand('ping');
+            expect(commandManager.isCommandEnabled('ping')).toBe(true);
+        });
+
+        test('reflects global toggles changed through the toggle command', async () => {
+            await bot.sendText(GROUP, '.toggle off ping --global', { sender: ADMIN });
+            expect(commandManager.isCommandEnabled('ping')).toBe(false);
+
+            bot.clearCooldowns();
+            await bot.sendText(ADMIN, '.toggle reset ping --global');
+            expect(commandManager.isCommandEnabled('ping')).toBe(true);
+        });
+
+        test('reads global toggles persisted before startup', async () => {
+            const { setSetting } = require('../../src/models/Settings');
+            await setSetting('commandToggles', { commands: { ping: 'off' }, categories: {} });
+
+            await commandToggles.loadGlobal(true);
+
+            expect(commandManager.isCommandEnabled('ping')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1 @@
+jest.setTimeout(30000);